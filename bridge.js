@@ -0,0 +1,448 @@
+// ================= TONG SAMPAH SERIAL BRIDGE =================
+// Reads an Arduino over a serial device (or a pseudo-tty for testing),
+// checks every line with the dashboard's own LineTransport framing rules
+// and streams it to dashboards over WebSocket, which parse it themselves. Commands sent by a
+// dashboard are written back to the device.
+//
+//   node bridge.js --device /dev/ttyUSB0 [--baud 9600] [--framing auto]
+//                  [--port 8081] [--host 127.0.0.1]
+//                  [--origins http://localhost:8080,...] [--token ...]
+//
+// Commands go straight to the device, so browsers may only connect from
+// --origins (default: the companion server on its default port). With
+// --token (or BRIDGE_TOKEN) every client must also connect to
+// ws://host:port/?token=<token>.
+//
+// The baud rate defaults to the shipped sketch's Serial.begin(9600).
+//
+// Test without hardware: `socat -d -d pty,raw,echo=0 pty,raw,echo=0`
+// prints two linked pseudo-ttys; run the bridge on one, write to the other.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { loadApp, secretMatches, parseArgs, closeOnSignal } = require('./node-common');
+
+// RFC 6455 handshake constant
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME = 1024 * 1024;
+
+// Pages served by server.js with its defaults
+const DEFAULT_ORIGINS = ['http://localhost:8080', 'http://127.0.0.1:8080'];
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// ===== WEBSOCKET FRAMES =====
+// Just enough of RFC 6455 for JSON text messages: servers send unmasked
+// frames, clients must mask theirs.
+const Frames = {
+    acceptKey(key) {
+        return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    },
+    
+    encode(opcode, payload = Buffer.alloc(0), mask = false) {
+        const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+        const length = data.length;
+        const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+        const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+        
+        header[0] = 0x80 | opcode;
+        header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+        if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+        if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+        
+        if (!mask) return Buffer.concat([header, data]);
+        
+        const key = crypto.randomBytes(4);
+        key.copy(header, 2 + lengthBytes);
+        const masked = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) masked[i] = data[i] ^ key[i % 4];
+        return Buffer.concat([header, masked]);
+    },
+    
+    // Complete frames from the front of `buffer`; the rest waits for more bytes
+    decode(buffer) {
+        const frames = [];
+        let offset = 0;
+        
+        while (buffer.length - offset >= 2) {
+            const first = buffer[offset];
+            const second = buffer[offset + 1];
+            let length = second & 0x7F;
+            let position = offset + 2;
+            
+            if (length === 126) {
+                if (buffer.length - position < 2) break;
+                length = buffer.readUInt16BE(position);
+                position += 2;
+            } else if (length === 127) {
+                if (buffer.length - position < 8) break;
+                length = Number(buffer.readBigUInt64BE(position));
+                position += 8;
+            }
+            if (length > MAX_FRAME) throw new Error('Frame WebSocket terlalu besar');
+            
+            const masked = (second & 0x80) !== 0;
+            const key = masked ? buffer.subarray(position, position + 4) : null;
+            if (masked) position += 4;
+            if (buffer.length < position + length) break;
+            
+            const payload = Buffer.from(buffer.subarray(position, position + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+            }
+            
+            frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, masked, payload });
+            offset = position + length;
+        }
+        
+        return { frames, rest: buffer.subarray(offset) };
+    }
+};
+
+// One upgraded socket; `onMessage` gets each complete text message
+function createPeer(socket, { onMessage, onClose, requireMask = true }) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+    
+    const peer = {
+        socket,
+        
+        send(message) {
+            if (closed) return;
+            socket.write(Frames.encode(OPCODES.text, JSON.stringify(message)));
+        },
+        
+        close(code = 1000) {
+            if (closed) return;
+            closed = true;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            socket.end(Frames.encode(OPCODES.close, payload));
+        }
+    };
+    
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        
+        let decoded;
+        try {
+            decoded = Frames.decode(buffer);
+        } catch (error) {
+            peer.close(1009);
+            return;
+        }
+        buffer = decoded.rest;
+        
+        for (const frame of decoded.frames) {
+            if (requireMask && !frame.masked) {
+                peer.close(1002);
+                return;
+            }
+            
+            switch (frame.opcode) {
+                case OPCODES.text:
+                case OPCODES.continuation:
+                    fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(fragments).toString('utf8');
+                        fragments = [];
+                        onMessage(text);
+                    }
+                    break;
+                case OPCODES.ping:
+                    socket.write(Frames.encode(OPCODES.pong, frame.payload));
+                    break;
+                case OPCODES.close:
+                    peer.close();
+                    break;
+            }
+        }
+    });
+    
+    socket.on('close', () => {
+        closed = true;
+        onClose();
+    });
+    socket.on('error', () => socket.destroy());
+    
+    return peer;
+}
+
+// ===== SERIAL DEVICE =====
+// Raw mode at the given baud rate; stty is missing on Windows and pointless
+// on a pty, so a failure is only a warning
+function configureDevice(device, baudRate, log) {
+    const flag = process.platform === 'darwin' ? '-f' : '-F';
+    const result = spawnSync('stty', [flag, device, String(baudRate), 'raw', '-echo'], { timeout: 5000 });
+    if (result.error || result.status !== 0) {
+        const reason = result.error ? result.error.message : String(result.stderr).trim();
+        log(`Peringatan: stty gagal untuk ${device} (${reason})`);
+    }
+}
+
+function openSerialDevice(device, { baudRate, log }) {
+    configureDevice(device, baudRate, log);
+    
+    const fd = fs.openSync(device, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+    const input = fs.createReadStream(null, { fd, autoClose: false });
+    const output = fs.createWriteStream(null, { fd, autoClose: false });
+    
+    return {
+        input,
+        output,
+        close() {
+            input.destroy();
+            output.destroy();
+            try {
+                fs.closeSync(fd);
+            } catch (error) {
+                // Already gone with the device
+            }
+        }
+    };
+}
+
+// ===== BRIDGE =====
+// `openDevice(device, options)` returns { input, output, close() }; tests
+// pass their own streams instead of a tty.
+function createBridge({
+    device,
+    baudRate = 9600,
+    framing = 'auto',
+    reopenDelay = 2000,
+    origins = DEFAULT_ORIGINS,
+    token = null,
+    openDevice = openSerialDevice,
+    log = console.log
+} = {}) {
+    if (!device) throw new Error('Perangkat serial belum ditentukan (--device)');
+    
+    // A private instance: its transport state is not shared with anyone else
+    const core = loadApp().getCore();
+    const allowedOrigins = new Set(origins);
+    const peers = new Set();
+    
+    let serial = null;
+    let reopenTimer = null;
+    let closing = false;
+    let lastError = null;
+    let lastLine = null;
+    let transport = core.LineTransport.create(framing);
+    const counters = { lines: 0, commands: 0 };
+    
+    function broadcast(message) {
+        peers.forEach(peer => peer.send(message));
+    }
+    
+    function hello() {
+        return { type: 'hello', device, baudRate, connected: !!serial, error: serial ? null : lastError };
+    }
+    
+    function open() {
+        reopenTimer = null;
+        if (closing || serial) return;
+        
+        try {
+            serial = openDevice(device, { baudRate, log });
+        } catch (error) {
+            lastError = error.message;
+            scheduleReopen();
+            return;
+        }
+        
+        // A half-received line from before a reconnect is stale
+        transport = core.LineTransport.create(framing);
+        lastError = null;
+        
+        const current = serial;
+        current.input.setEncoding('utf8');
+        current.input.on('data', chunk => receive(chunk));
+        current.input.on('error', error => lost(current, error.message));
+        current.input.on('end', () => lost(current, 'stream serial berakhir'));
+        current.output.on('error', error => lost(current, error.message));
+        
+        log(`Perangkat terhubung: ${device} (${baudRate} baud)`);
+        broadcast({ type: 'status', connected: true, error: null });
+    }
+    
+    function lost(current, reason) {
+        if (serial !== current) return;
+        serial = null;
+        current.close();
+        
+        lastError = reason;
+        log(`Perangkat terputus: ${reason}`);
+        broadcast({ type: 'status', connected: false, error: reason });
+        scheduleReopen();
+    }
+    
+    function scheduleReopen() {
+        if (closing || reopenTimer) return;
+        reopenTimer = setTimeout(open, reopenDelay);
+    }
+    
+    // Only lines that pass framing/checksum go out; the dashboard parses
+    // them with its own bin's format and calibration
+    function receive(chunk) {
+        const at = Date.now();
+        
+        for (const line of core.LineTransport.receive(transport, chunk)) {
+            counters.lines++;
+            lastLine = { line, at };
+            broadcast({ type: 'line', line, at });
+        }
+    }
+    
+    function command(line) {
+        const text = String(line || '').trim();
+        if (!text || /[\r\n]/.test(text) || !serial) return false;
+        
+        serial.output.write(text + '\n');
+        counters.commands++;
+        return true;
+    }
+    
+    function handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (message.type === 'command') command(message.line);
+    }
+    
+    function status() {
+        return {
+            device,
+            baudRate,
+            framing,
+            connected: !!serial,
+            error: serial ? null : lastError,
+            clients: peers.size,
+            ...counters,
+            transport: { ...transport.stats },
+            lastLine
+        };
+    }
+    
+    // Requests without an Origin come from outside a browser
+    function originAllowed(req) {
+        return !req.headers.origin || allowedOrigins.has(req.headers.origin);
+    }
+    
+    const server = http.createServer((req, res) => {
+        const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+        if (req.headers.origin && originAllowed(req)) {
+            headers['Access-Control-Allow-Origin'] = req.headers.origin;
+            headers.Vary = 'Origin';
+        }
+        
+        const found = new URL(req.url, 'http://localhost').pathname === '/';
+        res.writeHead(found ? 200 : 404, headers);
+        res.end(JSON.stringify(found ? status() : { error: 'Tidak ditemukan' }));
+    });
+    
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!originAllowed(req)) {
+            log(`Koneksi ditolak dari ${req.headers.origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        if (token && !secretMatches(new URL(req.url, 'http://localhost').searchParams.get('token'), token)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${Frames.acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        
+        const peer = createPeer(socket, {
+            onMessage: handleMessage,
+            onClose: () => peers.delete(peer)
+        });
+        peers.add(peer);
+        peer.send(hello());
+    });
+    
+    open();
+    
+    return {
+        server,
+        status,
+        command,
+        
+        listen(port = 8081, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    const address = server.address();
+                    resolve({ ...address, url: `ws://${host}:${address.port}` });
+                });
+            });
+        },
+        
+        async close() {
+            closing = true;
+            clearTimeout(reopenTimer);
+            if (serial) serial.close();
+            serial = null;
+            peers.forEach(peer => peer.close(1001));
+            peers.clear();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createBridge, Frames, OPCODES };
+
+// ===== COMMAND LINE =====
+if (require.main === module) {
+    const option = parseArgs();
+    
+    let bridge;
+    try {
+        bridge = createBridge({
+            device: option('device', process.env.SERIAL_DEVICE),
+            baudRate: parseInt(option('baud', '9600'), 10),
+            framing: option('framing', 'auto'),
+            origins: option.list('origins', undefined),
+            token: option('token', process.env.BRIDGE_TOKEN || null)
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    bridge.listen(parseInt(option('port', process.env.PORT || '8081'), 10), option('host', '127.0.0.1'))
+        .then(({ url }) => console.log(`Bridge berjalan di ${url}`))
+        .catch(error => {
+            console.error(`Bridge gagal: ${error.message}`);
+            process.exit(1);
+        });
+    
+    closeOnSignal(bridge);
+}
@@ -12,21 +12,30 @@ const TongSampahApp = (function() {
     // Core State Management
     const state = {
         db: null,
+        fleet: {
+            bins: {},
+            selectedId: null
+        },
         serial: {
-            port: null,
-            reader: null,
-            writer: null,
-            isConnected: false,
-            isConnecting: false,
-            baudRate: 115200
+            // One connection per bin, keyed by bin id
+            connections: {}
         },
+        // Known serial boards keyed by USB 'vid:pid'
+        ports: {},
+        // Distance filter state per bin (runtime only)
+        filters: {},
+        // Latest fill forecast per bin (runtime only)
+        forecasts: {},
         timers: {
             autoRefresh: null,
+            rollover: null,
             intervals: [],
             lastUpdate: 0
         },
         ui: {
             chart: null,
+            // Command button states keyed by `${binId}:${command}`
+            commands: {},
             notifications: [],
             modalOpen: false
         },
@@ -37,7 +46,11 @@ const TongSampahApp = (function() {
                 endpoints: {
                     simulate: '/api/simulate',
                     export: '/api/export',
-                    backup: '/api/backup'
+                    backup: '/api/backup',
+                    // Companion server (server.js): shared fleet and live updates
+                    readings: '/api/readings',
+                    bins: '/api/bins',
+                    events: '/api/events'
                 },
                 retryAttempts: 3,
                 timeout: 10000
@@ -53,23 +66,85 @@ const TongSampahApp = (function() {
         cache: new Map()
     };
     
+    // Stand-in DOM without any elements: every UI lookup finds nothing
+    const headlessDocument = {
+        body: null,
+        head: null,
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+        createElement() {
+            throw new Error('DOM tidak tersedia (mode headless)');
+        }
+    };
+    
+    const headlessWindow = {
+        location: null,
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    
+    // Browser globals the app talks to. configure() replaces them, so the core
+    // runs headless (Node tests) with in-memory storage and fake serial ports.
+    const adapters = {
+        // Falls back to Storage.createMemoryStorage() below
+        storage: typeof localStorage !== 'undefined' ? localStorage : null,
+        document: typeof document !== 'undefined' ? document : headlessDocument,
+        window: typeof window !== 'undefined' ? window : headlessWindow,
+        serial: typeof navigator !== 'undefined' ? navigator.serial || null : null,
+        // Without it TimeSeries keeps history in memory only
+        indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+        // Outbound integrations (webhooks, MQTT over WebSocket) and serial bridges
+        fetch: typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null,
+        WebSocket: typeof WebSocket !== 'undefined' ? WebSocket : null,
+        EventSource: typeof EventSource !== 'undefined' ? EventSource : null,
+        // Offline cache (sw.js); absent over plain http and under Node
+        serviceWorker: typeof navigator !== 'undefined' ? navigator.serviceWorker || null : null,
+        // Constructors; alerts fall back to in-page toasts without them
+        notification: typeof Notification !== 'undefined' ? Notification : null,
+        audioContext: typeof AudioContext !== 'undefined' ? AudioContext :
+            typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null,
+        requestFrame: typeof requestAnimationFrame !== 'undefined' ?
+            (callback) => requestAnimationFrame(callback) :
+            (callback) => setTimeout(callback, 16)
+    };
+    
     // ================= PRIVATE METHODS =================
     
     // ===== STORAGE MANAGEMENT =====
     const Storage = {
+        // Keys whose stored JSON was unreadable, reported once the log is up
+        recovered: [],
+        // Set after a backup restore: the in-memory state is outdated and must
+        // not overwrite the restored data before the reload
+        frozen: false,
+        
         get(key, defaultValue = null) {
+            let item = null;
             try {
-                const item = localStorage.getItem(`${state.config.storagePrefix}${key}`);
+                item = adapters.storage.getItem(`${state.config.storagePrefix}${key}`);
                 return item ? JSON.parse(item) : defaultValue;
             } catch (error) {
                 console.error('Storage get error:', error);
+                if (item) this.quarantine(key, item);
                 return defaultValue;
             }
         },
         
+        // Moves a corrupt value to 'corrupt_<key>', so the next save of the
+        // key cannot destroy the only copy
+        quarantine(key, raw) {
+            this.set(`corrupt_${key}`, { key, raw, at: Date.now() });
+            this.remove(key);
+            this.recovered.push(key);
+        },
+        
         set(key, value) {
+            if (this.frozen) return false;
             try {
-                localStorage.setItem(`${state.config.storagePrefix}${key}`, JSON.stringify(value));
+                adapters.storage.setItem(`${state.config.storagePrefix}${key}`, JSON.stringify(value));
                 return true;
             } catch (error) {
                 console.error('Storage set error:', error);
@@ -78,28 +153,63 @@ const TongSampahApp = (function() {
         },
         
         remove(key) {
-            localStorage.removeItem(`${state.config.storagePrefix}${key}`);
+            if (this.frozen) return;
+            adapters.storage.removeItem(`${state.config.storagePrefix}${key}`);
+        },
+        
+        // Full keys (prefix included) owned by this app
+        keys() {
+            const keys = [];
+            for (let i = 0; i < adapters.storage.length; i++) {
+                const key = adapters.storage.key(i);
+                if (key && key.startsWith(state.config.storagePrefix)) keys.push(key);
+            }
+            return keys;
         },
         
         clear() {
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(state.config.storagePrefix)) {
-                    localStorage.removeItem(key);
-                }
-            });
+            this.keys().forEach(key => adapters.storage.removeItem(key));
         },
         
         getSize() {
-            let total = 0;
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(state.config.storagePrefix)) {
-                    total += localStorage[key] ? localStorage[key].length : 0;
+            return this.keys().reduce((total, key) => {
+                const item = adapters.storage.getItem(key);
+                return total + (item ? item.length : 0);
+            }, 0);
+        },
+        
+        // Web Storage API over a Map, for Node and private-mode fallbacks
+        createMemoryStorage(initial = {}) {
+            const items = new Map(Object.entries(initial));
+            
+            return {
+                get length() {
+                    return items.size;
+                },
+                key(index) {
+                    const keys = [...items.keys()];
+                    return index < keys.length ? keys[index] : null;
+                },
+                getItem(key) {
+                    return items.has(key) ? items.get(key) : null;
+                },
+                setItem(key, value) {
+                    items.set(key, String(value));
+                },
+                removeItem(key) {
+                    items.delete(key);
+                },
+                clear() {
+                    items.clear();
                 }
-            });
-            return total;
+            };
         }
     };
     
+    if (!adapters.storage) {
+        adapters.storage = Storage.createMemoryStorage();
+    }
+    
     // ===== UTILITY FUNCTIONS =====
     const Utils = {
         // Debounce untuk performance
@@ -164,6 +274,16 @@ const TongSampahApp = (function() {
             return JSON.parse(JSON.stringify(obj));
         },
         
+        // Escape user-entered text before it goes into innerHTML
+        escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+        
         // Validate email
         isValidEmail(email) {
             return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -177,37 +297,634 @@ const TongSampahApp = (function() {
             });
         },
         
-        // Calculate capacity from distance
-        calculateCapacity(distance, maxDistance = 50, minDistance = 0) {
-            const clamped = Math.max(minDistance, Math.min(maxDistance, distance));
-            const capacity = 100 - ((clamped - minDistance) / (maxDistance - minDistance)) * 100;
-            return Math.round(Math.max(0, Math.min(100, capacity)));
+        clamp(value, min, max) {
+            return Math.max(min, Math.min(max, value));
+        }
+    };
+    
+    // ===== CALIBRATION =====
+    // Per-bin distance -> capacity model, kept in state.db.settings.calibration[binId].
+    // emptyDistance/fullDistance are raw sensor readings (cm) of the empty and
+    // the full bin; the curve maps fill height to filled volume.
+    const Calibration = {
+        defaults: {
+            emptyDistance: 50,
+            fullDistance: 0,
+            curve: 'linear',
+            taperRatio: 1,      // bottom width / rim width, for 'tapered'
+            points: [],         // [[height %, volume %], ...], for 'table'
+            calibratedAt: null
+        },
+        
+        // Fill height fraction (0..1) -> volume fraction (0..1)
+        curves: {
+            linear: {
+                label: 'Linear (dinding tegak)',
+                volume: (level) => level
+            },
+            
+            // Truncated cone/pyramid: cross-section grows with the square of the width
+            tapered: {
+                label: 'Meruncing ke bawah',
+                volume(level, profile) {
+                    const ratio = profile.taperRatio;
+                    if (!(ratio > 0) || ratio === 1) return level;
+                    
+                    const width = ratio + (1 - ratio) * level;
+                    return (Math.pow(width, 3) - Math.pow(ratio, 3)) / (1 - Math.pow(ratio, 3));
+                }
+            },
+            
+            // Measured pairs, interpolated linearly
+            table: {
+                label: 'Tabel titik ukur',
+                volume(level, profile) {
+                    const points = [[0, 0], ...profile.points, [100, 100]]
+                        .map(([height, volume]) => [height / 100, volume / 100])
+                        .sort((a, b) => a[0] - b[0]);
+                    
+                    for (let i = 1; i < points.length; i++) {
+                        const [h0, v0] = points[i - 1];
+                        const [h1, v1] = points[i];
+                        if (level <= h1) {
+                            return h1 === h0 ? v1 : v0 + (v1 - v0) * (level - h0) / (h1 - h0);
+                        }
+                    }
+                    return 1;
+                }
+            }
+        },
+        
+        getProfiles() {
+            const settings = state.db.settings;
+            if (!settings.calibration) settings.calibration = {};
+            return settings.calibration;
+        },
+        
+        getProfile(binId = state.fleet.selectedId) {
+            return { ...this.defaults, ...(this.getProfiles()[binId] || {}) };
+        },
+        
+        isCalibrated(binId) {
+            return !!this.getProfile(binId).calibratedAt;
+        },
+        
+        validate(profile) {
+            const errors = [];
+            
+            if (!Number.isFinite(profile.emptyDistance) || !Number.isFinite(profile.fullDistance)) {
+                errors.push('Jarak kosong dan penuh harus berupa angka');
+            } else if (profile.emptyDistance <= profile.fullDistance) {
+                errors.push('Jarak kosong harus lebih besar dari jarak penuh');
+            } else if (profile.fullDistance < 0) {
+                errors.push('Jarak penuh tidak boleh negatif');
+            }
+            
+            if (!this.curves[profile.curve]) {
+                errors.push(`Kurva tidak dikenal: ${profile.curve}`);
+            }
+            if (profile.curve === 'tapered' && !(profile.taperRatio > 0 && profile.taperRatio <= 1)) {
+                errors.push('Rasio lancip harus di antara 0 dan 1');
+            }
+            if (profile.curve === 'table') {
+                const valid = Array.isArray(profile.points) && profile.points.every(point =>
+                    Array.isArray(point) && point.length === 2 &&
+                    point.every(value => Number.isFinite(value) && value >= 0 && value <= 100)
+                );
+                if (!valid) errors.push('Titik ukur harus berupa pasangan [tinggi %, volume %]');
+            }
+            
+            return errors;
+        },
+        
+        // Stores the profile and re-derives the bin's capacity from its last distance
+        setProfile(binId, changes) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return null;
+            
+            const profile = {
+                ...this.getProfile(binId),
+                ...changes,
+                calibratedAt: Date.now()
+            };
+            
+            const errors = this.validate(profile);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            
+            this.getProfiles()[binId] = profile;
+            Storage.set('settings', state.db.settings);
+            
+            bin.db.capacity = this.capacity(bin.db.distance, binId);
+            Fleet.save();
+            
+            Logger.log(
+                `Kalibrasi disimpan: kosong ${profile.emptyDistance} cm, penuh ${profile.fullDistance} cm, kurva ${profile.curve}`,
+                'success', null, binId
+            );
+            UI.scheduleUpdate('all');
+            
+            return { ...profile };
+        },
+        
+        resetProfile(binId) {
+            delete this.getProfiles()[binId];
+            Storage.set('settings', state.db.settings);
+            Logger.log('Kalibrasi dikembalikan ke bawaan', 'info', null, binId);
+            UI.scheduleUpdate('all');
+        },
+        
+        // Current reading of the bin, for the wizard's "record" buttons
+        capture(binId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin || !Number.isFinite(bin.db.distance)) return null;
+            return bin.db.distance;
+        },
+        
+        // Fill height fraction from a raw reading
+        level(distance, profile) {
+            const span = profile.emptyDistance - profile.fullDistance;
+            return Utils.clamp((profile.emptyDistance - distance) / span, 0, 1);
+        },
+        
+        // Capacity (%) from a raw distance, using the bin's profile
+        capacity(distance, binId = state.fleet.selectedId) {
+            const profile = typeof binId === 'object' && binId ? binId : this.getProfile(binId);
+            const curve = this.curves[profile.curve] || this.curves.linear;
+            const volume = curve.volume(this.level(distance, profile), profile);
+            return Math.round(Utils.clamp(volume * 100, 0, 100));
+        },
+        
+        // Reading depth as a share of the empty-bin depth, for the distance bar
+        distancePercent(distance, binId = state.fleet.selectedId) {
+            const profile = this.getProfile(binId);
+            return Math.round(Utils.clamp(distance / profile.emptyDistance * 100, 0, 100));
+        }
+    };
+    
+    // ===== DISTANCE FILTER =====
+    // Sits between the parsed readings and the bin db. Readings pass a range
+    // gate, a rate-of-change gate and the lid check, then a median window and
+    // an EMA smooth what is left. Settings live in state.db.settings.filter.
+    const DistanceFilter = {
+        defaults: {
+            enabled: true,
+            minDistance: 1,         // HC-SR04 reports 0 cm on a missed echo
+            maxDistance: 400,       // beyond the sensor's range
+            maxRate: 30,            // cm per second; faster changes are treated as glitches
+            rateConfirmCount: 3,    // ...unless this many in a row agree (bin emptied, bag dropped in)
+            rateTolerance: 3,       // cm, how close those confirming readings must be
+            medianWindow: 5,
+            emaAlpha: 0.4,          // 1 = no smoothing
+            ignoreWhileOpen: true
+        },
+        
+        getSettings() {
+            return { ...this.defaults, ...(state.db.settings.filter || {}) };
+        },
+        
+        getState(binId) {
+            if (!state.filters[binId]) {
+                state.filters[binId] = {
+                    window: [],
+                    ema: null,
+                    last: null,         // last accepted raw reading { distance, time }
+                    seenAt: null,       // time of the previous in-range reading
+                    pending: [],        // readings held back by the rate gate
+                    stats: { accepted: 0, range: 0, rate: 0, open: 0 }
+                };
+            }
+            return state.filters[binId];
+        },
+        
+        reset(binId) {
+            delete state.filters[binId];
+        },
+        
+        // Returns { raw, distance, rejected }: distance is the filtered value,
+        // or null when the reading was rejected (rejected names the gate)
+        apply(binId, raw, status, now = Date.now()) {
+            const settings = this.getSettings();
+            const filter = this.getState(binId);
+            
+            if (!settings.enabled) {
+                filter.stats.accepted++;
+                return { raw, distance: raw, rejected: null };
+            }
+            
+            const reject = (reason) => {
+                filter.stats[reason]++;
+                return { raw, distance: null, rejected: reason };
+            };
+            
+            if (!Number.isFinite(raw) || raw < settings.minDistance || raw > settings.maxDistance) {
+                return reject('range');
+            }
+            
+            // The lid (or the hand opening it) is in front of the sensor
+            if (settings.ignoreWhileOpen && status === "BUKA") {
+                return reject('open');
+            }
+            
+            // Rate against the previous reading's interval, so rejected
+            // readings do not widen the gate for the next one
+            const previous = filter.seenAt;
+            filter.seenAt = now;
+            
+            if (filter.last) {
+                const seconds = Math.max(0.001, (now - previous) / 1000);
+                const rate = Math.abs(raw - filter.last.distance) / seconds;
+                
+                if (rate > settings.maxRate) {
+                    const agrees = filter.pending.every(value =>
+                        Math.abs(value - raw) <= settings.rateTolerance
+                    );
+                    filter.pending = agrees ? [...filter.pending, raw] : [raw];
+                    
+                    if (filter.pending.length < settings.rateConfirmCount) {
+                        return reject('rate');
+                    }
+                    
+                    // A real step change: restart smoothing from the new level
+                    filter.window = [];
+                    filter.ema = null;
+                }
+            }
+            
+            filter.pending = [];
+            filter.last = { distance: raw, time: now };
+            filter.window = [...filter.window, raw].slice(-Math.max(1, settings.medianWindow));
+            
+            const median = this.median(filter.window);
+            const alpha = Utils.clamp(settings.emaAlpha, 0, 1);
+            filter.ema = filter.ema === null ? median : alpha * median + (1 - alpha) * filter.ema;
+            filter.stats.accepted++;
+            
+            return { raw, distance: Math.round(filter.ema * 10) / 10, rejected: null };
+        },
+        
+        median(values) {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        },
+        
+        getStats(binId) {
+            const filter = state.filters[binId];
+            return filter ? { ...filter.stats, last: filter.last } : null;
+        }
+    };
+    
+    // ===== FLEET REGISTRY =====
+    const Fleet = {
+        createBinDb() {
+            return {
+                capacity: 0,
+                distance: 0,
+                status: "TUTUP",
+                dailyUsage: 0,
+                totalUsage: 0,
+                usageDay: null,         // Calendar day key dailyUsage belongs to
+                boardUsage: null,       // counters reported by the board itself
+                lastActivity: null,
+                lastUpdate: Date.now(),
+                alertTriggered: false,
+                lastLevel: null,        // { capacity, timestamp } of the last reading
+                fullSince: null,        // when capacity reached the alert threshold
+                lastServiceAt: null,
+                lastService: null,
+                logs: []
+            };
+        },
+        
+        createBin({ id, name, location = '' } = {}) {
+            const binId = id || Utils.generateId('bin');
+            return {
+                id: binId,
+                name: name || `Tong Sampah ${Object.keys(state.fleet.bins).length + 1}`,
+                location,
+                createdAt: Date.now(),
+                db: this.createBinDb()
+            };
+        },
+        
+        load() {
+            const fleet = Storage.get('fleet', null);
+            if (fleet && fleet.bins && Object.keys(fleet.bins).length > 0) {
+                state.fleet = fleet;
+                if (!fleet.bins[fleet.selectedId]) {
+                    fleet.selectedId = Object.keys(fleet.bins)[0];
+                }
+                return state.fleet;
+            }
+            
+            // First start; older single-bin data was converted by Migrations
+            const bin = this.createBin({ id: 'bin_1', name: 'Tong Sampah 1' });
+            state.fleet = {
+                bins: { [bin.id]: bin },
+                selectedId: bin.id
+            };
+            this.save();
+            
+            return state.fleet;
+        },
+        
+        save() {
+            return Storage.set('fleet', state.fleet);
+        },
+        
+        list() {
+            return Object.values(state.fleet.bins);
+        },
+        
+        getBin(id) {
+            return state.fleet.bins[id] || null;
+        },
+        
+        getSelected() {
+            return state.fleet.bins[state.fleet.selectedId];
+        },
+        
+        select(id) {
+            if (!state.fleet.bins[id] || state.fleet.selectedId === id) return false;
+            
+            state.fleet.selectedId = id;
+            this.save();
+            
+            if (UI.isInitialized) {
+                UI.renderLogs();
+                UI.renderLineFormatOptions();
+                UI.updateChart();
+                UI.scheduleUpdate('all');
+            }
+            return true;
+        },
+        
+        addBin(info = {}) {
+            const bin = this.createBin(info);
+            if (state.fleet.bins[bin.id]) {
+                throw new Error(`ID tong sudah dipakai: ${bin.id}`);
+            }
+            
+            state.fleet.bins[bin.id] = bin;
+            this.save();
+            Logger.log(`Tong ditambahkan: ${bin.name}`, 'success', null, bin.id);
+            ServerSync.pushBin(bin);
+            
+            if (UI.isInitialized) UI.scheduleUpdate('all');
+            return bin;
+        },
+        
+        updateBin(id, changes = {}) {
+            const bin = this.getBin(id);
+            if (!bin) return null;
+            
+            ['name', 'location'].forEach(field => {
+                if (changes[field] !== undefined) bin[field] = changes[field];
+            });
+            this.save();
+            ServerSync.pushBin(bin);
+            
+            if (UI.isInitialized) UI.scheduleUpdate('all');
+            return bin;
+        },
+        
+        // `remote`: removed elsewhere; not sent back, and a bin connected
+        // here is kept
+        async removeBin(id, { remote = false } = {}) {
+            const bin = this.getBin(id);
+            if (!bin || this.list().length <= 1) return false;
+            if (remote && SerialManager.isConnected(id)) return false;
+            
+            await SerialManager.disconnect(id);
+            delete state.fleet.bins[id];
+            TimeSeries.clear(id);
+            AlertManager.clearBin(id);
+            if (!remote) ServerSync.removeBin(id);
+            PortRegistry.forget(id);
+            
+            if (Calibration.getProfiles()[id] || SerialManager.getSerialProfiles()[id]) {
+                delete Calibration.getProfiles()[id];
+                delete SerialManager.getSerialProfiles()[id];
+                Storage.set('settings', state.db.settings);
+            }
+            
+            if (state.fleet.selectedId === id) {
+                state.fleet.selectedId = Object.keys(state.fleet.bins)[0];
+            }
+            
+            this.save();
+            Logger.log(`Tong dihapus: ${bin.name}`, 'warning');
+            
+            if (UI.isInitialized) {
+                UI.renderLogs();
+                UI.scheduleUpdate('all');
+            }
+            return true;
+        }
+    };
+    
+    // ===== STORAGE SCHEMA =====
+    // Stored data carries a schema version under the 'schema' key. Each
+    // migration upgrades the plain stored values (key without prefix -> value)
+    // by one version; initCore runs the missing ones in order and writes the
+    // result only when all of them succeeded. Backups go through the same
+    // migrations on import. Settings added later need no migration: load()
+    // fills them in from defaultSettings().
+    const Migrations = {
+        // Append only; a released migration never changes
+        migrations: [
+            {
+                version: 1,
+                description: 'Tong tunggal di kunci db menjadi tong pertama armada',
+                migrate(data) {
+                    const db = data.db || {};
+                    const legacyFields = ['capacity', 'distance', 'status', 'dailyUsage', 'totalUsage',
+                        'lastActivity', 'lastUpdate', 'alertTriggered', 'usageHistory'];
+                    const hasFleet = data.fleet && data.fleet.bins && Object.keys(data.fleet.bins).length > 0;
+                    const hasLegacy = legacyFields.some(field => field in db) || data.history;
+                    
+                    if (!hasFleet && hasLegacy) {
+                        const bin = Fleet.createBin({ id: 'bin_1', name: 'Tong Sampah 1' });
+                        legacyFields.forEach(field => {
+                            if (db[field] != null) bin.db[field] = db[field];
+                        });
+                        // Before the db key, usage history had a key of its own
+                        if (!bin.db.usageHistory && data.history) bin.db.usageHistory = data.history;
+                        data.fleet = { bins: { [bin.id]: bin }, selectedId: bin.id };
+                    }
+                    
+                    legacyFields.forEach(field => delete db[field]);
+                    delete data.history;
+                }
+            },
+            {
+                version: 2,
+                description: 'Pengaturan dan log hanya di kunci settings dan logs',
+                migrate(data) {
+                    const db = data.db;
+                    if (!db) return;
+                    
+                    // 'settings' was saved on every change, 'db' only when the page closed
+                    data.settings = { ...(db.settings || {}), ...(data.settings || {}) };
+                    
+                    const seen = new Set();
+                    data.logs = [...(data.logs || []), ...(db.logs || [])]
+                        .filter(log => {
+                            const key = log.id || `${log.timestamp}:${log.message}`;
+                            if (seen.has(key)) return false;
+                            seen.add(key);
+                            return true;
+                        })
+                        .sort((a, b) => b.timestamp - a.timestamp)
+                        .slice(0, Logger.maxLogs);
+                    
+                    delete data.db;
+                }
+            },
+            {
+                version: 3,
+                description: 'Port yang diingat dan namanya per tong, bukan per model papan',
+                migrate(data) {
+                    if (!data.ports) return;
+                    
+                    const ports = {};
+                    Object.entries(data.ports).forEach(([key, entry]) => {
+                        if (entry && entry.binId) ports[entry.binId] = { ...entry, key };
+                    });
+                    data.ports = ports;
+                }
+            }
+        ],
+        
+        latest() {
+            return this.migrations.length;
+        },
+        
+        defaultSettings() {
+            return {
+                autoRefresh: false,
+                autoRefreshInterval: 5000,
+                alertThreshold: 80,
+                // The shipped sketch's Serial.begin(9600), so 'auto' can recognise it
+                connectionBaud: 9600,
+                lineFormat: 'auto',
+                framing: 'auto',
+                commandIds: false,
+                simulator: {
+                    interval: 1000,
+                    fillRate: 2,
+                    lidEventRate: 0.05,
+                    noise: 1,
+                    spikeRate: 0,
+                    dropoutRate: 0
+                },
+                reconnect: {
+                    enabled: true,
+                    baseDelay: 1000,
+                    maxDelay: 60000,
+                    maxAttempts: 0
+                },
+                filter: { ...DistanceFilter.defaults },
+                retention: { ...TimeSeries.retentionDefaults },
+                chartType: 'day',
+                autoScrollLogs: true
+            };
+        },
+        
+        // Stored settings over the defaults, one level deep for grouped settings
+        applyDefaults(settings) {
+            const isGroup = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+            
+            Object.entries(this.defaultSettings()).forEach(([key, value]) => {
+                if (settings[key] === undefined) settings[key] = value;
+                else if (isGroup(value) && isGroup(settings[key])) settings[key] = { ...value, ...settings[key] };
+            });
+            return settings;
+        },
+        
+        // Upgrades plain values from schema version `from`; returns the versions applied
+        migrate(data, from = 0) {
+            const applied = this.migrations.filter(migration => migration.version > from);
+            applied.forEach(migration => migration.migrate(data));
+            data.schema = this.latest();
+            return applied.map(migration => migration.version);
+        },
+        
+        // Runs the migrations storage is missing. On failure nothing is written,
+        // so the next start tries again from the same data.
+        run() {
+            const from = Storage.get('schema', 0);
+            const latest = this.latest();
+            if (from >= latest) {
+                if (from > latest) console.warn(`Data tersimpan memakai skema ${from}, aplikasi ini ${latest}`);
+                return { from, to: from, applied: [] };
+            }
+            
+            const data = {};
+            Storage.keys().forEach(key => {
+                const name = key.slice(state.config.storagePrefix.length);
+                const value = Storage.get(name);
+                if (value !== null) data[name] = value;
+            });
+            const stored = Object.keys(data);
+            
+            try {
+                const applied = this.migrate(data, from);
+                Object.entries(data).forEach(([name, value]) => Storage.set(name, value));
+                stored.filter(name => !(name in data)).forEach(name => Storage.remove(name));
+                return { from, to: latest, applied };
+            } catch (error) {
+                console.error('Migration error:', error);
+                return { from, to: from, applied: [], error: error.message };
+            }
+        },
+        
+        // Settings and system log of the current schema
+        load() {
+            return {
+                settings: this.applyDefaults(Storage.get('settings', {})),
+                logs: Storage.get('logs', [])
+            };
         }
     };
     
     // ===== DATA PROCESSING =====
     const DataProcessor = {
         // Process serial data efficiently
-        processSerialChunk(chunk) {
-            const lines = chunk.trim().split('\n');
+        processSerialChunk(chunk, context = {}) {
+            return this.processLines(chunk.trim().split('\n'), context);
+        },
+        
+        processLines(lines, context = {}) {
             const results = [];
             
             for (const line of lines) {
                 const trimmed = line.trim();
                 if (!trimmed) continue;
                 
-                const result = this.parseSerialLine(trimmed);
+                const result = this.parseSerialLine(trimmed, context);
                 if (result) results.push(result);
             }
             
             return results;
         },
         
-        parseSerialLine(line) {
-            // Prioritize most common formats first
-            if (line.includes(',')) {
-                const parts = line.split(',');
-                if (parts.length >= 5) {
+        // Line formats, tried in registration order when the connection uses 'auto'.
+        // parse(line, context) returns an update object, or null if the line
+        // does not belong to that format. `acknowledges: false` marks firmware
+        // that never answers commands, so nothing waits for an ACK; `baudRate`
+        // is the rate the firmware talks at, taken over when the format is chosen.
+        formats: {
+            csv: {
+                label: 'CSV (STATUS,KAPASITAS,JARAK,HARIAN,TOTAL)',
+                parse(line) {
+                    if (!line.includes(',')) return null;
+                    
+                    const parts = line.split(',');
+                    if (parts.length < 5) return null;
+                    
                     return {
                         type: 'full',
                         status: parts[0],
@@ -218,27 +935,103 @@ const TongSampahApp = (function() {
                         raw: line
                     };
                 }
-            }
+            },
             
-            // Check for specific patterns
-            const patterns = {
-                status: /^STATUS:(.+)$/,
-                distance: /^DISTANCE:(\d+)/,
-                usage: /^USAGE:(\d+)/,
-                ready: /^SYSTEM_READY/,
-                command: /^CMD_RECEIVED:(.+)$/
-            };
+            keyValue: {
+                label: 'Key:Value (STATUS:, DISTANCE:, USAGE:)',
+                patterns: {
+                    status: /^STATUS:(.+)$/,
+                    distance: /^DISTANCE:(\d+)/,
+                    usage: /^USAGE:(\d+)/,
+                    ready: /^SYSTEM_READY/,
+                    command: /^CMD_RECEIVED:(.+)$/,
+                    ack: /^ACK:(.+)$/,
+                    nak: /^(?:NAK|CMD_ERROR):(.+)$/
+                },
+                parse(line) {
+                    for (const [key, regex] of Object.entries(this.patterns)) {
+                        const match = line.match(regex);
+                        if (match) {
+                            return {
+                                type: key,
+                                value: match[1] || true,
+                                raw: line
+                            };
+                        }
+                    }
+                    return null;
+                }
+            },
             
-            for (const [key, regex] of Object.entries(patterns)) {
-                const match = line.match(regex);
-                if (match) {
+            // Output of the shipped Arduino sketch: "Jarak: 23 cm" every 500 ms.
+            // The sketch opens the lid at <= 20 cm and blocks for 8 s before
+            // closing it again, so the lid state is inferred from those constants.
+            sketch: {
+                label: 'Sketch bawaan (Jarak: N cm)',
+                // The sketch only reads the sensor, it has no Serial.read()
+                acknowledges: false,
+                // Serial.begin(9600) in the sketch
+                baudRate: 9600,
+                pattern: /^Jarak:\s*(-?\d+)\s*cm/i,
+                openDistance: 20,
+                holdTime: 8000,
+                parse(line, context) {
+                    const match = line.match(this.pattern);
+                    if (!match) return null;
+                    
+                    const distance = parseInt(match[1]);
+                    const memo = context.formatState || (context.formatState = {});
+                    const now = Date.now();
+                    let status = "TUTUP";
+                    
+                    if (distance <= this.openDistance) {
+                        status = "BUKA";
+                        memo.openedAt = now;
+                    } else if (memo.openedAt && now - memo.openedAt < this.holdTime) {
+                        status = "BUKA";
+                    }
+                    
                     return {
-                        type: key,
-                        value: match[1] || true,
+                        type: 'reading',
+                        status,
+                        distance,
+                        capacity: Calibration.capacity(distance, context.binId),
                         raw: line
                     };
                 }
             }
+        },
+        
+        registerFormat(id, format) {
+            if (!id || !format || typeof format.parse !== 'function') {
+                throw new Error(`Format serial tidak valid: ${id}`);
+            }
+            this.formats[id] = { label: id, ...format };
+            return id;
+        },
+        
+        getFormatOptions() {
+            return [
+                { id: 'auto', label: 'Otomatis' },
+                ...Object.entries(this.formats).map(([id, format]) => ({ id, label: format.label }))
+            ];
+        },
+        
+        parseSerialLine(line, context = {}) {
+            const formatId = context.lineFormat || 'auto';
+            const candidates = formatId === 'auto' ? Object.keys(this.formats) : [formatId];
+            
+            for (const id of candidates) {
+                const format = this.formats[id];
+                if (!format) continue;
+                
+                const result = format.parse(line, context);
+                if (result) {
+                    // What 'auto' found out about the device
+                    if (result.type !== 'message') context.detectedFormat = id;
+                    return result;
+                }
+            }
             
             // Generic message
             return {
@@ -249,360 +1042,4962 @@ const TongSampahApp = (function() {
         },
         
         // Batch process for performance
-        batchUpdate(updates) {
+        batchUpdate(updates, bin) {
             const fullUpdates = updates.filter(u => u.type === 'full');
             
             if (fullUpdates.length > 0) {
                 const latest = fullUpdates[fullUpdates.length - 1];
-                this.applyUpdate(latest);
+                this.applyUpdate(latest, bin);
                 return true;
             }
             
             // Process individual updates
             updates.forEach(update => {
-                this.applyPartialUpdate(update);
+                this.applyPartialUpdate(update, bin);
             });
             
             return updates.length > 0;
         },
         
-        applyUpdate(data) {
+        applyUpdate(data, bin) {
             if (!data || data.type !== 'full') return;
             
-            const oldStatus = state.db.status;
-            state.db.status = data.status;
-            state.db.capacity = data.capacity;
-            state.db.distance = data.distance;
-            state.db.dailyUsage = data.dailyUsage;
-            state.db.totalUsage = data.totalUsage;
-            state.db.lastUpdate = Date.now();
+            const db = bin.db;
+            const oldStatus = db.status;
+            db.status = data.status;
+            // The board's own counters reset with the board; the ledger keeps ours
+            db.boardUsage = { daily: data.dailyUsage, total: data.totalUsage };
+            db.lastUpdate = Date.now();
             
             // Check for status change
             if (oldStatus !== data.status) {
-                this.handleStatusChange(data.status, oldStatus);
+                this.handleStatusChange(data.status, oldStatus, bin);
             }
             
-            // Add to history
-            HistoryManager.addToHistory(data.capacity);
+            // The board's own percentage assumes its built-in depth; a calibrated bin knows better
+            this.applyDistance(data.distance, bin, data.capacity);
         },
         
-        applyPartialUpdate(data) {
+        applyPartialUpdate(data, bin) {
+            const db = bin.db;
+            
             switch(data.type) {
-                case 'status':
-                    state.db.status = data.value;
+                case 'status': {
+                    const oldStatus = db.status;
+                    db.status = data.value;
+                    if (oldStatus !== db.status) this.handleStatusChange(db.status, oldStatus, bin);
                     break;
+                }
                 case 'distance':
-                    state.db.distance = parseInt(data.value);
-                    state.db.capacity = Utils.calculateCapacity(state.db.distance);
+                    this.applyDistance(parseInt(data.value), bin);
                     break;
                 case 'usage':
-                    state.db.dailyUsage = parseInt(data.value);
+                    db.boardUsage = { ...(db.boardUsage || {}), daily: parseInt(data.value) };
+                    break;
+                case 'reading':
+                    this.applyReading(data, bin);
                     break;
             }
-            state.db.lastUpdate = Date.now();
+            db.lastUpdate = Date.now();
         },
         
-        handleStatusChange(newStatus, oldStatus) {
-            if (newStatus === "BUKA" && oldStatus === "TUTUP") {
-                state.db.lastActivity = Date.now();
-                state.db.dailyUsage++;
-                state.db.totalUsage++;
-                Logger.log('Tong dibuka oleh Arduino', 'success');
-            } else if (newStatus === "TUTUP" && oldStatus === "BUKA") {
-                Logger.log('Tong ditutup oleh Arduino', 'success');
+        applyReading(data, bin) {
+            const db = bin.db;
+            const oldStatus = db.status;
+            db.status = data.status;
+            
+            if (oldStatus !== data.status) {
+                this.handleStatusChange(data.status, oldStatus, bin);
             }
-        }
-    };
+            
+            this.applyDistance(data.distance, bin);
+        },
+        
+        // Raw distance -> filter -> db. boardCapacity is the board's own
+        // percentage, used for uncalibrated bins as before.
+        applyDistance(raw, bin, boardCapacity = null) {
+            const db = bin.db;
+            const before = db.capacity;
+            const useBoard = boardCapacity !== null && !Calibration.isCalibrated(bin.id);
+            const result = DistanceFilter.apply(bin.id, raw, db.status);
+            
+            if (result.distance !== null) {
+                db.distance = result.distance;
+                db.capacity = useBoard ? boardCapacity : Calibration.capacity(result.distance, bin.id);
+            }
+            
+            const reading = {
+                rawDistance: raw,
+                rawCapacity: useBoard ? boardCapacity : Calibration.capacity(raw, bin.id),
+                distance: db.distance,
+                rejected: result.rejected
+            };
+            HistoryManager.addToHistory(db.capacity, bin, reading);
+            
+            Forecast.observe(bin, before);
+            Forecast.update(bin);
+            AlertManager.observe(bin);
+            Integrations.emit('reading', bin, {
+                capacity: db.capacity,
+                distance: db.distance,
+                rawDistance: raw,
+                rejected: result.rejected
+            });
+            ServerSync.push(bin, 'reading', reading);
+            
+            return result.distance !== null;
+        },
+        
+        handleStatusChange(newStatus, oldStatus, bin) {
+            if (newStatus === "BUKA" && oldStatus === "TUTUP") {
+                UsageLedger.record(bin, 'arduino');
+                Logger.log(`${bin.name} dibuka oleh Arduino`, 'success', null, bin.id);
+            } else if (newStatus === "TUTUP" && oldStatus === "BUKA") {
+                Logger.log(`${bin.name} ditutup oleh Arduino`, 'success', null, bin.id);
+            }
+            AlertManager.evaluate(bin);
+            ServerSync.push(bin, 'status');
+        }
+    };
+    
+    // ===== LINE TRANSPORT =====
+    // Reassembles lines split across reader.read() chunks and unwraps the
+    // optional framed format:
+    //
+    //   #<seq>:<payload>*<checksum>
+    //
+    // <checksum> covers everything between '#' and '*': 2 hex digits for an
+    // XOR checksum, 4 hex digits for CRC-16/CCITT-FALSE.
+    const LineTransport = {
+        maxLineLength: 512,
+        sequenceModulo: 65536,
+        framePattern: /^#(\d+):(.*)\*([0-9A-Fa-f]{2}|[0-9A-Fa-f]{4})$/,
+        // Control characters and U+FFFD (undecodable bytes) mean line noise
+        noisePattern: /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F\uFFFD]/,
+        
+        // framing: 'auto' accepts framed and plain lines, 'required' rejects
+        // plain lines, 'off' passes framed lines through untouched
+        create(framing = 'auto') {
+            return {
+                framing,
+                buffer: '',
+                lastSequence: null,
+                stats: {
+                    lines: 0,
+                    accepted: 0,
+                    frames: 0,
+                    unframed: 0,
+                    rejected: 0,
+                    checksumErrors: 0,
+                    malformed: 0,
+                    overflows: 0,
+                    duplicates: 0,
+                    dropped: 0,
+                    resets: 0
+                }
+            };
+        },
+        
+        receive(transport, chunk) {
+            transport.buffer += chunk;
+            
+            const parts = transport.buffer.split('\n');
+            transport.buffer = parts.pop();
+            
+            // A line this long never ended; drop it instead of growing forever
+            if (transport.buffer.length > this.maxLineLength) {
+                transport.buffer = '';
+                transport.stats.overflows++;
+                transport.stats.rejected++;
+            }
+            
+            const lines = [];
+            for (const part of parts) {
+                const line = this.unwrap(transport, part.trim());
+                if (line) lines.push(line);
+            }
+            return lines;
+        },
+        
+        // Returns the payload to parse, or null when the line is rejected
+        unwrap(transport, line) {
+            const stats = transport.stats;
+            if (!line) return null;
+            
+            stats.lines++;
+            
+            if (line.length > this.maxLineLength || this.noisePattern.test(line)) {
+                return this.reject(transport, 'malformed');
+            }
+            
+            const match = transport.framing !== 'off' ? line.match(this.framePattern) : null;
+            
+            if (!match) {
+                if (transport.framing === 'required') {
+                    return this.reject(transport, 'malformed');
+                }
+                stats.unframed++;
+                stats.accepted++;
+                return line;
+            }
+            
+            const [, seqText, payload, checksum] = match;
+            const body = `${seqText}:${payload}`;
+            const expected = checksum.length === 2 ? this.xor(body) : this.crc16(body);
+            
+            if (parseInt(checksum, 16) !== expected) {
+                return this.reject(transport, 'checksumErrors');
+            }
+            
+            if (!this.trackSequence(transport, parseInt(seqText))) {
+                return this.reject(transport, 'duplicates');
+            }
+            
+            stats.frames++;
+            stats.accepted++;
+            return payload.trim() || null;
+        },
+        
+        reject(transport, counter) {
+            transport.stats[counter]++;
+            transport.stats.rejected++;
+            return null;
+        },
+        
+        // Counts gaps in the sequence; false for a repeated frame
+        trackSequence(transport, seq) {
+            const last = transport.lastSequence;
+            transport.lastSequence = seq;
+            
+            if (last === null) return true;
+            if (seq === last) return false;
+            
+            const gap = (seq - last + this.sequenceModulo) % this.sequenceModulo;
+            
+            if (gap < this.sequenceModulo / 2) {
+                transport.stats.dropped += gap - 1;
+            } else {
+                // Counter went backwards: the board restarted
+                transport.stats.resets++;
+            }
+            return true;
+        },
+        
+        xor(text) {
+            let sum = 0;
+            for (let i = 0; i < text.length; i++) {
+                sum ^= text.charCodeAt(i) & 0xFF;
+            }
+            return sum;
+        },
+        
+        crc16(text) {
+            let crc = 0xFFFF;
+            for (let i = 0; i < text.length; i++) {
+                crc ^= (text.charCodeAt(i) & 0xFF) << 8;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+                }
+            }
+            return crc;
+        },
+        
+        // Builds a framed line (without the newline), e.g. for simulators
+        frame(payload, seq, checksumType = 'xor') {
+            const body = `${seq % this.sequenceModulo}:${payload}`;
+            const checksum = checksumType === 'crc16' ?
+                this.crc16(body).toString(16).padStart(4, '0') :
+                this.xor(body).toString(16).padStart(2, '0');
+            return `#${body}*${checksum.toUpperCase()}`;
+        }
+    };
+    
+    // ===== CALENDAR =====
+    // Bucket boundaries and keys in the configured time zone
+    // (state.db.settings.timeZone, default: the browser's). Keys sort as
+    // text: hour '2026-03-09T07', day '2026-03-09', ISO week '2026-W11',
+    // month '2026-03'.
+    const Calendar = {
+        day: 24 * 60 * 60 * 1000,
+        formatters: new Map(),
+        
+        getTimeZone() {
+            return state.db.settings.timeZone ||
+                Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        },
+        
+        isValidTimeZone(timeZone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        
+        // Wall-clock fields of timestamp in timeZone; weekday is ISO (1 = Monday)
+        parts(timestamp, timeZone = this.getTimeZone()) {
+            if (!this.formatters.has(timeZone)) {
+                this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                }));
+            }
+            
+            const fields = {};
+            this.formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+                if (part.type !== 'literal') fields[part.type] = parseInt(part.value);
+            });
+            fields.weekday = this.weekday(fields.year, fields.month, fields.day);
+            return fields;
+        },
+        
+        weekday(year, month, day) {
+            return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+        },
+        
+        // Milliseconds the zone is ahead of UTC at timestamp
+        offset(timestamp, timeZone) {
+            const p = this.parts(timestamp, timeZone);
+            const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+            return wall - Math.floor(timestamp / 1000) * 1000;
+        },
+        
+        // Timestamp of a wall-clock time in timeZone; the second pass settles DST changes
+        zonedTime(year, month, day, hour = 0, timeZone = this.getTimeZone()) {
+            const wall = Date.UTC(year, month - 1, day, hour);
+            const guess = wall - this.offset(wall, timeZone);
+            return wall - this.offset(guess, timeZone);
+        },
+        
+        // ISO-8601 week: weeks start on Monday, week 1 holds the year's first Thursday
+        isoWeek(year, month, day) {
+            const date = Date.UTC(year, month - 1, day);
+            const thursday = date + (4 - this.weekday(year, month, day)) * this.day;
+            const weekYear = new Date(thursday).getUTCFullYear();
+            const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / this.day / 7) + 1;
+            return { year: weekYear, week };
+        },
+        
+        pad(value, length = 2) {
+            return String(value).padStart(length, '0');
+        },
+        
+        // { bucket: start timestamp, key } of the period holding timestamp
+        bucketOf(resolution, timestamp, timeZone = this.getTimeZone()) {
+            const p = this.parts(timestamp, timeZone);
+            const date = `${p.year}-${this.pad(p.month)}-${this.pad(p.day)}`;
+            
+            switch (resolution) {
+                case 'hour':
+                    // From the local minutes, so the repeated hour of a DST change stays two buckets
+                    return {
+                        bucket: Math.floor(timestamp / 1000) * 1000 - (p.minute * 60 + p.second) * 1000,
+                        key: `${date}T${this.pad(p.hour)}`
+                    };
+                case 'day':
+                    return { bucket: this.zonedTime(p.year, p.month, p.day, 0, timeZone), key: date };
+                case 'week': {
+                    const monday = new Date(Date.UTC(p.year, p.month - 1, p.day - (p.weekday - 1)));
+                    const { year, week } = this.isoWeek(p.year, p.month, p.day);
+                    return {
+                        bucket: this.zonedTime(monday.getUTCFullYear(), monday.getUTCMonth() + 1,
+                            monday.getUTCDate(), 0, timeZone),
+                        key: `${year}-W${this.pad(week)}`
+                    };
+                }
+                case 'month':
+                    return {
+                        bucket: this.zonedTime(p.year, p.month, 1, 0, timeZone),
+                        key: `${p.year}-${this.pad(p.month)}`
+                    };
+                default:
+                    throw new Error(`Resolusi tidak dikenal: ${resolution}`);
+            }
+        }
+    };
+    
+    // ===== TIME SERIES STORE =====
+    // Per-reading records plus hour/day/week/month rollups in IndexedDB. Writes go
+    // through one queue so callers never wait on them; queries wait for the
+    // queue, so they always see earlier writes. Without IndexedDB (Node, some
+    // private windows) the same interface runs on an in-memory store. The
+    // 'backups' store keeps the Backup module's local copies.
+    const TimeSeries = {
+        version: 3,
+        // Stores of timestamped records looked up by [binId, timestamp]
+        seriesStores: ['readings', 'events'],
+        resolutions: ['hour', 'day', 'week', 'month'],
+        // Days to keep, 0 = forever; state.db.settings.retention overrides
+        retentionDefaults: {
+            readings: 30,
+            events: 400,
+            hour: 180,
+            day: 730,
+            week: 0,
+            month: 0
+        },
+        backend: null,
+        backendName: null,
+        queue: Promise.resolve(),
+        // Open bucket per `${binId}:${resolution}`, saves a read per reading
+        openRollups: new Map(),
+        // Longest bucket of each resolution, DST hour included
+        spans: {
+            hour: 60 * 60 * 1000,
+            day: 25 * 60 * 60 * 1000,
+            week: (7 * 24 + 1) * 60 * 60 * 1000,
+            month: (31 * 24 + 1) * 60 * 60 * 1000
+        },
+        
+        open() {
+            this.backend = null;
+            this.openRollups = new Map();
+            
+            const opening = adapters.indexedDB ?
+                this.openIndexedDB(`${state.config.storagePrefix}timeseries`) :
+                Promise.reject(new Error('IndexedDB tidak tersedia'));
+            
+            this.queue = opening
+                .then(backend => {
+                    this.backend = backend;
+                    this.backendName = 'indexedDB';
+                })
+                .catch(error => {
+                    if (adapters.indexedDB) console.warn('IndexedDB gagal, riwayat hanya di memori:', error);
+                    this.backend = this.createMemoryBackend();
+                    this.backendName = 'memory';
+                });
+            
+            return this.prune();
+        },
+        
+        // Runs task after everything queued before it
+        enqueue(task) {
+            const run = this.queue.then(task);
+            this.queue = run.catch(error => console.error('TimeSeries error:', error));
+            return run;
+        },
+        
+        getRetention() {
+            return { ...this.retentionDefaults, ...(state.db.settings.retention || {}) };
+        },
+        
+        // record: { binId, timestamp, capacity, rawCapacity?, ... }
+        add(record) {
+            return this.enqueue(async () => {
+                await this.backend.put('readings', record);
+                
+                for (const resolution of this.resolutions) {
+                    const rollup = await this.getRollup(record.binId, resolution,
+                        Calendar.bucketOf(resolution, record.timestamp));
+                    
+                    this.accumulate(rollup, record);
+                    await this.backend.put('rollups', rollup);
+                }
+            });
+        },
+        
+        createRollup(binId, resolution, { bucket, key }) {
+            return {
+                binId,
+                resolution,
+                bucket,
+                key,
+                count: 0,
+                total: 0,
+                rawTotal: 0,
+                min: 100,
+                max: 0,
+                last: null
+            };
+        },
+        
+        accumulate(rollup, record) {
+            rollup.count++;
+            rollup.total += record.capacity;
+            rollup.rawTotal += record.rawCapacity ?? record.capacity;
+            rollup.min = Math.min(rollup.min, record.capacity);
+            rollup.max = Math.max(rollup.max, record.capacity);
+            rollup.last = record.capacity;
+        },
+        
+        async getRollup(binId, resolution, slot) {
+            const cacheKey = `${binId}:${resolution}`;
+            const cached = this.openRollups.get(cacheKey);
+            if (cached && cached.bucket === slot.bucket) return cached;
+            
+            const rollup = await this.backend.get('rollups', [binId, resolution, slot.bucket]) ||
+                this.createRollup(binId, resolution, slot);
+            this.openRollups.set(cacheKey, rollup);
+            return rollup;
+        },
+        
+        // Recomputes the rollups of one bin (or all) from the stored readings.
+        // Only buckets from the oldest kept reading on are replaced; older
+        // rollups outlive their readings under the retention policy. Buckets
+        // built under another time zone that overlap the readings are dropped.
+        rebuild(binId = null) {
+            const binIds = binId ? [binId] : Fleet.list().map(bin => bin.id);
+            
+            return this.enqueue(async () => {
+                let total = 0;
+                
+                for (const id of binIds) {
+                    this.openRollups.forEach((rollup, key) => {
+                        if (rollup.binId === id) this.openRollups.delete(key);
+                    });
+                    
+                    const readings = await this.backend.range('readings', [id, -Infinity], [id, Infinity]);
+                    if (readings.length === 0) continue;
+                    
+                    const rollups = new Map();
+                    const firstAt = readings[0].timestamp;
+                    
+                    for (const resolution of this.resolutions) {
+                        const cutoff = Calendar.bucketOf(resolution, firstAt).bucket;
+                        const overlapping = await this.backend.range('rollups',
+                            [id, resolution, firstAt - this.spans[resolution]], [id, resolution, Infinity]);
+                        
+                        for (const rollup of overlapping) {
+                            const aligned = Calendar.bucketOf(resolution, rollup.bucket).bucket === rollup.bucket;
+                            if (rollup.bucket >= cutoff || !aligned) {
+                                await this.backend.delete('rollups', [id, resolution, rollup.bucket]);
+                            }
+                        }
+                    }
+                    
+                    readings.forEach(reading => {
+                        this.resolutions.forEach(resolution => {
+                            const slot = Calendar.bucketOf(resolution, reading.timestamp);
+                            const key = `${resolution}:${slot.bucket}`;
+                            if (!rollups.has(key)) rollups.set(key, this.createRollup(id, resolution, slot));
+                            this.accumulate(rollups.get(key), reading);
+                        });
+                    });
+                    
+                    for (const rollup of rollups.values()) {
+                        await this.backend.put('rollups', rollup);
+                    }
+                    total += readings.length;
+                }
+                
+                return total;
+            });
+        },
+        
+        // resolution 'raw' returns readings, otherwise rollups with averages.
+        // limit keeps the newest records.
+        query(binId, { from = 0, to = Date.now(), resolution = 'raw', limit = 0 } = {}) {
+            return this.enqueue(async () => {
+                if (resolution === 'raw') {
+                    return this.backend.range('readings', [binId, from], [binId, to], limit);
+                }
+                
+                const rollups = await this.backend.range('rollups',
+                    [binId, resolution, Calendar.bucketOf(resolution, from).bucket], [binId, resolution, to], limit);
+                
+                return rollups.map(rollup => ({
+                    ...rollup,
+                    average: Math.round(rollup.total / rollup.count * 10) / 10,
+                    rawAverage: Math.round(rollup.rawTotal / rollup.count * 10) / 10
+                }));
+            });
+        },
+        
+        // event: { binId, timestamp, type, source }
+        addEvent(event) {
+            return this.enqueue(() => this.backend.put('events', event));
+        },
+        
+        // type: 'open' (usage ledger), 'service' (emptying/collection), or null for all
+        async events(binId, { from = 0, to = Date.now(), type = null } = {}) {
+            const events = await this.enqueue(() => this.backend.range('events', [binId, from], [binId, to]));
+            return type ? events.filter(event => event.type === type) : events;
+        },
+        
+        // Usage pattern of a bin: 'hourOfDay' (0-23, from hour rollups) or
+        // 'dayOfWeek' (1 = Monday ... 7, from day rollups), averaged over the range
+        async profile(binId, type = 'hourOfDay', { from = 0, to = Date.now() } = {}) {
+            const byHour = type === 'hourOfDay';
+            const rollups = await this.query(binId, { from, to, resolution: byHour ? 'hour' : 'day' });
+            const slots = Array.from({ length: byHour ? 24 : 7 }, (_, i) => ({
+                slot: byHour ? i : i + 1,
+                count: 0,
+                total: 0,
+                max: 0
+            }));
+            
+            rollups.forEach(rollup => {
+                // The keys carry the wall-clock date the rollup was built with
+                const [year, month, day] = rollup.key.slice(0, 10).split('-').map(Number);
+                const slot = slots[byHour ? parseInt(rollup.key.slice(11, 13)) : Calendar.weekday(year, month, day) - 1];
+                slot.count += rollup.count;
+                slot.total += rollup.total;
+                slot.max = Math.max(slot.max, rollup.max);
+            });
+            
+            return slots.map(slot => ({
+                ...slot,
+                average: slot.count ? Math.round(slot.total / slot.count * 10) / 10 : null
+            }));
+        },
+        
+        prune(now = Date.now()) {
+            const retention = this.getRetention();
+            const day = 24 * 60 * 60 * 1000;
+            
+            return this.enqueue(async () => {
+                for (const name of this.seriesStores) {
+                    if (retention[name] > 0) {
+                        await this.backend.deleteBefore(name, now - retention[name] * day);
+                    }
+                }
+                for (const resolution of this.resolutions) {
+                    if (retention[resolution] > 0) {
+                        await this.backend.deleteBefore('rollups', now - retention[resolution] * day, resolution);
+                    }
+                }
+            });
+        },
+        
+        clear(binId) {
+            this.openRollups.forEach((rollup, key) => {
+                if (rollup.binId === binId) this.openRollups.delete(key);
+            });
+            return this.enqueue(() => this.backend.clearBin(binId));
+        },
+        
+        // Everything stored for the given bins, for backups
+        dump(binIds = Fleet.list().map(bin => bin.id)) {
+            return this.enqueue(async () => {
+                const result = { readings: [], events: [], rollups: [] };
+                
+                for (const id of binIds) {
+                    for (const name of this.seriesStores) {
+                        result[name].push(...await this.backend.range(name, [id, -Infinity], [id, Infinity]));
+                    }
+                    for (const resolution of this.resolutions) {
+                        result.rollups.push(...await this.backend.range('rollups',
+                            [id, resolution, -Infinity], [id, resolution, Infinity]));
+                    }
+                }
+                return result;
+            });
+        },
+        
+        // Adds backed-up records. Readings and events already stored for the
+        // same bin and time are skipped; rollups only fill missing buckets.
+        load({ readings = [], events = [], rollups = [] }) {
+            const keyOf = (record) => `${record.timestamp}:${record.type || ''}`;
+            
+            return this.enqueue(async () => {
+                const added = { readings: 0, events: 0, rollups: 0 };
+                const records = { readings, events };
+                
+                for (const name of this.seriesStores) {
+                    const byBin = new Map();
+                    records[name].forEach(record => {
+                        if (!byBin.has(record.binId)) byBin.set(record.binId, []);
+                        byBin.get(record.binId).push(record);
+                    });
+                    
+                    for (const [binId, list] of byBin) {
+                        const stored = await this.backend.range(name, [binId, -Infinity], [binId, Infinity]);
+                        const seen = new Set(stored.map(keyOf));
+                        
+                        for (const record of list) {
+                            if (seen.has(keyOf(record))) continue;
+                            seen.add(keyOf(record));
+                            await this.backend.put(name, record);
+                            added[name]++;
+                        }
+                    }
+                }
+                
+                for (const rollup of rollups) {
+                    if (await this.backend.get('rollups', [rollup.binId, rollup.resolution, rollup.bucket])) continue;
+                    await this.backend.put('rollups', rollup);
+                    added.rollups++;
+                }
+                
+                this.openRollups.clear();
+                return added;
+            });
+        },
+        
+        // entry: { id (creation time), ... }, oldest first
+        listBackups() {
+            return this.enqueue(() => this.backend.range('backups', 0, Infinity));
+        },
+        
+        getBackup(id) {
+            return this.enqueue(() => this.backend.get('backups', id));
+        },
+        
+        putBackup(entry) {
+            return this.enqueue(() => this.backend.put('backups', entry));
+        },
+        
+        deleteBackup(id) {
+            return this.enqueue(() => this.backend.delete('backups', id));
+        },
+        
+        openIndexedDB(name) {
+            return new Promise((resolve, reject) => {
+                const request = adapters.indexedDB.open(name, this.version);
+                
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const createSeries = (name) => {
+                        const series = db.createObjectStore(name, { autoIncrement: true });
+                        series.createIndex('bin_time', ['binId', 'timestamp']);
+                        series.createIndex('time', 'timestamp');
+                    };
+                    
+                    if (event.oldVersion < 1) {
+                        createSeries('readings');
+                        const rollups = db.createObjectStore('rollups', { keyPath: ['binId', 'resolution', 'bucket'] });
+                        rollups.createIndex('resolution_bucket', ['resolution', 'bucket']);
+                    }
+                    if (event.oldVersion < 2) {
+                        createSeries('events');
+                    }
+                    if (event.oldVersion < 3) {
+                        db.createObjectStore('backups', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(this.createIndexedDBBackend(request.result));
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB diblokir tab lain'));
+            });
+        },
+        
+        // Readings and events are looked up through the [binId, timestamp]
+        // index, rollups by their [binId, resolution, bucket] key
+        createIndexedDBBackend(db) {
+            const isSeries = (name) => this.seriesStores.includes(name);
+            const store = (name, mode = 'readonly') => db.transaction(name, mode).objectStore(name);
+            
+            const request = (req) => new Promise((resolve, reject) => {
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+            
+            // visit(cursor) returning false stops the walk
+            const walk = (source, range, direction, visit) => new Promise((resolve, reject) => {
+                const req = source.openCursor(range, direction);
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (cursor && visit(cursor) !== false) cursor.continue();
+                    else resolve();
+                };
+                req.onerror = () => reject(req.error);
+            });
+            
+            return {
+                put: (name, value) => request(store(name, 'readwrite').put(value)),
+                
+                get: (name, key) => request(store(name).get(key)),
+                
+                async range(name, lower, upper, limit = 0) {
+                    const source = isSeries(name) ? store(name).index('bin_time') : store(name);
+                    const results = [];
+                    
+                    await walk(source, IDBKeyRange.bound(lower, upper), limit ? 'prev' : 'next', cursor => {
+                        results.push(cursor.value);
+                        return !limit || results.length < limit;
+                    });
+                    return limit ? results.reverse() : results;
+                },
+                
+                deleteBefore(name, cutoff, resolution) {
+                    const source = isSeries(name) ?
+                        store(name, 'readwrite').index('time') :
+                        store(name, 'readwrite').index('resolution_bucket');
+                    const range = isSeries(name) ?
+                        IDBKeyRange.upperBound(cutoff, true) :
+                        IDBKeyRange.bound([resolution, -Infinity], [resolution, cutoff], false, true);
+                    
+                    return walk(source, range, 'next', cursor => {
+                        cursor.delete();
+                    });
+                },
+                
+                delete: (name, key) => request(store(name, 'readwrite').delete(key)),
+                
+                async clearBin(binId) {
+                    const remove = cursor => {
+                        cursor.delete();
+                    };
+                    for (const name of this.seriesStores) {
+                        await walk(store(name, 'readwrite').index('bin_time'),
+                            IDBKeyRange.bound([binId, -Infinity], [binId, Infinity]), 'next', remove);
+                    }
+                    // Arrays sort after every string and number, so [binId, []] ends the bin's keys
+                    await walk(store('rollups', 'readwrite'),
+                        IDBKeyRange.bound([binId], [binId, []]), 'next', remove);
+                }
+            };
+        },
+        
+        // Same interface as createIndexedDBBackend(), on plain arrays and maps
+        createMemoryBackend() {
+            const series = Object.fromEntries(this.seriesStores.map(name => [name, []]));
+            const rollups = new Map();
+            const backups = new Map();
+            const keyed = { rollups, backups };
+            const keyOf = {
+                rollups: (value) => [value.binId, value.resolution, value.bucket],
+                backups: (value) => value.id
+            };
+            const copy = (value) => value ? Utils.deepClone(value) : undefined;
+            
+            return {
+                async put(name, value) {
+                    if (series[name]) {
+                        series[name].push(copy(value));
+                    } else {
+                        keyed[name].set(JSON.stringify(keyOf[name](value)), copy(value));
+                    }
+                },
+                
+                async get(name, key) {
+                    return copy(keyed[name].get(JSON.stringify(key)));
+                },
+                
+                async range(name, lower, upper, limit = 0) {
+                    let results;
+                    if (series[name]) {
+                        results = series[name]
+                            .filter(r => r.binId === lower[0] && r.timestamp >= lower[1] && r.timestamp <= upper[1])
+                            .sort((a, b) => a.timestamp - b.timestamp);
+                    } else if (name === 'backups') {
+                        results = [...backups.values()]
+                            .filter(entry => entry.id >= lower && entry.id <= upper)
+                            .sort((a, b) => a.id - b.id);
+                    } else {
+                        results = [...rollups.values()]
+                            .filter(r => r.binId === lower[0] && r.resolution === lower[1] &&
+                                r.bucket >= lower[2] && r.bucket <= upper[2])
+                            .sort((a, b) => a.bucket - b.bucket);
+                    }
+                    
+                    return (limit ? results.slice(-limit) : results).map(copy);
+                },
+                
+                async deleteBefore(name, cutoff, resolution) {
+                    if (series[name]) {
+                        series[name] = series[name].filter(r => r.timestamp >= cutoff);
+                        return;
+                    }
+                    rollups.forEach((rollup, key) => {
+                        if (rollup.resolution === resolution && rollup.bucket < cutoff) rollups.delete(key);
+                    });
+                },
+                
+                async delete(name, key) {
+                    keyed[name].delete(JSON.stringify(key));
+                },
+                
+                async clearBin(binId) {
+                    Object.keys(series).forEach(name => {
+                        series[name] = series[name].filter(r => r.binId !== binId);
+                    });
+                    rollups.forEach((rollup, key) => {
+                        if (rollup.binId === binId) rollups.delete(key);
+                    });
+                }
+            };
+        }
+    };
+    
+    // ===== HISTORY MANAGER =====
+    // Front for TimeSeries: what the chart, stats and data path call. Also
+    // spots emptyings (a sudden drop in capacity) and keeps the service log.
+    const HistoryManager = {
+        serviceDefaults: {
+            emptyDrop: 25,          // capacity drop (points) between two readings that means "emptied"
+            maxInterval: 72,        // hours without an emptying before a bin is overdue
+            fullGrace: 4,           // hours at/above the alert threshold before a bin is overdue
+            matchWindow: 30         // minutes: a manual log this close to a detected emptying is the same visit
+        },
+        
+        // Stats windows and the resolution they are read at
+        periods: {
+            daily: { span: 24 * 60 * 60 * 1000, resolution: 'raw' },
+            weekly: { span: 7 * 24 * 60 * 60 * 1000, resolution: 'hour' },
+            monthly: { span: 30 * 24 * 60 * 60 * 1000, resolution: 'day' }
+        },
+        
+        // reading: optional raw values next to the filtered capacity
+        // ({ rawDistance, rawCapacity, distance, rejected })
+        addToHistory(capacity, bin, reading = {}, timestamp = Date.now()) {
+            const record = { binId: bin.id, timestamp, capacity, ...reading };
+            this.trackLevel(bin, record);
+            return TimeSeries.add(record);
+        },
+        
+        getServiceSettings() {
+            return { ...this.serviceDefaults, ...(state.db.settings.service || {}) };
+        },
+        
+        // Emptying detection and the "full since" clock, per reading
+        trackLevel(bin, record) {
+            const db = bin.db;
+            const previous = db.lastLevel;
+            
+            if (previous && previous.capacity - record.capacity >= this.getServiceSettings().emptyDrop) {
+                this.recordService(bin, {
+                    kind: 'auto',
+                    timestamp: record.timestamp,
+                    before: previous.capacity,
+                    after: record.capacity
+                });
+            }
+            
+            if (record.capacity >= state.db.settings.alertThreshold) {
+                if (!db.fullSince) db.fullSince = record.timestamp;
+            } else {
+                db.fullSince = null;
+            }
+            db.lastLevel = { capacity: record.capacity, timestamp: record.timestamp };
+        },
+        
+        // kind 'auto' (detected drop) or 'manual' (logged by staff). A manual
+        // log and a detected drop close together are one visit: the second
+        // one is marked matched and keeps the first one's interval.
+        recordService(bin, { kind, timestamp = Date.now(), before = null, after = null, by = '', note = '' }) {
+            const db = bin.db;
+            const last = db.lastService;
+            const matched = !!last && last.kind !== kind &&
+                Math.abs(timestamp - last.timestamp) <= this.getServiceSettings().matchWindow * 60 * 1000;
+            
+            const event = {
+                binId: bin.id,
+                timestamp,
+                type: 'service',
+                kind,
+                before: matched && before === null ? last.before : before,
+                after: matched && after === null ? last.after : after,
+                sinceLast: matched ? last.sinceLast : (db.lastServiceAt ? timestamp - db.lastServiceAt : null),
+                by: by || (matched ? last.by : ''),
+                note,
+                matched
+            };
+            
+            db.lastService = {
+                kind,
+                timestamp,
+                before: event.before,
+                after: event.after,
+                sinceLast: event.sinceLast,
+                by: event.by
+            };
+            db.lastServiceAt = Math.max(db.lastServiceAt || 0, timestamp);
+            db.fullSince = null;
+            Fleet.save();
+            
+            if (!matched) {
+                Logger.log(kind === 'auto' ?
+                    `Pengosongan terdeteksi: ${event.before}% → ${event.after}%` :
+                    `Pengangkutan dicatat oleh ${event.by}`, 'success', null, bin.id);
+                Integrations.emit('service', bin, {
+                    kind,
+                    before: event.before,
+                    after: event.after,
+                    by: event.by,
+                    note
+                }, timestamp);
+            }
+            UI.scheduleUpdate('all');
+            
+            TimeSeries.addEvent(event);
+            return event;
+        },
+        
+        logCollection(binId, { name = '', note = '', timestamp = Date.now() } = {}) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) throw new Error(`Tong tidak ditemukan: ${binId}`);
+            if (!name.trim()) throw new Error('Nama petugas wajib diisi');
+            
+            return this.recordService(bin, {
+                kind: 'manual',
+                timestamp,
+                after: bin.db.capacity,
+                by: name.trim(),
+                note: note.trim()
+            });
+        },
+        
+        // Newest first
+        async getServiceLog(binId, { from = 0, to = Date.now() } = {}) {
+            const events = await TimeSeries.events(binId, { from, to, type: 'service' });
+            return events.reverse();
+        },
+        
+        getServiceStatus(bin, now = Date.now()) {
+            const settings = this.getServiceSettings();
+            const hours = (since) => since ? Math.round((now - since) / (60 * 60 * 1000) * 10) / 10 : null;
+            const reasons = [];
+            
+            // Bins never emptied since they were added count from then
+            const sinceHours = hours(bin.db.lastServiceAt || bin.createdAt);
+            const fullHours = hours(bin.db.fullSince);
+            
+            if (sinceHours !== null && sinceHours > settings.maxInterval) {
+                reasons.push(`Belum dikosongkan ${Utils.formatTime(Math.round(sinceHours * 3600))}`);
+            }
+            if (fullHours !== null && fullHours > settings.fullGrace) {
+                reasons.push(`Penuh sejak ${Utils.formatTime(Math.round(fullHours * 3600))}`);
+            }
+            
+            return {
+                lastServiceAt: bin.db.lastServiceAt || null,
+                sinceHours,
+                fullHours,
+                overdue: reasons.length > 0,
+                reasons
+            };
+        },
+        
+        getRange(binId, options) {
+            return TimeSeries.query(binId, options);
+        },
+        
+        async getStats(period = 'daily', bin = Fleet.getSelected()) {
+            const { span, resolution } = this.periods[period] || this.periods.daily;
+            const rows = await TimeSeries.query(bin.id, { from: Date.now() - span, resolution });
+            if (rows.length === 0) return null;
+            
+            // Rollups count with the number of readings behind them
+            const count = rows.reduce((sum, row) => sum + (row.count || 1), 0);
+            const total = rows.reduce((sum, row) => sum + (row.total ?? row.capacity), 0);
+            const last = rows[rows.length - 1];
+            
+            return {
+                average: total / count,
+                max: Math.max(...rows.map(row => row.max ?? row.capacity)),
+                min: Math.min(...rows.map(row => row.min ?? row.capacity)),
+                last: last.last ?? last.capacity,
+                count
+            };
+        },
+        
+        // Moves a bin's pre-IndexedDB usageHistory blob into the store.
+        // Its weekly/monthly buckets are dropped: the rollups are rebuilt
+        // from the readings instead.
+        importLegacy(bin) {
+            const legacy = bin.db.usageHistory;
+            if (!legacy) return 0;
+            
+            const entries = Array.isArray(legacy.daily) ? legacy.daily : [];
+            entries.forEach(entry => {
+                this.addToHistory(entry.capacity, bin, entry, entry.timestamp);
+            });
+            
+            delete bin.db.usageHistory;
+            Fleet.save();
+            return entries.length;
+        }
+    };
+    
+    // ===== USAGE LEDGER =====
+    // Every lid opening is an event in TimeSeries. bin.db.dailyUsage counts
+    // the openings of bin.db.usageDay (a Calendar day key) and starts over
+    // at local midnight, also when the page was closed over midnight.
+    const UsageLedger = {
+        statsWindow: 30,        // days
+        // binId -> promise of getStats(), dropped on every new event and day
+        cache: new Map(),
+        
+        record(bin, source = 'arduino', timestamp = Date.now()) {
+            const db = bin.db;
+            this.rollover(bin, timestamp);
+            
+            db.lastActivity = timestamp;
+            db.dailyUsage++;
+            db.totalUsage++;
+            this.cache.delete(bin.id);
+            Fleet.save();
+            Integrations.emit('open', bin, { source }, timestamp);
+            
+            return TimeSeries.addEvent({ binId: bin.id, timestamp, type: 'open', source });
+        },
+        
+        // Starts a new daily count when the day changed since the last one
+        rollover(bin, now = Date.now()) {
+            const db = bin.db;
+            const today = Calendar.bucketOf('day', now).key;
+            // Bins from before the ledger only know when they were last opened
+            const counted = db.usageDay ||
+                (db.lastActivity ? Calendar.bucketOf('day', db.lastActivity).key : today);
+            
+            if (counted === today) {
+                db.usageDay = today;
+                return false;
+            }
+            
+            Logger.log(`Hitungan harian ${counted}: ${db.dailyUsage}x dibuka`, 'info', null, bin.id);
+            db.dailyUsage = 0;
+            db.usageDay = today;
+            this.cache.delete(bin.id);
+            return true;
+        },
+        
+        rolloverAll(now = Date.now()) {
+            const rolled = Fleet.list().filter(bin => this.rollover(bin, now));
+            if (rolled.length > 0) {
+                Fleet.save();
+                UI.scheduleUpdate('all');
+            }
+            return rolled.length;
+        },
+        
+        // Fires just after the next local midnight, then re-arms
+        scheduleRollover() {
+            clearTimeout(state.timers.rollover);
+            
+            const today = Calendar.bucketOf('day', Date.now()).bucket;
+            // Days are 23-25 hours around DST changes; +25 h always lands in tomorrow
+            const tomorrow = Calendar.bucketOf('day', today + 25 * 60 * 60 * 1000).bucket;
+            
+            state.timers.rollover = setTimeout(() => {
+                this.rolloverAll();
+                this.scheduleRollover();
+            }, tomorrow - Date.now() + 1000);
+        },
+        
+        getStats(binId = state.fleet.selectedId) {
+            if (!this.cache.has(binId)) {
+                this.cache.set(binId, this.computeStats(binId));
+            }
+            return this.cache.get(binId);
+        },
+        
+        // Openings over the last statsWindow days: the average counts only
+        // the days the bin existed, busiest hours and peak days are top 3
+        async computeStats(binId, now = Date.now()) {
+            const bin = Fleet.getBin(binId);
+            const from = now - this.statsWindow * Calendar.day;
+            const events = await TimeSeries.events(binId, { from, to: now, type: 'open' });
+            
+            const firstSeen = Math.min(bin ? bin.createdAt : now, events.length ? events[0].timestamp : now);
+            const since = Calendar.bucketOf('day', Math.max(from, firstSeen)).bucket;
+            const days = Math.round((Calendar.bucketOf('day', now).bucket - since) / Calendar.day) + 1;
+            
+            const perDay = new Map();
+            const perHour = new Array(24).fill(0);
+            events.forEach(event => {
+                const day = Calendar.bucketOf('day', event.timestamp).key;
+                perDay.set(day, (perDay.get(day) || 0) + 1);
+                perHour[Calendar.parts(event.timestamp).hour]++;
+            });
+            
+            const top = (list) => list
+                .filter(entry => entry.count > 0)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 3);
+            
+            return {
+                days,
+                events: events.length,
+                averagePerDay: Math.round(events.length / days * 10) / 10,
+                busiestHours: top(perHour.map((count, hour) => ({ hour, count }))),
+                peakDays: top([...perDay].map(([day, count]) => ({ day, count })))
+            };
+        }
+    };
+    
+    // ===== FILL FORECAST =====
+    // When will a bin reach settings.alertThreshold? The recent trend is a
+    // least-squares fit over the readings since the last emptying; with a few
+    // weeks of hourly rollups the projection follows the bin's weekday/hour
+    // pattern instead, scaled to how fast it fills right now. Predictions are
+    // kept until the crossing happens, so the error can be measured.
+    const Forecast = {
+        defaults: {
+            trendHours: 24,         // readings used for the current fill rate
+            minPoints: 5,
+            minSpan: 30 * 60 * 1000,
+            patternWeeks: 4,
+            minPatternHours: 72,    // hourly rollups needed before patterns are used
+            horizonDays: 14,        // slower than this counts as "not filling"
+            interval: 60 * 1000     // recompute at most this often per bin
+        },
+        hour: 60 * 60 * 1000,
+        // binId -> { pending: [{ madeAt, eta, capacity }], resolved: [...] }
+        tracking: {},
+        maxResolved: 100,
+        
+        getSettings() {
+            return { ...this.defaults, ...(state.db.settings.forecast || {}) };
+        },
+        
+        load() {
+            this.tracking = Storage.get('forecasts', {});
+        },
+        
+        save() {
+            Storage.set('forecasts', this.tracking);
+        },
+        
+        // Readings after the last sudden drop
+        sinceEmptying(readings, emptyDrop) {
+            for (let i = readings.length - 1; i > 0; i--) {
+                if (readings[i - 1].capacity - readings[i].capacity >= emptyDrop) {
+                    return readings.slice(i);
+                }
+            }
+            return readings;
+        },
+        
+        // Least-squares slope of capacity over time, in points per hour
+        trend(readings) {
+            const t0 = readings[0].timestamp;
+            const xs = readings.map(r => (r.timestamp - t0) / this.hour);
+            const ys = readings.map(r => r.capacity);
+            const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+            const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+            
+            let covariance = 0;
+            let variance = 0;
+            xs.forEach((x, i) => {
+                covariance += (x - meanX) * (ys[i] - meanY);
+                variance += (x - meanX) * (x - meanX);
+            });
+            return variance ? covariance / variance : 0;
+        },
+        
+        // Average fill per hour for each `${weekday}:${hour}`, from the rise of
+        // consecutive hourly rollups (drops are emptyings and are skipped)
+        async pattern(binId, now, settings) {
+            const hours = await TimeSeries.query(binId, {
+                from: now - settings.patternWeeks * 7 * Calendar.day,
+                to: now,
+                resolution: 'hour'
+            });
+            if (hours.length < settings.minPatternHours) return null;
+            
+            const slots = new Map();
+            let total = 0;
+            let count = 0;
+            
+            for (let i = 1; i < hours.length; i++) {
+                const rise = hours[i].last - hours[i - 1].last;
+                if (hours[i].bucket - hours[i - 1].bucket > this.hour || rise < 0) continue;
+                
+                const { weekday, hour } = Calendar.parts(hours[i].bucket);
+                const slot = slots.get(`${weekday}:${hour}`) || { total: 0, count: 0 };
+                slot.total += rise;
+                slot.count++;
+                slots.set(`${weekday}:${hour}`, slot);
+                total += rise;
+                count++;
+            }
+            
+            if (count === 0) return null;
+            return {
+                mean: total / count,
+                rate(timestamp) {
+                    const { weekday, hour } = Calendar.parts(timestamp);
+                    const slot = slots.get(`${weekday}:${hour}`);
+                    return slot ? slot.total / slot.count : total / count;
+                }
+            };
+        },
+        
+        async compute(binId, now = Date.now()) {
+            const settings = this.getSettings();
+            const bin = Fleet.getBin(binId);
+            const threshold = state.db.settings.alertThreshold;
+            const result = {
+                binId,
+                computedAt: now,
+                capacity: bin ? bin.db.capacity : null,
+                threshold,
+                method: 'none',
+                ratePerHour: null,
+                eta: null,
+                hoursLeft: null
+            };
+            if (!bin) return result;
+            
+            if (bin.db.capacity >= threshold) {
+                return { ...result, method: 'reached', eta: now, hoursLeft: 0 };
+            }
+            
+            const recent = await TimeSeries.query(binId, { from: now - settings.trendHours * this.hour, to: now });
+            const segment = this.sinceEmptying(recent.filter(r => !r.rejected),
+                HistoryManager.getServiceSettings().emptyDrop);
+            const span = segment.length ? segment[segment.length - 1].timestamp - segment[0].timestamp : 0;
+            
+            if (segment.length < settings.minPoints || span < settings.minSpan) {
+                return { ...result, reason: 'Data belum cukup' };
+            }
+            
+            const rate = this.trend(segment);
+            result.ratePerHour = Math.round(rate * 100) / 100;
+            
+            const horizon = now + settings.horizonDays * Calendar.day;
+            const remaining = threshold - bin.db.capacity;
+            const pattern = rate > 0 ? await this.pattern(binId, now, settings) : null;
+            
+            if (pattern && pattern.mean > 0) {
+                // Busy hours fill faster; the scale keeps today's pace
+                const scale = Utils.clamp(rate / pattern.mean, 0.5, 2);
+                let level = bin.db.capacity;
+                let time = now;
+                
+                while (time < horizon) {
+                    const step = pattern.rate(time) * scale;
+                    if (level + step >= threshold) {
+                        result.eta = Math.round(time + (threshold - level) / step * this.hour);
+                        break;
+                    }
+                    level += step;
+                    time += this.hour;
+                }
+                result.method = 'pattern';
+            } else if (rate > 0) {
+                const eta = now + remaining / rate * this.hour;
+                if (eta <= horizon) result.eta = Math.round(eta);
+                result.method = 'trend';
+            }
+            
+            if (result.eta) {
+                result.hoursLeft = Math.round((result.eta - now) / this.hour * 10) / 10;
+            } else {
+                result.reason = 'Tidak bertambah';
+            }
+            return result;
+        },
+        
+        // Recomputes a bin's forecast at most once per interval
+        update(bin, now = Date.now()) {
+            const current = state.forecasts[bin.id];
+            if (current && (current.pending || now - current.computedAt < this.getSettings().interval)) return;
+            
+            state.forecasts[bin.id] = { ...(current || {}), computedAt: now, pending: true };
+            this.compute(bin.id, now).then(result => {
+                state.forecasts[bin.id] = result;
+                this.track(bin.id, result);
+                UI.scheduleUpdate('capacity');
+            }).catch(error => {
+                console.error('Forecast error:', error);
+                delete state.forecasts[bin.id];
+            });
+        },
+        
+        get(binId = state.fleet.selectedId) {
+            const forecast = state.forecasts[binId];
+            return forecast && !forecast.pending ? forecast : null;
+        },
+        
+        getTracking(binId) {
+            if (!this.tracking[binId]) this.tracking[binId] = { pending: [], resolved: [] };
+            return this.tracking[binId];
+        },
+        
+        // Keeps one prediction per hour until it can be checked
+        track(binId, result) {
+            if (!result.eta || result.method === 'reached') return;
+            
+            const tracking = this.getTracking(binId);
+            const last = tracking.pending[tracking.pending.length - 1];
+            if (last && result.computedAt - last.madeAt < this.hour) return;
+            
+            tracking.pending = [...tracking.pending, {
+                madeAt: result.computedAt,
+                eta: result.eta,
+                capacity: result.capacity,
+                method: result.method
+            }].slice(-48);
+            this.save();
+        },
+        
+        // Called with every capacity change: settles predictions when the
+        // threshold is crossed, drops them when the bin was emptied first
+        observe(bin, before, now = Date.now()) {
+            const tracking = this.tracking[bin.id];
+            if (!tracking || tracking.pending.length === 0) return;
+            
+            const after = bin.db.capacity;
+            const threshold = state.db.settings.alertThreshold;
+            
+            if (before < threshold && after >= threshold) {
+                const outcomes = tracking.pending.map(prediction => ({
+                    ...prediction,
+                    actual: now,
+                    errorHours: Math.round((now - prediction.eta) / this.hour * 100) / 100
+                }));
+                tracking.resolved = [...tracking.resolved, ...outcomes].slice(-this.maxResolved);
+                tracking.pending = [];
+                this.save();
+            } else if (before - after >= HistoryManager.getServiceSettings().emptyDrop) {
+                tracking.pending = [];
+                this.save();
+            }
+        },
+        
+        // Positive bias: the bin filled later than predicted
+        getAccuracy(binId = state.fleet.selectedId) {
+            const resolved = (this.tracking[binId] || { resolved: [] }).resolved;
+            if (resolved.length === 0) return { count: 0, meanAbsErrorHours: null, biasHours: null };
+            
+            const errors = resolved.map(outcome => outcome.errorHours);
+            const round = (value) => Math.round(value * 100) / 100;
+            return {
+                count: errors.length,
+                meanAbsErrorHours: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length),
+                biasHours: round(errors.reduce((sum, e) => sum + e, 0) / errors.length)
+            };
+        },
+        
+        describe(forecast) {
+            if (!forecast) return 'Menghitung perkiraan...';
+            if (forecast.method === 'reached') return 'Sudah mencapai batas';
+            if (!forecast.eta) return forecast.reason || '-';
+            
+            const at = new Date(forecast.eta).toLocaleString([], {
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: Calendar.getTimeZone()
+            });
+            return `Penuh dalam ~${Utils.formatTime(Math.round(forecast.hoursLeft * 3600))} (${at})`;
+        },
+        
+        // One row per bin, for the exported report
+        exportReport() {
+            const header = 'Bin,Kapasitas (%),Batas (%),Laju (%/jam),Perkiraan penuh,Jam tersisa,Metode,Galat rata-rata (jam),Prediksi dinilai';
+            const rows = Fleet.list().map(bin => {
+                const forecast = this.get(bin.id) || {};
+                const accuracy = this.getAccuracy(bin.id);
+                return [
+                    bin.name,
+                    bin.db.capacity,
+                    state.db.settings.alertThreshold,
+                    forecast.ratePerHour ?? '',
+                    forecast.eta ? new Date(forecast.eta).toISOString() : '',
+                    forecast.hoursLeft ?? '',
+                    forecast.method || '',
+                    accuracy.meanAbsErrorHours ?? '',
+                    accuracy.count
+                ].map(value => `"${String(value).replace(/"/g, '""')}"`).join(',');
+            });
+            
+            return {
+                content: [header, ...rows].join('\n'),
+                filename: `forecast_${Date.now()}.csv`,
+                mimeType: 'text/csv'
+            };
+        }
+    };
+    
+    // ===== ALERT RULES =====
+    // Rules live in settings.alerts.rules (the defaults until the user edits
+    // one); binId null means every bin. A rule's check says whether its
+    // condition holds: true raises, false resolves, null keeps the current
+    // state (the hysteresis band). Alerts, snoozes and cooldowns are kept
+    // under the 'alerts' storage key.
+    const AlertManager = {
+        severities: {
+            info: { rank: 1, icon: 'info-circle', label: 'Info', logType: 'info' },
+            warning: { rank: 2, icon: 'exclamation-triangle', label: 'Peringatan', logType: 'warning' },
+            critical: { rank: 3, icon: 'exclamation-circle', label: 'Kritis', logType: 'error' }
+        },
+        
+        types: {
+            capacity: 'Kapasitas',
+            lidOpen: 'Tutup terbuka',
+            stale: 'Sensor diam',
+            spike: 'Lonjakan isi',
+            disconnect: 'Koneksi putus'
+        },
+        
+        // threshold null = settings.alertThreshold; cooldown in minutes
+        defaultRules: [
+            { id: 'capacity-high', type: 'capacity', binId: null, severity: 'warning', threshold: null, hysteresis: 5, cooldown: 10, enabled: true },
+            { id: 'capacity-full', type: 'capacity', binId: null, severity: 'critical', threshold: 95, hysteresis: 3, cooldown: 10, enabled: true },
+            { id: 'lid-open', type: 'lidOpen', binId: null, severity: 'warning', seconds: 120, cooldown: 10, enabled: true },
+            { id: 'stale', type: 'stale', binId: null, severity: 'warning', minutes: 10, cooldown: 30, enabled: true },
+            { id: 'spike', type: 'spike', binId: null, severity: 'info', points: 20, minutes: 5, cooldown: 30, enabled: true },
+            { id: 'disconnect', type: 'disconnect', binId: null, severity: 'critical', seconds: 30, cooldown: 5, enabled: true }
+        ],
+        maxHistory: 500,
+        
+        // Newest first; active ones have no resolvedAt
+        history: [],
+        // `${binId}:${ruleId}` -> muted until / last raised at
+        snoozes: {},
+        lastRaised: {},
+        // Runtime only: recent capacities for spikes, lost connections
+        samples: {},
+        lost: {},
+        
+        load() {
+            const saved = Storage.get('alerts', {});
+            this.history = saved.history || [];
+            this.snoozes = saved.snoozes || {};
+            this.lastRaised = saved.lastRaised || {};
+            this.samples = {};
+            this.lost = {};
+        },
+        
+        save() {
+            Storage.set('alerts', {
+                history: this.history,
+                snoozes: this.snoozes,
+                lastRaised: this.lastRaised
+            });
+        },
+        
+        getRules(binId = null) {
+            const rules = (state.db.settings.alerts && state.db.settings.alerts.rules) || this.defaultRules;
+            return binId ? rules.filter(rule => !rule.binId || rule.binId === binId) : rules;
+        },
+        
+        // Adds or replaces a rule by id
+        setRule(rule) {
+            if (!this.types[rule.type]) throw new Error(`Jenis aturan tidak dikenal: ${rule.type}`);
+            if (!this.severities[rule.severity]) throw new Error(`Tingkat tidak dikenal: ${rule.severity}`);
+            
+            const id = rule.id || Utils.generateId('rule');
+            const rules = this.getRules().filter(existing => existing.id !== id);
+            const previous = this.getRules().find(existing => existing.id === id) || {};
+            const saved = { binId: null, cooldown: 10, enabled: true, ...previous, ...rule, id };
+            
+            state.db.settings.alerts = { ...(state.db.settings.alerts || {}), rules: [...rules, saved] };
+            Storage.set('settings', state.db.settings);
+            return saved;
+        },
+        
+        removeRule(id) {
+            state.db.settings.alerts = {
+                ...(state.db.settings.alerts || {}),
+                rules: this.getRules().filter(rule => rule.id !== id)
+            };
+            Storage.set('settings', state.db.settings);
+            
+            this.getActive().filter(alert => alert.ruleId === id).forEach(alert => this.resolve(alert));
+            this.save();
+        },
+        
+        // { active, value, message }
+        check(rule, bin, now) {
+            const db = bin.db;
+            
+            switch (rule.type) {
+                case 'capacity': {
+                    const threshold = rule.threshold ?? state.db.settings.alertThreshold;
+                    const message = `Kapasitas ${db.capacity}% mencapai batas ${threshold}%`;
+                    if (db.capacity >= threshold) return { active: true, value: db.capacity, message };
+                    if (db.capacity < threshold - (rule.hysteresis || 0)) return { active: false };
+                    return { active: null };
+                }
+                case 'lidOpen': {
+                    const openFor = db.status === 'BUKA' && db.lastActivity ? now - db.lastActivity : 0;
+                    return {
+                        active: openFor >= rule.seconds * 1000,
+                        value: Math.round(openFor / 1000),
+                        message: `Tutup terbuka selama ${Utils.formatTime(Math.round(openFor / 1000))}`
+                    };
+                }
+                case 'stale': {
+                    // Only a connected board is expected to keep talking
+                    const silentFor = SerialManager.isConnected(bin.id) && db.lastUpdate ? now - db.lastUpdate : 0;
+                    return {
+                        active: silentFor >= rule.minutes * 60 * 1000,
+                        value: Math.round(silentFor / 1000),
+                        message: `Tidak ada data sensor selama ${Utils.formatTime(Math.round(silentFor / 1000))}`
+                    };
+                }
+                case 'spike': {
+                    const recent = (this.samples[bin.id] || []).filter(sample => now - sample.timestamp <= rule.minutes * 60 * 1000);
+                    const lowest = Math.min(...recent.map(sample => sample.capacity));
+                    const rise = recent.length > 1 ? db.capacity - lowest : 0;
+                    return {
+                        active: rise >= rule.points,
+                        value: rise,
+                        message: `Isi naik ${rise}% dalam ${rule.minutes} menit`
+                    };
+                }
+                case 'disconnect': {
+                    const lost = this.lost[bin.id];
+                    return {
+                        active: !!lost && now - lost.since >= rule.seconds * 1000,
+                        value: lost ? Math.round((now - lost.since) / 1000) : 0,
+                        message: lost ? `Koneksi terputus: ${lost.reason}` : ''
+                    };
+                }
+                default:
+                    return { active: null };
+            }
+        },
+        
+        evaluate(bin, now = Date.now()) {
+            let changed = false;
+            
+            this.getRules(bin.id).forEach(rule => {
+                const key = `${bin.id}:${rule.id}`;
+                const current = this.history.find(alert => alert.key === key && !alert.resolvedAt);
+                const result = rule.enabled ? this.check(rule, bin, now) : { active: false };
+                
+                if (result.active === true && !current) {
+                    changed = this.raise(rule, bin, result, now) || changed;
+                } else if (result.active === true) {
+                    current.value = result.value;
+                } else if (result.active === false && current) {
+                    this.resolve(current, now);
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                this.save();
+                UI.scheduleUpdate('all');
+            }
+            return changed;
+        },
+        
+        evaluateAll(now = Date.now()) {
+            return Fleet.list().filter(bin => this.evaluate(bin, now)).length;
+        },
+        
+        // Every new capacity, from the data path
+        observe(bin, now = Date.now()) {
+            const longest = Math.max(0, ...this.getRules(bin.id)
+                .filter(rule => rule.type === 'spike')
+                .map(rule => rule.minutes));
+            
+            this.samples[bin.id] = [...(this.samples[bin.id] || []), { timestamp: now, capacity: bin.db.capacity }]
+                .filter(sample => now - sample.timestamp <= longest * 60 * 1000);
+            
+            return this.evaluate(bin, now);
+        },
+        
+        connectionLost(binId, reason, now = Date.now()) {
+            this.lost[binId] = { since: now, reason };
+            const bin = Fleet.getBin(binId);
+            if (bin) this.evaluate(bin, now);
+        },
+        
+        // Reconnected, or disconnected on purpose
+        connectionRestored(binId) {
+            if (!this.lost[binId]) return;
+            delete this.lost[binId];
+            const bin = Fleet.getBin(binId);
+            if (bin) this.evaluate(bin);
+        },
+        
+        // Skipped while snoozed or within the cooldown of the last one
+        raise(rule, bin, result, now) {
+            const key = `${bin.id}:${rule.id}`;
+            if (this.snoozes[key] > now) return false;
+            if (this.lastRaised[key] && now - this.lastRaised[key] < rule.cooldown * 60 * 1000) return false;
+            
+            const alert = {
+                id: Utils.generateId('alert'),
+                key,
+                ruleId: rule.id,
+                type: rule.type,
+                binId: bin.id,
+                severity: rule.severity,
+                message: result.message,
+                value: result.value,
+                raisedAt: now,
+                resolvedAt: null,
+                ackedAt: null,
+                ackedBy: ''
+            };
+            
+            this.history = [alert, ...this.history].slice(0, this.maxHistory);
+            this.lastRaised[key] = now;
+            delete this.snoozes[key];
+            
+            Logger.log(`${this.severities[rule.severity].label}: ${result.message}`,
+                this.severities[rule.severity].logType, { rule: rule.id }, bin.id);
+            Notifier.notify(alert);
+            Integrations.emit('alert', bin, {
+                id: alert.id,
+                ruleId: rule.id,
+                type: rule.type,
+                severity: rule.severity,
+                message: alert.message,
+                value: alert.value
+            }, now);
+            return true;
+        },
+        
+        resolve(alert, now = Date.now()) {
+            alert.resolvedAt = now;
+        },
+        
+        getActive(binId = null) {
+            return this.history.filter(alert => !alert.resolvedAt && (!binId || alert.binId === binId));
+        },
+        
+        // Active and not snoozed, most severe first
+        getVisible(binId = null, now = Date.now()) {
+            return this.getActive(binId)
+                .filter(alert => !(this.snoozes[alert.key] > now))
+                .sort((a, b) => this.severities[b.severity].rank - this.severities[a.severity].rank || b.raisedAt - a.raisedAt);
+        },
+        
+        getHistory({ binId = null, from = 0, to = Infinity } = {}) {
+            return this.history.filter(alert =>
+                (!binId || alert.binId === binId) && alert.raisedAt >= from && alert.raisedAt <= to
+            );
+        },
+        
+        acknowledge(alertId, by = '', now = Date.now()) {
+            const alert = this.history.find(entry => entry.id === alertId);
+            if (!alert || alert.ackedAt) return false;
+            
+            alert.ackedAt = now;
+            alert.ackedBy = by;
+            this.save();
+            UI.scheduleUpdate('all');
+            return true;
+        },
+        
+        // Mutes the rule for this bin and acknowledges the alert
+        snooze(alertId, minutes = 30, now = Date.now()) {
+            const alert = this.history.find(entry => entry.id === alertId);
+            if (!alert) return false;
+            
+            this.snoozes[alert.key] = now + minutes * 60 * 1000;
+            if (!alert.ackedAt) {
+                alert.ackedAt = now;
+            }
+            this.save();
+            UI.scheduleUpdate('all');
+            return true;
+        },
+        
+        clearBin(binId) {
+            this.history = this.history.filter(alert => alert.binId !== binId);
+            Object.keys(this.snoozes).concat(Object.keys(this.lastRaised))
+                .filter(key => key.startsWith(`${binId}:`))
+                .forEach(key => {
+                    delete this.snoozes[key];
+                    delete this.lastRaised[key];
+                });
+            delete this.samples[binId];
+            delete this.lost[binId];
+            this.save();
+        }
+    };
+    
+    // ===== ALERT NOTIFICATIONS =====
+    // Where a raised alert goes, per severity: an in-page toast, a browser
+    // notification (opt-in, needs permission) and/or an alarm tone. Unacknowledged
+    // alerts also show as a count in the tab title and favicon, which is what
+    // an operator sees with the dashboard in a background tab.
+    const Notifier = {
+        defaults: {
+            channels: {
+                info: { toast: true, browser: false, sound: false },
+                warning: { toast: true, browser: true, sound: false },
+                critical: { toast: true, browser: true, sound: true }
+            },
+            tone: 'beep',
+            volume: 0.5,
+            // Minutes between repeats of the tone while a sounding alert is unacknowledged (0 = once)
+            repeat: 1
+        },
+        
+        // [frequency Hz, duration s] steps
+        tones: {
+            beep: { label: 'Bip', wave: 'square', steps: [[880, 0.15], [0, 0.1], [880, 0.15]] },
+            chime: { label: 'Lonceng', wave: 'sine', steps: [[1047, 0.3], [784, 0.3], [523, 0.5]] },
+            siren: { label: 'Sirene', wave: 'sawtooth', steps: [[600, 0.25], [900, 0.25], [600, 0.25], [900, 0.25]] }
+        },
+        
+        audio: null,
+        lastSound: 0,
+        // Page title and favicon before the badge was added
+        original: null,
+        
+        getSettings() {
+            const saved = state.db.settings.notifications || {};
+            const channels = {};
+            Object.keys(this.defaults.channels).forEach(severity => {
+                channels[severity] = { ...this.defaults.channels[severity], ...((saved.channels || {})[severity] || {}) };
+            });
+            return { ...this.defaults, ...saved, channels };
+        },
+        
+        save(settings) {
+            state.db.settings.notifications = settings;
+            Storage.set('settings', state.db.settings);
+        },
+        
+        setChannel(severity, changes = {}) {
+            if (!AlertManager.severities[severity]) throw new Error(`Tingkat tidak dikenal: ${severity}`);
+            
+            const settings = this.getSettings();
+            settings.channels[severity] = { ...settings.channels[severity], ...changes };
+            this.save(settings);
+            return settings.channels[severity];
+        },
+        
+        setTone(tone, volume = this.getSettings().volume) {
+            if (!this.tones[tone]) throw new Error(`Nada tidak dikenal: ${tone}`);
+            
+            const settings = { ...this.getSettings(), tone, volume: Utils.clamp(volume, 0, 1) };
+            this.save(settings);
+            return settings;
+        },
+        
+        // 'granted' | 'denied' | 'default' | 'unsupported'
+        getPermission() {
+            return adapters.notification ? adapters.notification.permission : 'unsupported';
+        },
+        
+        // Must run from a user gesture in most browsers
+        async requestPermission() {
+            if (!adapters.notification) return 'unsupported';
+            if (adapters.notification.permission !== 'default') return adapters.notification.permission;
+            return adapters.notification.requestPermission();
+        },
+        
+        // Called by AlertManager for every new alert; returns the channels used
+        notify(alert) {
+            const channel = this.getSettings().channels[alert.severity];
+            const bin = Fleet.getBin(alert.binId);
+            const title = `${AlertManager.severities[alert.severity].label}: ${bin ? bin.name : alert.binId}`;
+            const used = [];
+            
+            if (channel.toast) {
+                UI.showNotification(`${Utils.escapeHtml(title)} — ${Utils.escapeHtml(alert.message)}`,
+                    AlertManager.severities[alert.severity].logType, alert.severity === 'critical' ? 0 : 3000);
+                used.push('toast');
+            }
+            if (channel.browser && this.showBrowserNotification(title, alert)) {
+                used.push('browser');
+            }
+            if (channel.sound && this.play()) {
+                used.push('sound');
+            }
+            return used;
+        },
+        
+        showBrowserNotification(title, alert) {
+            if (this.getPermission() !== 'granted') return false;
+            
+            try {
+                const notification = new adapters.notification(title, {
+                    body: alert.message,
+                    // One notification per bin and rule: a repeat replaces the old one
+                    tag: alert.key,
+                    requireInteraction: alert.severity === 'critical'
+                });
+                notification.onclick = () => {
+                    if (adapters.window.focus) adapters.window.focus();
+                    if (Fleet.getBin(alert.binId)) Fleet.select(alert.binId);
+                    if (UI.isInitialized) UI.showAlertPanel();
+                    notification.close();
+                };
+                return true;
+            } catch (error) {
+                // Chrome on Android only allows notifications from a service worker
+                console.error('Notification error:', error);
+                return false;
+            }
+        },
+        
+        // Plays the chosen tone through Web Audio; false when audio is unavailable
+        play(tone = this.getSettings().tone, volume = this.getSettings().volume) {
+            const definition = this.tones[tone];
+            if (!definition || !adapters.audioContext) return false;
+            
+            try {
+                if (!this.audio) this.audio = new adapters.audioContext();
+                // Autoplay policy: the context starts suspended until a user gesture
+                if (this.audio.state === 'suspended') this.audio.resume();
+                
+                const gain = this.audio.createGain();
+                gain.gain.value = volume;
+                gain.connect(this.audio.destination);
+                
+                let at = this.audio.currentTime;
+                definition.steps.forEach(([frequency, duration]) => {
+                    if (frequency > 0) {
+                        const oscillator = this.audio.createOscillator();
+                        oscillator.type = definition.wave;
+                        oscillator.frequency.value = frequency;
+                        oscillator.connect(gain);
+                        oscillator.start(at);
+                        oscillator.stop(at + duration);
+                    }
+                    at += duration;
+                });
+                
+                this.lastSound = Date.now();
+                return true;
+            } catch (error) {
+                console.error('Audio error:', error);
+                return false;
+            }
+        },
+        
+        // Repeats the tone while an alert on a sounding channel is unacknowledged
+        remind(now = Date.now()) {
+            const { channels, repeat } = this.getSettings();
+            if (!repeat || now - this.lastSound < repeat * 60 * 1000) return false;
+            
+            const pending = AlertManager.getVisible(null, now).some(alert => !alert.ackedAt && channels[alert.severity].sound);
+            return pending ? this.play() : false;
+        },
+        
+        getUnacknowledged(now = Date.now()) {
+            return AlertManager.getVisible(null, now).filter(alert => !alert.ackedAt);
+        },
+        
+        // "(3) Title" and a red dot with the count over the favicon
+        updateBadge() {
+            const doc = adapters.document;
+            const count = this.getUnacknowledged().length;
+            const icon = doc.querySelector('link[rel~="icon"]');
+            
+            if (!this.original) {
+                this.original = { title: doc.title || '', icon: icon ? icon.href : null };
+            }
+            doc.title = count > 0 ? `(${count}) ${this.original.title}` : this.original.title;
+            
+            if (!doc.head) return;
+            if (count === 0) {
+                if (icon && this.original.icon) icon.href = this.original.icon;
+                else if (icon) icon.remove();
+                return;
+            }
+            
+            const link = icon || doc.head.appendChild(Object.assign(doc.createElement('link'), { rel: 'icon' }));
+            link.href = this.drawBadge(count);
+        },
+        
+        drawBadge(count) {
+            const canvas = adapters.document.createElement('canvas');
+            canvas.width = canvas.height = 32;
+            const context = canvas.getContext('2d');
+            
+            context.fillStyle = '#2E7D32';
+            context.fillRect(4, 8, 20, 22);
+            context.fillStyle = '#D32F2F';
+            context.beginPath();
+            context.arc(22, 10, 10, 0, 2 * Math.PI);
+            context.fill();
+            context.fillStyle = '#FFFFFF';
+            context.font = 'bold 14px sans-serif';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(count > 9 ? '9+' : String(count), 22, 11);
+            
+            return canvas.toDataURL('image/png');
+        }
+    };
+    
+    // ===== MQTT OVER WEBSOCKET =====
+    // Just enough MQTT 3.1.1 to publish: CONNECT/CONNACK, QoS 0 PUBLISH,
+    // PINGREQ and DISCONNECT over a broker's WebSocket listener (subprotocol
+    // 'mqtt'). A client is plain state, like LineTransport.create().
+    const Mqtt = {
+        packetTypes: { connect: 1, connack: 2, publish: 3, pingreq: 12, pingresp: 13, disconnect: 14 },
+        connackErrors: {
+            1: 'versi protokol ditolak',
+            2: 'client id ditolak',
+            3: 'broker tidak tersedia',
+            4: 'username/password salah',
+            5: 'tidak diizinkan'
+        },
+        
+        create({ url, clientId = '', username = '', password = '', keepAlive = 60 } = {}) {
+            return {
+                url,
+                clientId: clientId || Utils.generateId('tongsampah'),
+                username,
+                password,
+                keepAlive,
+                socket: null,
+                connected: false,
+                closing: false,
+                pingTimer: null,
+                onClose: null
+            };
+        },
+        
+        // Resolves on CONNACK 0 and rejects when it is refused or does not come
+        // within api.timeout; a later close calls client.onClose(reason)
+        connect(client) {
+            if (!adapters.WebSocket) return Promise.reject(new Error('WebSocket tidak tersedia'));
+            
+            return new Promise((resolve, reject) => {
+                const socket = new adapters.WebSocket(client.url, 'mqtt');
+                socket.binaryType = 'arraybuffer';
+                client.socket = socket;
+                client.closing = false;
+                
+                const timer = setTimeout(() => {
+                    reject(new Error('MQTT: broker tidak menjawab (waktu habis)'));
+                    socket.close();
+                }, state.config.api.timeout);
+                
+                socket.onopen = () => socket.send(this.connectPacket(client));
+                
+                socket.onmessage = (event) => {
+                    const packet = this.decode(new Uint8Array(event.data));
+                    if (packet.type !== this.packetTypes.connack) return;
+                    clearTimeout(timer);
+                    
+                    if (packet.returnCode !== 0) {
+                        reject(new Error(`MQTT: ${this.connackErrors[packet.returnCode] || `kode ${packet.returnCode}`}`));
+                        socket.close();
+                        return;
+                    }
+                    
+                    client.connected = true;
+                    if (client.keepAlive > 0) {
+                        client.pingTimer = setInterval(() => {
+                            if (client.connected) socket.send(this.packet(this.packetTypes.pingreq, 0, []));
+                        }, client.keepAlive * 1000 * 0.75);
+                    }
+                    resolve(client);
+                };
+                
+                socket.onclose = () => {
+                    const wasConnected = client.connected;
+                    clearTimeout(timer);
+                    clearInterval(client.pingTimer);
+                    client.connected = false;
+                    client.socket = null;
+                    
+                    if (!wasConnected) reject(new Error('MQTT: koneksi ditolak broker'));
+                    else if (!client.closing && client.onClose) client.onClose('koneksi broker terputus');
+                };
+            });
+        },
+        
+        publish(client, topic, payload) {
+            if (!client.connected) throw new Error('MQTT belum tersambung');
+            client.socket.send(this.publishPacket(topic, payload));
+        },
+        
+        disconnect(client) {
+            client.closing = true;
+            clearInterval(client.pingTimer);
+            if (client.socket) {
+                if (client.connected) client.socket.send(this.packet(this.packetTypes.disconnect, 0, []));
+                client.socket.close();
+            }
+            client.connected = false;
+        },
+        
+        // ===== ENCODING =====
+        utf8(text) {
+            return Array.from(new TextEncoder().encode(text));
+        },
+        
+        // Length-prefixed UTF-8 string
+        string(text) {
+            const bytes = this.utf8(text);
+            return [bytes.length >> 8, bytes.length & 0xFF, ...bytes];
+        },
+        
+        // Variable-length "remaining length"
+        encodeLength(length) {
+            const bytes = [];
+            do {
+                let byte = length % 128;
+                length = Math.floor(length / 128);
+                if (length > 0) byte |= 0x80;
+                bytes.push(byte);
+            } while (length > 0);
+            return bytes;
+        },
+        
+        packet(type, flags, body) {
+            return new Uint8Array([(type << 4) | flags, ...this.encodeLength(body.length), ...body]);
+        },
+        
+        connectPacket(client) {
+            // Clean session, plus username/password flags when set
+            let flags = 0x02;
+            const payload = this.string(client.clientId);
+            if (client.username) {
+                flags |= 0x80;
+                payload.push(...this.string(client.username));
+            }
+            if (client.username && client.password) {
+                flags |= 0x40;
+                payload.push(...this.string(client.password));
+            }
+            
+            const header = [...this.string('MQTT'), 4, flags, client.keepAlive >> 8, client.keepAlive & 0xFF];
+            return this.packet(this.packetTypes.connect, 0, [...header, ...payload]);
+        },
+        
+        publishPacket(topic, payload) {
+            return this.packet(this.packetTypes.publish, 0, [...this.string(topic), ...this.utf8(payload)]);
+        },
+        
+        decode(bytes) {
+            const type = bytes[0] >> 4;
+            let length = 0;
+            let multiplier = 1;
+            let offset = 1;
+            let byte;
+            do {
+                byte = bytes[offset++];
+                length += (byte & 0x7F) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+            
+            const body = bytes.slice(offset, offset + length);
+            const packet = { type, flags: bytes[0] & 0x0F, body };
+            
+            if (type === this.packetTypes.connack) {
+                packet.returnCode = body[1];
+            } else if (type === this.packetTypes.publish) {
+                const topicLength = (body[0] << 8) | body[1];
+                packet.topic = new TextDecoder().decode(body.slice(2, 2 + topicLength));
+                packet.payload = new TextDecoder().decode(body.slice(2 + topicLength));
+            }
+            return packet;
+        }
+    };
+    
+    // ===== OUTBOUND INTEGRATIONS =====
+    // Forwards readings, lid openings, emptyings and alerts to HTTP webhooks
+    // and an MQTT broker, configured in settings.integrations. Payloads are
+    // rendered when the event happens; what cannot be delivered (offline, or
+    // still failing after api.retryAttempts retries) waits in the 'outbox'
+    // storage key and goes out in order once the target answers again.
+    const Integrations = {
+        defaults: {
+            webhooks: [],
+            mqtt: {
+                enabled: false,
+                url: '',
+                topic: 'tongsampah/{{bin.id}}/{{event}}',
+                clientId: '',
+                username: '',
+                password: '',
+                keepAlive: 60,
+                events: ['reading', 'open', 'service', 'alert']
+            },
+            readingInterval: 60,    // seconds between forwarded readings, per bin and target
+            retryDelay: 1000,       // before the first retry; doubles per retry
+            maxQueue: 1000
+        },
+        
+        events: {
+            reading: 'Pembacaan',
+            open: 'Tutup dibuka',
+            service: 'Pengosongan',
+            alert: 'Peringatan'
+        },
+        
+        // Oldest first: { id, target, event, binId, topic, body, createdAt, attempts, error }
+        queue: [],
+        // `${target}:${binId}` -> last reading forwarded at
+        lastSent: {},
+        // target -> { promise } of the loop sending its queued messages
+        draining: {},
+        flushing: null,
+        mqtt: null,
+        
+        getSettings() {
+            const saved = state.db.settings.integrations || {};
+            return {
+                ...this.defaults,
+                ...saved,
+                mqtt: { ...this.defaults.mqtt, ...(saved.mqtt || {}) },
+                webhooks: saved.webhooks || []
+            };
+        },
+        
+        save(settings) {
+            state.db.settings.integrations = settings;
+            Storage.set('settings', state.db.settings);
+        },
+        
+        load() {
+            this.queue = Storage.get('outbox', []);
+            this.lastSent = {};
+            this.draining = {};
+        },
+        
+        saveQueue() {
+            Storage.set('outbox', this.queue);
+        },
+        
+        // Browser only: reconnect the broker and retry the outbox when back online
+        init() {
+            adapters.window.addEventListener('online', () => this.flush());
+            this.connectMqtt();
+            if (this.queue.length > 0) this.flush();
+        },
+        
+        setWebhook(hook) {
+            try {
+                new URL(hook.url);
+            } catch (error) {
+                throw new Error(`URL webhook tidak valid: ${hook.url}`);
+            }
+            
+            const events = hook.events || Object.keys(this.events);
+            const unknown = events.filter(event => !this.events[event]);
+            if (unknown.length > 0) throw new Error(`Jenis event tidak dikenal: ${unknown.join(', ')}`);
+            
+            const saved = {
+                id: hook.id || Utils.generateId('hook'),
+                name: hook.name || hook.url,
+                url: hook.url,
+                events,
+                template: hook.template || '',
+                headers: hook.headers || {},
+                enabled: hook.enabled !== false
+            };
+            // Fails here rather than on the first event
+            if (saved.template) this.render(saved.template, this.sampleContext());
+            
+            const settings = this.getSettings();
+            settings.webhooks = [...settings.webhooks.filter(existing => existing.id !== saved.id), saved];
+            this.save(settings);
+            return saved;
+        },
+        
+        removeWebhook(id) {
+            const settings = this.getSettings();
+            settings.webhooks = settings.webhooks.filter(hook => hook.id !== id);
+            this.save(settings);
+            
+            this.queue = this.queue.filter(message => message.target !== `webhook:${id}`);
+            this.saveQueue();
+        },
+        
+        setMqtt(changes = {}) {
+            const settings = this.getSettings();
+            settings.mqtt = { ...settings.mqtt, ...changes };
+            this.save(settings);
+            return this.connectMqtt();
+        },
+        
+        // (Re)connects with the current settings; false when MQTT is off
+        async connectMqtt() {
+            if (this.mqtt) {
+                Mqtt.disconnect(this.mqtt);
+                this.mqtt = null;
+            }
+            
+            const { mqtt } = this.getSettings();
+            if (!mqtt.enabled || !mqtt.url) return false;
+            
+            const client = Mqtt.create(mqtt);
+            this.mqtt = client;
+            client.onClose = (reason) => {
+                Logger.log(`MQTT: ${reason}`, 'warning');
+                this.scheduleMqttReconnect(client);
+            };
+            
+            try {
+                await Mqtt.connect(client);
+                Logger.log(`MQTT tersambung ke ${mqtt.url}`, 'success');
+                client.attempt = 0;
+                this.flush();
+                return true;
+            } catch (error) {
+                Logger.log(`MQTT gagal: ${error.message}`, 'error');
+                this.scheduleMqttReconnect(client);
+                return false;
+            }
+        },
+        
+        // Same backoff as serial reconnects
+        scheduleMqttReconnect(client) {
+            if (this.mqtt !== client || client.closing) return;
+            
+            const { baseDelay, maxDelay } = SerialManager.getReconnectSettings();
+            client.attempt = (client.attempt || 0) + 1;
+            client.reconnectTimer = setTimeout(() => {
+                if (this.mqtt === client) this.connectMqtt();
+            }, Math.min(maxDelay, baseDelay * Math.pow(2, client.attempt - 1)));
+        },
+        
+        // ===== PAYLOADS =====
+        context(event, bin, data, now) {
+            return {
+                event,
+                timestamp: now,
+                time: new Date(now).toISOString(),
+                bin: {
+                    id: bin.id,
+                    name: bin.name,
+                    location: bin.location || '',
+                    capacity: bin.db.capacity,
+                    status: bin.db.status
+                },
+                data
+            };
+        },
+        
+        sampleContext() {
+            return this.context('reading', Fleet.getSelected(), { capacity: 0 }, Date.now());
+        },
+        
+        lookup(context, path) {
+            return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+        },
+        
+        // A template is JSON with {{path}} placeholders: a placeholder that is
+        // the whole string becomes the value itself, one inside a longer
+        // string is inserted as text. '' sends the context as is.
+        render(template, context) {
+            if (!template) return JSON.stringify(context);
+            
+            const text = template
+                .replace(/"\{\{\s*([\w.]+)\s*\}\}"/g, (match, path) => JSON.stringify(this.lookup(context, path) ?? null))
+                .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => JSON.stringify(String(this.lookup(context, path) ?? '')).slice(1, -1));
+            
+            try {
+                return JSON.stringify(JSON.parse(text));
+            } catch (error) {
+                throw new Error(`Template bukan JSON yang valid: ${error.message}`);
+            }
+        },
+        
+        renderTopic(template, context) {
+            return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => String(this.lookup(context, path) ?? ''));
+        },
+        
+        // ===== DELIVERY =====
+        // Called from the data path; never throws, resolves to the messages sent
+        emit(event, bin, data = {}, now = Date.now()) {
+            // Remote data is forwarded by the dashboard it came from
+            if (ServerSync.applying) return Promise.resolve([]);
+            
+            const settings = this.getSettings();
+            const context = this.context(event, bin, data, now);
+            const messages = [];
+            
+            const due = (target) => {
+                if (event !== 'reading') return true;
+                const key = `${target}:${bin.id}`;
+                if (this.lastSent[key] && now - this.lastSent[key] < settings.readingInterval * 1000) return false;
+                this.lastSent[key] = now;
+                return true;
+            };
+            
+            settings.webhooks
+                .filter(hook => hook.enabled && hook.events.includes(event) && due(`webhook:${hook.id}`))
+                .forEach(hook => {
+                    try {
+                        messages.push(this.message(`webhook:${hook.id}`, event, bin, null, this.render(hook.template, context), now));
+                    } catch (error) {
+                        Logger.log(`Webhook ${hook.name}: ${error.message}`, 'error', null, bin.id);
+                    }
+                });
+            
+            if (settings.mqtt.enabled && settings.mqtt.url && settings.mqtt.events.includes(event) && due('mqtt')) {
+                messages.push(this.message('mqtt', event, bin, this.renderTopic(settings.mqtt.topic, context), JSON.stringify(context), now));
+            }
+            
+            return Promise.all(messages.map(message => this.deliver(message)));
+        },
+        
+        message(target, event, bin, topic, body, now) {
+            return { id: Utils.generateId('msg'), target, event, binId: bin.id, topic, body, createdAt: now, attempts: 0, error: null };
+        },
+        
+        // Every message goes through the queue. It is sent now unless older
+        // messages for the target are waiting; one still being sent (maybe
+        // waiting out a retry delay) takes it along when it succeeds.
+        async deliver(message) {
+            const waiting = this.draining[message.target] || this.queue.some(queued => queued.target === message.target);
+            this.enqueue(message);
+            if (!waiting && this.isOnline()) await this.drain(message.target);
+            return message;
+        },
+        
+        // One message at a time per target, oldest first; stops at the first
+        // that still fails, which keeps it and the rest queued. Resolves to
+        // the number sent.
+        drain(target) {
+            if (this.draining[target]) return this.draining[target].promise;
+            
+            const run = {};
+            this.draining[target] = run;
+            run.promise = (async () => {
+                let sent = 0;
+                try {
+                    let message;
+                    while (this.isOnline() && (message = this.queue.find(queued => queued.target === target))) {
+                        if (!await this.sendWithRetry(message)) break;
+                        this.queue = this.queue.filter(queued => queued !== message);
+                        this.saveQueue();
+                        sent++;
+                    }
+                } finally {
+                    // Before the promise settles, so a message queued meanwhile starts a new run
+                    if (this.draining[target] === run) delete this.draining[target];
+                }
+                return sent;
+            })();
+            return run.promise;
+        },
+        
+        enqueue(message) {
+            this.queue.push(message);
+            if (this.queue.length > this.getSettings().maxQueue) {
+                const dropped = this.queue.shift();
+                Logger.log(`Antrean integrasi penuh, pesan ${dropped.event} terlama dibuang`, 'warning');
+            }
+            this.saveQueue();
+        },
+        
+        isOnline() {
+            const navigator = adapters.window.navigator;
+            return !navigator || navigator.onLine !== false;
+        },
+        
+        async sendWithRetry(message) {
+            const { retryAttempts } = state.config.api;
+            const { retryDelay } = this.getSettings();
+            
+            for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+                if (attempt > 0) await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt - 1)));
+                
+                message.attempts++;
+                try {
+                    await this.send(message);
+                    message.error = null;
+                    return true;
+                } catch (error) {
+                    message.error = error.message;
+                    // Nothing to wait for without a broker connection
+                    if (message.target === 'mqtt') break;
+                }
+            }
+            return false;
+        },
+        
+        async send(message) {
+            if (message.target === 'mqtt') {
+                if (!this.mqtt) throw new Error('MQTT tidak aktif');
+                Mqtt.publish(this.mqtt, message.topic, message.body);
+                return;
+            }
+            
+            const hook = this.getSettings().webhooks.find(entry => `webhook:${entry.id}` === message.target);
+            // Removed since: nothing to deliver to
+            if (!hook) return;
+            if (!adapters.fetch) throw new Error('fetch tidak tersedia');
+            
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), state.config.api.timeout);
+            try {
+                const response = await adapters.fetch(hook.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...hook.headers },
+                    body: message.body,
+                    signal: controller.signal
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                throw new Error(error.name === 'AbortError' ? 'waktu habis' : error.message);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+        
+        // In order per target, targets side by side; a target that still fails
+        // keeps its remaining messages
+        flush() {
+            if (this.flushing) return this.flushing;
+            
+            this.flushing = (async () => {
+                const targets = [...new Set(this.queue.map(message => message.target))];
+                const counts = await Promise.all(targets.map(target => this.drain(target)));
+                const sent = counts.reduce((sum, count) => sum + count, 0);
+                
+                this.saveQueue();
+                if (sent > 0) Logger.log(`${sent} pesan integrasi terkirim dari antrean`, 'info');
+                return sent;
+            })().finally(() => {
+                this.flushing = null;
+            });
+            
+            return this.flushing;
+        },
+        
+        getStatus() {
+            const byTarget = {};
+            this.queue.forEach(message => {
+                byTarget[message.target] = (byTarget[message.target] || 0) + 1;
+            });
+            return {
+                queued: this.queue.length,
+                byTarget,
+                mqtt: this.mqtt ? (this.mqtt.connected ? 'connected' : 'connecting') : 'off',
+                lastError: this.queue.length > 0 ? this.queue[0].error : null
+            };
+        }
+    };
+    
+    // ===== COMPANION SERVER SYNC =====
+    // With settings.server.enabled every dashboard posts its own bins'
+    // readings to the companion server (server.js) and follows everyone
+    // else's through the server's event stream, so several browsers share
+    // one fleet. A bin connected here always wins over remote data for it.
+    const ServerSync = {
+        defaults: {
+            enabled: false,
+            // '' = the server that served this page
+            url: '',
+            // Printed by server.js at start; needed to delete, simulate and restore
+            token: '',
+            readingInterval: 60     // seconds between posted readings, per bin; lid changes always go
+        },
+        
+        clientId: Utils.generateId('client'),
+        source: null,
+        // binId -> last reading posted at
+        lastSent: {},
+        // True while remote data is applied: nothing is posted back or forwarded
+        applying: false,
+        lastError: null,
+        
+        getSettings() {
+            return { ...this.defaults, ...(state.db.settings.server || {}) };
+        },
+        
+        configure(changes = {}) {
+            state.db.settings.server = { ...this.getSettings(), ...changes };
+            Storage.set('settings', state.db.settings);
+            this.stop();
+            return this.init();
+        },
+        
+        isEnabled() {
+            return this.getSettings().enabled && !!adapters.fetch;
+        },
+        
+        url(endpoint, path = '', query = {}) {
+            const base = this.getSettings().url.replace(/\/+$/, '');
+            const params = Object.entries(query)
+                .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+                .join('&');
+            return `${base}${state.config.api.endpoints[endpoint]}${path}${params ? `?${params}` : ''}`;
+        },
+        
+        // JSON in and out; rejects on HTTP errors and after api.timeout
+        async request(endpoint, { method = 'GET', path = '', query, body } = {}) {
+            if (!adapters.fetch) throw new Error('fetch tidak tersedia');
+            
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), state.config.api.timeout);
+            try {
+                const { token } = this.getSettings();
+                const headers = body !== undefined ? { 'Content-Type': 'application/json' } : {};
+                if (token) headers.Authorization = `Bearer ${token}`;
+                
+                const response = await adapters.fetch(this.url(endpoint, path, query), {
+                    method,
+                    headers,
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                const type = response.headers.get('Content-Type') || '';
+                const result = type.includes('application/json') ? await response.json() : await response.text();
+                
+                if (!response.ok) throw new Error(result && result.error ? result.error : `HTTP ${response.status}`);
+                this.lastError = null;
+                return result;
+            } catch (error) {
+                this.lastError = error.name === 'AbortError' ? 'waktu habis' : error.message;
+                throw new Error(`Server: ${this.lastError}`);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+        
+        // Bins from the server, ours to the server, then live updates
+        async init() {
+            if (!this.isEnabled()) return false;
+            
+            try {
+                const remote = await this.request('bins');
+                remote.forEach(bin => this.applyBin(bin));
+                
+                const known = new Set(remote.map(bin => bin.id));
+                await Promise.all(Fleet.list().filter(bin => !known.has(bin.id)).map(bin => this.pushBin(bin)));
+                
+                this.subscribe();
+                Logger.log(`Tersambung ke server ${this.getSettings().url || 'lokal'}`, 'success');
+                return true;
+            } catch (error) {
+                Logger.log(error.message, 'error');
+                return false;
+            }
+        },
+        
+        stop() {
+            if (this.source) this.source.close();
+            this.source = null;
+        },
+        
+        subscribe() {
+            if (!adapters.EventSource || this.source) return;
+            
+            const source = new adapters.EventSource(this.url('events', '', { client: this.clientId }));
+            this.source = source;
+            const on = (type, handler) => source.addEventListener(type, (e) => {
+                const message = JSON.parse(e.data);
+                if (message.clientId !== this.clientId) handler(message);
+            });
+            
+            on('reading', message => this.applyReading(message.binId, message.reading));
+            on('bin', message => this.applyBin(message.bin));
+            on('bin-removed', message => this.applyRemoval(message.binId));
+            on('restore', () => {
+                UI.showNotification('Data di server dipulihkan, memuat ulang...', 'warning');
+                setTimeout(() => {
+                    if (adapters.window.location) adapters.window.location.reload();
+                }, 2000);
+            });
+        },
+        
+        // ===== OUTGOING =====
+        // kind 'reading' (a distance was processed) or 'status' (lid only)
+        push(bin, kind = 'reading', extra = {}, now = Date.now()) {
+            if (!this.isEnabled() || this.applying) return null;
+            
+            if (kind === 'reading') {
+                const last = this.lastSent[bin.id];
+                if (last && now - last < this.getSettings().readingInterval * 1000) return null;
+                this.lastSent[bin.id] = now;
+            }
+            
+            const db = bin.db;
+            const reading = {
+                kind,
+                timestamp: now,
+                capacity: db.capacity,
+                distance: db.distance,
+                status: db.status,
+                dailyUsage: db.dailyUsage,
+                totalUsage: db.totalUsage,
+                ...extra
+            };
+            
+            return this.request('readings', { method: 'POST', body: { clientId: this.clientId, binId: bin.id, reading } })
+                .catch(() => null);
+        },
+        
+        pushBin(bin) {
+            if (!this.isEnabled() || this.applying) return null;
+            
+            return this.request('bins', {
+                method: 'PUT',
+                path: `/${encodeURIComponent(bin.id)}`,
+                body: { clientId: this.clientId, bin: { id: bin.id, name: bin.name, location: bin.location } }
+            }).catch(error => Logger.log(error.message, 'warning'));
+        },
+        
+        removeBin(binId) {
+            if (!this.isEnabled() || this.applying) return null;
+            
+            return this.request('bins', {
+                method: 'DELETE',
+                path: `/${encodeURIComponent(binId)}`,
+                query: { client: this.clientId }
+            }).catch(error => Logger.log(error.message, 'warning'));
+        },
+        
+        // ===== INCOMING =====
+        applyBin(remote) {
+            this.applying = true;
+            try {
+                const bin = Fleet.getBin(remote.id) ?
+                    Fleet.updateBin(remote.id, { name: remote.name, location: remote.location }) :
+                    Fleet.addBin({ id: remote.id, name: remote.name, location: remote.location });
+                
+                if (remote.db && !SerialManager.isConnected(bin.id) && (remote.db.lastUpdate || 0) > (bin.db.lastUpdate || 0)) {
+                    ['capacity', 'distance', 'status', 'lastUpdate'].forEach(field => {
+                        if (remote.db[field] !== undefined) bin.db[field] = remote.db[field];
+                    });
+                    Fleet.save();
+                }
+                return bin;
+            } finally {
+                this.applying = false;
+            }
+        },
+        
+        async applyRemoval(binId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin || await Fleet.removeBin(binId, { remote: true })) return;
+            
+            // Cabled to this dashboard (or our last bin): keep it and share it again
+            Logger.log(`${bin.name} dihapus di dasbor lain, tetap dipakai di sini`, 'warning', null, binId);
+            await this.pushBin(bin);
+        },
+        
+        // Through the same history, ledger, forecast and alert paths as local data
+        applyReading(binId, reading) {
+            const bin = Fleet.getBin(binId);
+            if (!bin || SerialManager.isConnected(binId)) return false;
+            
+            const db = bin.db;
+            const before = db.capacity;
+            const oldStatus = db.status;
+            
+            this.applying = true;
+            try {
+                db.capacity = reading.capacity;
+                db.distance = reading.distance;
+                db.status = reading.status;
+                db.lastUpdate = reading.timestamp;
+                
+                if (oldStatus === 'TUTUP' && db.status === 'BUKA') {
+                    UsageLedger.record(bin, 'remote', reading.timestamp);
+                }
+                
+                if (reading.kind === 'reading') {
+                    HistoryManager.addToHistory(db.capacity, bin, {
+                        rawDistance: reading.rawDistance,
+                        rawCapacity: reading.rawCapacity,
+                        distance: reading.distance,
+                        rejected: reading.rejected
+                    }, reading.timestamp);
+                    Forecast.observe(bin, before);
+                    Forecast.update(bin);
+                }
+                AlertManager.observe(bin);
+                Fleet.save();
+            } finally {
+                this.applying = false;
+            }
+            
+            UI.scheduleUpdate('all');
+            return true;
+        },
+        
+        // ===== SERVER ENDPOINTS =====
+        simulate(binId, action = 'start', options = {}) {
+            return this.request('simulate', { method: 'POST', body: { binId, action, options } });
+        },
+        
+        exportReadings(query = {}) {
+            return this.request('export', { query });
+        },
+        
+        downloadBackup() {
+            return this.request('backup');
+        },
+        
+        uploadBackup(backup) {
+            return this.request('backup', { method: 'POST', body: backup });
+        }
+    };
+    
+    // ===== OFFLINE SUPPORT =====
+    // Registers sw.js, which precaches the app per state.config.version, and
+    // offers a reload when the worker's cached version differs from the page
+    const OfflineSupport = {
+        scriptUrl: 'sw.js',
+        manifestUrl: 'manifest.webmanifest',
+        versionTimeout: 2000,
+        registration: null,
+        // { version, worker } of an update waiting for the user
+        pending: null,
+        reloading: false,
+        
+        async init() {
+            this.linkManifest();
+            
+            const container = adapters.serviceWorker;
+            if (!container) return null;
+            
+            try {
+                this.registration = await container.register(this.scriptUrl);
+            } catch (error) {
+                Logger.log(`Mode offline tidak tersedia: ${error.message}`, 'warning');
+                return null;
+            }
+            
+            const registration = this.registration;
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && container.controller) this.checkWorker(worker);
+                });
+            });
+            
+            container.addEventListener('controllerchange', () => {
+                if (this.reloading) adapters.window.location.reload();
+            });
+            
+            if (registration.waiting) {
+                await this.checkWorker(registration.waiting);
+            } else if (container.controller) {
+                // Page fresher than the cache: look for the matching worker
+                const version = await this.getVersion(container.controller);
+                if (version && version !== state.config.version) registration.update().catch(() => {});
+            }
+            
+            return registration;
+        },
+        
+        // Install metadata; index.html may already carry the tags
+        linkManifest() {
+            const doc = adapters.document;
+            if (!doc.head || doc.querySelector('link[rel="manifest"]')) return;
+            
+            const link = doc.createElement('link');
+            link.rel = 'manifest';
+            link.href = this.manifestUrl;
+            doc.head.appendChild(link);
+            
+            const theme = doc.createElement('meta');
+            theme.name = 'theme-color';
+            theme.content = '#2E7D32';
+            doc.head.appendChild(theme);
+        },
+        
+        // The app version a worker has cached, or null if it does not answer
+        getVersion(worker) {
+            return new Promise(resolve => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => {
+                    channel.port1.close();
+                    resolve(null);
+                }, this.versionTimeout);
+                
+                channel.port1.onmessage = (event) => {
+                    clearTimeout(timer);
+                    channel.port1.close();
+                    resolve(event.data && event.data.version ? event.data.version : null);
+                };
+                worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+            });
+        },
+        
+        async checkWorker(worker) {
+            const version = await this.getVersion(worker);
+            if (!version || version === state.config.version) return false;
+            
+            this.pending = { version, worker };
+            Logger.log(`Versi ${version} siap dipasang`, 'info');
+            UI.showUpdatePrompt(version);
+            return true;
+        },
+        
+        // The waiting worker takes over; controllerchange then reloads the page
+        applyUpdate() {
+            if (!this.pending) return false;
+            
+            this.reloading = true;
+            this.pending.worker.postMessage({ type: 'SKIP_WAITING' });
+            this.pending = null;
+            return true;
+        }
+    };
+    
+    // ===== LOGGER =====
+    const Logger = {
+        maxLogs: 500,
+        logTypes: {
+            info: { icon: 'info-circle', color: '#2196F3' },
+            success: { icon: 'check-circle', color: '#4CAF50' },
+            warning: { icon: 'exclamation-triangle', color: '#FF9800' },
+            error: { icon: 'times-circle', color: '#F44336' },
+            arduino: { icon: 'microchip', color: '#9C27B0' }
+        },
+        
+        // Entries with a binId go to that bin's own log, the rest to the system log
+        log(message, type = 'info', data = null, binId = null) {
+            const logEntry = {
+                id: Utils.generateId('log'),
+                timestamp: Date.now(),
+                message,
+                type,
+                data,
+                binId
+            };
+            
+            const bin = binId ? Fleet.getBin(binId) : null;
+            const owner = bin ? bin.db : state.db;
+            
+            // Add to logs array
+            owner.logs.unshift(logEntry);
+            
+            // Trim logs if too large
+            if (owner.logs.length > this.maxLogs) {
+                owner.logs = owner.logs.slice(0, this.maxLogs);
+            }
+            
+            // Auto-save logs
+            if (owner.logs.length % 20 === 0) {
+                if (bin) Fleet.save();
+                else Storage.set('logs', state.db.logs);
+            }
+            
+            // Update UI if needed
+            if (UI.isInitialized && (!binId || binId === state.fleet.selectedId)) {
+                UI.updateLogEntry(logEntry);
+            }
+            
+            // Console output in development
+            if (state.config.debug) {
+                console.log(`[${type.toUpperCase()}] ${message}`, data || '');
+            }
+            
+            return logEntry.id;
+        },
+        
+        // System log merged with one bin's log, newest first
+        getLogs(binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            const binLogs = bin ? bin.db.logs : [];
+            return [...state.db.logs, ...binLogs].sort((a, b) => b.timestamp - a.timestamp);
+        },
+        
+        clearLogs(binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            if (bin) bin.db.logs = [];
+            state.db.logs = [];
+            Storage.set('logs', []);
+            Fleet.save();
+            UI.clearLogDisplay();
+        },
+        
+        exportLogs(format = 'json', binId = state.fleet.selectedId) {
+            const data = this.getLogs(binId);
+            
+            if (format === 'csv') {
+                const headers = ['Timestamp', 'Bin', 'Type', 'Message', 'Data'];
+                const rows = data.map(log => [
+                    new Date(log.timestamp).toISOString(),
+                    log.binId || '',
+                    log.type,
+                    log.message,
+                    log.data === null || log.data === undefined ? '' : JSON.stringify(log.data)
+                ]);
+                
+                // Messages often contain commas ("Arduino: TUTUP,40,30,...")
+                return {
+                    content: DataExport.csvRows([headers, ...rows]),
+                    filename: `logs_${Date.now()}.csv`,
+                    mimeType: 'text/csv'
+                };
+            } else {
+                return {
+                    content: JSON.stringify(data, null, 2),
+                    filename: `logs_${Date.now()}.json`,
+                    mimeType: 'application/json'
+                };
+            }
+        }
+    };
+    
+    // ===== DATA EXPORT =====
+    // Readings, usage/service events, alerts and logs of one bin (or all)
+    // over a date range. CSV follows RFC 4180 (one file per dataset), JSON
+    // Lines tags every record with its dataset, and SpreadsheetML is the
+    // XML Spreadsheet 2003 format Excel opens directly, one worksheet per dataset.
+    const DataExport = {
+        // type: 'time' | 'number' | 'boolean' | 'json' | text (default)
+        datasets: {
+            readings: {
+                label: 'Pembacaan',
+                columns: [
+                    { key: 'timestamp', label: 'Waktu', type: 'time' },
+                    { key: 'binId', label: 'Tong' },
+                    { key: 'capacity', label: 'Kapasitas (%)', type: 'number' },
+                    { key: 'distance', label: 'Jarak (cm)', type: 'number' },
+                    { key: 'rawDistance', label: 'Jarak mentah (cm)', type: 'number' },
+                    { key: 'rawCapacity', label: 'Kapasitas mentah (%)', type: 'number' },
+                    { key: 'rejected', label: 'Ditolak filter', type: 'boolean' }
+                ],
+                rows: (binId, from, to) => TimeSeries.query(binId, { from, to })
+            },
+            events: {
+                label: 'Pemakaian & Pengosongan',
+                columns: [
+                    { key: 'timestamp', label: 'Waktu', type: 'time' },
+                    { key: 'binId', label: 'Tong' },
+                    { key: 'type', label: 'Jenis' },
+                    { key: 'source', label: 'Sumber' },
+                    { key: 'kind', label: 'Deteksi' },
+                    { key: 'before', label: 'Sebelum (%)', type: 'number' },
+                    { key: 'after', label: 'Sesudah (%)', type: 'number' },
+                    { key: 'by', label: 'Petugas' },
+                    { key: 'note', label: 'Catatan' }
+                ],
+                rows: (binId, from, to) => TimeSeries.events(binId, { from, to })
+            },
+            alerts: {
+                label: 'Peringatan',
+                columns: [
+                    { key: 'raisedAt', label: 'Waktu', type: 'time' },
+                    { key: 'binId', label: 'Tong' },
+                    { key: 'severity', label: 'Tingkat' },
+                    { key: 'type', label: 'Jenis' },
+                    { key: 'ruleId', label: 'Aturan' },
+                    { key: 'message', label: 'Pesan' },
+                    { key: 'value', label: 'Nilai', type: 'number' },
+                    { key: 'resolvedAt', label: 'Selesai', type: 'time' },
+                    { key: 'ackedAt', label: 'Dikonfirmasi', type: 'time' },
+                    { key: 'ackedBy', label: 'Oleh' }
+                ],
+                rows: (binId, from, to) => AlertManager.getHistory({ binId, from, to })
+            },
+            logs: {
+                label: 'Log',
+                columns: [
+                    { key: 'timestamp', label: 'Waktu', type: 'time' },
+                    { key: 'binId', label: 'Tong' },
+                    { key: 'type', label: 'Jenis' },
+                    { key: 'message', label: 'Pesan' },
+                    { key: 'data', label: 'Data', type: 'json' }
+                ],
+                rows: (binId, from, to) => {
+                    const bin = Fleet.getBin(binId);
+                    return (bin ? bin.db.logs : state.db.logs)
+                        .filter(log => log.timestamp >= from && log.timestamp <= to);
+                }
+            }
+        },
+        
+        formats: {
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+            spreadsheet: { label: 'Excel (SpreadsheetML)', extension: 'xml', mimeType: 'application/vnd.ms-excel' }
+        },
+        
+        // Which bins a dataset is read for: null is the system log for logs,
+        // every bin for alerts (one list for the fleet)
+        sources(datasetId, binId) {
+            if (datasetId === 'alerts') return [binId];
+            
+            const binIds = binId ? [binId] : Fleet.list().map(bin => bin.id);
+            return datasetId === 'logs' ? [...binIds, null] : binIds;
+        },
+        
+        // { datasetId: records } in time order. binId null = every bin
+        async collect({ datasets = Object.keys(this.datasets), binId = null, from = 0, to = Date.now() } = {}) {
+            const result = {};
+            
+            for (const id of datasets) {
+                const dataset = this.datasets[id];
+                if (!dataset) throw new Error(`Data ekspor tidak dikenal: ${id}`);
+                
+                const lists = [];
+                for (const source of this.sources(id, binId)) {
+                    lists.push(await dataset.rows(source, from, to));
+                }
+                
+                // The first column is always the record's time
+                const timeKey = dataset.columns[0].key;
+                result[id] = lists.flat().sort((a, b) => a[timeKey] - b[timeKey]);
+            }
+            
+            return result;
+        },
+        
+        // Files to download: CSV gives one per dataset, the others a single file
+        async build({ format = 'csv', ...options } = {}) {
+            const type = this.formats[format];
+            if (!type) throw new Error(`Format ekspor tidak dikenal: ${format}`);
+            
+            const data = await this.collect(options);
+            const stamp = Date.now();
+            const scope = options.binId || 'semua';
+            const file = (name, content) => ({
+                content,
+                filename: `${name}_${scope}_${stamp}.${type.extension}`,
+                mimeType: type.mimeType
+            });
+            
+            switch (format) {
+                case 'csv':
+                    return Object.entries(data).map(([id, rows]) => file(id, this.toCsv(this.datasets[id].columns, rows)));
+                case 'jsonl':
+                    return [file('ekspor', this.toJsonLines(data))];
+                default:
+                    return [file('ekspor', this.toSpreadsheet(data))];
+            }
+        },
+        
+        // ===== CSV =====
+        // RFC 4180: CRLF line ends, fields with commas, quotes or line
+        // breaks quoted, quotes doubled
+        csvField(value) {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+        
+        csvRows(rows) {
+            return rows.map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n') + '\r\n';
+        },
+        
+        toCsv(columns, records) {
+            return this.csvRows([
+                columns.map(column => column.label),
+                ...records.map(record => columns.map(column => this.textValue(record[column.key], column.type)))
+            ]);
+        },
+        
+        textValue(value, type) {
+            if (value === null || value === undefined) return '';
+            
+            switch (type) {
+                case 'time':
+                    return new Date(value).toISOString();
+                case 'json':
+                    return JSON.stringify(value);
+                default:
+                    return value;
+            }
+        },
+        
+        // ===== JSON LINES =====
+        toJsonLines(data) {
+            return Object.entries(data)
+                .flatMap(([dataset, rows]) => rows.map(row => JSON.stringify({ dataset, ...row })))
+                .map(line => line + '\n')
+                .join('');
+        },
+        
+        // ===== SPREADSHEETML =====
+        xmlEscape(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                // Control characters are not allowed in XML 1.0
+                .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+        },
+        
+        // Excel has no time zones: times are written as wall-clock time in the app's zone
+        spreadsheetCell(value, type) {
+            if (value === null || value === undefined || value === '') return '<Cell/>';
+            
+            if (type === 'time') {
+                const p = Calendar.parts(value);
+                const pad = (number) => Calendar.pad(number);
+                const wall = `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.000`;
+                return `<Cell ss:StyleID="time"><Data ss:Type="DateTime">${wall}</Data></Cell>`;
+            }
+            if (type === 'number' && Number.isFinite(Number(value))) {
+                return `<Cell><Data ss:Type="Number">${Number(value)}</Data></Cell>`;
+            }
+            if (type === 'boolean') {
+                return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+            }
+            
+            const text = type === 'json' ? JSON.stringify(value) : value;
+            return `<Cell><Data ss:Type="String">${this.xmlEscape(text)}</Data></Cell>`;
+        },
+        
+        toSpreadsheet(data) {
+            const zone = Calendar.getTimeZone();
+            
+            const sheets = Object.entries(data).map(([id, rows]) => {
+                const { label, columns } = this.datasets[id];
+                const header = columns.map(column => {
+                    const text = column.type === 'time' ? `${column.label} (${zone})` : column.label;
+                    return `<Cell ss:StyleID="header"><Data ss:Type="String">${this.xmlEscape(text)}</Data></Cell>`;
+                }).join('');
+                const body = rows.map(row =>
+                    `<Row>${columns.map(column => this.spreadsheetCell(row[column.key], column.type)).join('')}</Row>`
+                ).join('\n');
+                
+                return `<Worksheet ss:Name="${this.xmlEscape(label)}"><Table>\n<Row>${header}</Row>\n${body}\n</Table></Worksheet>`;
+            });
+            
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<?mso-application progid="Excel.Sheet"?>',
+                '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+                '<Styles>',
+                '<Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+                '<Style ss:ID="time"><NumberFormat ss:Format="yyyy-mm-dd hh:mm:ss"/></Style>',
+                '</Styles>',
+                ...sheets,
+                '</Workbook>',
+                ''
+            ].join('\n');
+        }
+    };
+    
+    // ===== PERIODIC REPORTS =====
+    // Daily, weekly and monthly reports from the history: average and peak
+    // capacity, lid openings, emptyings, alerts and uptime per bin, with a
+    // breakdown per hour (daily) or day. Uptime is the share of hours with
+    // sensor data since the bin was tracked. Rendered as a print-ready HTML
+    // page or as a PDF written here, without a library.
+    const Reports = {
+        periods: {
+            day: { label: 'Harian', breakdown: 'hour', breakdownLabel: 'jam' },
+            week: { label: 'Mingguan', breakdown: 'day', breakdownLabel: 'hari' },
+            month: { label: 'Bulanan', breakdown: 'day', breakdownLabel: 'hari' }
+        },
+        
+        formats: {
+            html: { label: 'HTML (cetak)', extension: 'html', mimeType: 'text/html' },
+            pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' }
+        },
+        
+        // format: 'percent' (capacity points), 'ratio' (0..1), plain count otherwise
+        columns: [
+            { key: 'average', label: 'Rata-rata', format: 'percent' },
+            { key: 'peak', label: 'Puncak', format: 'percent' },
+            { key: 'opens', label: 'Dibuka' },
+            { key: 'emptyings', label: 'Dikosongkan' },
+            { key: 'alerts', label: 'Peringatan' },
+            { key: 'uptime', label: 'Uptime', format: 'ratio' }
+        ],
+        
+        // Start and end (exclusive) of the calendar period holding timestamp
+        range(resolution, timestamp) {
+            const { bucket, key } = Calendar.bucketOf(resolution, timestamp);
+            const to = Calendar.bucketOf(resolution, bucket + TimeSeries.spans[resolution]).bucket;
+            return { from: bucket, to, key };
+        },
+        
+        slots(resolution, from, to) {
+            const slots = [];
+            for (let start = from; start < to;) {
+                const slot = this.range(resolution, start);
+                slots.push({ key: slot.key, from: start, to: Math.min(slot.to, to) });
+                start = slot.to;
+            }
+            return slots;
+        },
+        
+        async collect(bin, from, to) {
+            const range = { from, to: to - 1 };
+            return {
+                hours: await HistoryManager.getRange(bin.id, { ...range, resolution: 'hour' }),
+                opens: await TimeSeries.events(bin.id, { ...range, type: 'open' }),
+                // A staff log matched to a detected drop is the same visit
+                services: (await HistoryManager.getServiceLog(bin.id, range)).filter(event => !event.matched),
+                alerts: AlertManager.getHistory({ binId: bin.id, ...range })
+            };
+        },
+        
+        // Figures of [from, to) from collected data; averages stay unrounded
+        figures(data, from, to, bin, now) {
+            const within = (timestamp) => timestamp >= from && timestamp < to;
+            const hours = data.hours.filter(hour => within(hour.bucket));
+            const readings = hours.reduce((sum, hour) => sum + hour.count, 0);
+            const total = hours.reduce((sum, hour) => sum + hour.total, 0);
+            
+            // Hours the bin could have reported in: from when it was added (or
+            // its first data, for imported history) up to now
+            const firstData = data.hours.length ? data.hours[0].bucket : Infinity;
+            const tracked = Math.min(Calendar.bucketOf('hour', bin.createdAt || from).bucket, firstData);
+            const expected = Math.ceil((Math.min(to, now) - Math.max(from, tracked)) / (60 * 60 * 1000));
+            
+            return {
+                readings,
+                average: readings ? total / readings : null,
+                peak: readings ? Math.max(...hours.map(hour => hour.max)) : null,
+                opens: data.opens.filter(event => within(event.timestamp)).length,
+                emptyings: data.services.filter(event => within(event.timestamp)).length,
+                alerts: data.alerts.filter(alert => within(alert.raisedAt)).length,
+                uptime: expected > 0 ? Math.min(1, hours.length / expected) : null
+            };
+        },
+        
+        totals(rows) {
+            const readings = rows.reduce((sum, row) => sum + row.readings, 0);
+            const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+            const tracked = rows.filter(row => row.uptime !== null);
+            const peaks = rows.filter(row => row.peak !== null).map(row => row.peak);
+            
+            return {
+                readings,
+                average: readings ? rows.reduce((total, row) => total + (row.average || 0) * row.readings, 0) / readings : null,
+                peak: peaks.length ? Math.max(...peaks) : null,
+                opens: sum('opens'),
+                emptyings: sum('emptyings'),
+                alerts: sum('alerts'),
+                uptime: tracked.length ? tracked.reduce((total, row) => total + row.uptime, 0) / tracked.length : null
+            };
+        },
+        
+        // period 'day' | 'week' | 'month' holding date; binId null = every bin
+        async build({ period = 'week', date = Date.now(), binId = null, now = Date.now() } = {}) {
+            const info = this.periods[period];
+            if (!info) throw new Error(`Periode laporan tidak dikenal: ${period}`);
+            const bins = binId ? [Fleet.getBin(binId)] : Fleet.list();
+            if (!bins[0]) throw new Error(`Tong tidak ditemukan: ${binId}`);
+            
+            const { from, to, key } = this.range(period, date);
+            const slots = this.slots(info.breakdown, from, to);
+            const rows = [];
+            
+            for (const bin of bins) {
+                const data = await this.collect(bin, from, to);
+                rows.push({
+                    id: bin.id,
+                    name: bin.name,
+                    location: bin.location || '',
+                    ...this.figures(data, from, to, bin, now),
+                    breakdown: slots.map(slot => ({
+                        key: slot.key,
+                        from: slot.from,
+                        ...this.figures(data, slot.from, slot.to, bin, now)
+                    }))
+                });
+            }
+            
+            return {
+                period,
+                key,
+                from,
+                to,
+                title: `Laporan ${info.label} ${key}`,
+                timeZone: Calendar.getTimeZone(),
+                generatedAt: now,
+                bins: rows,
+                totals: this.totals(rows)
+            };
+        },
+        
+        // { filename, content, mimeType, report }
+        async render({ format = 'html', ...options } = {}) {
+            const type = this.formats[format];
+            if (!type) throw new Error(`Format laporan tidak dikenal: ${format}`);
+            
+            const report = await this.build(options);
+            const scope = options.binId ? `_${options.binId}` : '';
+            return {
+                filename: `laporan_${report.period}_${report.key}${scope}.${type.extension}`,
+                content: format === 'pdf' ? this.toPdf(report) : this.toHtml(report),
+                mimeType: type.mimeType,
+                report
+            };
+        },
+        
+        cell(value, format) {
+            if (value === null || value === undefined) return '-';
+            if (format === 'percent') return `${(Math.round(value * 10) / 10).toLocaleString('id-ID')}%`;
+            if (format === 'ratio') return `${Math.round(value * 100)}%`;
+            return String(value);
+        },
+        
+        slotLabel(report, key) {
+            return this.periods[report.period].breakdown === 'hour' ? `${key.slice(11)}:00` : key;
+        },
+        
+        formatDate(timestamp, timeZone, withTime = false) {
+            return new Date(timestamp).toLocaleString('id-ID', {
+                timeZone,
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric',
+                ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+            });
+        },
+        
+        describe(report) {
+            return {
+                period: `${this.formatDate(report.from, report.timeZone)} – ${this.formatDate(report.to - 1, report.timeZone)} (${report.timeZone})`,
+                generated: this.formatDate(report.generatedAt, report.timeZone, true),
+                breakdown: `Rincian per ${this.periods[report.period].breakdownLabel}`
+            };
+        },
+        
+        // ===== HTML =====
+        toHtml(report) {
+            const text = this.describe(report);
+            const safe = Utils.escapeHtml;
+            const head = (first) => `<thead><tr><th>${first}</th>${this.columns.map(column => `<th>${column.label}</th>`).join('')}</tr></thead>`;
+            const cells = (row) => this.columns.map(column => `<td>${this.cell(row[column.key], column.format)}</td>`).join('');
+            
+            const summary = report.bins.map(bin => `
+                <tr><td>${safe(bin.name)}${bin.location ? `<br><small>${safe(bin.location)}</small>` : ''}</td>${cells(bin)}</tr>`).join('');
+            const details = report.bins.map(bin => `
+                <section>
+                    <h3>${safe(bin.name)}</h3>
+                    <table>
+                        ${head(this.periods[report.period].breakdown === 'hour' ? 'Jam' : 'Tanggal')}
+                        <tbody>${bin.breakdown.map(slot => `
+                            <tr><td>${this.slotLabel(report, slot.key)}</td>${cells(slot)}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </section>`).join('');
+            
+            return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>${safe(report.title)}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #222; margin: 0; }
+    h1 { font-size: 16pt; margin: 0 0 4pt; }
+    h2 { font-size: 12pt; margin: 14pt 0 6pt; }
+    h3 { font-size: 10pt; margin: 10pt 0 4pt; }
+    .meta { color: #555; margin: 0 0 2pt; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 3pt 5pt; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #eee; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    tfoot td { font-weight: bold; }
+    small { color: #666; }
+    .note { color: #666; font-size: 8pt; margin-top: 12pt; }
+    @media screen { body { max-width: 190mm; margin: 20px auto; } }
+    @media print { section { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>${safe(report.title)}</h1>
+    <p class="meta">Periode: ${safe(text.period)}</p>
+    <p class="meta">Dibuat: ${safe(text.generated)}</p>
+    <h2>Ringkasan</h2>
+    <table>
+        ${head('Tong')}
+        <tbody>${summary}
+        </tbody>
+        <tfoot><tr><td>Semua tong</td>${cells(report.totals)}</tr></tfoot>
+    </table>
+    <h2>${text.breakdown}</h2>${details}
+    <p class="note">Kapasitas dalam persen isi. Uptime: bagian jam dengan data sensor.</p>
+</body>
+</html>
+`;
+        },
+        
+        // ===== PDF =====
+        // Built-in Helvetica only knows Latin-1, so text is reduced to ASCII
+        pdfText(value) {
+            return String(value)
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[–—]/g, '-')
+                .replace(/[^\x20-\x7e]/g, '?')
+                .replace(/[\\()]/g, '\\$&');
+        },
+        
+        // A4 pages of text rows with rules under each table row
+        toPdf(report) {
+            const page = { width: 595, height: 842, margin: 40 };
+            const widths = [150, 55, 55, 50, 70, 60, 55];
+            const lineHeight = 14;
+            const text = this.describe(report);
+            const pages = [];
+            let ops = null;
+            let y = 0;
+            
+            const newPage = () => {
+                ops = [];
+                pages.push(ops);
+                y = page.height - page.margin;
+            };
+            const ensure = (height) => {
+                if (y - height < page.margin + lineHeight) newPage();
+            };
+            const write = (x, value, size = 9, bold = false) => {
+                ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${this.pdfText(value)}) Tj ET`);
+            };
+            const row = (values, bold = false) => {
+                ensure(lineHeight);
+                let x = page.margin;
+                values.forEach((value, i) => {
+                    write(x, value, 9, bold);
+                    x += widths[i];
+                });
+                ops.push(`0.5 w ${page.margin} ${y - 4} m ${page.width - page.margin} ${y - 4} l S`);
+                y -= lineHeight;
+            };
+            const heading = (value, size) => {
+                ensure(size + lineHeight * 3);
+                y -= 6;
+                write(page.margin, value, size, true);
+                y -= size + 6;
+            };
+            const cells = (values) => this.columns.map(column => this.cell(values[column.key], column.format));
+            const header = (first) => [first, ...this.columns.map(column => column.label)];
+            
+            newPage();
+            write(page.margin, report.title, 16, true);
+            y -= 24;
+            write(page.margin, `Periode: ${text.period}`);
+            y -= lineHeight;
+            write(page.margin, `Dibuat: ${text.generated}`);
+            y -= lineHeight;
+            
+            heading('Ringkasan', 12);
+            row(header('Tong'), true);
+            report.bins.forEach(bin => row([bin.name.slice(0, 30), ...cells(bin)]));
+            row(['Semua tong', ...cells(report.totals)], true);
+            
+            heading(text.breakdown, 12);
+            report.bins.forEach(bin => {
+                heading(bin.name, 10);
+                row(header(this.periods[report.period].breakdown === 'hour' ? 'Jam' : 'Tanggal'), true);
+                bin.breakdown.forEach(slot => row([this.slotLabel(report, slot.key), ...cells(slot)]));
+            });
+            
+            pages.forEach((pageOps, i) => {
+                pageOps.push(`BT /F1 8 Tf ${page.margin} ${page.margin / 2} Td (${this.pdfText(`${report.title} - halaman ${i + 1} dari ${pages.length}`)}) Tj ET`);
+            });
+            
+            return this.pdfDocument(pages, page, report.title);
+        },
+        
+        // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then content and page per page
+        pdfDocument(pages, { width, height }, title) {
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                null,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                `<< /Title (${this.pdfText(title)}) /Producer (Tong Sampah ${this.pdfText(state.config.version)}) >>`
+            ];
+            const kids = [];
+            
+            pages.forEach(ops => {
+                const stream = ops.join('\n');
+                objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+                objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+                kids.push(`${objects.length} 0 R`);
+            });
+            objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+            
+            // Everything is ASCII, so string length is the byte offset
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((body, i) => {
+                const offset = pdf.length;
+                pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = pdf.length;
+            
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return pdf;
+        }
+    };
+    
+    // ===== BACKUP & RESTORE =====
+    // A backup is every storage key this app owns (settings, bins with their
+    // calibration and logs, alerts, ports, forecasts) as stored, plus the time
+    // series. The companion server's backup endpoint uses the same shape, so
+    // files move freely between dashboards and the server. Restoring either
+    // replaces everything or merges with local data winning, then reloads.
+    const Backup = {
+        format: 1,
+        // Storage keys that belong to this device and are never exported
+        localKeys: ['outbox'],
+        scheduleDefaults: {
+            enabled: true,
+            // Hours between automatic backups
+            interval: 24,
+            // Automatic backups kept on this device
+            keep: 7
+        },
+        // Time of the newest automatic backup, read once from the store
+        lastAutomatic: null,
+        running: false,
+        
+        getSchedule() {
+            return { ...this.scheduleDefaults, ...(state.db.settings.backup || {}) };
+        },
+        
+        setSchedule(changes = {}) {
+            const schedule = { ...this.getSchedule(), ...changes };
+            if (!(schedule.interval > 0) || !Number.isInteger(schedule.keep) || schedule.keep < 1) {
+                throw new Error('Jadwal backup tidak valid');
+            }
+            
+            state.db.settings.backup = schedule;
+            Storage.set('settings', state.db.settings);
+            return schedule;
+        },
+        
+        shortKey(key) {
+            return key.slice(state.config.storagePrefix.length);
+        },
+        
+        // Writes what only lives in memory so the backup sees it
+        flush() {
+            Storage.set('settings', state.db.settings);
+            Storage.set('logs', state.db.logs);
+            Fleet.save();
+            Forecast.save();
+            AlertManager.save();
+            PortRegistry.save();
+        },
+        
+        // Leaves this device without the MQTT password, webhook headers and
+        // server token unless options.secrets is set; local backups keep them
+        async create(now = Date.now(), { secrets = false } = {}) {
+            this.flush();
+            
+            const storage = {};
+            Storage.keys().forEach(key => {
+                if (!this.localKeys.includes(this.shortKey(key))) storage[key] = adapters.storage.getItem(key);
+            });
+            const series = await TimeSeries.dump();
+            
+            const backup = {
+                app: 'tongSampah',
+                format: this.format,
+                version: state.config.version,
+                createdAt: new Date(now).toISOString(),
+                storage,
+                readings: series.readings,
+                events: series.events,
+                rollups: series.rollups
+            };
+            return secrets ? backup : this.withoutSecrets(backup);
+        },
+        
+        // A copy without the passwords and tokens in the settings
+        withoutSecrets(backup) {
+            const key = `${state.config.storagePrefix}settings`;
+            if (!backup.storage[key]) return { ...backup, secrets: false };
+            
+            const settings = JSON.parse(backup.storage[key]);
+            const integrations = settings.integrations || {};
+            if (integrations.mqtt) integrations.mqtt.password = '';
+            (integrations.webhooks || []).forEach(hook => {
+                hook.headers = {};
+            });
+            if (settings.server) settings.server.token = '';
+            
+            return { ...backup, storage: { ...backup.storage, [key]: JSON.stringify(settings) }, secrets: false };
+        },
+        
+        // Secrets a stripped backup lacks come from this device, for the same
+        // broker, webhook and server only
+        keepSecrets(settings, local) {
+            const restored = settings.integrations || {};
+            const own = local.integrations || {};
+            
+            if (restored.mqtt && own.mqtt && restored.mqtt.url === own.mqtt.url && !restored.mqtt.password) {
+                restored.mqtt.password = own.mqtt.password;
+            }
+            (restored.webhooks || []).forEach(hook => {
+                const match = (own.webhooks || []).find(entry => entry.id === hook.id && entry.url === hook.url);
+                if (match && Object.keys(hook.headers || {}).length === 0) hook.headers = match.headers;
+            });
+            if (settings.server && local.server && settings.server.url === local.server.url && !settings.server.token) {
+                settings.server.token = local.server.token;
+            }
+            return settings;
+        },
+        
+        filename(backup) {
+            return `tongsampah_backup_${backup.createdAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '_')}.json`;
+        },
+        
+        // Throws with the reason; returns the parsed storage values, migrated to
+        // the current schema, and series. Server backups carry no format,
+        // events or rollups.
+        validate(backup) {
+            const fail = (reason) => {
+                throw new Error(`Berkas backup tidak valid: ${reason}`);
+            };
+            const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+            
+            if (!isObject(backup) || backup.app !== 'tongSampah') fail('bukan backup Tong Sampah');
+            
+            const format = backup.format ?? 1;
+            if (!Number.isInteger(format) || format < 1) fail('versi format tidak dikenal');
+            if (format > this.format) fail(`dibuat oleh versi aplikasi yang lebih baru (${backup.version || format})`);
+            if (!isObject(backup.storage)) fail('data penyimpanan tidak ada');
+            
+            const values = {};
+            for (const [key, text] of Object.entries(backup.storage)) {
+                if (!key.startsWith(state.config.storagePrefix)) fail(`kunci asing ${key}`);
+                if (typeof text !== 'string') fail(`isi ${key} bukan teks`);
+                try {
+                    values[this.shortKey(key)] = JSON.parse(text);
+                } catch (error) {
+                    fail(`isi ${key} bukan JSON`);
+                }
+            }
+            
+            if (values.settings !== undefined && !isObject(values.settings)) fail('pengaturan rusak');
+            
+            // Older backups are brought up to the current storage schema
+            const schema = values.schema ?? 0;
+            if (schema > Migrations.latest()) fail(`skema data ${schema} lebih baru dari aplikasi ini`);
+            try {
+                Migrations.migrate(values, schema);
+            } catch (error) {
+                fail(`tidak bisa diperbarui (${error.message})`);
+            }
+            
+            if (values.fleet !== undefined) {
+                const bins = isObject(values.fleet) && isObject(values.fleet.bins) ? Object.entries(values.fleet.bins) : null;
+                const valid = bins && bins.every(([id, bin]) => isObject(bin) && bin.id === id && isObject(bin.db));
+                if (!valid) fail('daftar tong rusak');
+            }
+            
+            const series = {};
+            for (const name of ['readings', 'events', 'rollups']) {
+                const records = backup[name] ?? [];
+                if (!Array.isArray(records)) fail(`${name} bukan daftar`);
+                
+                const valid = records.every(record => isObject(record) && typeof record.binId === 'string' && (name === 'rollups' ?
+                    TimeSeries.resolutions.includes(record.resolution) && Number.isFinite(record.bucket) :
+                    Number.isFinite(record.timestamp)));
+                if (!valid) fail(`ada ${name} yang rusak`);
+                series[name] = records;
+            }
+            
+            return {
+                format,
+                version: backup.version || null,
+                createdAt: backup.createdAt || null,
+                secrets: backup.secrets !== false,
+                values,
+                ...series
+            };
+        },
+        
+        // Local data wins; the backup fills in what is missing
+        merge(current, incoming) {
+            const merged = { ...incoming, ...current };
+            const byId = (local, other, order, limit) => {
+                const ids = new Set(local.map(entry => entry.id));
+                return [...local, ...other.filter(entry => !ids.has(entry.id))]
+                    .sort((a, b) => b[order] - a[order])
+                    .slice(0, limit);
+            };
+            
+            if (current.settings && incoming.settings) {
+                merged.settings = {
+                    ...incoming.settings,
+                    ...current.settings,
+                    // Per bin, so bins only the backup knows keep their calibration
+                    // and line settings
+                    calibration: { ...incoming.settings.calibration, ...current.settings.calibration },
+                    serialProfiles: { ...incoming.settings.serialProfiles, ...current.settings.serialProfiles }
+                };
+            }
+            if (current.fleet && incoming.fleet) {
+                merged.fleet = { ...current.fleet, bins: { ...incoming.fleet.bins, ...current.fleet.bins } };
+            }
+            if (current.logs && incoming.logs) {
+                merged.logs = byId(current.logs, incoming.logs, 'timestamp', Logger.maxLogs);
+            }
+            if (current.ports && incoming.ports) {
+                merged.ports = { ...incoming.ports, ...current.ports };
+            }
+            if (current.forecasts && incoming.forecasts) {
+                merged.forecasts = { ...incoming.forecasts, ...current.forecasts };
+            }
+            if (current.alerts && incoming.alerts) {
+                merged.alerts = {
+                    history: byId(current.alerts.history || [], incoming.alerts.history || [], 'raisedAt', AlertManager.maxHistory),
+                    snoozes: { ...incoming.alerts.snoozes, ...current.alerts.snoozes },
+                    lastRaised: { ...incoming.alerts.lastRaised, ...current.alerts.lastRaised }
+                };
+            }
+            return merged;
+        },
+        
+        // mode 'replace' drops everything not in the backup, 'merge' keeps local
+        // data. Storage stays frozen until the reload (or initCore()) loads it.
+        async restore(backup, { mode = 'merge', reload = true } = {}) {
+            if (!['merge', 'replace'].includes(mode)) throw new Error(`Mode pemulihan tidak dikenal: ${mode}`);
+            const data = this.validate(backup);
+            
+            await SerialManager.disconnectAll();
+            UI.stopTimers();
+            this.flush();
+            
+            // From here to the freeze nothing awaits, so no other code can save in between
+            const current = {};
+            Storage.keys().forEach(key => {
+                const name = this.shortKey(key);
+                if (!this.localKeys.includes(name)) current[name] = Storage.get(name);
+            });
+            const values = mode === 'replace' ? data.values : this.merge(current, data.values);
+            if (!data.secrets && values.settings && current.settings) this.keepSecrets(values.settings, current.settings);
+            const binIds = new Set([
+                ...Object.keys((current.fleet || {}).bins || {}),
+                ...Object.keys((data.values.fleet || {}).bins || {})
+            ]);
+            
+            if (mode === 'replace') {
+                Object.keys(current).forEach(name => Storage.remove(name));
+            }
+            Object.entries(values).forEach(([name, value]) => {
+                if (!this.localKeys.includes(name)) Storage.set(name, value);
+            });
+            // The running app still holds the old settings, logs and fleet;
+            // initCore() (the reload) thaws storage with the restored ones
+            Storage.frozen = true;
+            
+            if (mode === 'replace') {
+                for (const binId of binIds) await TimeSeries.clear(binId);
+            }
+            const added = await TimeSeries.load(data);
+            // Merged readings may land in buckets that already had a rollup
+            if (mode === 'merge' && added.readings > 0) {
+                const touched = new Set(data.readings.map(reading => reading.binId));
+                for (const binId of touched) await TimeSeries.rebuild(binId);
+            }
+            
+            if (reload && adapters.window.location) {
+                setTimeout(() => adapters.window.location.reload(), 1500);
+            }
+            return { mode, keys: Object.keys(values).length, bins: binIds.size, ...added };
+        },
+        
+        // ===== LOCAL BACKUPS =====
+        // Kept in the time series database, localStorage is too small for history
+        async saveLocal(kind = 'manual', now = Date.now()) {
+            const backup = await this.create(now, { secrets: true });
+            const entry = {
+                id: now,
+                kind,
+                createdAt: backup.createdAt,
+                version: backup.version,
+                bins: Fleet.list().length,
+                readings: backup.readings.length,
+                backup
+            };
+            
+            await TimeSeries.putBackup(entry);
+            return entry;
+        },
+        
+        // Newest first, without the backup itself
+        async listLocal() {
+            const entries = await TimeSeries.listBackups();
+            return entries.reverse().map(({ backup, ...entry }) => entry);
+        },
+        
+        async getLocal(id) {
+            const entry = await TimeSeries.getBackup(id);
+            if (!entry) throw new Error('Backup lokal tidak ditemukan');
+            return entry.backup;
+        },
+        
+        deleteLocal(id) {
+            return TimeSeries.deleteBackup(id);
+        },
+        
+        // Drops the oldest automatic backups beyond keep; manual ones stay
+        async prune(keep = this.getSchedule().keep) {
+            const automatic = (await this.listLocal()).filter(entry => entry.kind === 'auto');
+            const expired = automatic.slice(keep);
+            for (const entry of expired) await this.deleteLocal(entry.id);
+            return expired.length;
+        },
+        
+        // Called every minute by the UI scheduler; returns the new entry, if any
+        async runScheduled(now = Date.now()) {
+            const schedule = this.getSchedule();
+            if (!schedule.enabled || this.running) return null;
+            
+            this.running = true;
+            try {
+                if (this.lastAutomatic === null) {
+                    const latest = (await this.listLocal()).find(entry => entry.kind === 'auto');
+                    this.lastAutomatic = latest ? latest.id : 0;
+                }
+                if (now - this.lastAutomatic < schedule.interval * 60 * 60 * 1000) return null;
+                
+                const entry = await this.saveLocal('auto', now);
+                this.lastAutomatic = now;
+                await this.prune(schedule.keep);
+                Logger.log(`Backup otomatis disimpan (${entry.readings} pembacaan)`, 'info');
+                return entry;
+            } catch (error) {
+                Logger.log(`Backup otomatis gagal: ${error.message}`, 'error');
+                return null;
+            } finally {
+                this.running = false;
+            }
+        }
+    };
+    
+    // ===== PORT REGISTRY =====
+    // Web Serial exposes no serial numbers, so a USB vendor/product id only
+    // tells the board model: two identical boards share it. The port a bin
+    // last used and the name given to it are therefore kept per bin, under
+    // the 'ports' storage key.
+    const PortRegistry = {
+        boards: {
+            '2341:0043': 'Arduino Uno R3',
+            '2341:0001': 'Arduino Uno',
+            '2341:0243': 'Arduino Uno R3',
+            '2341:0069': 'Arduino Uno R4 Minima',
+            '2341:1002': 'Arduino Uno R4 WiFi',
+            '2341:0042': 'Arduino Mega 2560 R3',
+            '2341:0010': 'Arduino Mega 2560',
+            '2341:8036': 'Arduino Leonardo',
+            '2341:8037': 'Arduino Micro',
+            '2341:0058': 'Arduino Nano Every',
+            '2a03:0043': 'Arduino Uno (arduino.org)',
+            '0403:6001': 'Arduino Nano (FTDI FT232R)',
+            '1a86:7523': 'Clone Uno/Nano (CH340)',
+            '1a86:55d4': 'ESP32 (CH9102)',
+            '10c4:ea60': 'ESP32 (CP210x)',
+            '303a:1001': 'ESP32-S3/C3 (USB native)'
+        },
+        
+        vendors: {
+            '2341': 'Arduino',
+            '2a03': 'Arduino',
+            '0403': 'FTDI',
+            '1a86': 'CH340 clone',
+            '10c4': 'Silicon Labs CP210x',
+            '303a': 'Espressif ESP32'
+        },
+        
+        hex(id) {
+            return id.toString(16).padStart(4, '0');
+        },
+        
+        keyOf(info = {}) {
+            if (info.simulatorId !== undefined) return `sim:${info.simulatorId}`;
+            if (info.bridge !== undefined) return `bridge:${info.bridge}`;
+            if (info.usbVendorId === undefined) return 'unknown';
+            return `${this.hex(info.usbVendorId)}:${this.hex(info.usbProductId || 0)}`;
+        },
+        
+        describe(info = {}) {
+            const key = this.keyOf(info);
+            if (key === 'unknown') return 'Port serial';
+            if (key.startsWith('sim:')) return `Simulator #${info.simulatorId}`;
+            if (key.startsWith('bridge:')) return `Bridge ${info.bridge}`;
+            
+            const vendor = key.split(':')[0];
+            if (this.boards[key]) return this.boards[key];
+            if (this.vendors[vendor]) return `${this.vendors[vendor]} (${key})`;
+            return `USB ${key}`;
+        },
+        
+        load() {
+            state.ports = Storage.get('ports', {});
+            return state.ports;
+        },
+        
+        save() {
+            return Storage.set('ports', state.ports);
+        },
+        
+        get(binId) {
+            return state.ports[binId] || null;
+        },
+        
+        // Record the port that now serves a bin; other bins keep theirs
+        remember(port, binId) {
+            const info = port.getInfo();
+            const key = this.keyOf(info);
+            const previous = state.ports[binId];
+            
+            state.ports[binId] = {
+                name: null,
+                firstSeen: Date.now(),
+                // A name belongs to the board it was given to
+                ...(previous && previous.key === key ? previous : {}),
+                binId,
+                key,
+                usbVendorId: info.usbVendorId,
+                usbProductId: info.usbProductId,
+                board: this.describe(info),
+                lastSeen: Date.now()
+            };
+            this.save();
+            return state.ports[binId];
+        },
+        
+        forget(binId) {
+            if (!state.ports[binId]) return;
+            delete state.ports[binId];
+            this.save();
+        },
+        
+        rename(binId, name) {
+            const entry = this.get(binId);
+            if (!entry) return false;
+            
+            entry.name = name ? name.trim() : null;
+            this.save();
+            return true;
+        },
+        
+        // The bin's name for the port first, then the board name
+        getLabel(binId, info = {}) {
+            const entry = this.get(binId);
+            if (!entry || entry.key !== this.keyOf(info)) return this.describe(info);
+            return entry.name ? `${entry.name} · ${entry.board}` : entry.board;
+        }
+    };
+    
+    // ===== DEVICE SIMULATOR =====
+    // A virtual bin that behaves like a Web Serial port (open/close/getInfo,
+    // readable/writable byte streams), so SerialManager, LineTransport and
+    // DataProcessor run exactly as they do with real hardware.
+    const DeviceSimulator = {
+        defaults: {
+            format: 'csv',          // 'csv' | 'keyValue' | 'sketch'
+            framed: false,          // wrap lines as #seq:payload*checksum
+            checksum: 'xor',        // 'xor' | 'crc16'
+            interval: 1000,         // ms between readings, 0 = only on tick()
+            depth: 50,              // cm from sensor to the bottom of an empty bin
+            startCapacity: 10,
+            fillRate: 2,            // % per minute
+            lidEventRate: 0.05,     // chance per reading that someone opens the lid
+            lidOpenTime: 8000,
+            noise: 1,               // ± cm on every distance reading
+            spikeRate: 0,           // chance of a 0 cm or out-of-range echo
+            dropoutRate: 0,         // chance a line never arrives
+            corruptRate: 0,         // chance a line arrives with a flipped character
+            splitRate: 0,           // chance a line arrives in two chunks
+            ackCommands: true,
+            random: Math.random
+        },
+        
+        nextId: 1,
+        
+        createPort(options = {}) {
+            const config = { ...this.defaults, ...options };
+            const encoder = new TextEncoder();
+            const decoder = new TextDecoder();
+            const simulatorId = this.nextId++;
+            
+            let controller = null;
+            let timer = null;
+            let commandBuffer = '';
+            
+            const device = {
+                config,
+                plugged: true,
+                isOpen: false,
+                sequence: 0,
+                sent: [],
+                received: [],
+                capacity: config.startCapacity,
+                status: "TUTUP",
+                openedAt: 0,
+                dailyUsage: 0,
+                totalUsage: 0,
+                lastTick: Date.now(),
+                
+                setOptions(changes) {
+                    Object.assign(config, changes);
+                },
+                
+                // Advance the simulated bin and emit one reading
+                tick(elapsed = Date.now() - device.lastTick) {
+                    device.lastTick = Date.now();
+                    device.capacity = Math.min(100, device.capacity + config.fillRate * elapsed / 60000);
+                    
+                    if (device.status === "BUKA" && Date.now() - device.openedAt >= config.lidOpenTime) {
+                        device.closeLid();
+                    } else if (device.status === "TUTUP" && config.random() < config.lidEventRate) {
+                        device.openLid();
+                    }
+                    
+                    device.report();
+                },
+                
+                openLid() {
+                    if (device.status === "BUKA") return;
+                    device.status = "BUKA";
+                    device.openedAt = Date.now();
+                    device.dailyUsage++;
+                    device.totalUsage++;
+                },
+                
+                closeLid() {
+                    device.status = "TUTUP";
+                },
+                
+                empty() {
+                    device.capacity = 0;
+                },
+                
+                distance() {
+                    if (config.random() < config.spikeRate) {
+                        return config.random() < 0.5 ? 0 : 400;
+                    }
+                    
+                    const level = config.depth * (1 - device.capacity / 100);
+                    const noise = (config.random() * 2 - 1) * config.noise;
+                    return Math.max(0, Math.round(level + noise));
+                },
+                
+                // Current state in the configured line format
+                report() {
+                    const capacity = Math.round(device.capacity);
+                    
+                    switch (config.format) {
+                        case 'keyValue':
+                            device.emit(`STATUS:${device.status}`);
+                            device.emit(`DISTANCE:${device.distance()}`);
+                            device.emit(`USAGE:${device.dailyUsage}`);
+                            break;
+                            
+                        case 'sketch': {
+                            // The shipped sketch measures a hand at <= 20 cm while opening
+                            const distance = device.status === "BUKA" && Date.now() - device.openedAt < 1000 ?
+                                Math.round(5 + config.random() * 10) : device.distance();
+                            device.emit(`Jarak: ${distance} cm`);
+                            break;
+                        }
+                            
+                        default:
+                            device.emit(`${device.status},${capacity},${device.distance()},${device.dailyUsage},${device.totalUsage}`);
+                    }
+                },
+                
+                emit(payload) {
+                    let line = config.framed ?
+                        LineTransport.frame(payload, device.sequence++, config.checksum) : payload;
+                    
+                    if (!device.isOpen || !controller) return;
+                    if (config.random() < config.dropoutRate) return;
+                    
+                    if (config.random() < config.corruptRate) {
+                        const index = Math.floor(config.random() * line.length);
+                        line = line.slice(0, index) + String.fromCharCode(line.charCodeAt(index) ^ 0x04) + line.slice(index + 1);
+                    }
+                    
+                    device.sent.push(line);
+                    const bytes = encoder.encode(line + '\r\n');
+                    
+                    if (config.random() < config.splitRate) {
+                        const cut = 1 + Math.floor(config.random() * (bytes.length - 1));
+                        controller.enqueue(bytes.slice(0, cut));
+                        controller.enqueue(bytes.slice(cut));
+                    } else {
+                        controller.enqueue(bytes);
+                    }
+                },
+                
+                handleCommand(line) {
+                    device.received.push(line);
+                    const [command] = line.split('@');
+                    
+                    switch (command) {
+                        case 'BUKA':
+                            device.openLid();
+                            break;
+                        case 'TUTUP':
+                            device.closeLid();
+                            break;
+                        case 'STATUS':
+                            break;
+                        default:
+                            if (config.ackCommands) device.emit(`NAK:${line}`);
+                            return;
+                    }
+                    
+                    if (config.ackCommands) device.emit(`CMD_RECEIVED:${line}`);
+                    device.report();
+                },
+                
+                // Simulate pulling the USB cable
+                unplug() {
+                    device.plugged = false;
+                    device.stopTimer();
+                    if (controller) controller.error(Object.assign(new Error('Perangkat simulasi dicabut'), { name: 'NetworkError' }));
+                    controller = null;
+                    device.isOpen = false;
+                },
+                
+                replug() {
+                    device.plugged = true;
+                },
+                
+                startTimer() {
+                    if (config.interval > 0) {
+                        timer = setInterval(() => device.tick(), config.interval);
+                    }
+                },
+                
+                stopTimer() {
+                    clearInterval(timer);
+                    timer = null;
+                }
+            };
+            
+            const port = {
+                isVirtual: true,
+                device,
+                readable: null,
+                writable: null,
+                
+                getInfo() {
+                    return { simulatorId };
+                },
+                
+                async open({ baudRate } = {}) {
+                    if (!device.plugged) {
+                        throw Object.assign(new Error('Perangkat simulasi tidak terpasang'), { name: 'NetworkError' });
+                    }
+                    if (device.isOpen) {
+                        throw Object.assign(new Error('Port simulasi sudah terbuka'), { name: 'InvalidStateError' });
+                    }
+                    
+                    device.baudRate = baudRate;
+                    port.readable = new ReadableStream({
+                        start(streamController) {
+                            controller = streamController;
+                        },
+                        cancel() {
+                            controller = null;
+                        }
+                    });
+                    port.writable = new WritableStream({
+                        write(chunk) {
+                            commandBuffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk);
+                            const lines = commandBuffer.split('\n');
+                            commandBuffer = lines.pop();
+                            lines.map(line => line.trim()).filter(Boolean).forEach(device.handleCommand);
+                        }
+                    });
+                    
+                    device.isOpen = true;
+                    device.lastTick = Date.now();
+                    if (config.format !== 'sketch') device.emit('SYSTEM_READY');
+                    device.startTimer();
+                },
+                
+                async close() {
+                    device.stopTimer();
+                    device.isOpen = false;
+                    controller = null;
+                }
+            };
+            
+            return port;
+        }
+    };
     
-    // ===== HISTORY MANAGER =====
-    const HistoryManager = {
-        maxHistorySize: 1000,
+    // ===== REMOTE BRIDGE =====
+    // Port for an Arduino plugged into another machine that runs bridge.js.
+    // The bridge reads the serial device, checks every line with the same
+    // LineTransport framing rules and forwards it over WebSocket; this side
+    // looks like a Web Serial port, so SerialManager parses the lines as for
+    // a local board, needs no browser serial support and reconnects the usual
+    // way when the bridge goes away.
+    const RemoteBridge = {
+        defaultUrl: 'ws://localhost:8081',
+        openTimeout: 5000,
         
-        addToHistory(capacity) {
-            const timestamp = Date.now();
-            const entry = { timestamp, capacity };
-            
-            // Add to daily history
-            state.db.usageHistory.daily.push(entry);
+        normalizeUrl(url) {
+            const text = String(url || '').trim();
+            let parsed = null;
+            try {
+                parsed = new URL(text);
+            } catch (error) {
+                parsed = null;
+            }
             
-            // Trim history if too large
-            if (state.db.usageHistory.daily.length > this.maxHistorySize) {
-                state.db.usageHistory.daily = state.db.usageHistory.daily.slice(-500);
+            if (!parsed || !['ws:', 'wss:'].includes(parsed.protocol)) {
+                throw new Error(`URL bridge tidak valid: ${text || '(kosong)'}`);
             }
+            return parsed.href;
+        },
+        
+        createPort(url) {
+            const encoder = new TextEncoder();
+            const decoder = new TextDecoder();
             
-            // Aggregate weekly/monthly
-            this.aggregateHistory(timestamp, capacity);
+            let socket = null;
+            let controller = null;
+            let commandBuffer = '';
+            
+            const networkError = (message) => Object.assign(new Error(message), { name: 'NetworkError' });
+            
+            const closeSocket = () => {
+                if (!socket) return;
+                const current = socket;
+                socket = null;
+                current.onclose = null;
+                current.onmessage = null;
+                try {
+                    current.close();
+                } catch (error) {
+                    // Already closed
+                }
+            };
+            
+            // The bridge lost its device, or we lost the bridge: the reader
+            // rejects and SerialManager starts reconnecting
+            const lost = (message) => {
+                if (controller) controller.error(networkError(message));
+                controller = null;
+                closeSocket();
+            };
+            
+            const port = {
+                isBridge: true,
+                url,
+                // The bridge's hello: device path, baud rate
+                device: null,
+                readable: null,
+                writable: null,
+                
+                getInfo() {
+                    return { bridge: url };
+                },
+                
+                open() {
+                    if (!adapters.WebSocket) return Promise.reject(new Error('WebSocket tidak tersedia'));
+                    if (socket) {
+                        return Promise.reject(Object.assign(new Error('Bridge sudah terbuka'), { name: 'InvalidStateError' }));
+                    }
+                    
+                    return new Promise((resolve, reject) => {
+                        const current = new adapters.WebSocket(url);
+                        let opened = false;
+                        socket = current;
+                        
+                        const fail = (message) => {
+                            clearTimeout(timer);
+                            if (socket === current) closeSocket();
+                            reject(networkError(message));
+                        };
+                        const timer = setTimeout(() => fail('Bridge tidak menjawab'), RemoteBridge.openTimeout);
+                        
+                        current.onmessage = (event) => {
+                            let message = null;
+                            try {
+                                message = JSON.parse(event.data);
+                            } catch (error) {
+                                return;
+                            }
+                            
+                            if (opened) {
+                                RemoteBridge.handleMessage(message, controller, encoder, lost);
+                                return;
+                            }
+                            if (message.type !== 'hello') return;
+                            
+                            if (!message.connected) {
+                                fail(`Bridge: ${message.error || 'perangkat serial tidak terhubung'}`);
+                                return;
+                            }
+                            
+                            clearTimeout(timer);
+                            opened = true;
+                            port.device = { path: message.device, baudRate: message.baudRate };
+                            port.readable = new ReadableStream({
+                                start(streamController) {
+                                    controller = streamController;
+                                },
+                                cancel() {
+                                    controller = null;
+                                }
+                            });
+                            port.writable = new WritableStream({
+                                write(chunk) {
+                                    if (!socket) throw networkError('Bridge tidak terhubung');
+                                    
+                                    commandBuffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk);
+                                    const lines = commandBuffer.split('\n');
+                                    commandBuffer = lines.pop();
+                                    lines.map(line => line.trim()).filter(Boolean).forEach(line => {
+                                        socket.send(JSON.stringify({ type: 'command', line }));
+                                    });
+                                }
+                            });
+                            resolve();
+                        };
+                        
+                        current.onclose = () => {
+                            if (opened) lost('Koneksi ke bridge terputus');
+                            else fail('Bridge tidak dapat dihubungi');
+                        };
+                        current.onerror = () => {};
+                    });
+                },
+                
+                async close() {
+                    controller = null;
+                    commandBuffer = '';
+                    closeSocket();
+                }
+            };
             
-            // Auto-save every 10 entries
-            if (state.db.usageHistory.daily.length % 10 === 0) {
-                Storage.set('history', state.db.usageHistory);
+            return port;
+        },
+        
+        handleMessage(message, controller, encoder, lost) {
+            switch (message.type) {
+                case 'line':
+                    if (controller && typeof message.line === 'string') {
+                        controller.enqueue(encoder.encode(message.line + '\n'));
+                    }
+                    break;
+                    
+                case 'status':
+                    if (!message.connected) {
+                        lost(`Bridge: ${message.error || 'perangkat serial terputus'}`);
+                    }
+                    break;
             }
+        }
+    };
+    
+    // ===== SERIAL MANAGER =====
+    const SerialManager = {
+        reconnectDefaults: {
+            enabled: true,
+            baseDelay: 1000,
+            maxDelay: 60000,
+            // 0 = keep trying until the user disconnects
+            maxAttempts: 0
         },
         
-        aggregateHistory(timestamp, capacity) {
-            const date = new Date(timestamp);
-            const weekKey = `${date.getFullYear()}-W${Math.ceil(date.getDate() / 7)}`;
-            const monthKey = `${date.getFullYear()}-${date.getMonth() + 1}`;
+        init() {
+            // Bridged bins reconnect even where the browser has no Web Serial
+            if (this.checkSupport()) {
+                adapters.serial.addEventListener('connect', (e) => this.handlePortConnected(e.target));
+                adapters.serial.addEventListener('disconnect', (e) => this.handlePortDisconnected(e.target));
+            }
             
-            // Weekly aggregation
-            if (!state.db.usageHistory.weekly[weekKey]) {
-                state.db.usageHistory.weekly[weekKey] = {
-                    total: 0,
-                    count: 0,
-                    max: 0,
-                    min: 100,
-                    timestamps: []
-                };
+            if (this.getReconnectSettings().enabled) {
+                this.restoreConnections();
+            }
+        },
+        
+        getReconnectSettings() {
+            return { ...this.reconnectDefaults, ...(state.db.settings.reconnect || {}) };
+        },
+        
+        getConnection(binId = state.fleet.selectedId) {
+            return state.serial.connections[binId] || null;
+        },
+        
+        isConnected(binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            return !!(connection && connection.isConnected);
+        },
+        
+        isReconnecting(binId = null) {
+            if (binId) {
+                const connection = this.getConnection(binId);
+                return !!(connection && connection.isReconnecting);
             }
+            return Object.values(state.serial.connections).some(connection => connection.isReconnecting);
+        },
+        
+        getStatus(binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            if (!connection) return 'disconnected';
+            if (connection.isConnected) return 'connected';
+            if (connection.isReconnecting) return 'reconnecting';
+            return connection.isConnecting ? 'connecting' : 'disconnected';
+        },
+        
+        // options.lineFormat / options.baudRate override the bin's own for
+        // this connection only
+        createConnection(binId, options = {}) {
+            const profile = this.getSerialProfile(binId);
+            return {
+                binId,
+                port: null,
+                reader: null,
+                writer: null,
+                readableClosed: null,
+                writableClosed: null,
+                isConnected: false,
+                isConnecting: false,
+                isClosing: false,
+                isReconnecting: false,
+                reconnectAttempt: 0,
+                reconnectTimer: null,
+                nextRetryAt: null,
+                baudRate: options.baudRate || profile.baudRate,
+                lineFormat: options.lineFormat || profile.lineFormat,
+                formatState: {},
+                detectedFormat: null,
+                transport: LineTransport.create(state.db.settings.framing || 'auto'),
+                commandSeq: 0,
+                pendingCommands: []
+            };
+        },
+        
+        // options.port: open this port; options.bridge: a bridge.js WebSocket URL;
+        // options.choosePort: always show the picker. Otherwise a previously
+        // granted port matching the bin is reused and the picker only appears
+        // when there is none. options.lineFormat and options.baudRate as in
+        // createConnection().
+        async connect(binId = state.fleet.selectedId, options = {}) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return false;
             
-            const week = state.db.usageHistory.weekly[weekKey];
-            week.total += capacity;
-            week.count++;
-            week.max = Math.max(week.max, capacity);
-            week.min = Math.min(week.min, capacity);
-            week.timestamps.push(timestamp);
-            
-            // Monthly aggregation
-            if (!state.db.usageHistory.monthly[monthKey]) {
-                state.db.usageHistory.monthly[monthKey] = {
-                    total: 0,
-                    count: 0,
-                    max: 0,
-                    min: 100,
-                    timestamps: []
-                };
+            const existing = this.getConnection(binId);
+            if (existing && (existing.isConnecting || existing.isConnected || existing.isReconnecting)) return false;
+            
+            // Check browser support (an explicit port, e.g. the simulator, or a bridge needs none)
+            if (!options.port && !options.bridge && !this.checkSupport()) {
+                UI.showNotification('Browser tidak mendukung Web Serial API', 'error');
+                return false;
             }
             
-            const month = state.db.usageHistory.monthly[monthKey];
-            month.total += capacity;
-            month.count++;
-            month.max = Math.max(month.max, capacity);
-            month.min = Math.min(month.min, capacity);
-            month.timestamps.push(timestamp);
+            const connection = this.createConnection(binId, options);
+            state.serial.connections[binId] = connection;
             
-            // Clean up old data (keep 12 months)
-            const months = Object.keys(state.db.usageHistory.monthly);
-            if (months.length > 12) {
-                const oldMonths = months.slice(0, -12);
-                oldMonths.forEach(m => delete state.db.usageHistory.monthly[m]);
+            connection.isConnecting = true;
+            UI.scheduleUpdate('connection');
+            Logger.log(`Memulai koneksi Arduino untuk ${bin.name}...`, 'info', null, binId);
+            
+            try {
+                let port = options.port || null;
+                
+                if (!port && options.bridge) {
+                    port = RemoteBridge.createPort(RemoteBridge.normalizeUrl(options.bridge));
+                }
+                
+                if (!port && !options.choosePort) {
+                    port = await this.findGrantedPort(bin);
+                }
+                
+                // Request port
+                if (!port) {
+                    port = await adapters.serial.requestPort();
+                }
+                
+                await this.openPort(connection, port);
+                
+                UI.showNotification(`${bin.name} terhubung (${connection.baudRate} baud)`, 'success');
+                Logger.log(`Arduino terhubung di ${connection.baudRate} baud`, 'success', null, binId);
+                
+                return true;
+                
+            } catch (error) {
+                return this.handleConnectionError(error, connection);
             }
         },
         
-        getStats(period = 'daily') {
-            const data = state.db.usageHistory[period];
-            if (!data || data.length === 0) return null;
+        async openPort(connection, port) {
+            if (this.findByPort(port, connection.binId)) {
+                throw Object.assign(new Error('Port sudah dipakai tong lain'), { name: 'InvalidStateError' });
+            }
             
-            const values = data.map(d => d.capacity);
+            // Open with baud rate
+            connection.port = port;
+            await port.open({ baudRate: connection.baudRate });
+            
+            // Setup streams; the pipes reject when the device vanishes, which
+            // the reader/writer already report
+            const textEncoder = new TextEncoderStream();
+            connection.writableClosed = textEncoder.readable.pipeTo(port.writable).catch(() => {});
+            connection.writer = textEncoder.writable.getWriter();
+            
+            const textDecoder = new TextDecoderStream();
+            connection.readableClosed = port.readable.pipeTo(textDecoder.writable).catch(() => {});
+            connection.reader = textDecoder.readable.getReader();
+            
+            // Update state; a half-received line from before a reconnect is stale
+            connection.isConnected = true;
+            connection.isConnecting = false;
+            connection.isClosing = false;
+            connection.isReconnecting = false;
+            connection.reconnectAttempt = 0;
+            connection.nextRetryAt = null;
+            connection.transport.buffer = '';
+            connection.formatState = {};
+            connection.detectedFormat = null;
+            
+            if (!port.isVirtual) this.rememberPort(connection.binId, port);
+            AlertManager.connectionRestored(connection.binId);
+            UI.scheduleUpdate('all');
+            
+            // Start reading
+            this.startReading(connection);
+            
+            // Initial status request
+            setTimeout(() => UI.sendCommand('STATUS', connection.binId), 500);
+        },
+        
+        // Two port objects for the same bridge URL are the same device
+        findByPort(port, exceptBinId = null) {
+            return Object.values(state.serial.connections).find(connection =>
+                connection.binId !== exceptBinId && connection.port &&
+                (connection.port === port || (port.isBridge && connection.port.url === port.url)) &&
+                (connection.isConnected || connection.isConnecting)
+            ) || null;
+        },
+        
+        // ===== PER-BIN LINE SETTINGS =====
+        // binId -> { lineFormat, baudRate }; what a bin leaves out comes from
+        // settings.lineFormat and settings.connectionBaud
+        getSerialProfiles() {
+            const settings = state.db.settings;
+            if (!settings.serialProfiles) settings.serialProfiles = {};
+            return settings.serialProfiles;
+        },
+        
+        getSerialProfile(binId = state.fleet.selectedId) {
+            const settings = state.db.settings;
             return {
-                average: values.reduce((a, b) => a + b, 0) / values.length,
-                max: Math.max(...values),
-                min: Math.min(...values),
-                last: values[values.length - 1],
-                count: values.length
+                lineFormat: settings.lineFormat || 'auto',
+                baudRate: settings.connectionBaud || 9600,
+                ...(this.getSerialProfiles()[binId] || {})
             };
-        }
-    };
-    
-    // ===== LOGGER =====
-    const Logger = {
-        maxLogs: 500,
-        logTypes: {
-            info: { icon: 'info-circle', color: '#2196F3' },
-            success: { icon: 'check-circle', color: '#4CAF50' },
-            warning: { icon: 'exclamation-triangle', color: '#FF9800' },
-            error: { icon: 'times-circle', color: '#F44336' },
-            arduino: { icon: 'microchip', color: '#9C27B0' }
         },
         
-        log(message, type = 'info', data = null) {
-            const logEntry = {
-                id: Utils.generateId('log'),
-                timestamp: Date.now(),
-                message,
-                type,
-                data
+        setSerialProfile(binId, changes) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) throw new Error(`Tong tidak ditemukan: ${binId}`);
+            
+            const profiles = this.getSerialProfiles();
+            profiles[binId] = { ...profiles[binId], ...changes };
+            Storage.set('settings', state.db.settings);
+            return this.getSerialProfile(binId);
+        },
+        
+        // Applies to the bin's next connection; returns the baud rate it will use
+        setLineFormat(id, binId = state.fleet.selectedId) {
+            const format = DataProcessor.formats[id];
+            if (id !== 'auto' && !format) throw new Error(`Format serial tidak dikenal: ${id}`);
+            
+            const changes = { lineFormat: id };
+            if (format && format.baudRate) changes.baudRate = format.baudRate;
+            const profile = this.setSerialProfile(binId, changes);
+            Logger.log(`Format data serial: ${id} (${profile.baudRate} baud)`, 'info', null, binId);
+            return profile.baudRate;
+        },
+        
+        setBaudRate(baudRate, binId = state.fleet.selectedId) {
+            if (!Number.isInteger(baudRate) || baudRate <= 0) throw new Error(`Baud rate tidak valid: ${baudRate}`);
+            return this.setSerialProfile(binId, { baudRate }).baudRate;
+        },
+        
+        // ===== REMEMBERED PORTS =====
+        rememberPort(binId, port) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return;
+            
+            PortRegistry.remember(port, binId);
+            const info = port.getInfo();
+            
+            bin.port = port.isBridge ? { bridge: info.bridge, lastConnected: Date.now() } : {
+                usbVendorId: info.usbVendorId,
+                usbProductId: info.usbProductId,
+                lastConnected: Date.now()
             };
+            Fleet.save();
+        },
+        
+        getPortLabel(binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            if (!connection || !connection.port) return '-';
+            return PortRegistry.getLabel(binId, connection.port.getInfo());
+        },
+        
+        // Names the port of this bin only, not every board of the same model
+        renamePort(name, binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin || !bin.port) return false;
             
-            // Add to logs array
-            state.db.logs.unshift(logEntry);
+            const renamed = PortRegistry.rename(binId, name);
+            if (renamed) {
+                Logger.log(`Port dinamai: ${PortRegistry.getLabel(binId, bin.port)}`, 'info', null, binId);
+                UI.scheduleUpdate('connection');
+            }
+            return renamed;
+        },
+        
+        matchesPort(port, info) {
+            if (!info || info.bridge) return false;
             
-            // Trim logs if too large
-            if (state.db.logs.length > this.maxLogs) {
-                state.db.logs = state.db.logs.slice(0, this.maxLogs);
+            const current = port.getInfo();
+            return current.usbVendorId === info.usbVendorId && current.usbProductId === info.usbProductId;
+        },
+        
+        // Ports this origin was already granted (no picker needed) that fit the bin
+        async findGrantedPorts(bin, preferred = null) {
+            // Virtual and bridge ports are never listed by getPorts()
+            if (preferred && (preferred.isVirtual || preferred.isBridge)) return [preferred];
+            if (bin.port && bin.port.bridge) {
+                const port = RemoteBridge.createPort(bin.port.bridge);
+                return this.findByPort(port, bin.id) ? [] : [port];
             }
+            if (!this.checkSupport()) return [];
             
-            // Auto-save logs
-            if (state.db.logs.length % 20 === 0) {
-                Storage.set('logs', state.db.logs);
+            const ports = await adapters.serial.getPorts();
+            const free = ports.filter(port => !this.findByPort(port, bin.id));
+            
+            if (preferred && free.includes(preferred)) return [preferred];
+            return free.filter(port => this.matchesPort(port, bin.port));
+        },
+        
+        // Several free boards of the same model cannot be told apart, so then
+        // there is no match and the user picks the port
+        async findGrantedPort(bin, preferred = null) {
+            const ports = await this.findGrantedPorts(bin, preferred);
+            return ports.length === 1 ? ports[0] : null;
+        },
+        
+        async restoreConnections() {
+            const ambiguous = [];
+            
+            for (const bin of Fleet.list()) {
+                if (!bin.port || this.getConnection(bin.id)) continue;
+                
+                const ports = await this.findGrantedPorts(bin);
+                if (ports.length === 1) await this.connect(bin.id, { port: ports[0] });
+                else if (ports.length > 1) ambiguous.push(bin);
             }
             
-            // Update UI if needed
-            if (UI.isInitialized) {
-                UI.updateLogEntry(logEntry);
+            ambiguous.forEach(bin => {
+                Logger.log(`Beberapa port ${PortRegistry.describe(bin.port)} cocok, pilih port secara manual`, 'warning', null, bin.id);
+            });
+            if (ambiguous.length) {
+                UI.showNotification(`Pilih port untuk ${Utils.escapeHtml(ambiguous.map(bin => bin.name).join(', '))} lewat tombol Hubungkan`, 'warning');
             }
+        },
+        
+        // ===== RECONNECTION =====
+        handlePortConnected(port) {
+            const waiting = Object.values(state.serial.connections).find(connection =>
+                connection.isReconnecting &&
+                (connection.port === port || this.matchesPort(port, (Fleet.getBin(connection.binId) || {}).port))
+            );
             
-            // Console output in development
-            if (state.config.debug) {
-                console.log(`[${type.toUpperCase()}] ${message}`, data || '');
+            if (waiting) {
+                Logger.log('Perangkat serial terdeteksi kembali', 'info', null, waiting.binId);
+                this.attemptReconnect(waiting);
             }
+        },
+        
+        handlePortDisconnected(port) {
+            const connection = Object.values(state.serial.connections).find(connection =>
+                connection.port === port && connection.isConnected
+            );
             
-            return logEntry.id;
+            if (connection) {
+                this.handleConnectionLost(connection, 'Perangkat serial dicabut');
+            }
         },
         
-        clearLogs() {
-            state.db.logs = [];
-            Storage.set('logs', []);
-            UI.clearLogDisplay();
+        async handleConnectionLost(connection, reason) {
+            if (!connection.isConnected || connection.isClosing ||
+                state.serial.connections[connection.binId] !== connection) return;
+            
+            Logger.log(`Koneksi hilang: ${reason}`, 'error', null, connection.binId);
+            AlertManager.connectionLost(connection.binId, reason);
+            
+            await this.closeStreams(connection);
+            connection.isConnected = false;
+            this.cancelPendingCommands(connection, 'koneksi terputus');
+            
+            if (!this.getReconnectSettings().enabled) {
+                this.release(connection);
+                UI.showNotification('Arduino terputus', 'warning');
+                return;
+            }
+            
+            this.scheduleReconnect(connection);
         },
         
-        exportLogs(format = 'json') {
-            const data = state.db.logs;
+        scheduleReconnect(connection) {
+            const { baseDelay, maxDelay, maxAttempts } = this.getReconnectSettings();
             
-            if (format === 'csv') {
-                const headers = ['Timestamp', 'Type', 'Message', 'Data'];
-                const rows = data.map(log => [
-                    new Date(log.timestamp).toISOString(),
-                    log.type,
-                    log.message,
-                    JSON.stringify(log.data || '')
-                ]);
-                
-                return {
-                    content: [headers, ...rows].map(row => row.join(',')).join('\n'),
-                    filename: `logs_${Date.now()}.csv`,
-                    mimeType: 'text/csv'
-                };
-            } else {
-                return {
-                    content: JSON.stringify(data, null, 2),
-                    filename: `logs_${Date.now()}.json`,
-                    mimeType: 'application/json'
-                };
+            if (maxAttempts && connection.reconnectAttempt >= maxAttempts) {
+                Logger.log(`Reconnect gagal setelah ${connection.reconnectAttempt} percobaan`, 'error', null, connection.binId);
+                UI.showNotification('Gagal menyambung ulang Arduino', 'error');
+                this.release(connection);
+                return;
             }
-        }
-    };
-    
-    // ===== SERIAL MANAGER =====
-    const SerialManager = {
-        async connect() {
-            if (state.serial.isConnecting || state.serial.isConnected) return false;
             
-            // Check browser support
-            if (!this.checkSupport()) {
-                UI.showNotification('Browser tidak mendukung Web Serial API', 'error');
-                return false;
+            connection.reconnectAttempt++;
+            const delay = Math.min(maxDelay, baseDelay * Math.pow(2, connection.reconnectAttempt - 1));
+            
+            connection.isReconnecting = true;
+            connection.nextRetryAt = Date.now() + delay;
+            connection.reconnectTimer = setTimeout(() => this.attemptReconnect(connection), delay);
+            
+            UI.scheduleUpdate('all');
+        },
+        
+        async attemptReconnect(connection) {
+            if (!connection.isReconnecting || state.serial.connections[connection.binId] !== connection) return;
+            
+            clearTimeout(connection.reconnectTimer);
+            connection.reconnectTimer = null;
+            connection.nextRetryAt = null;
+            
+            const bin = Fleet.getBin(connection.binId);
+            if (!bin) {
+                this.release(connection);
+                return;
             }
             
-            state.serial.isConnecting = true;
-            UI.updateConnectionUI('connecting');
-            Logger.log('Memulai koneksi Arduino...', 'info');
+            Logger.log(`Menyambung ulang (percobaan ${connection.reconnectAttempt})...`, 'info', null, bin.id);
             
             try {
-                // Request port
-                state.serial.port = await navigator.serial.requestPort();
-                
-                // Open with baud rate
-                const baudRate = state.db.settings.connectionBaud || 115200;
-                await state.serial.port.open({ baudRate });
-                
-                // Setup streams
-                const textEncoder = new TextEncoderStream();
-                const writableStreamClosed = textEncoder.readable.pipeTo(state.serial.port.writable);
-                state.serial.writer = textEncoder.writable.getWriter();
-                
-                const textDecoder = new TextDecoderStream();
-                const readableStreamClosed = state.serial.port.readable.pipeTo(textDecoder.writable);
-                state.serial.reader = textDecoder.readable.getReader();
-                
-                // Update state
-                state.serial.isConnected = true;
-                state.serial.isConnecting = false;
-                state.serial.baudRate = baudRate;
-                
-                // Update UI
-                UI.updateConnectionUI('connected');
-                UI.showNotification(`Arduino terhubung (${baudRate} baud)`, 'success');
-                Logger.log(`Arduino terhubung di ${baudRate} baud`, 'success');
-                
-                // Start reading
-                this.startReading();
+                const port = await this.findGrantedPort(bin, connection.port);
+                if (!port) throw new Error('port belum tersedia');
                 
-                // Initial status request
-                setTimeout(() => this.send('STATUS'), 500);
-                
-                return true;
+                await this.openPort(connection, port);
                 
+                UI.showNotification(`${bin.name} tersambung kembali`, 'success');
+                Logger.log('Arduino tersambung kembali', 'success', null, bin.id);
             } catch (error) {
-                return this.handleConnectionError(error);
+                Logger.log(`Reconnect gagal: ${error.message}`, 'warning', null, bin.id);
+                
+                // The user may have disconnected while the attempt was running
+                if (state.serial.connections[connection.binId] === connection) {
+                    this.scheduleReconnect(connection);
+                }
             }
         },
         
-        async disconnect() {
-            if (!state.serial.isConnected && !state.serial.isConnecting) return;
+        async disconnect(binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            if (!connection) return;
             
-            Logger.log('Memutuskan koneksi Arduino...', 'info');
+            const bin = Fleet.getBin(binId);
+            const name = bin ? bin.name : binId;
+            Logger.log('Memutuskan koneksi Arduino...', 'info', null, binId);
+            
+            try {
+                await this.closeStreams(connection);
+            } finally {
+                this.release(connection);
+                AlertManager.connectionRestored(binId);
+                
+                UI.showNotification(`${name} terputus`, 'warning');
+                Logger.log('Arduino terputus', 'warning', null, binId);
+            }
+        },
+        
+        async closeStreams(connection) {
+            connection.isClosing = true;
             
             try {
                 // Close reader
-                if (state.serial.reader) {
-                    await state.serial.reader.cancel();
-                    state.serial.reader.releaseLock();
-                    state.serial.reader = null;
+                if (connection.reader) {
+                    await connection.reader.cancel();
+                    connection.reader.releaseLock();
+                    connection.reader = null;
+                    await connection.readableClosed;
                 }
                 
                 // Close writer
-                if (state.serial.writer) {
-                    await state.serial.writer.close();
-                    state.serial.writer.releaseLock();
-                    state.serial.writer = null;
+                if (connection.writer) {
+                    await connection.writer.close();
+                    connection.writer.releaseLock();
+                    connection.writer = null;
+                    await connection.writableClosed;
                 }
                 
-                // Close port
-                if (state.serial.port) {
-                    await state.serial.port.close();
-                    state.serial.port = null;
+                // Close port; kept as a reconnect candidate
+                if (connection.port && connection.isConnected) {
+                    await connection.port.close();
                 }
                 
-            } catch (error) {
-                console.error('Disconnect error:', error);
-            } finally {
-                // Reset state
-                state.serial.isConnected = false;
-                state.serial.isConnecting = false;
-                
-                // Update UI
-                UI.updateConnectionUI('disconnected');
-                UI.showNotification('Arduino terputus', 'warning');
-                Logger.log('Arduino terputus', 'warning');
+            } catch (error) {
+                console.error('Disconnect error:', error);
+                connection.reader = null;
+                connection.writer = null;
+            }
+        },
+        
+        // Forget the connection entirely: no more reconnect attempts
+        release(connection) {
+            clearTimeout(connection.reconnectTimer);
+            
+            connection.isConnected = false;
+            connection.isConnecting = false;
+            connection.isReconnecting = false;
+            connection.reconnectTimer = null;
+            connection.nextRetryAt = null;
+            connection.port = null;
+            
+            if (state.serial.connections[connection.binId] === connection) {
+                delete state.serial.connections[connection.binId];
             }
+            
+            this.cancelPendingCommands(connection, 'koneksi terputus');
+            UI.scheduleUpdate('all');
         },
         
-        async startReading() {
+        cancelPendingCommands(connection, reason) {
+            [...connection.pendingCommands].forEach(entry => {
+                this.settleCommand(connection, entry, new Error(`Command ${entry.command} dibatalkan: ${reason}`));
+            });
+        },
+        
+        async disconnectAll() {
+            await Promise.all(Object.keys(state.serial.connections).map(binId => this.disconnect(binId)));
+        },
+        
+        async startReading(connection) {
+            const reader = connection.reader;
+            
             try {
-                while (state.serial.isConnected && state.serial.reader) {
-                    const { value, done } = await state.serial.reader.read();
+                while (connection.isConnected && connection.reader === reader) {
+                    const { value, done } = await reader.read();
                     
                     if (done) {
-                        state.serial.reader.releaseLock();
+                        reader.releaseLock();
                         break;
                     }
                     
                     if (value) {
-                        this.processData(value);
+                        this.processData(value, connection);
                     }
                 }
             } catch (error) {
-                if (error.name !== 'InterruptedError') {
-                    Logger.log('Error membaca data serial: ' + error.message, 'error');
-                    this.disconnect();
+                if (error.name !== 'InterruptedError' && !connection.isClosing) {
+                    Logger.log('Error membaca data serial: ' + error.message, 'error', null, connection.binId);
+                    this.handleConnectionLost(connection, error.message);
                 }
+                return;
+            }
+            
+            // Stream ended without us closing it
+            if (connection.isConnected && !connection.isClosing && connection.reader === reader) {
+                this.handleConnectionLost(connection, 'stream serial berakhir');
             }
         },
         
-        processData(data) {
-            const updates = DataProcessor.processSerialChunk(data);
+        processData(data, connection) {
+            const bin = Fleet.getBin(connection.binId);
+            if (!bin) return;
             
-            if (DataProcessor.batchUpdate(updates)) {
+            const stats = connection.transport.stats;
+            const droppedBefore = stats.dropped;
+            
+            const lines = LineTransport.receive(connection.transport, data);
+            const updates = DataProcessor.processLines(lines, connection);
+            
+            if (stats.dropped > droppedBefore) {
+                Logger.log(`${stats.dropped - droppedBefore} frame hilang (nomor urut melompat)`, 'warning', null, bin.id);
+            }
+            
+            if (DataProcessor.batchUpdate(updates, bin)) {
                 // Throttle UI updates for performance
                 UI.scheduleUpdate('all');
             }
@@ -610,35 +6005,164 @@ const TongSampahApp = (function() {
             // Log non-data messages
             updates.forEach(update => {
                 if (update.type === 'message' || update.type === 'ready') {
-                    Logger.log(`Arduino: ${update.value}`, 'arduino');
+                    Logger.log(`Arduino: ${update.value}`, 'arduino', null, bin.id);
+                } else if (update.type === 'command' || update.type === 'ack' || update.type === 'nak') {
+                    this.acknowledge(connection, update);
                 }
             });
         },
         
-        async send(command) {
-            if (!state.serial.isConnected || !state.serial.writer) {
+        // Whether the board on this connection answers commands; unknown
+        // until 'auto' has seen a line, and then assumed
+        acknowledges(connection) {
+            const id = connection.lineFormat !== 'auto' ? connection.lineFormat : connection.detectedFormat;
+            const format = DataProcessor.formats[id];
+            return !format || format.acknowledges !== false;
+        },
+        
+        // Every command gets an id and stays pending until the board answers
+        // with CMD_RECEIVED/ACK (or NAK). Unanswered commands are re-sent every
+        // api.timeout ms, up to api.retryAttempts times, before the promise rejects.
+        // Boards that never answer get each command once; it resolves with
+        // confirmed: false as soon as it is written.
+        send(command, binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            
+            if (!connection || !connection.isConnected || !connection.writer) {
                 UI.showNotification('Arduino tidak terhubung', 'error');
-                return false;
+                return Promise.reject(new Error('Arduino tidak terhubung'));
             }
             
+            const entry = {
+                id: ++connection.commandSeq,
+                command,
+                attempts: 0,
+                sentAt: Date.now(),
+                timer: null,
+                confirm: this.acknowledges(connection)
+            };
+            
+            return new Promise((resolve, reject) => {
+                entry.resolve = resolve;
+                entry.reject = reject;
+                connection.pendingCommands.push(entry);
+                this.transmit(connection, entry);
+            });
+        },
+        
+        async transmit(connection, entry) {
+            const { timeout, retryAttempts } = state.config.api;
+            const line = state.db.settings.commandIds ? `${entry.command}@${entry.id}` : entry.command;
+            entry.attempts++;
+            
             try {
-                await state.serial.writer.write(new TextEncoder().encode(command + '\n'));
-                Logger.log(`Command dikirim: ${command}`, 'info');
-                return true;
+                await connection.writer.write(line + '\n');
+                const note = entry.confirm ? `percobaan ${entry.attempts}` : 'tidak dikonfirmasi';
+                Logger.log(`Command dikirim: ${entry.command} (#${entry.id}, ${note})`, 'info', null, connection.binId);
             } catch (error) {
-                Logger.log('Gagal mengirim command: ' + error.message, 'error');
-                this.disconnect();
-                return false;
+                this.settleCommand(connection, entry, new Error('Gagal mengirim command: ' + error.message));
+                this.handleConnectionLost(connection, error.message);
+                return;
             }
+            
+            // Acknowledged (or cancelled) while the write was in flight
+            if (!connection.pendingCommands.includes(entry)) return;
+            
+            if (!entry.confirm) {
+                this.settleCommand(connection, entry);
+                return;
+            }
+            
+            entry.timer = setTimeout(() => {
+                if (entry.attempts <= retryAttempts) {
+                    Logger.log(`Tidak ada ACK untuk ${entry.command} (#${entry.id}), mengirim ulang`, 'warning', null, connection.binId);
+                    this.transmit(connection, entry);
+                } else {
+                    this.settleCommand(connection, entry,
+                        new Error(`Command ${entry.command} tidak dikonfirmasi setelah ${entry.attempts} percobaan`));
+                }
+            }, timeout);
+        },
+        
+        // Matches CMD_RECEIVED:BUKA, CMD_RECEIVED:BUKA@7, ACK:7 and NAK:7
+        // against the oldest pending command with that id or name
+        acknowledge(connection, update) {
+            const [name, idText] = String(update.value).trim().split('@');
+            const id = idText !== undefined ? parseInt(idText) : /^\d+$/.test(name) ? parseInt(name) : null;
+            
+            const entry = connection.pendingCommands.find(pending =>
+                id !== null ? pending.id === id : pending.command === name.trim().toUpperCase()
+            );
+            if (!entry) return false;
+            
+            if (update.type === 'nak') {
+                this.settleCommand(connection, entry, new Error(`Command ${entry.command} ditolak Arduino`));
+            } else {
+                this.settleCommand(connection, entry);
+                Logger.log(`Command ${entry.command} dikonfirmasi (#${entry.id})`, 'success', null, connection.binId);
+            }
+            return true;
+        },
+        
+        settleCommand(connection, entry, error = null) {
+            clearTimeout(entry.timer);
+            connection.pendingCommands = connection.pendingCommands.filter(pending => pending !== entry);
+            
+            if (error) {
+                Logger.log(error.message, 'error', null, connection.binId);
+                entry.reject(error);
+            } else {
+                entry.resolve({
+                    id: entry.id,
+                    command: entry.command,
+                    attempts: entry.attempts,
+                    latency: Date.now() - entry.sentAt,
+                    confirmed: entry.confirm
+                });
+            }
+        },
+        
+        getConnectionStats(binId = state.fleet.selectedId) {
+            const connection = this.getConnection(binId);
+            if (!connection) {
+                return { status: 'disconnected', isConnected: false, baudRate: null, transport: null };
+            }
+            
+            const portInfo = connection.port ? connection.port.getInfo() : null;
+            
+            return {
+                status: this.getStatus(binId),
+                isConnected: connection.isConnected,
+                port: portInfo ? {
+                    key: PortRegistry.keyOf(portInfo),
+                    label: PortRegistry.getLabel(binId, portInfo),
+                    ...portInfo
+                } : null,
+                baudRate: connection.baudRate,
+                reconnectAttempt: connection.reconnectAttempt,
+                nextRetryAt: connection.nextRetryAt,
+                pendingCommands: connection.pendingCommands.map(entry => ({
+                    id: entry.id,
+                    command: entry.command,
+                    attempts: entry.attempts
+                })),
+                transport: {
+                    framing: connection.transport.framing,
+                    buffered: connection.transport.buffer.length,
+                    lastSequence: connection.transport.lastSequence,
+                    ...connection.transport.stats
+                }
+            };
         },
         
         checkSupport() {
-            return !!navigator.serial;
+            return !!adapters.serial;
         },
         
-        handleConnectionError(error) {
-            state.serial.isConnecting = false;
-            UI.updateConnectionUI('disconnected');
+        handleConnectionError(error, connection) {
+            connection.isConnecting = false;
+            delete state.serial.connections[connection.binId];
+            UI.scheduleUpdate('all');
             
             let message = 'Gagal menghubungkan: ';
             
@@ -657,7 +6181,7 @@ const TongSampahApp = (function() {
             }
             
             UI.showNotification(message, 'error');
-            Logger.log(message, 'error');
+            Logger.log(message, 'error', null, connection.binId);
             
             return false;
         }
@@ -671,7 +6195,9 @@ const TongSampahApp = (function() {
         
         init() {
             this.setupEventListeners();
+            this.renderLineFormatOptions();
             this.initChart();
+            this.renderLogs();
             this.updateAll();
             this.isInitialized = true;
             
@@ -682,8 +6208,25 @@ const TongSampahApp = (function() {
         setupEventListeners() {
             // Connection buttons
             this.on('#btnConnect', 'click', () => SerialManager.connect());
+            this.on('#btnChoosePort', 'click', () => SerialManager.connect(state.fleet.selectedId, { choosePort: true }));
+            this.on('#btnRenamePort', 'click', () => this.showRenamePortForm());
+            this.on('#btnBridge', 'click', () => this.showBridgeForm());
+            this.on('#btnCalibrate', 'click', () => this.showCalibrationForm());
+            this.on('#btnServiceLog', 'click', () => this.showServiceLog());
+            this.on('#btnAlertHistory', 'click', () => this.showAlertPanel());
+            this.on('#alertBox', 'click', () => this.showAlertPanel());
+            this.on('#btnNotificationSettings', 'click', () => this.showNotificationSettings());
+            this.on('#btnIntegrations', 'click', () => this.showIntegrations());
+            this.on('#btnServer', 'click', () => this.showServerSettings());
             this.on('#btnDisconnect', 'click', () => SerialManager.disconnect());
             
+            // Fleet
+            this.on('#btnAddBin', 'click', () => this.showAddBinForm());
+            this.on('#binGrid', 'click', (e) => {
+                const card = e.target.closest('[data-bin-id]');
+                if (card) Fleet.select(card.dataset.binId);
+            });
+            
             // Door controls
             this.on('#btnBuka', 'click', () => this.sendCommand('BUKA'));
             this.on('#btnTutup', 'click', () => this.sendCommand('TUTUP'));
@@ -695,11 +6238,35 @@ const TongSampahApp = (function() {
             // Log controls
             this.on('#btnClearLogs', 'click', () => Logger.clearLogs());
             this.on('#btnExportLogs', 'click', () => this.exportLogs());
+            this.on('#btnExportCenter', 'click', () => this.showExportCenter());
+            this.on('#btnReports', 'click', () => this.showReportDialog());
+            this.on('#btnBackup', 'click', () => this.showBackupPanel());
+            this.on('#btnExportForecast', 'click', () => {
+                const report = Forecast.exportReport();
+                this.downloadFile(report.content, report.filename, report.mimeType);
+            });
             
             // Settings
+            // Both belong to the selected bin
             this.on('#baudRateSelect', 'change', (e) => {
-                state.db.settings.connectionBaud = parseInt(e.target.value);
+                SerialManager.setBaudRate(parseInt(e.target.value, 10));
+            });
+            
+            this.on('#lineFormatSelect', 'change', (e) => {
+                SerialManager.setLineFormat(e.target.value);
+                this.renderLineFormatOptions();
+            });
+            
+            this.on('#framingSelect', 'change', (e) => {
+                state.db.settings.framing = e.target.value;
+                Storage.set('settings', state.db.settings);
+                Logger.log(`Mode frame serial: ${e.target.value}`, 'info');
+            });
+            
+            this.on('#chartPeriodSelect', 'change', (e) => {
+                state.db.settings.chartType = e.target.value;
                 Storage.set('settings', state.db.settings);
+                this.updateChart();
             });
             
             this.on('#autoRefreshToggle', 'change', (e) => {
@@ -709,16 +6276,16 @@ const TongSampahApp = (function() {
             });
             
             // Keyboard shortcuts
-            document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
+            adapters.document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
             
             // Window events
-            window.addEventListener('beforeunload', () => {
+            adapters.window.addEventListener('beforeunload', () => {
                 this.cleanup();
             });
         },
         
         on(selector, event, handler) {
-            const element = document.querySelector(selector);
+            const element = adapters.document.querySelector(selector);
             if (element) {
                 element.addEventListener(event, handler);
             }
@@ -732,8 +6299,8 @@ const TongSampahApp = (function() {
                 'Ctrl+R': () => this.refreshData(),
                 'Ctrl+D': () => this.toggleDoor(),
                 'Ctrl+L': () => Logger.clearLogs(),
-                'Ctrl+C': () => !state.serial.isConnected && SerialManager.connect(),
-                'Ctrl+X': () => state.serial.isConnected && SerialManager.disconnect(),
+                'Ctrl+C': () => !SerialManager.isConnected() && SerialManager.connect(),
+                'Ctrl+X': () => SerialManager.isConnected() && SerialManager.disconnect(),
                 'F1': () => this.showHelp()
             };
             
@@ -745,32 +6312,94 @@ const TongSampahApp = (function() {
             }
         },
         
-        sendCommand(command) {
-            if (state.serial.isConnected) {
-                SerialManager.send(command);
+        // Resolves with the acknowledgement (confirmed: false for boards that
+        // never answer), or null when the command failed
+        sendCommand(command, binId = state.fleet.selectedId) {
+            if (!SerialManager.isConnected(binId)) {
+                this.simulateCommand(command, binId);
+                return Promise.resolve({ command, simulated: true });
+            }
+            
+            this.setCommandState(binId, command, 'pending');
+            
+            return SerialManager.send(command, binId)
+                .then(result => {
+                    this.setCommandState(binId, command, result.confirmed ? null : 'unconfirmed');
+                    return result;
+                })
+                .catch(error => {
+                    this.setCommandState(binId, command, 'failed');
+                    this.showNotification(error.message, 'error');
+                    return null;
+                });
+        },
+        
+        // Door/refresh buttons reflect the command they send
+        commandButtons: {
+            BUKA: 'btnBuka',
+            TUTUP: 'btnTutup',
+            STATUS: 'btnRefresh'
+        },
+        
+        getCommandState(binId, command) {
+            return state.ui.commands[`${binId}:${command}`] || null;
+        },
+        
+        setCommandState(binId, command, commandState) {
+            const key = `${binId}:${command}`;
+            
+            if (commandState) {
+                state.ui.commands[key] = commandState;
             } else {
-                this.simulateCommand(command);
+                delete state.ui.commands[key];
+            }
+            
+            // Failed and unconfirmed states are shown for a few seconds only
+            if (commandState === 'failed' || commandState === 'unconfirmed') {
+                setTimeout(() => {
+                    if (state.ui.commands[key] === commandState) this.setCommandState(binId, command, null);
+                }, 5000);
             }
+            
+            this.scheduleUpdate('status');
+        },
+        
+        updateCommandButtons() {
+            Object.entries(this.commandButtons).forEach(([command, id]) => {
+                const button = adapters.document.getElementById(id);
+                if (!button) return;
+                
+                const commandState = this.getCommandState(state.fleet.selectedId, command);
+                button.classList.toggle('pending', commandState === 'pending');
+                button.classList.toggle('failed', commandState === 'failed');
+                button.classList.toggle('unconfirmed', commandState === 'unconfirmed');
+                button.title = commandState === 'pending' ? 'Menunggu konfirmasi Arduino...' :
+                    commandState === 'failed' ? 'Command gagal, coba lagi' :
+                    commandState === 'unconfirmed' ? 'Terkirim, tidak dikonfirmasi Arduino' : '';
+                
+                if (commandState === 'pending') button.disabled = true;
+            });
         },
         
-        simulateCommand(command) {
+        simulateCommand(command, binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return;
+            
             switch(command) {
                 case 'BUKA':
-                    state.db.status = "BUKA";
-                    state.db.lastActivity = Date.now();
-                    state.db.dailyUsage++;
-                    state.db.totalUsage++;
-                    Logger.log('Tong dibuka (simulasi)', 'success');
+                    if (bin.db.status !== "BUKA") UsageLedger.record(bin, 'simulasi');
+                    bin.db.status = "BUKA";
+                    Logger.log('Tong dibuka (simulasi)', 'success', null, binId);
                     break;
                     
                 case 'TUTUP':
-                    state.db.status = "TUTUP";
-                    Logger.log('Tong ditutup (simulasi)', 'success');
+                    bin.db.status = "TUTUP";
+                    Logger.log('Tong ditutup (simulasi)', 'success', null, binId);
                     break;
                     
                 case 'STATUS':
-                    this.generateSimulatedData();
-                    Logger.log('Status diperbarui (simulasi)', 'info');
+                    this.generateSimulatedData(binId);
+                    Logger.log('Status diperbarui (simulasi)', 'info', null, binId);
                     break;
             }
             
@@ -778,21 +6407,44 @@ const TongSampahApp = (function() {
             UI.showNotification(`Command "${command}" dieksekusi (simulasi)`, 'info');
         },
         
-        toggleDoor() {
-            this.sendCommand(state.db.status === "BUKA" ? "TUTUP" : "BUKA");
+        toggleDoor(binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return Promise.resolve(null);
+            return this.sendCommand(bin.db.status === "BUKA" ? "TUTUP" : "BUKA", binId);
+        },
+        
+        refreshData(binId = state.fleet.selectedId) {
+            // Don't stack STATUS requests while the previous one is unanswered
+            if (this.getCommandState(binId, 'STATUS') === 'pending') return Promise.resolve(null);
+            
+            Logger.log('Data direfresh', 'info', null, binId);
+            return this.sendCommand('STATUS', binId);
         },
         
-        refreshData() {
-            this.sendCommand('STATUS');
-            Logger.log('Data direfresh', 'info');
+        // With the selected bin's format and baud rate
+        renderLineFormatOptions() {
+            const profile = SerialManager.getSerialProfile();
+            const baudSelect = adapters.document.getElementById('baudRateSelect');
+            if (baudSelect) baudSelect.value = String(profile.baudRate);
+            
+            const select = adapters.document.getElementById('lineFormatSelect');
+            if (!select) return;
+            
+            select.innerHTML = DataProcessor.getFormatOptions()
+                .map(option => `<option value="${option.id}">${option.label}</option>`)
+                .join('');
+            select.value = profile.lineFormat;
         },
         
         // ===== UI UPDATE METHODS =====
         scheduleUpdate(type) {
+            // Headless runs never render
+            if (!this.isInitialized) return;
+            
             this.updateQueue.add(type);
             
             if (!this.pendingAnimationFrame) {
-                this.pendingAnimationFrame = requestAnimationFrame(() => {
+                this.pendingAnimationFrame = adapters.requestFrame(() => {
                     this.processUpdateQueue();
                     this.pendingAnimationFrame = null;
                 });
@@ -812,6 +6464,8 @@ const TongSampahApp = (function() {
         },
         
         updateAll() {
+            this.updateBinGrid();
+            this.updateBinDetail();
             this.updateCapacity();
             this.updateStatus();
             this.updateSensors();
@@ -821,10 +6475,299 @@ const TongSampahApp = (function() {
             this.updateTime();
         },
         
+        // ===== FLEET VIEW =====
+        updateBinGrid() {
+            const grid = adapters.document.getElementById('binGrid');
+            if (!grid) return;
+            
+            grid.innerHTML = Fleet.list().map(bin => {
+                const isSelected = bin.id === state.fleet.selectedId;
+                const isOpen = bin.db.status === "BUKA";
+                const connection = SerialManager.getStatus(bin.id);
+                const level = bin.db.capacity < 30 ? 'low' : bin.db.capacity < 70 ? 'medium' : 'high';
+                const service = HistoryManager.getServiceStatus(bin);
+                const alerts = AlertManager.getVisible(bin.id);
+                const alertClass = alerts.length === 0 ? '' :
+                    ` severity-${alerts[0].severity}${alerts.some(alert => !alert.ackedAt) ? ' alert' : ''}`;
+                
+                return `
+                    <div class="bin-card level-${level}${isSelected ? ' selected' : ''}${alertClass}${service.overdue ? ' overdue' : ''}" data-bin-id="${bin.id}">
+                        <div class="bin-card-header">
+                            <span class="status-dot${connection === 'connected' ? ' online' : connection === 'reconnecting' ? ' pulse' : ''}"></span>
+                            <strong>${Utils.escapeHtml(bin.name)}</strong>
+                            ${service.overdue ? `<span class="bin-card-overdue" title="${Utils.escapeHtml(service.reasons.join(', '))}"><i class="fas fa-clock"></i></span>` : ''}
+                        </div>
+                        <div class="bin-card-location">
+                            <i class="fas fa-map-marker-alt"></i> ${Utils.escapeHtml(bin.location || '-')}
+                        </div>
+                        <div class="bin-card-meter">
+                            <div class="bin-card-fill" style="width: ${bin.db.capacity}%"></div>
+                        </div>
+                        <div class="bin-card-footer">
+                            <span title="${Utils.escapeHtml(Forecast.describe(Forecast.get(bin.id)))}">${bin.db.capacity}%</span>
+                            <span><i class="fas fa-door-${isOpen ? 'open' : 'closed'}"></i> ${isOpen ? 'BUKA' : 'TUTUP'}</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        },
+        
+        updateBinDetail() {
+            const bin = Fleet.getSelected();
+            const name = adapters.document.getElementById('selectedBinName');
+            const location = adapters.document.getElementById('selectedBinLocation');
+            
+            if (name) name.textContent = bin.name;
+            if (location) location.textContent = bin.location || '-';
+            
+            const serviceElement = adapters.document.getElementById('serviceStatus');
+            if (serviceElement) {
+                const service = HistoryManager.getServiceStatus(bin);
+                const last = service.lastServiceAt ?
+                    `Dikosongkan ${Utils.formatTime(Math.round(service.sinceHours * 3600))} lalu` :
+                    'Belum pernah dikosongkan';
+                serviceElement.textContent = service.overdue ? `${last} — TERLAMBAT` : last;
+                serviceElement.classList.toggle('overdue', service.overdue);
+                serviceElement.title = service.reasons.join(', ');
+            }
+        },
+        
+        // Service timeline of the selected bin, with the manual collection form
+        async showServiceLog() {
+            const bin = Fleet.getSelected();
+            const events = await HistoryManager.getServiceLog(bin.id);
+            const format = (timestamp) => new Date(timestamp).toLocaleString([], { timeZone: Calendar.getTimeZone() });
+            const level = (value) => value === null || value === undefined ? '?' : `${value}%`;
+            
+            const timeline = events.length === 0 ? '<p>Belum ada catatan layanan.</p>' : events.map(event => `
+                <li class="service-item service-${event.kind}${event.matched ? ' matched' : ''}">
+                    <i class="fas fa-${event.kind === 'auto' ? 'magic' : 'user-check'}"></i>
+                    <strong>${format(event.timestamp)}</strong>
+                    ${level(event.before)} → ${level(event.after)}
+                    ${event.sinceLast ? `<span>(${Utils.formatTime(Math.round(event.sinceLast / 1000))} sejak sebelumnya)</span>` : ''}
+                    ${event.by ? `<div>${Utils.escapeHtml(event.by)}${event.note ? `: ${Utils.escapeHtml(event.note)}` : ''}</div>` : ''}
+                </li>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-truck"></i> Layanan ${Utils.escapeHtml(bin.name)}</h3>
+                    <ul class="service-timeline">${timeline}</ul>
+                    <div class="form-group">
+                        <label for="collectorInput">Petugas</label>
+                        <input type="text" id="collectorInput" placeholder="Nama petugas">
+                    </div>
+                    <div class="form-group">
+                        <label for="collectionNoteInput">Catatan</label>
+                        <input type="text" id="collectionNoteInput" placeholder="Kantong diganti">
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnLogCollection">
+                            <i class="fas fa-check"></i> Catat Pengangkutan
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.on('#btnLogCollection', 'click', () => {
+                try {
+                    HistoryManager.logCollection(bin.id, {
+                        name: adapters.document.getElementById('collectorInput').value,
+                        note: adapters.document.getElementById('collectionNoteInput').value
+                    });
+                    this.closeModal();
+                    this.showNotification('Pengangkutan dicatat', 'success');
+                } catch (error) {
+                    this.showNotification(error.message, 'error');
+                }
+            });
+        },
+        
+        showAddBinForm() {
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-plus-circle"></i> Tambah Tong Sampah</h3>
+                    <div class="form-group">
+                        <label for="binNameInput">Nama</label>
+                        <input type="text" id="binNameInput" placeholder="Tong Sampah ${Fleet.list().length + 1}">
+                    </div>
+                    <div class="form-group">
+                        <label for="binLocationInput">Lokasi</label>
+                        <input type="text" id="binLocationInput" placeholder="Lantai 1, dekat lift">
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSaveBin">
+                            <i class="fas fa-save"></i> Simpan
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.on('#btnSaveBin', 'click', () => {
+                const bin = Fleet.addBin({
+                    name: adapters.document.getElementById('binNameInput').value.trim(),
+                    location: adapters.document.getElementById('binLocationInput').value.trim()
+                });
+                this.closeModal();
+                Fleet.select(bin.id);
+            });
+        },
+        
+        showRenamePortForm() {
+            const bin = Fleet.getSelected();
+            if (!bin.port) {
+                this.showNotification('Hubungkan Arduino dulu untuk menamai port', 'warning');
+                return;
+            }
+            
+            const key = PortRegistry.keyOf(bin.port);
+            const entry = PortRegistry.get(bin.id) || {};
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-tag"></i> Nama Port</h3>
+                    <p>${Utils.escapeHtml(entry.board || PortRegistry.describe(bin.port))} (${key})</p>
+                    <div class="form-group">
+                        <label for="portNameInput">Nama</label>
+                        <input type="text" id="portNameInput" value="${Utils.escapeHtml(entry.name || '')}" placeholder="Uno lantai 2">
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSavePortName">
+                            <i class="fas fa-save"></i> Simpan
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.on('#btnSavePortName', 'click', () => {
+                SerialManager.renamePort(adapters.document.getElementById('portNameInput').value, bin.id);
+                this.closeModal();
+            });
+        },
+        
+        // Arduino on another machine, served by bridge.js
+        showBridgeForm() {
+            const bin = Fleet.getSelected();
+            const url = bin.port && bin.port.bridge ? bin.port.bridge : RemoteBridge.defaultUrl;
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-network-wired"></i> Hubungkan lewat Bridge</h3>
+                    <p>Jalankan <code>node bridge.js --device /dev/ttyUSB0</code> di komputer yang tersambung ke Arduino.</p>
+                    <div class="form-group">
+                        <label for="bridgeUrlInput">Alamat bridge</label>
+                        <input type="text" id="bridgeUrlInput" value="${Utils.escapeHtml(url)}" placeholder="${RemoteBridge.defaultUrl}">
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnConnectBridge">
+                            <i class="fas fa-plug"></i> Hubungkan
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.on('#btnConnectBridge', 'click', () => {
+                const value = adapters.document.getElementById('bridgeUrlInput').value;
+                this.closeModal();
+                SerialManager.connect(bin.id, { bridge: value });
+            });
+        },
+        
+        // Wizard: record the empty and full readings, then pick the bin's shape
+        showCalibrationForm() {
+            const bin = Fleet.getSelected();
+            const profile = Calibration.getProfile(bin.id);
+            const curveOptions = Object.entries(Calibration.curves).map(([id, curve]) =>
+                `<option value="${id}" ${id === profile.curve ? 'selected' : ''}>${curve.label}</option>`
+            ).join('');
+            const points = profile.points.map(([height, volume]) => `${height}:${volume}`).join('\n');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-ruler-vertical"></i> Kalibrasi ${Utils.escapeHtml(bin.name)}</h3>
+                    <p>1. Kosongkan tong, tunggu pembacaan stabil, lalu rekam jarak kosong.</p>
+                    <div class="form-group">
+                        <label for="calEmptyInput">Jarak kosong (cm)</label>
+                        <input type="number" id="calEmptyInput" step="0.1" value="${profile.emptyDistance}">
+                        <button class="btn" id="btnCaptureEmpty"><i class="fas fa-crosshairs"></i> Rekam</button>
+                    </div>
+                    <p>2. Isi tong sampai penuh (setinggi batas isi), lalu rekam jarak penuh.</p>
+                    <div class="form-group">
+                        <label for="calFullInput">Jarak penuh (cm)</label>
+                        <input type="number" id="calFullInput" step="0.1" value="${profile.fullDistance}">
+                        <button class="btn" id="btnCaptureFull"><i class="fas fa-crosshairs"></i> Rekam</button>
+                    </div>
+                    <p>3. Pilih bentuk tong.</p>
+                    <div class="form-group">
+                        <label for="calCurveSelect">Kurva volume</label>
+                        <select id="calCurveSelect">${curveOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="calTaperInput">Rasio lebar dasar / lebar atas (meruncing)</label>
+                        <input type="number" id="calTaperInput" step="0.05" min="0.05" max="1" value="${profile.taperRatio}">
+                    </div>
+                    <div class="form-group">
+                        <label for="calPointsInput">Titik ukur, satu per baris: tinggi%:volume% (tabel)</label>
+                        <textarea id="calPointsInput" rows="4" placeholder="50:35">${points}</textarea>
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSaveCalibration">
+                            <i class="fas fa-save"></i> Simpan
+                        </button>
+                        <button class="btn" id="btnResetCalibration">
+                            <i class="fas fa-undo"></i> Bawaan
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            const field = (id) => adapters.document.getElementById(id);
+            const capture = (inputId) => {
+                const distance = Calibration.capture(bin.id);
+                if (distance === null) {
+                    this.showNotification('Belum ada pembacaan jarak', 'warning');
+                    return;
+                }
+                field(inputId).value = distance;
+            };
+            
+            this.on('#btnCaptureEmpty', 'click', () => capture('calEmptyInput'));
+            this.on('#btnCaptureFull', 'click', () => capture('calFullInput'));
+            
+            this.on('#btnSaveCalibration', 'click', () => {
+                try {
+                    Calibration.setProfile(bin.id, {
+                        emptyDistance: parseFloat(field('calEmptyInput').value),
+                        fullDistance: parseFloat(field('calFullInput').value),
+                        curve: field('calCurveSelect').value,
+                        taperRatio: parseFloat(field('calTaperInput').value),
+                        points: field('calPointsInput').value.split('\n')
+                            .map(line => line.trim())
+                            .filter(Boolean)
+                            .map(line => line.split(':').map(Number))
+                    });
+                    this.closeModal();
+                    this.showNotification('Kalibrasi disimpan', 'success');
+                } catch (error) {
+                    this.showNotification(error.message, 'error');
+                }
+            });
+            
+            this.on('#btnResetCalibration', 'click', () => {
+                Calibration.resetProfile(bin.id);
+                this.closeModal();
+            });
+        },
+        
         updateCapacity() {
-            const capacity = state.db.capacity;
-            const fillBar = document.getElementById('capacityFill');
-            const percentElement = document.getElementById('capacityPercent');
+            const capacity = Fleet.getSelected().db.capacity;
+            const fillBar = adapters.document.getElementById('capacityFill');
+            const percentElement = adapters.document.getElementById('capacityPercent');
+            const forecastElement = adapters.document.getElementById('capacityForecast');
+            
+            if (forecastElement) {
+                forecastElement.textContent = Forecast.describe(Forecast.get());
+            }
             
             if (!fillBar || !percentElement) return;
             
@@ -847,11 +6790,12 @@ const TongSampahApp = (function() {
         },
         
         updateStatus() {
-            const isOpen = state.db.status === "BUKA";
-            const icon = document.getElementById('statusIcon');
-            const text = document.getElementById('statusTextDisplay');
-            const btnBuka = document.getElementById('btnBuka');
-            const btnTutup = document.getElementById('btnTutup');
+            const db = Fleet.getSelected().db;
+            const isOpen = db.status === "BUKA";
+            const icon = adapters.document.getElementById('statusIcon');
+            const text = adapters.document.getElementById('statusTextDisplay');
+            const btnBuka = adapters.document.getElementById('btnBuka');
+            const btnTutup = adapters.document.getElementById('btnTutup');
             
             if (icon) icon.innerHTML = isOpen ? 
                 '<i class="fas fa-door-open"></i>' : 
@@ -861,56 +6805,78 @@ const TongSampahApp = (function() {
             
             if (btnBuka) btnBuka.disabled = isOpen;
             if (btnTutup) btnTutup.disabled = !isOpen;
+            this.updateCommandButtons();
             
             // Update last activity
-            if (state.db.lastActivity) {
-                const elapsed = Math.floor((Date.now() - state.db.lastActivity) / 1000);
-                const element = document.getElementById('lastActivityTime');
+            if (db.lastActivity) {
+                const elapsed = Math.floor((Date.now() - db.lastActivity) / 1000);
+                const element = adapters.document.getElementById('lastActivityTime');
                 if (element) element.textContent = Utils.formatTime(elapsed) + " yang lalu";
             }
         },
         
         updateSensors() {
+            const db = Fleet.getSelected().db;
+            
             // Distance
-            const distanceValue = document.getElementById('distanceValue');
-            const distanceBar = document.getElementById('distanceBar');
-            if (distanceValue) distanceValue.textContent = `${state.db.distance} cm`;
-            if (distanceBar) distanceBar.style.width = `${Math.min(state.db.distance * 2, 100)}%`;
+            const distanceValue = adapters.document.getElementById('distanceValue');
+            const distanceBar = adapters.document.getElementById('distanceBar');
+            if (distanceValue) distanceValue.textContent = `${db.distance} cm`;
+            if (distanceBar) distanceBar.style.width = `${Calibration.distancePercent(db.distance)}%`;
             
             // Last update
-            const lastUpdate = Math.floor((Date.now() - state.db.lastUpdate) / 1000);
-            const lastUpdateElement = document.getElementById('lastUpdate');
+            const lastUpdate = Math.floor((Date.now() - db.lastUpdate) / 1000);
+            const lastUpdateElement = adapters.document.getElementById('lastUpdate');
             if (lastUpdateElement) lastUpdateElement.textContent = `${lastUpdate} detik`;
         },
         
         updateStats() {
-            const elements = {
-                dailyUsage: state.db.dailyUsage,
-                totalUsage: state.db.totalUsage,
-                avgDaily: state.db.totalUsage > 0 ? Math.round(state.db.totalUsage / 30) : 0
-            };
-            
-            Object.entries(elements).forEach(([id, value]) => {
-                const element = document.getElementById(id);
+            const bin = Fleet.getSelected();
+            const db = bin.db;
+            const show = (elements) => Object.entries(elements).forEach(([id, value]) => {
+                const element = adapters.document.getElementById(id);
                 if (element) element.textContent = value;
             });
+            
+            if (UsageLedger.rollover(bin)) Fleet.save();
+            show({
+                dailyUsage: db.dailyUsage,
+                totalUsage: db.totalUsage
+            });
+            
+            UsageLedger.getStats(bin.id).then(stats => {
+                if (bin !== Fleet.getSelected()) return;
+                
+                const [hour] = stats.busiestHours;
+                const [day] = stats.peakDays;
+                show({
+                    avgDaily: Utils.formatNumber(stats.averagePerDay, 1),
+                    busiestHour: hour ? `${Calendar.pad(hour.hour)}:00 (${hour.count}x)` : '-',
+                    peakDay: day ? `${day.day} (${day.count}x)` : '-'
+                });
+            });
         },
         
         updateConnection() {
-            const status = state.serial.isConnected ? 'connected' : 
-                          state.serial.isConnecting ? 'connecting' : 'disconnected';
-            this.updateConnectionUI(status);
+            this.updateConnectionUI(SerialManager.getStatus());
+            
+            const connection = SerialManager.getConnection();
+            const btnSimulate = adapters.document.getElementById('btnSimulate');
+            if (btnSimulate) {
+                btnSimulate.classList.toggle('active', !!(connection && connection.port && connection.port.isVirtual));
+            }
         },
         
         updateConnectionUI(status) {
+            const connection = SerialManager.getConnection();
             const elements = {
-                statusDot: document.getElementById('statusDot'),
-                statusText: document.getElementById('statusText'),
-                connectionStatus: document.getElementById('connectionStatus'),
-                btnConnect: document.getElementById('btnConnect'),
-                btnDisconnect: document.getElementById('btnDisconnect'),
-                connectionBaud: document.getElementById('connectionBaud'),
-                connectionPort: document.getElementById('connectionPort')
+                statusDot: adapters.document.getElementById('statusDot'),
+                statusText: adapters.document.getElementById('statusText'),
+                connectionStatus: adapters.document.getElementById('connectionStatus'),
+                btnConnect: adapters.document.getElementById('btnConnect'),
+                btnDisconnect: adapters.document.getElementById('btnDisconnect'),
+                connectionBaud: adapters.document.getElementById('connectionBaud'),
+                connectionPort: adapters.document.getElementById('connectionPort')
             };
             
             const configs = {
@@ -922,8 +6888,8 @@ const TongSampahApp = (function() {
                     btnConnectText: '<i class="fas fa-plug"></i> Terhubung',
                     btnConnectDisabled: true,
                     btnDisconnectDisabled: false,
-                    baud: state.serial.baudRate,
-                    port: `COM${Math.floor(Math.random() * 10) + 1}`
+                    baud: connection ? connection.baudRate : SerialManager.getSerialProfile().baudRate,
+                    port: SerialManager.getPortLabel()
                 },
                 connecting: {
                     dotClass: 'online pulse',
@@ -934,6 +6900,19 @@ const TongSampahApp = (function() {
                     btnConnectDisabled: true,
                     btnDisconnectDisabled: true
                 },
+                reconnecting: {
+                    dotClass: 'pulse',
+                    text: 'Reconnecting...',
+                    textColor: '#FFA000',
+                    status: connection && connection.nextRetryAt ?
+                        `Menyambung ulang #${connection.reconnectAttempt} dalam ${Utils.formatTime(Math.max(0, Math.ceil((connection.nextRetryAt - Date.now()) / 1000)))}` :
+                        `Menyambung ulang #${connection ? connection.reconnectAttempt : 0}...`,
+                    btnConnectText: '<i class="fas fa-sync fa-spin"></i> Menyambung ulang...',
+                    btnConnectDisabled: true,
+                    btnDisconnectDisabled: false,
+                    baud: connection ? connection.baudRate : null,
+                    port: '-'
+                },
                 disconnected: {
                     dotClass: '',
                     text: 'Offline',
@@ -946,67 +6925,428 @@ const TongSampahApp = (function() {
                 }
             };
             
-            const config = configs[status];
+            const config = configs[status];
+            
+            if (elements.statusDot) {
+                elements.statusDot.className = 'status-dot';
+                if (config.dotClass) elements.statusDot.classList.add(config.dotClass);
+            }
+            
+            if (elements.statusText) {
+                elements.statusText.textContent = config.text;
+                elements.statusText.style.color = config.textColor;
+            }
+            
+            if (elements.connectionStatus) {
+                elements.connectionStatus.textContent = config.status;
+                elements.connectionStatus.style.color = config.textColor;
+            }
+            
+            if (elements.btnConnect) {
+                elements.btnConnect.disabled = config.btnConnectDisabled;
+                elements.btnConnect.innerHTML = config.btnConnectText;
+            }
+            
+            if (elements.btnDisconnect) {
+                elements.btnDisconnect.disabled = config.btnDisconnectDisabled;
+            }
+            
+            if (elements.connectionBaud && config.baud) {
+                elements.connectionBaud.textContent = config.baud;
+            }
+            
+            if (elements.connectionPort) {
+                elements.connectionPort.textContent = config.port;
+            }
+        },
+        
+        // Most severe active alert of the selected bin; pulses until acknowledged
+        updateAlerts() {
+            Notifier.updateBadge();
+            
+            const alertBox = adapters.document.getElementById('alertBox');
+            if (!alertBox) return;
+            
+            const alerts = AlertManager.getVisible(state.fleet.selectedId);
+            const top = alerts[0];
+            
+            Object.keys(AlertManager.severities).forEach(severity => {
+                alertBox.classList.toggle(`severity-${severity}`, !!top && top.severity === severity);
+            });
+            
+            if (top) {
+                alertBox.classList.remove('hidden');
+                alertBox.style.animation = alerts.some(alert => !alert.ackedAt) ? 'pulse 1s infinite' : '';
+                
+                const message = adapters.document.getElementById('alertMessage');
+                if (message) {
+                    message.textContent = alerts.length > 1 ? `${top.message} (+${alerts.length - 1} lainnya)` : top.message;
+                }
+            } else {
+                alertBox.classList.add('hidden');
+                alertBox.style.animation = '';
+            }
+        },
+        
+        // Active alerts with acknowledge/snooze, the rule list and past alerts
+        showAlertPanel() {
+            const format = (timestamp) => new Date(timestamp).toLocaleString([], { timeZone: Calendar.getTimeZone() });
+            const binName = (binId) => Utils.escapeHtml((Fleet.getBin(binId) || { name: binId }).name);
+            const severityOptions = (selected) => Object.entries(AlertManager.severities).map(([value, severity]) =>
+                `<option value="${value}"${value === selected ? ' selected' : ''}>${severity.label}</option>`
+            ).join('');
+            
+            const active = AlertManager.getActive();
+            const past = AlertManager.getHistory().filter(alert => alert.resolvedAt).slice(0, 50);
+            
+            const item = (alert) => `
+                <li class="alert-item severity-${alert.severity}${alert.ackedAt ? ' acked' : ''}">
+                    <i class="fas fa-${AlertManager.severities[alert.severity].icon}"></i>
+                    <strong>${binName(alert.binId)}</strong> ${Utils.escapeHtml(alert.message)}
+                    <div class="alert-meta">
+                        ${format(alert.raisedAt)}${alert.resolvedAt ? ` → ${format(alert.resolvedAt)}` : ''}
+                        ${alert.ackedAt ? ` · diakui${alert.ackedBy ? ` oleh ${Utils.escapeHtml(alert.ackedBy)}` : ''}` : ''}
+                    </div>
+                    ${alert.resolvedAt ? '' : `
+                        <div class="btn-group">
+                            ${alert.ackedAt ? '' : `<button class="btn btn-success" data-ack="${alert.id}"><i class="fas fa-check"></i> Akui</button>`}
+                            <button class="btn btn-warning" data-snooze="${alert.id}"><i class="fas fa-bell-slash"></i> Tunda 30 menit</button>
+                        </div>
+                    `}
+                </li>
+            `;
+            
+            const rules = AlertManager.getRules().map(rule => `
+                <tr data-rule="${rule.id}">
+                    <td><input type="checkbox" data-field="enabled"${rule.enabled ? ' checked' : ''}></td>
+                    <td>${AlertManager.types[rule.type]}${rule.binId ? ` (${binName(rule.binId)})` : ''}</td>
+                    <td><select data-field="severity">${severityOptions(rule.severity)}</select></td>
+                    <td><input type="number" data-field="cooldown" min="0" value="${rule.cooldown}" title="Jeda (menit)"></td>
+                </tr>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-bell"></i> Peringatan</h3>
+                    <h4>Aktif (${active.length})</h4>
+                    <ul class="alert-list">${active.map(item).join('') || '<li>Tidak ada peringatan aktif.</li>'}</ul>
+                    <h4>Aturan</h4>
+                    <table class="alert-rules">
+                        <tr><th></th><th>Aturan</th><th>Tingkat</th><th>Jeda (menit)</th></tr>
+                        ${rules}
+                    </table>
+                    <h4>Riwayat</h4>
+                    <ul class="alert-list">${past.map(item).join('') || '<li>Belum ada riwayat.</li>'}</ul>
+                    <div class="btn-group">
+                        <button class="btn btn-info" id="btnAlertChannels">
+                            <i class="fas fa-volume-up"></i> Notifikasi & Suara
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.on('#btnAlertChannels', 'click', () => {
+                this.closeModal();
+                this.showNotificationSettings();
+            });
+            
+            const modal = adapters.document.querySelector('.modal-overlay');
+            modal.addEventListener('click', (e) => {
+                const ack = e.target.closest('[data-ack]');
+                const snooze = e.target.closest('[data-snooze]');
+                if (!ack && !snooze) return;
+                
+                if (ack) AlertManager.acknowledge(ack.dataset.ack);
+                if (snooze) AlertManager.snooze(snooze.dataset.snooze, 30);
+                this.closeModal();
+                this.showAlertPanel();
+            });
+            
+            modal.addEventListener('change', (e) => {
+                const row = e.target.closest('[data-rule]');
+                if (!row) return;
+                
+                const field = e.target.dataset.field;
+                const value = field === 'enabled' ? e.target.checked :
+                    field === 'cooldown' ? Math.max(0, parseInt(e.target.value, 10) || 0) : e.target.value;
+                const rule = AlertManager.getRules().find(existing => existing.id === row.dataset.rule);
+                AlertManager.setRule({ ...rule, [field]: value });
+                AlertManager.evaluateAll();
+            });
+        },
+        
+        // Webhooks, MQTT broker and the outbox
+        showIntegrations() {
+            const settings = Integrations.getSettings();
+            const status = Integrations.getStatus();
+            const eventBoxes = (prefix, selected) => Object.entries(Integrations.events).map(([value, label]) => `
+                <label><input type="checkbox" name="${prefix}Event" value="${value}"${selected.includes(value) ? ' checked' : ''}> ${label}</label>
+            `).join('');
+            const checkedEvents = (prefix) => Array.from(adapters.document.querySelectorAll(`input[name="${prefix}Event"]:checked`))
+                .map(input => input.value);
+            
+            const hooks = settings.webhooks.map(hook => `
+                <li class="service-item">
+                    <strong>${Utils.escapeHtml(hook.name)}</strong> ${Utils.escapeHtml(hook.url)}
+                    <div class="alert-meta">${hook.events.map(event => Integrations.events[event]).join(', ')}
+                        ${status.byTarget[`webhook:${hook.id}`] ? ` · ${status.byTarget[`webhook:${hook.id}`]} antre` : ''}</div>
+                    <button class="btn btn-danger" data-remove-hook="${hook.id}"><i class="fas fa-trash"></i></button>
+                </li>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-plug"></i> Integrasi</h3>
+                    <h4>Webhook</h4>
+                    <ul class="service-timeline">${hooks || '<li>Belum ada webhook.</li>'}</ul>
+                    <div class="form-group">
+                        <label for="hookUrlInput">URL</label>
+                        <input type="text" id="hookUrlInput" placeholder="https://contoh.id/webhook">
+                    </div>
+                    <div class="form-group">
+                        <label for="hookTemplateInput">Template JSON (opsional)</label>
+                        <textarea id="hookTemplateInput" rows="3" placeholder='{"text": "{{bin.name}}: {{data.message}}"}'></textarea>
+                    </div>
+                    <div class="form-group">${eventBoxes('hook', Object.keys(Integrations.events))}</div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnAddWebhook"><i class="fas fa-plus"></i> Tambah Webhook</button>
+                    </div>
+                    <h4>MQTT (WebSocket)</h4>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="mqttEnabledInput"${settings.mqtt.enabled ? ' checked' : ''}> Aktif (${status.mqtt})</label>
+                    </div>
+                    <div class="form-group">
+                        <label for="mqttUrlInput">Broker</label>
+                        <input type="text" id="mqttUrlInput" value="${Utils.escapeHtml(settings.mqtt.url)}" placeholder="wss://broker.contoh.id:8884/mqtt">
+                    </div>
+                    <div class="form-group">
+                        <label for="mqttTopicInput">Topik</label>
+                        <input type="text" id="mqttTopicInput" value="${Utils.escapeHtml(settings.mqtt.topic)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="mqttUserInput">Username / Password</label>
+                        <input type="text" id="mqttUserInput" value="${Utils.escapeHtml(settings.mqtt.username)}">
+                        <input type="password" id="mqttPasswordInput" value="${Utils.escapeHtml(settings.mqtt.password)}">
+                    </div>
+                    <div class="form-group">${eventBoxes('mqtt', settings.mqtt.events)}</div>
+                    <p>Antrean: <strong>${status.queued}</strong> pesan${status.lastError ? ` (${Utils.escapeHtml(status.lastError)})` : ''}</p>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSaveMqtt"><i class="fas fa-save"></i> Simpan MQTT</button>
+                        <button class="btn btn-info" id="btnFlushOutbox"><i class="fas fa-paper-plane"></i> Kirim Antrean</button>
+                    </div>
+                </div>
+            `);
+            
+            const reopen = () => {
+                this.closeModal();
+                this.showIntegrations();
+            };
+            
+            this.on('#btnAddWebhook', 'click', () => {
+                try {
+                    Integrations.setWebhook({
+                        url: adapters.document.getElementById('hookUrlInput').value.trim(),
+                        template: adapters.document.getElementById('hookTemplateInput').value.trim(),
+                        events: checkedEvents('hook')
+                    });
+                    reopen();
+                } catch (error) {
+                    this.showNotification(Utils.escapeHtml(error.message), 'error');
+                }
+            });
             
-            if (elements.statusDot) {
-                elements.statusDot.className = 'status-dot';
-                if (config.dotClass) elements.statusDot.classList.add(config.dotClass);
-            }
+            adapters.document.querySelector('.modal-overlay').addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-remove-hook]');
+                if (!remove) return;
+                Integrations.removeWebhook(remove.dataset.removeHook);
+                reopen();
+            });
             
-            if (elements.statusText) {
-                elements.statusText.textContent = config.text;
-                elements.statusText.style.color = config.textColor;
-            }
+            this.on('#btnSaveMqtt', 'click', () => {
+                Integrations.setMqtt({
+                    enabled: adapters.document.getElementById('mqttEnabledInput').checked,
+                    url: adapters.document.getElementById('mqttUrlInput').value.trim(),
+                    topic: adapters.document.getElementById('mqttTopicInput').value.trim() || Integrations.defaults.mqtt.topic,
+                    username: adapters.document.getElementById('mqttUserInput').value.trim(),
+                    password: adapters.document.getElementById('mqttPasswordInput').value,
+                    events: checkedEvents('mqtt')
+                });
+                this.showNotification('Pengaturan MQTT disimpan', 'success');
+                this.closeModal();
+            });
             
-            if (elements.connectionStatus) {
-                elements.connectionStatus.textContent = config.status;
-                elements.connectionStatus.style.color = config.textColor;
-            }
+            this.on('#btnFlushOutbox', 'click', async () => {
+                const sent = await Integrations.flush();
+                this.showNotification(`${sent} pesan terkirim, ${Integrations.queue.length} tersisa`, sent > 0 ? 'success' : 'warning');
+                reopen();
+            });
+        },
+        
+        // Companion server: sharing, server-side simulation, export and backup
+        showServerSettings() {
+            const settings = ServerSync.getSettings();
+            const bin = Fleet.getSelected();
+            const status = !settings.enabled ? 'Nonaktif' :
+                ServerSync.lastError ? `Galat: ${Utils.escapeHtml(ServerSync.lastError)}` :
+                ServerSync.source ? 'Tersambung' : 'Menyambung...';
             
-            if (elements.btnConnect) {
-                elements.btnConnect.disabled = config.btnConnectDisabled;
-                elements.btnConnect.innerHTML = config.btnConnectText;
-            }
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-server"></i> Server Pendamping</h3>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="serverEnabledInput"${settings.enabled ? ' checked' : ''}> Bagikan data tong lewat server</label>
+                    </div>
+                    <div class="form-group">
+                        <label for="serverUrlInput">Alamat server</label>
+                        <input type="text" id="serverUrlInput" value="${Utils.escapeHtml(settings.url)}" placeholder="kosong = server halaman ini">
+                    </div>
+                    <div class="form-group">
+                        <label for="serverTokenInput">Token (untuk hapus, simulasi dan pemulihan)</label>
+                        <input type="password" id="serverTokenInput" value="${Utils.escapeHtml(settings.token)}" autocomplete="off">
+                    </div>
+                    <p>Status: <strong>${status}</strong></p>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSaveServer"><i class="fas fa-save"></i> Simpan</button>
+                    </div>
+                    <h4>${Utils.escapeHtml(bin.name)}</h4>
+                    <div class="btn-group">
+                        <button class="btn btn-info" data-simulate="start"><i class="fas fa-play"></i> Simulasi di Server</button>
+                        <button class="btn btn-warning" data-simulate="stop"><i class="fas fa-stop"></i> Hentikan</button>
+                    </div>
+                    <h4>Data server</h4>
+                    <div class="btn-group">
+                        <button class="btn btn-info" id="btnServerExport"><i class="fas fa-file-csv"></i> Ekspor CSV</button>
+                        <button class="btn btn-info" id="btnServerBackup"><i class="fas fa-download"></i> Unduh Backup</button>
+                        <label class="btn btn-warning" for="serverRestoreInput"><i class="fas fa-upload"></i> Pulihkan</label>
+                        <input type="file" id="serverRestoreInput" accept="application/json,.json" hidden>
+                    </div>
+                </div>
+            `);
             
-            if (elements.btnDisconnect) {
-                elements.btnDisconnect.disabled = config.btnDisconnectDisabled;
-            }
+            const guard = (action) => async (e) => {
+                try {
+                    await action(e);
+                } catch (error) {
+                    this.showNotification(Utils.escapeHtml(error.message), 'error');
+                }
+            };
             
-            if (elements.connectionBaud && config.baud) {
-                elements.connectionBaud.textContent = config.baud;
-            }
+            this.on('#btnSaveServer', 'click', guard(async () => {
+                const connected = await ServerSync.configure({
+                    enabled: adapters.document.getElementById('serverEnabledInput').checked,
+                    url: adapters.document.getElementById('serverUrlInput').value.trim(),
+                    token: adapters.document.getElementById('serverTokenInput').value.trim()
+                });
+                this.showNotification(connected ? 'Tersambung ke server' : 'Pengaturan server disimpan', connected ? 'success' : 'info');
+                this.closeModal();
+            }));
             
-            if (elements.connectionPort) {
-                elements.connectionPort.textContent = config.port;
-            }
+            adapters.document.querySelectorAll('[data-simulate]').forEach(button => {
+                button.addEventListener('click', guard(async () => {
+                    const { interval, fillRate } = state.db.settings.simulator || {};
+                    await ServerSync.simulate(bin.id, button.dataset.simulate, { interval, fillRate });
+                    this.showNotification(button.dataset.simulate === 'start' ? 'Simulasi server berjalan' : 'Simulasi server dihentikan', 'info');
+                }));
+            });
+            
+            this.on('#btnServerExport', 'click', guard(async () => {
+                const csv = await ServerSync.exportReadings({ binId: bin.id, format: 'csv' });
+                this.downloadFile(csv, `readings_${bin.id}_${Date.now()}.csv`, 'text/csv');
+            }));
+            
+            this.on('#btnServerBackup', 'click', guard(async () => {
+                const backup = await ServerSync.downloadBackup();
+                this.downloadFile(JSON.stringify(backup), `server_backup_${Date.now()}.json`, 'application/json');
+            }));
+            
+            this.on('#serverRestoreInput', 'change', guard(async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                await ServerSync.uploadBackup(JSON.parse(await file.text()));
+                this.showNotification('Backup dipulihkan di server', 'success');
+            }));
         },
         
-        updateAlerts() {
-            const alertBox = document.getElementById('alertBox');
-            if (!alertBox) return;
+        // Channels per severity, alarm tone and browser permission
+        showNotificationSettings() {
+            const settings = Notifier.getSettings();
+            const permission = Notifier.getPermission();
+            const permissionText = {
+                granted: 'Diizinkan',
+                denied: 'Diblokir (ubah di pengaturan browser)',
+                default: 'Belum diminta',
+                unsupported: 'Tidak didukung browser ini'
+            };
             
-            const shouldAlert = state.db.capacity >= state.db.settings.alertThreshold;
+            const rows = Object.entries(AlertManager.severities).map(([severity, info]) => `
+                <tr data-severity="${severity}">
+                    <td>${info.label}</td>
+                    ${['toast', 'browser', 'sound'].map(channel => `
+                        <td><input type="checkbox" data-channel="${channel}"${settings.channels[severity][channel] ? ' checked' : ''}></td>
+                    `).join('')}
+                </tr>
+            `).join('');
             
-            if (shouldAlert) {
-                alertBox.classList.remove('hidden');
-                
-                // Trigger visual alert
-                if (!alertBox.dataset.alerted) {
-                    alertBox.dataset.alerted = 'true';
-                    alertBox.style.animation = 'pulse 1s infinite';
-                    Logger.log(`Peringatan: Kapasitas ${state.db.capacity}% mencapai threshold`, 'warning');
+            const tones = Object.entries(Notifier.tones).map(([value, tone]) =>
+                `<option value="${value}"${value === settings.tone ? ' selected' : ''}>${tone.label}</option>`
+            ).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-volume-up"></i> Notifikasi Peringatan</h3>
+                    <table class="alert-rules">
+                        <tr><th>Tingkat</th><th>Layar</th><th>Browser</th><th>Suara</th></tr>
+                        ${rows}
+                    </table>
+                    <div class="form-group">
+                        <label for="alarmToneSelect">Nada alarm</label>
+                        <select id="alarmToneSelect">${tones}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="alarmVolumeInput">Volume</label>
+                        <input type="range" id="alarmVolumeInput" min="0" max="1" step="0.1" value="${settings.volume}">
+                    </div>
+                    <p>Notifikasi browser: <strong id="notificationPermission">${permissionText[permission]}</strong></p>
+                    <div class="btn-group">
+                        <button class="btn btn-info" id="btnTestAlarm">
+                            <i class="fas fa-play"></i> Coba Nada
+                        </button>
+                        <button class="btn btn-primary" id="btnAllowNotifications"${permission === 'default' ? '' : ' disabled'}>
+                            <i class="fas fa-bell"></i> Izinkan Notifikasi
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            const modal = adapters.document.querySelector('.modal-overlay');
+            modal.addEventListener('change', (e) => {
+                const row = e.target.closest('[data-severity]');
+                if (row) {
+                    Notifier.setChannel(row.dataset.severity, { [e.target.dataset.channel]: e.target.checked });
+                } else if (e.target.id === 'alarmToneSelect' || e.target.id === 'alarmVolumeInput') {
+                    Notifier.setTone(
+                        adapters.document.getElementById('alarmToneSelect').value,
+                        parseFloat(adapters.document.getElementById('alarmVolumeInput').value)
+                    );
                 }
-            } else {
-                alertBox.classList.add('hidden');
-                delete alertBox.dataset.alerted;
-                alertBox.style.animation = '';
-            }
+            });
+            
+            this.on('#btnTestAlarm', 'click', () => {
+                if (!Notifier.play()) this.showNotification('Audio tidak tersedia di browser ini', 'warning');
+            });
+            
+            this.on('#btnAllowNotifications', 'click', async (e) => {
+                const button = e.currentTarget;
+                const result = await Notifier.requestPermission();
+                adapters.document.getElementById('notificationPermission').textContent = permissionText[result];
+                button.disabled = true;
+            });
         },
         
         updateTime() {
             const now = Date.now();
-            const elapsed = Math.floor((now - state.db.lastUpdate) / 1000);
-            const element = document.getElementById('lastUpdateTime');
+            const elapsed = Math.floor((now - Fleet.getSelected().db.lastUpdate) / 1000);
+            const element = adapters.document.getElementById('lastUpdateTime');
             
             if (element) {
                 element.textContent = `Update: ${Utils.formatTime(elapsed)} yang lalu`;
@@ -1015,7 +7355,7 @@ const TongSampahApp = (function() {
         
         // ===== LOG DISPLAY =====
         updateLogEntry(logEntry) {
-            const container = document.getElementById('logsContainer');
+            const container = adapters.document.getElementById('logsContainer');
             if (!container) return;
             
             const logElement = this.createLogElement(logEntry);
@@ -1041,7 +7381,7 @@ const TongSampahApp = (function() {
             const type = Logger.logTypes[log.type] || Logger.logTypes.info;
             const time = new Date(log.timestamp).toLocaleTimeString();
             
-            const div = document.createElement('div');
+            const div = adapters.document.createElement('div');
             div.className = `log-entry log-${log.type}`;
             div.innerHTML = `
                 <div class="log-time">${time}</div>
@@ -1055,18 +7395,28 @@ const TongSampahApp = (function() {
             return div;
         },
         
+        renderLogs() {
+            const container = adapters.document.getElementById('logsContainer');
+            if (!container) return;
+            
+            container.innerHTML = '';
+            Logger.getLogs().slice(0, 100).forEach(log => {
+                container.appendChild(this.createLogElement(log));
+            });
+        },
+        
         clearLogDisplay() {
-            const container = document.getElementById('logsContainer');
+            const container = adapters.document.getElementById('logsContainer');
             if (container) container.innerHTML = '';
         },
         
         // ===== CHART =====
         initChart() {
-            const ctx = document.getElementById('usageChart');
+            const ctx = adapters.document.getElementById('usageChart');
             if (!ctx) return;
             
-            if (window.Chart) {
-                state.ui.chart = new window.Chart(ctx.getContext('2d'), {
+            if (adapters.window.Chart) {
+                state.ui.chart = new adapters.window.Chart(ctx.getContext('2d'), {
                     type: 'line',
                     data: {
                         labels: [],
@@ -1077,13 +7427,22 @@ const TongSampahApp = (function() {
                             backgroundColor: 'rgba(76, 175, 80, 0.1)',
                             fill: true,
                             tension: 0.4
+                        }, {
+                            label: 'Mentah (%)',
+                            data: [],
+                            borderColor: '#9E9E9E',
+                            borderDash: [4, 4],
+                            borderWidth: 1,
+                            pointRadius: 0,
+                            fill: false,
+                            tension: 0
                         }]
                     },
                     options: {
                         responsive: true,
                         maintainAspectRatio: false,
                         plugins: {
-                            legend: { display: false }
+                            legend: { display: true }
                         },
                         scales: {
                             y: {
@@ -1096,27 +7455,48 @@ const TongSampahApp = (function() {
             }
         },
         
-        updateChart() {
+        // settings.chartType -> what the chart reads from the history store
+        chartPeriods: {
+            day: { span: 24 * 60 * 60 * 1000, resolution: 'raw', limit: 50, label: { hour: '2-digit', minute: '2-digit' } },
+            week: { span: 7 * 24 * 60 * 60 * 1000, resolution: 'hour', label: { weekday: 'short', hour: '2-digit' } },
+            month: { span: 30 * 24 * 60 * 60 * 1000, resolution: 'day', label: { day: '2-digit', month: 'short' } },
+            year: { span: 365 * 24 * 60 * 60 * 1000, resolution: 'month', label: { month: 'short', year: '2-digit' } }
+        },
+        
+        async updateChart() {
             if (!state.ui.chart) return;
             
-            const history = state.db.usageHistory.daily.slice(-50);
-            const labels = history.map(h => 
-                new Date(h.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})
+            const bin = Fleet.getSelected();
+            const period = this.chartPeriods[state.db.settings.chartType] || this.chartPeriods.day;
+            const history = await HistoryManager.getRange(bin.id, {
+                from: Date.now() - period.span,
+                resolution: period.resolution,
+                limit: period.limit
+            });
+            
+            // Another bin may have been selected while the query ran
+            if (bin !== Fleet.getSelected() || !state.ui.chart) return;
+            
+            const labels = history.map(h =>
+                new Date(h.timestamp ?? h.bucket).toLocaleString([], { ...period.label, timeZone: Calendar.getTimeZone() })
             );
-            const data = history.map(h => h.capacity);
+            const data = history.map(h => h.average ?? h.capacity);
+            // Entries from before filtering have no raw value
+            const raw = history.map(h => h.rawAverage ?? h.rawCapacity ?? h.capacity);
             
             state.ui.chart.data.labels = labels;
             state.ui.chart.data.datasets[0].data = data;
+            state.ui.chart.data.datasets[1].data = raw;
             state.ui.chart.update('none');
         },
         
         // ===== NOTIFICATIONS =====
         showNotification(message, type = 'info', duration = 3000) {
-            const container = document.getElementById('notificationContainer');
+            const container = adapters.document.getElementById('notificationContainer');
             if (!container) return;
             
             const id = Utils.generateId('notif');
-            const notification = document.createElement('div');
+            const notification = adapters.document.createElement('div');
             notification.id = id;
             notification.className = `notification notification-${type}`;
             notification.innerHTML = `
@@ -1131,11 +7511,30 @@ const TongSampahApp = (function() {
             
             container.appendChild(notification);
             
-            // Auto-remove
-            setTimeout(() => {
-                const element = document.getElementById(id);
-                if (element) element.remove();
-            }, duration);
+            // Auto-remove; duration 0 stays until closed
+            if (duration > 0) {
+                setTimeout(() => {
+                    const element = adapters.document.getElementById(id);
+                    if (element) element.remove();
+                }, duration);
+            }
+            
+            return notification;
+        },
+        
+        showUpdatePrompt(version) {
+            const notification = this.showNotification(`
+                Versi baru ${Utils.escapeHtml(version)} tersedia.
+                <button class="btn btn-primary" data-action="apply-update">
+                    <i class="fas fa-sync"></i> Muat ulang
+                </button>
+            `, 'info', 0);
+            if (!notification) return;
+            
+            notification.querySelector('[data-action="apply-update"]').addEventListener('click', () => {
+                notification.remove();
+                OfflineSupport.applyUpdate();
+            });
         },
         
         // ===== AUTO REFRESH =====
@@ -1153,14 +7552,47 @@ const TongSampahApp = (function() {
             }
         },
         
+        // ===== SIMULATOR =====
+        // Toggles a virtual device on the bin; its lines go through the same
+        // SerialManager → DataProcessor → HistoryManager path as real hardware
+        simulateData(binId = state.fleet.selectedId, options = {}) {
+            const connection = SerialManager.getConnection(binId);
+            
+            if (connection && connection.port && connection.port.isVirtual) {
+                return SerialManager.disconnect(binId);
+            }
+            
+            if (connection) {
+                this.showNotification('Putuskan Arduino dulu sebelum memakai simulator', 'warning');
+                return Promise.resolve(false);
+            }
+            
+            const settings = state.db.settings;
+            const { lineFormat } = SerialManager.getSerialProfile(binId);
+            const port = DeviceSimulator.createPort({
+                format: lineFormat !== 'auto' ? lineFormat : 'csv',
+                framed: settings.framing === 'required',
+                depth: Calibration.getProfile(binId).emptyDistance,
+                ...settings.simulator,
+                ...options
+            });
+            
+            Logger.log(`Simulator dijalankan (format ${port.device.config.format})`, 'info', null, binId);
+            return SerialManager.connect(binId, { port });
+        },
+        
         // ===== HELPERS =====
-        generateSimulatedData() {
+        generateSimulatedData(binId = state.fleet.selectedId) {
+            const bin = Fleet.getBin(binId);
+            if (!bin) return;
+            
             const randomChange = Math.random() > 0.5 ? 1 : -1;
             const changeAmount = Math.floor(Math.random() * 10) * randomChange;
             
-            state.db.distance = Math.max(0, Math.min(50, state.db.distance + changeAmount));
-            state.db.capacity = Utils.calculateCapacity(state.db.distance);
-            state.db.lastUpdate = Date.now();
+            const { emptyDistance, fullDistance } = Calibration.getProfile(binId);
+            bin.db.distance = Utils.clamp(bin.db.distance + changeAmount, fullDistance, emptyDistance);
+            bin.db.capacity = Calibration.capacity(bin.db.distance, binId);
+            bin.db.lastUpdate = Date.now();
         },
         
         exportLogs() {
@@ -1169,15 +7601,318 @@ const TongSampahApp = (function() {
             Logger.log('Logs diekspor', 'success');
         },
         
+        // Datasets, bin, date range (days in the app's time zone) and format
+        showExportCenter() {
+            const today = Calendar.bucketOf('day', Date.now()).key;
+            const weekAgo = Calendar.bucketOf('day', Date.now() - 6 * Calendar.day).key;
+            
+            const datasets = Object.entries(DataExport.datasets).map(([id, dataset]) => `
+                <label><input type="checkbox" data-dataset="${id}" checked> ${dataset.label}</label>
+            `).join('');
+            const bins = Fleet.list().map(bin => `
+                <option value="${bin.id}"${bin.id === state.fleet.selectedId ? ' selected' : ''}>${Utils.escapeHtml(bin.name)}</option>
+            `).join('');
+            const formats = Object.entries(DataExport.formats).map(([id, format]) => `
+                <option value="${id}">${format.label}</option>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-file-export"></i> Ekspor Data</h3>
+                    <div class="form-group">${datasets}</div>
+                    <div class="form-group">
+                        <label for="exportBinSelect">Tong</label>
+                        <select id="exportBinSelect"><option value="">Semua tong</option>${bins}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="exportFromInput">Dari</label>
+                        <input type="date" id="exportFromInput" value="${weekAgo}">
+                        <label for="exportToInput">Sampai</label>
+                        <input type="date" id="exportToInput" value="${today}">
+                    </div>
+                    <div class="form-group">
+                        <label for="exportFormatSelect">Format</label>
+                        <select id="exportFormatSelect">${formats}</select>
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnRunExport"><i class="fas fa-download"></i> Ekspor</button>
+                    </div>
+                </div>
+            `);
+            
+            const doc = adapters.document;
+            const dayStart = (value, offset = 0) => {
+                const [year, month, day] = value.split('-').map(Number);
+                return Calendar.zonedTime(year, month, day + offset, 0);
+            };
+            
+            this.on('#btnRunExport', 'click', async () => {
+                const from = doc.getElementById('exportFromInput').value;
+                const to = doc.getElementById('exportToInput').value;
+                const selected = [...doc.querySelectorAll('[data-dataset]')]
+                    .filter(input => input.checked)
+                    .map(input => input.dataset.dataset);
+                
+                if (!selected.length || !from || !to) {
+                    this.showNotification('Pilih data dan rentang tanggal', 'warning');
+                    return;
+                }
+                
+                try {
+                    const files = await DataExport.build({
+                        datasets: selected,
+                        binId: doc.getElementById('exportBinSelect').value || null,
+                        from: dayStart(from),
+                        to: dayStart(to, 1) - 1,
+                        format: doc.getElementById('exportFormatSelect').value
+                    });
+                    files.forEach(file => this.downloadFile(file.content, file.filename, file.mimeType));
+                    Logger.log(`Data diekspor: ${selected.join(', ')} (${from} s.d. ${to})`, 'success');
+                    this.closeModal();
+                } catch (error) {
+                    this.showNotification(Utils.escapeHtml(error.message), 'error');
+                }
+            });
+        },
+        
+        // Daily/weekly/monthly report: printed from a new window or downloaded
+        showReportDialog() {
+            const today = Calendar.bucketOf('day', Date.now()).key;
+            const periods = Object.entries(Reports.periods).map(([id, period]) => `
+                <option value="${id}"${id === 'week' ? ' selected' : ''}>${period.label}</option>
+            `).join('');
+            const bins = Fleet.list().map(bin => `
+                <option value="${bin.id}">${Utils.escapeHtml(bin.name)}</option>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-file-alt"></i> Laporan Berkala</h3>
+                    <div class="form-group">
+                        <label for="reportPeriodSelect">Periode</label>
+                        <select id="reportPeriodSelect">${periods}</select>
+                        <label for="reportDateInput">Memuat tanggal</label>
+                        <input type="date" id="reportDateInput" value="${today}">
+                    </div>
+                    <div class="form-group">
+                        <label for="reportBinSelect">Tong</label>
+                        <select id="reportBinSelect"><option value="">Semua tong</option>${bins}</select>
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnPrintReport"><i class="fas fa-print"></i> Cetak</button>
+                        <button class="btn btn-info" data-report-format="pdf"><i class="fas fa-file-pdf"></i> Unduh PDF</button>
+                        <button class="btn btn-info" data-report-format="html"><i class="fas fa-file-code"></i> Unduh HTML</button>
+                    </div>
+                </div>
+            `);
+            
+            const doc = adapters.document;
+            const render = (format) => {
+                const value = doc.getElementById('reportDateInput').value;
+                if (!value) throw new Error('Pilih tanggal laporan');
+                
+                const [year, month, day] = value.split('-').map(Number);
+                return Reports.render({
+                    format,
+                    period: doc.getElementById('reportPeriodSelect').value,
+                    date: Calendar.zonedTime(year, month, day, 12),
+                    binId: doc.getElementById('reportBinSelect').value || null
+                });
+            };
+            const guard = (action) => async () => {
+                try {
+                    await action();
+                } catch (error) {
+                    this.showNotification(Utils.escapeHtml(error.message), 'error');
+                }
+            };
+            
+            // Opened before the report is built, while the click still allows popups
+            this.on('#btnPrintReport', 'click', guard(async () => {
+                const view = adapters.window.open('', '_blank');
+                if (!view) throw new Error('Jendela cetak diblokir browser');
+                
+                try {
+                    const file = await render('html');
+                    view.document.write(file.content);
+                    view.document.close();
+                    view.focus();
+                    view.print();
+                } catch (error) {
+                    view.close();
+                    throw error;
+                }
+            }));
+            
+            doc.querySelectorAll('[data-report-format]').forEach(button => {
+                button.addEventListener('click', guard(async () => {
+                    const file = await render(button.dataset.reportFormat);
+                    this.downloadFile(file.content, file.filename, file.mimeType);
+                    Logger.log(`${file.report.title} dibuat`, 'success');
+                }));
+            });
+        },
+        
+        // Backup files, restore with merge or replace, local automatic backups
+        async showBackupPanel() {
+            const schedule = Backup.getSchedule();
+            const saved = await Backup.listLocal();
+            const serverEnabled = ServerSync.isEnabled();
+            const kinds = { auto: 'Otomatis', manual: 'Manual' };
+            
+            const rows = saved.map(entry => `
+                <tr>
+                    <td>${new Date(entry.id).toLocaleString([], { timeZone: Calendar.getTimeZone() })}</td>
+                    <td>${kinds[entry.kind] || entry.kind}</td>
+                    <td>${entry.bins} tong, ${entry.readings} pembacaan</td>
+                    <td>
+                        <button class="btn btn-info" data-backup-download="${entry.id}" title="Unduh"><i class="fas fa-download"></i></button>
+                        <button class="btn btn-warning" data-backup-restore="${entry.id}" title="Pulihkan"><i class="fas fa-undo"></i></button>
+                        <button class="btn btn-warning" data-backup-delete="${entry.id}" title="Hapus"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `).join('');
+            
+            this.showModal(`
+                <div class="modal-content">
+                    <h3><i class="fas fa-database"></i> Backup &amp; Pemulihan</h3>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnDownloadBackup"><i class="fas fa-download"></i> Unduh Backup</button>
+                        <button class="btn btn-info" id="btnSaveLocalBackup"><i class="fas fa-save"></i> Simpan di Perangkat</button>
+                        ${serverEnabled ? `
+                            <button class="btn btn-info" id="btnSendServerBackup"><i class="fas fa-cloud-upload-alt"></i> Kirim ke Server</button>
+                            <button class="btn btn-warning" id="btnFetchServerBackup"><i class="fas fa-cloud-download-alt"></i> Pulihkan dari Server</button>
+                        ` : ''}
+                    </div>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="backupSecretsInput"> Sertakan kata sandi MQTT, header webhook dan token server</label>
+                    </div>
+                    <h4>Pulihkan dari berkas</h4>
+                    <div class="form-group">
+                        <label><input type="radio" name="restoreMode" value="merge" checked> Gabungkan (data di perangkat ini diutamakan)</label>
+                        <label><input type="radio" name="restoreMode" value="replace"> Ganti semua data</label>
+                    </div>
+                    <div class="btn-group">
+                        <label class="btn btn-warning" for="backupFileInput"><i class="fas fa-upload"></i> Pilih Berkas</label>
+                        <input type="file" id="backupFileInput" accept="application/json,.json" hidden>
+                    </div>
+                    <h4>Backup di perangkat ini</h4>
+                    ${saved.length ? `
+                        <table class="alert-rules">
+                            <tr><th>Waktu</th><th>Jenis</th><th>Isi</th><th></th></tr>
+                            ${rows}
+                        </table>
+                    ` : '<p>Belum ada backup lokal</p>'}
+                    <h4>Backup otomatis</h4>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="backupEnabledInput"${schedule.enabled ? ' checked' : ''}> Aktif</label>
+                        <label for="backupIntervalInput">Setiap (jam)</label>
+                        <input type="number" id="backupIntervalInput" min="1" value="${schedule.interval}">
+                        <label for="backupKeepInput">Simpan</label>
+                        <input type="number" id="backupKeepInput" min="1" value="${schedule.keep}">
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn btn-primary" id="btnSaveBackupSchedule"><i class="fas fa-save"></i> Simpan Jadwal</button>
+                    </div>
+                </div>
+            `);
+            
+            const doc = adapters.document;
+            const reopen = () => this.showBackupPanel();
+            const guard = (action) => async (e) => {
+                try {
+                    await action(e);
+                } catch (error) {
+                    this.showNotification(Utils.escapeHtml(error.message), 'error');
+                }
+            };
+            // Passwords and tokens only leave this device when asked for
+            const secrets = () => doc.getElementById('backupSecretsInput').checked;
+            const restore = async (backup) => {
+                const mode = doc.querySelector('input[name="restoreMode"]:checked').value;
+                Backup.validate(backup);
+                if (mode === 'replace' && !adapters.window.confirm('Semua data di perangkat ini akan diganti isi backup. Lanjutkan?')) return;
+                
+                const result = await Backup.restore(backup, { mode });
+                this.closeModal();
+                this.showNotification(`Backup dipulihkan (${result.readings} pembacaan ditambahkan), memuat ulang...`, 'success', 0);
+            };
+            
+            this.on('#btnDownloadBackup', 'click', guard(async () => {
+                const backup = await Backup.create(Date.now(), { secrets: secrets() });
+                this.downloadFile(JSON.stringify(backup), Backup.filename(backup), 'application/json');
+                Logger.log('Backup diunduh', 'success');
+            }));
+            
+            this.on('#btnSaveLocalBackup', 'click', guard(async () => {
+                await Backup.saveLocal('manual');
+                this.showNotification('Backup disimpan di perangkat', 'success');
+                reopen();
+            }));
+            
+            this.on('#btnSendServerBackup', 'click', guard(async () => {
+                if (!adapters.window.confirm('Data di server akan diganti backup dari perangkat ini. Lanjutkan?')) return;
+                await ServerSync.uploadBackup(await Backup.create(Date.now(), { secrets: secrets() }));
+                this.showNotification('Backup dikirim ke server', 'success');
+            }));
+            
+            this.on('#btnFetchServerBackup', 'click', guard(async () => {
+                await restore(await ServerSync.downloadBackup());
+            }));
+            
+            this.on('#backupFileInput', 'change', guard(async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                let backup;
+                try {
+                    backup = JSON.parse(await file.text());
+                } catch (error) {
+                    throw new Error('Berkas backup tidak valid: bukan JSON');
+                }
+                await restore(backup);
+            }));
+            
+            doc.querySelectorAll('[data-backup-download]').forEach(button => {
+                button.addEventListener('click', guard(async () => {
+                    const saved = await Backup.getLocal(Number(button.dataset.backupDownload));
+                    const backup = secrets() ? saved : Backup.withoutSecrets(saved);
+                    this.downloadFile(JSON.stringify(backup), Backup.filename(backup), 'application/json');
+                }));
+            });
+            
+            doc.querySelectorAll('[data-backup-restore]').forEach(button => {
+                button.addEventListener('click', guard(async () => {
+                    await restore(await Backup.getLocal(Number(button.dataset.backupRestore)));
+                }));
+            });
+            
+            doc.querySelectorAll('[data-backup-delete]').forEach(button => {
+                button.addEventListener('click', guard(async () => {
+                    await Backup.deleteLocal(Number(button.dataset.backupDelete));
+                    reopen();
+                }));
+            });
+            
+            this.on('#btnSaveBackupSchedule', 'click', guard(async () => {
+                Backup.setSchedule({
+                    enabled: doc.getElementById('backupEnabledInput').checked,
+                    interval: parseFloat(doc.getElementById('backupIntervalInput').value),
+                    keep: parseInt(doc.getElementById('backupKeepInput').value)
+                });
+                this.showNotification('Jadwal backup disimpan', 'success');
+            }));
+        },
+        
         downloadFile(content, filename, mimeType) {
             const blob = new Blob([content], { type: mimeType });
             const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
+            const a = adapters.document.createElement('a');
             a.href = url;
             a.download = filename;
-            document.body.appendChild(a);
+            adapters.document.body.appendChild(a);
             a.click();
-            document.body.removeChild(a);
+            adapters.document.body.removeChild(a);
             URL.revokeObjectURL(url);
         },
         
@@ -1202,39 +7937,66 @@ const TongSampahApp = (function() {
         showModal(content) {
             if (state.ui.modalOpen) return;
             
-            const modal = document.createElement('div');
+            const modal = adapters.document.createElement('div');
             modal.className = 'modal-overlay';
             modal.innerHTML = content;
             
             modal.onclick = (e) => {
-                if (e.target === modal) {
-                    modal.remove();
-                    state.ui.modalOpen = false;
-                }
+                if (e.target === modal) this.closeModal();
             };
             
-            document.body.appendChild(modal);
+            adapters.document.body.appendChild(modal);
             state.ui.modalOpen = true;
         },
         
+        closeModal() {
+            const modal = adapters.document.querySelector('.modal-overlay');
+            if (modal) modal.remove();
+            state.ui.modalOpen = false;
+        },
+        
         startUpdateScheduler() {
-            // Update time every second
+            // Update time every second, plus the reconnect countdown
             state.timers.intervals.push(setInterval(() => {
                 this.scheduleUpdate('time');
+                if (SerialManager.isReconnecting()) this.scheduleUpdate('connection');
             }, 1000));
             
-            // Check alerts every 30 seconds
+            // Time-based alert rules (lid open, stale sensor, disconnect) every 30 seconds
             state.timers.intervals.push(setInterval(() => {
+                AlertManager.evaluateAll();
+                Notifier.remind();
                 this.scheduleUpdate('alerts');
             }, 30000));
             
-            // Update chart every minute
+            // Update chart every minute, retry undelivered integration messages
+            // and take the automatic backup when it is due
             state.timers.intervals.push(setInterval(() => {
                 this.updateChart();
+                if (Integrations.queue.length > 0) Integrations.flush();
+                Backup.runScheduled();
             }, 60000));
+            
+            // Daily counters start over at local midnight
+            UsageLedger.scheduleRollover();
+            
+            // Apply history retention every hour
+            state.timers.intervals.push(setInterval(() => {
+                TimeSeries.prune();
+            }, 60 * 60 * 1000));
         },
         
         cleanup() {
+            this.stopTimers();
+            
+            // Save state (a no-op after a backup restore froze storage)
+            Storage.set('settings', state.db.settings);
+            Storage.set('logs', state.db.logs);
+            Fleet.save();
+        },
+        
+        // Everything that runs by itself and could write state
+        stopTimers() {
             // Clear all intervals
             state.timers.intervals.forEach(clearInterval);
             state.timers.intervals = [];
@@ -1243,9 +8005,9 @@ const TongSampahApp = (function() {
             if (state.timers.autoRefresh) {
                 clearInterval(state.timers.autoRefresh);
             }
-            
-            // Save state
-            Storage.set('db', state.db);
+            clearTimeout(state.timers.rollover);
+            if (Integrations.mqtt) Mqtt.disconnect(Integrations.mqtt);
+            ServerSync.stop();
         }
     };
     
@@ -1260,41 +8022,43 @@ const TongSampahApp = (function() {
             return instance;
         },
         
+        // Swap browser adapters (storage, document, window, serial, requestFrame)
+        // and config values before init()/initCore(), e.g. for Node tests
+        configure(options = {}) {
+            const { config, ...overrides } = options;
+            Object.assign(adapters, overrides);
+            
+            if (config) {
+                state.config = {
+                    ...state.config,
+                    ...config,
+                    api: { ...state.config.api, ...(config.api || {}) }
+                };
+            }
+            return this;
+        },
+        
         // Initialization
         init() {
             console.log('TongSampahApp v' + state.config.version + ' initializing...');
             
-            // Load or create database
-            state.db = Storage.get('db', {
-                capacity: 0,
-                distance: 0,
-                status: "TUTUP",
-                dailyUsage: 0,
-                totalUsage: 0,
-                lastActivity: null,
-                lastUpdate: Date.now(),
-                alertTriggered: false,
-                
-                settings: Storage.get('settings', {
-                    autoRefresh: false,
-                    autoRefreshInterval: 5000,
-                    alertThreshold: 80,
-                    connectionBaud: 115200,
-                    chartType: 'day',
-                    autoScrollLogs: true
-                }),
-                
-                logs: Storage.get('logs', []),
-                usageHistory: Storage.get('history', {
-                    daily: [],
-                    weekly: {},
-                    monthly: {}
-                })
-            });
+            this.initCore();
             
             // Initialize UI
             UI.init();
             
+            // Serial events and remembered ports
+            SerialManager.init();
+            
+            // Broker connection and undelivered webhook/MQTT messages
+            Integrations.init();
+            
+            // Shared fleet on the companion server
+            ServerSync.init();
+            
+            // Precached app shell and update prompt
+            OfflineSupport.init();
+            
             // Start auto-refresh if enabled
             if (state.db.settings.autoRefresh) {
                 UI.toggleAutoRefresh();
@@ -1306,15 +8070,188 @@ const TongSampahApp = (function() {
             return this;
         },
         
+        // Loads persisted state only: no DOM, no serial events, no timers
+        initCore() {
+            state.serial.connections = {};
+            state.ui.commands = {};
+            state.filters = {};
+            state.forecasts = {};
+            
+            // Upgrade what older versions stored, then load
+            Storage.frozen = false;
+            Storage.recovered = [];
+            const migration = Migrations.run();
+            state.db = Migrations.load();
+            
+            // Per-bin state
+            TimeSeries.open();
+            Fleet.load();
+            Fleet.list().forEach(bin => HistoryManager.importLegacy(bin));
+            UsageLedger.cache.clear();
+            UsageLedger.rolloverAll();
+            Forecast.load();
+            AlertManager.load();
+            Integrations.load();
+            PortRegistry.load();
+            
+            if (migration.error) {
+                Logger.log(`Pembaruan data tersimpan gagal, dicoba lagi saat mulai berikutnya: ${migration.error}`, 'error');
+            }
+            Storage.recovered.forEach(key => {
+                Logger.log(`Data tersimpan '${key}' rusak dan diganti bawaan; salinannya di 'corrupt_${key}', pulihkan dari backup bila perlu`, 'warning');
+            });
+            
+            return this;
+        },
+        
+        // Internal modules, for headless use and tests
+        getCore() {
+            return {
+                state,
+                adapters,
+                Storage,
+                Utils,
+                Calendar,
+                Calibration,
+                DistanceFilter,
+                Fleet,
+                Migrations,
+                DataProcessor,
+                LineTransport,
+                TimeSeries,
+                HistoryManager,
+                UsageLedger,
+                Forecast,
+                AlertManager,
+                Notifier,
+                Mqtt,
+                Integrations,
+                ServerSync,
+                OfflineSupport,
+                Logger,
+                DataExport,
+                Reports,
+                Backup,
+                PortRegistry,
+                DeviceSimulator,
+                RemoteBridge,
+                SerialManager,
+                UI
+            };
+        },
+        
         // Public methods
-        connectArduino: () => SerialManager.connect(),
-        disconnectArduino: () => SerialManager.disconnect(),
-        sendCommand: (cmd) => UI.sendCommand(cmd),
-        refreshData: () => UI.refreshData(),
-        toggleDoor: () => UI.toggleDoor(),
-        clearLogs: () => Logger.clearLogs(),
+        connectArduino: (binId, options) => SerialManager.connect(binId, options),
+        connectBridge: (url, binId) => SerialManager.connect(binId, { bridge: url }),
+        disconnectArduino: (binId) => SerialManager.disconnect(binId),
+        sendCommand: (cmd, binId) => UI.sendCommand(cmd, binId),
+        refreshData: (binId) => UI.refreshData(binId),
+        toggleDoor: (binId) => UI.toggleDoor(binId),
+        clearLogs: (binId) => Logger.clearLogs(binId),
         exportData: () => UI.exportLogs(),
-        simulateData: () => UI.generateSimulatedData(),
+        exportForecast: () => Forecast.exportReport(),
+        // { datasets: ['readings', 'events', 'alerts', 'logs'], binId, from, to, format: 'csv'|'jsonl'|'spreadsheet' }
+        exportRecords: (options) => DataExport.build(options),
+        // { period: 'day'|'week'|'month', date, binId, format: 'html'|'pdf' } -> { filename, content, mimeType, report }
+        buildReport: (options) => Reports.render(options),
+        createBackup: (options) => Backup.create(Date.now(), options),
+        // options: { mode: 'merge' | 'replace' }; the page reloads afterwards,
+        // headless callers run initCore() to load the restored data
+        restoreBackup: (backup, options) => Backup.restore(backup, options),
+        listLocalBackups: () => Backup.listLocal(),
+        simulateData: (binId, options) => UI.simulateData(binId, options),
+        createVirtualPort: (options) => DeviceSimulator.createPort(options),
+        
+        // Fleet
+        getBins: () => Utils.deepClone(Fleet.list()),
+        addBin: (info) => Utils.deepClone(Fleet.addBin(info)),
+        updateBin: (id, changes) => Fleet.updateBin(id, changes) !== null,
+        removeBin: (id) => Fleet.removeBin(id),
+        selectBin: (id) => Fleet.select(id),
+        getSelectedBin: () => Utils.deepClone(Fleet.getSelected()),
+        getPorts: () => Utils.deepClone(Object.values(state.ports)),
+        renamePort: (name, binId) => SerialManager.renamePort(name, binId),
+        // For pages that open the port themselves (style.js)
+        rememberPort: (port, binId) => SerialManager.rememberPort(binId || state.fleet.selectedId, port),
+        describePort: (port, binId) => PortRegistry.getLabel(binId || state.fleet.selectedId, port.getInfo()),
+        
+        // Calibration
+        getCalibration: (binId) => Calibration.getProfile(binId),
+        calibrate: (binId, profile) => Calibration.setProfile(binId, profile),
+        calculateCapacity: (distance, binId) => Calibration.capacity(distance, binId),
+        
+        // History: { from, to, resolution: 'raw'|'hour'|'day'|'week'|'month', limit }
+        getHistory: (binId, options) => HistoryManager.getRange(binId || state.fleet.selectedId, options),
+        getHistoryStats: (period, binId) => HistoryManager.getStats(period, Fleet.getBin(binId) || Fleet.getSelected()),
+        getUsageProfile: (type, binId, options) => TimeSeries.profile(binId || state.fleet.selectedId, type, options),
+        rebuildHistory: (binId) => TimeSeries.rebuild(binId),
+        getUsageStats: (binId) => UsageLedger.getStats(binId || state.fleet.selectedId),
+        getForecast: (binId) => Forecast.compute(binId || state.fleet.selectedId),
+        getForecastAccuracy: (binId) => Forecast.getAccuracy(binId),
+        
+        // Service log
+        logCollection: (binId, entry) => HistoryManager.logCollection(binId || state.fleet.selectedId, entry),
+        getServiceLog: (binId, options) => HistoryManager.getServiceLog(binId || state.fleet.selectedId, options),
+        getServiceStatus: (binId) => HistoryManager.getServiceStatus(Fleet.getBin(binId) || Fleet.getSelected()),
+        
+        // Alerts
+        getAlertRules: () => Utils.deepClone(AlertManager.getRules()),
+        setAlertRule: (rule) => AlertManager.setRule(rule),
+        removeAlertRule: (id) => AlertManager.removeRule(id),
+        getActiveAlerts: (binId) => Utils.deepClone(AlertManager.getActive(binId)),
+        getAlertHistory: (options) => Utils.deepClone(AlertManager.getHistory(options)),
+        acknowledgeAlert: (alertId, by) => AlertManager.acknowledge(alertId, by),
+        snoozeAlert: (alertId, minutes) => AlertManager.snooze(alertId, minutes),
+        
+        // Alert notifications
+        getNotificationSettings: () => Utils.deepClone(Notifier.getSettings()),
+        setNotificationChannel: (severity, changes) => Notifier.setChannel(severity, changes),
+        setAlarmTone: (tone, volume) => Notifier.setTone(tone, volume),
+        requestNotificationPermission: () => Notifier.requestPermission(),
+        testAlarm: (tone, volume) => Notifier.play(tone, volume),
+        
+        // Outbound integrations
+        getIntegrations: () => Utils.deepClone(Integrations.getSettings()),
+        setWebhook: (hook) => Integrations.setWebhook(hook),
+        removeWebhook: (id) => Integrations.removeWebhook(id),
+        setMqtt: (changes) => Integrations.setMqtt(changes),
+        getOutboxStatus: () => Integrations.getStatus(),
+        flushOutbox: () => Integrations.flush(),
+        
+        // Companion server
+        configureServer: (changes) => ServerSync.configure(changes),
+        simulateOnServer: (binId, action, options) => ServerSync.simulate(binId || state.fleet.selectedId, action, options),
+        exportFromServer: (query) => ServerSync.exportReadings(query),
+        downloadServerBackup: () => ServerSync.downloadBackup(),
+        uploadServerBackup: (backup) => ServerSync.uploadBackup(backup),
+        getUsageEvents: (binId, options) => TimeSeries.events(binId || state.fleet.selectedId, options),
+        
+        // Offline cache
+        applyUpdate: () => OfflineSupport.applyUpdate(),
+        
+        // Day boundaries follow this zone; rollups are rebuilt from the kept readings
+        setTimeZone(timeZone) {
+            if (!Calendar.isValidTimeZone(timeZone)) {
+                throw new Error(`Zona waktu tidak valid: ${timeZone}`);
+            }
+            state.db.settings.timeZone = timeZone;
+            Storage.set('settings', state.db.settings);
+            Logger.log(`Zona waktu: ${timeZone}`, 'info');
+            return TimeSeries.rebuild();
+        },
+        configureFilter(changes) {
+            state.db.settings.filter = { ...DistanceFilter.getSettings(), ...changes };
+            Storage.set('settings', state.db.settings);
+            return { ...state.db.settings.filter };
+        },
+        setLineFormat: (id, binId) => SerialManager.setLineFormat(id, binId || state.fleet.selectedId),
+        setBaudRate: (baudRate, binId) => SerialManager.setBaudRate(baudRate, binId || state.fleet.selectedId),
+        getSerialProfile: (binId) => SerialManager.getSerialProfile(binId || state.fleet.selectedId),
+        registerLineFormat: (id, format) => {
+            const registered = DataProcessor.registerFormat(id, format);
+            UI.renderLineFormatOptions();
+            return registered;
+        },
         showHelp: () => UI.showHelp(),
         
         // Debug methods
@@ -1326,18 +8263,17 @@ const TongSampahApp = (function() {
             return {
                 storage: {
                     size: Storage.getSize(),
-                    items: Object.keys(localStorage).filter(k => k.startsWith(state.config.storagePrefix)).length
+                    items: Storage.keys().length,
+                    history: TimeSeries.backendName
                 },
                 logs: state.db.logs.length,
-                history: {
-                    daily: state.db.usageHistory.daily.length,
-                    weekly: Object.keys(state.db.usageHistory.weekly).length,
-                    monthly: Object.keys(state.db.usageHistory.monthly).length
-                },
-                connection: {
-                    isConnected: state.serial.isConnected,
-                    baudRate: state.serial.baudRate
-                },
+                bins: Fleet.list().map(bin => ({
+                    id: bin.id,
+                    name: bin.name,
+                    logs: bin.db.logs.length,
+                    connection: SerialManager.getConnectionStats(bin.id),
+                    filter: DistanceFilter.getStats(bin.id)
+                })),
                 performance: {
                     cacheSize: perf.cache.size,
                     lastRender: perf.lastRender
@@ -1348,39 +8284,39 @@ const TongSampahApp = (function() {
         reset() {
             Storage.clear();
             state.db = null;
-            location.reload();
+            if (adapters.window.location) adapters.window.location.reload();
         }
     };
 })();
 
 // ================= GLOBAL INITIALIZATION =================
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize app
-    const app = TongSampahApp.getInstance().init();
-    
-    // Expose to window for debugging
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-        window.TongSampahApp = app;
-        console.log('App exposed to window.TongSampahApp');
-    }
-    
-    // Service Worker Registration (if supported)
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('/sw.js').catch(console.error);
-    }
-});
+// Browser only; under Node the module is just exported (see bottom)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        // Initialize app (getInstance() runs init() once)
+        const app = TongSampahApp.getInstance();
+        
+        // Expose to window for debugging
+        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+            window.TongSampahApp = app;
+            console.log('App exposed to window.TongSampahApp');
+        }
+    });
+}
 
 // ================= GLOBAL ERROR HANDLING =================
-window.addEventListener('error', function(e) {
-    console.error('Global error:', e.error);
-    if (window.TongSampahApp && window.TongSampahApp.getInstance) {
-        window.TongSampahApp.getInstance().log('Global error: ' + e.message, 'error');
-    }
-});
-
-window.addEventListener('unhandledrejection', function(e) {
-    console.error('Unhandled promise rejection:', e.reason);
-});
+if (typeof window !== 'undefined') {
+    window.addEventListener('error', function(e) {
+        console.error('Global error:', e.error);
+        if (window.TongSampahApp && window.TongSampahApp.getInstance) {
+            window.TongSampahApp.getInstance().log('Global error: ' + e.message, 'error');
+        }
+    });
+    
+    window.addEventListener('unhandledrejection', function(e) {
+        console.error('Unhandled promise rejection:', e.reason);
+    });
+}
 
 // ================= POLYFILLS (if needed) =================
 if (!String.prototype.padStart) {
@@ -1409,9 +8345,11 @@ const styles = `
 `;
 
 // Inject styles
-const styleSheet = document.createElement('style');
-styleSheet.textContent = styles;
-document.head.appendChild(styleSheet);
+if (typeof document !== 'undefined') {
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
 
 // ================= EXPORT FOR MODULE USAGE =================
 if (typeof module !== 'undefined' && module.exports) {
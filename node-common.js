@@ -0,0 +1,56 @@
+// ================= TONG SAMPAH NODE HELPERS =================
+// What server.js and bridge.js share: a private instance of the app,
+// token checks and the command line.
+//
+// Plain Node, no dependencies.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const APP_PATH = require.resolve('./javascript.js');
+
+// A fresh app instance per call, so tests (and several servers or bridges
+// in one process) don't share state through the require cache. Without
+// `storage` it keeps its data in memory; initCore() is left to the caller.
+function loadApp(storage = null) {
+    delete require.cache[APP_PATH];
+    const App = require(APP_PATH);
+    delete require.cache[APP_PATH];
+    
+    App.configure({
+        storage: storage || App.getCore().Storage.createMemoryStorage(),
+        serial: null,
+        indexedDB: null
+    });
+    return App;
+}
+
+// Constant-time, so a token cannot be guessed byte by byte
+function secretMatches(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// `--name value` flags; option.list() splits a comma-separated value
+function parseArgs(args = process.argv.slice(2)) {
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+    };
+    option.list = (name, fallback) => {
+        const value = option(name, null);
+        return value === null ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+    };
+    return option;
+}
+
+// Ctrl+C or a service stop closes `instance` before the process exits
+function closeOnSignal(instance) {
+    const shutdown = () => instance.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { loadApp, secretMatches, parseArgs, closeOnSignal };
@@ -0,0 +1,647 @@
+// ================= TONG SAMPAH COMPANION SERVER =================
+// Serves the dashboard and implements the routes in state.config.api:
+// a shared fleet with live updates for several dashboards, readings kept
+// in a local file database, server-side export, backup/restore and
+// simulated devices run by a headless copy of the app.
+//
+//   node server.js [--port 8080] [--host 127.0.0.1] [--data ./data]
+//                  [--origins https://a.example,https://b.example] [--token ...]
+//                  [--retention 30]
+//
+// Browsers may call the API from the server's own origin (whatever host
+// name the page was opened with) and from --origins only. Routes that
+// delete or replace data need the token as "Authorization: Bearer <token>";
+// without --token (or TONGSAMPAH_TOKEN) a random one is printed at start.
+//
+// Readings older than --retention days (default: the app's readings
+// retention) are dropped every hour, and at most MAX_READINGS are kept, so
+// GET /api/backup always fits in what POST /api/backup accepts.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadApp, secretMatches, parseArgs, closeOnSignal } = require('./node-common');
+
+const ROOT = __dirname;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Files the server never hands out even though they sit next to the app
+const PRIVATE_FILES = new Set(['/server.js', '/bridge.js', '/node-common.js']);
+
+const MAX_BODY = 20 * 1024 * 1024;
+// A full backup: MAX_READINGS of a few hundred bytes each plus storage
+const MAX_BACKUP_BODY = 100 * 1024 * 1024;
+const MAX_READINGS = 200000;
+// Readings over the limit before the file is rewritten
+const PRUNE_BATCH = 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ===== FILE DATABASE =====
+// storage.json holds what the browser keeps in localStorage (same keys),
+// readings.jsonl every reading any dashboard posted, one JSON per line.
+const FileDb = {
+    open(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        const files = {
+            storage: path.join(dir, 'storage.json'),
+            readings: path.join(dir, 'readings.jsonl')
+        };
+        
+        const items = new Map(Object.entries(FileDb.readJson(files.storage, {})));
+        let readings = FileDb.readLines(files.readings);
+        let saveTimer = null;
+        
+        const db = {
+            dir,
+            files,
+            
+            get readings() {
+                return readings;
+            },
+            
+            // Web Storage API for the headless app, written through to storage.json
+            storage: {
+                get length() {
+                    return items.size;
+                },
+                key(index) {
+                    const keys = [...items.keys()];
+                    return index < keys.length ? keys[index] : null;
+                },
+                getItem(key) {
+                    return items.has(key) ? items.get(key) : null;
+                },
+                setItem(key, value) {
+                    items.set(key, String(value));
+                    db.scheduleSave();
+                },
+                removeItem(key) {
+                    items.delete(key);
+                    db.scheduleSave();
+                },
+                clear() {
+                    items.clear();
+                    db.scheduleSave();
+                }
+            },
+            
+            // The app saves on every reading; coalesce into one write
+            scheduleSave() {
+                if (saveTimer) return;
+                saveTimer = setTimeout(() => db.flush(), 200);
+            },
+            
+            flush() {
+                clearTimeout(saveTimer);
+                saveTimer = null;
+                FileDb.writeAtomic(files.storage, JSON.stringify(Object.fromEntries(items), null, 2));
+            },
+            
+            snapshot() {
+                return Object.fromEntries(items);
+            },
+            
+            append(reading) {
+                readings.push(reading);
+                fs.appendFileSync(files.readings, JSON.stringify(reading) + '\n');
+            },
+            
+            // Drops readings before `before` and all but the newest `max`;
+            // returns how many were removed
+            prune({ before = 0, max = Infinity } = {}) {
+                let kept = readings.filter(reading => reading.timestamp >= before);
+                if (kept.length > max) kept = kept.slice(-max);
+                const removed = readings.length - kept.length;
+                if (removed > 0) db.replaceReadings(kept);
+                return removed;
+            },
+            
+            query({ binId = null, from = 0, to = Infinity, limit = 0 } = {}) {
+                const rows = readings.filter(reading =>
+                    (!binId || reading.binId === binId) && reading.timestamp >= from && reading.timestamp <= to
+                );
+                return limit > 0 ? rows.slice(-limit) : rows;
+            },
+            
+            replace(storage, newReadings) {
+                items.clear();
+                Object.entries(storage).forEach(([key, value]) => items.set(key, String(value)));
+                db.flush();
+                db.replaceReadings([...newReadings]);
+            },
+            
+            replaceReadings(newReadings) {
+                readings = newReadings;
+                FileDb.writeAtomic(files.readings, readings.map(reading => JSON.stringify(reading) + '\n').join(''));
+            }
+        };
+        
+        return db;
+    },
+    
+    readJson(file, fallback) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Tidak bisa membaca ${file}:`, error.message);
+            return fallback;
+        }
+    },
+    
+    // A torn last line (crash mid-write) is skipped
+    readLines(file) {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+    },
+    
+    writeAtomic(file, content) {
+        fs.writeFileSync(`${file}.tmp`, content);
+        fs.renameSync(`${file}.tmp`, file);
+    }
+};
+
+// ===== HELPERS =====
+// The app on the file database
+function startApp(storage) {
+    const App = loadApp(storage);
+    App.initCore();
+    return App;
+}
+
+function readBody(req, limit = MAX_BODY) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Data terlalu besar'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve({});
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, 'JSON tidak valid'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, type = 'application/json; charset=utf-8', headers = {}) {
+    const content = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': type, ...headers });
+    res.end(content);
+}
+
+
+
+function parseTime(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) throw new HttpError(400, `Waktu tidak valid: ${value}`);
+    return time;
+}
+
+// ===== SERVER =====
+function createServer({
+    dataDir = path.join(ROOT, 'data'),
+    root = ROOT,
+    log = console.log,
+    origins = [],
+    token = null,
+    // Days; null = the app's readings retention, 0 = forever
+    retention = null,
+    maxReadings = MAX_READINGS
+} = {}) {
+    const db = FileDb.open(dataDir);
+    const apiToken = token || crypto.randomBytes(18).toString('base64url');
+    // The server's own origin is added by listen()
+    const allowedOrigins = new Set(origins);
+    let App = startApp(db.storage);
+    let core = App.getCore();
+    const endpoints = core.state.config.api.endpoints;
+    
+    // SSE responses of the connected dashboards
+    const clients = new Set();
+    // binId -> virtual port of a simulation running here
+    const simulations = new Map();
+    
+    const heartbeat = setInterval(() => {
+        clients.forEach(res => res.write(': ping\n\n'));
+    }, 25000);
+    heartbeat.unref();
+    
+    function pruneReadings(now = Date.now()) {
+        const days = retention !== null ? retention : core.TimeSeries.getRetention().readings;
+        const removed = db.prune({ before: days > 0 ? now - days * DAY : 0, max: maxReadings });
+        if (removed > 0) log(`${removed} pembacaan lama dihapus`);
+        return removed;
+    }
+    
+    pruneReadings();
+    const pruneTimer = setInterval(() => pruneReadings(), HOUR);
+    pruneTimer.unref();
+    
+    function broadcast(type, message) {
+        const data = `event: ${type}\ndata: ${JSON.stringify(message)}\n\n`;
+        clients.forEach(res => res.write(data));
+    }
+    
+    function describeBin(bin) {
+        const { capacity, distance, status, lastUpdate, dailyUsage, totalUsage } = bin.db;
+        return {
+            id: bin.id,
+            name: bin.name,
+            location: bin.location,
+            createdAt: bin.createdAt,
+            db: { capacity, distance, status, lastUpdate, dailyUsage, totalUsage },
+            simulated: simulations.has(bin.id)
+        };
+    }
+    
+    function getBin(binId) {
+        const bin = core.Fleet.getBin(binId);
+        if (!bin) throw new HttpError(404, `Tong tidak ditemukan: ${binId}`);
+        return bin;
+    }
+    
+    // The headless app posts its simulated readings back here like any dashboard
+    function enableSync(origin) {
+        core.ServerSync.clientId = 'server';
+        core.state.db.settings.server = { enabled: true, url: origin };
+    }
+    
+    async function stopSimulation(binId) {
+        if (!simulations.has(binId)) return false;
+        simulations.delete(binId);
+        await App.disconnectArduino(binId);
+        return true;
+    }
+    
+    // ===== ROUTES =====
+    const routes = {
+        [`GET ${endpoints.bins}`]: () => core.Fleet.list().map(describeBin),
+        
+        [`PUT ${endpoints.bins}/:id`]: async (req, params) => {
+            const body = await readBody(req);
+            const info = body.bin || {};
+            if (info.id && info.id !== params.id) throw new HttpError(400, 'ID tong tidak cocok');
+            
+            const bin = core.ServerSync.applyBin({ ...info, id: params.id });
+            broadcast('bin', { clientId: body.clientId || null, bin: describeBin(bin) });
+            return describeBin(bin);
+        },
+        
+        [`DELETE ${endpoints.bins}/:id`]: async (req, params, query) => {
+            getBin(params.id);
+            await stopSimulation(params.id);
+            
+            if (!await core.Fleet.removeBin(params.id, { remote: true })) {
+                throw new HttpError(409, 'Tong terakhir tidak bisa dihapus');
+            }
+            
+            broadcast('bin-removed', { clientId: query.get('client'), binId: params.id });
+            return { removed: params.id };
+        },
+        
+        [`POST ${endpoints.readings}`]: async (req) => {
+            const { clientId = null, binId, reading } = await readBody(req);
+            if (!reading || typeof reading.capacity !== 'number') throw new HttpError(400, 'Pembacaan tidak lengkap');
+            const bin = getBin(binId);
+            
+            const record = { ...reading, binId, clientId, timestamp: reading.timestamp || Date.now(), receivedAt: Date.now() };
+            db.append(record);
+            if (db.readings.length >= maxReadings + PRUNE_BATCH) pruneReadings();
+            
+            // Readings from the server's own simulations are already applied
+            if (clientId !== 'server') {
+                ['capacity', 'distance', 'status', 'dailyUsage', 'totalUsage'].forEach(field => {
+                    if (reading[field] !== undefined) bin.db[field] = reading[field];
+                });
+                bin.db.lastUpdate = record.timestamp;
+                core.Fleet.save();
+            }
+            
+            broadcast('reading', { clientId, binId, reading: record });
+            return { stored: true };
+        },
+        
+        [`GET ${endpoints.readings}`]: (req, params, query) => db.query({
+            binId: query.get('binId'),
+            from: parseTime(query.get('from'), 0),
+            to: parseTime(query.get('to'), Infinity),
+            limit: parseInt(query.get('limit'), 10) || 0
+        }),
+        
+        [`GET ${endpoints.events}`]: (req, params, query, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write('retry: 3000\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return undefined;
+        },
+        
+        [`GET ${endpoints.simulate}`]: () => [...simulations.keys()],
+        
+        // { binId, action: 'start' | 'stop' | 'empty' | 'open', options }
+        [`POST ${endpoints.simulate}`]: async (req) => {
+            const { binId, action = 'start', options = {} } = await readBody(req);
+            const bin = getBin(binId);
+            
+            switch (action) {
+                case 'start': {
+                    if (core.SerialManager.isConnected(binId) && !simulations.has(binId)) {
+                        throw new HttpError(409, 'Tong sedang terhubung ke perangkat lain');
+                    }
+                    await stopSimulation(binId);
+                    
+                    const port = App.createVirtualPort({ interval: 1000, ...options });
+                    simulations.set(binId, port);
+                    await App.connectArduino(binId, { port });
+                    log(`Simulasi dimulai untuk ${bin.name}`);
+                    break;
+                }
+                case 'stop':
+                    await stopSimulation(binId);
+                    break;
+                case 'empty':
+                case 'open': {
+                    const port = simulations.get(binId);
+                    if (!port) throw new HttpError(409, 'Simulasi tidak berjalan');
+                    if (action === 'empty') port.device.empty();
+                    else port.device.openLid();
+                    port.device.report();
+                    break;
+                }
+                default:
+                    throw new HttpError(400, `Aksi tidak dikenal: ${action}`);
+            }
+            return { binId, action, running: simulations.has(binId) };
+        },
+        
+        // ?binId=&from=&to=&format=csv|json|jsonl
+        [`GET ${endpoints.export}`]: (req, params, query, res) => {
+            const rows = db.query({
+                binId: query.get('binId'),
+                from: parseTime(query.get('from'), 0),
+                to: parseTime(query.get('to'), Infinity)
+            });
+            const format = query.get('format') || 'csv';
+            const name = `readings_${Date.now()}`;
+            
+            if (format === 'json') {
+                send(res, 200, rows, 'application/json; charset=utf-8',
+                    { 'Content-Disposition': `attachment; filename="${name}.json"` });
+            } else if (format === 'jsonl') {
+                send(res, 200, rows.map(row => JSON.stringify(row) + '\n').join(''), 'application/x-ndjson',
+                    { 'Content-Disposition': `attachment; filename="${name}.jsonl"` });
+            } else if (format === 'csv') {
+                const names = Object.fromEntries(core.Fleet.list().map(bin => [bin.id, bin.name]));
+                const header = ['Timestamp', 'Bin ID', 'Bin', 'Capacity', 'Distance', 'Raw Distance', 'Status', 'Client'];
+                const lines = rows.map(row => [
+                    new Date(row.timestamp).toISOString(),
+                    row.binId,
+                    names[row.binId] || '',
+                    row.capacity,
+                    row.distance,
+                    row.rawDistance,
+                    row.status,
+                    row.clientId
+                ]);
+                
+                // Quoted per RFC 4180 like the dashboard's own exports
+                send(res, 200, core.DataExport.csvRows([header, ...lines]), 'text/csv; charset=utf-8',
+                    { 'Content-Disposition': `attachment; filename="${name}.csv"` });
+            } else {
+                throw new HttpError(400, `Format tidak dikenal: ${format}`);
+            }
+            return undefined;
+        },
+        
+        [`GET ${endpoints.backup}`]: () => {
+            db.flush();
+            return {
+                app: 'tongSampah',
+                version: core.state.config.version,
+                createdAt: new Date().toISOString(),
+                storage: db.snapshot(),
+                readings: db.readings
+            };
+        },
+        
+        // Replaces everything; dashboards are told to reload
+        [`POST ${endpoints.backup}`]: async (req) => {
+            const backup = await readBody(req, MAX_BACKUP_BODY);
+            const valid = backup && backup.app === 'tongSampah' &&
+                backup.storage && typeof backup.storage === 'object' && !Array.isArray(backup.storage) &&
+                Object.values(backup.storage).every(value => typeof value === 'string') &&
+                Array.isArray(backup.readings) &&
+                backup.readings.every(reading => reading && typeof reading.binId === 'string' && typeof reading.timestamp === 'number');
+            if (!valid) throw new HttpError(400, 'Berkas backup tidak valid');
+            
+            await Promise.all([...simulations.keys()].map(stopSimulation));
+            db.replace(backup.storage, backup.readings);
+            
+            const origin = core.state.db.settings.server && core.state.db.settings.server.url;
+            App = startApp(db.storage);
+            core = App.getCore();
+            if (origin) enableSync(origin);
+            pruneReadings();
+            
+            broadcast('restore', { clientId: null });
+            log(`Backup dipulihkan: ${Object.keys(backup.storage).length} kunci, ${db.readings.length} pembacaan`);
+            return { keys: Object.keys(backup.storage).length, readings: db.readings.length };
+        }
+    };
+    
+    // Routes that delete or replace data
+    const protectedRoutes = new Set([
+        `POST ${endpoints.backup}`,
+        `DELETE ${endpoints.bins}/:id`,
+        `POST ${endpoints.simulate}`
+    ]);
+    
+    function match(method, pathname) {
+        for (const [route, handler] of Object.entries(routes)) {
+            const [routeMethod, pattern] = route.split(' ');
+            if (routeMethod !== method) continue;
+            
+            const names = [];
+            const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (m, name) => {
+                names.push(name);
+                return '([^/]+)';
+            }) + '$');
+            const found = pathname.match(regex);
+            if (found) {
+                const params = {};
+                names.forEach((name, i) => {
+                    params[name] = decodeURIComponent(found[i + 1]);
+                });
+                return { route, handler, params };
+            }
+        }
+        return null;
+    }
+    
+    // Top-level files of the app only
+    function serveStatic(pathname, res) {
+        const file = pathname === '/' ? '/index.html' : pathname;
+        const type = MIME_TYPES[path.extname(file).toLowerCase()];
+        
+        if (!type || PRIVATE_FILES.has(file) || path.posix.basename(file) !== file.slice(1) || file.startsWith('/.')) {
+            throw new HttpError(404, 'Tidak ditemukan');
+        }
+        
+        let content;
+        try {
+            content = fs.readFileSync(path.join(root, file));
+        } catch (error) {
+            throw new HttpError(404, 'Tidak ditemukan');
+        }
+        send(res, 200, content, type, { 'Cache-Control': 'no-cache' });
+    }
+    
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            // Requests without an Origin come from outside a browser
+            const origin = req.headers.origin;
+            if (origin && url.pathname.startsWith('/api/')) {
+                // Bound to 0.0.0.0 the page may come from any of our addresses
+                const sameOrigin = origin === `http://${req.headers.host}`;
+                if (!sameOrigin && !allowedOrigins.has(origin)) throw new HttpError(403, `Origin tidak diizinkan: ${origin}`);
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Vary', 'Origin');
+            }
+            
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+                });
+                res.end();
+                return;
+            }
+            
+            const route = match(req.method, url.pathname);
+            if (route && protectedRoutes.has(route.route) && !secretMatches(req.headers.authorization, `Bearer ${apiToken}`)) {
+                throw new HttpError(401, 'Token tidak valid');
+            }
+            if (route) {
+                const result = await route.handler(req, route.params, url.searchParams, res);
+                if (result !== undefined) send(res, 200, result);
+            } else if (req.method === 'GET' && !url.pathname.startsWith('/api/')) {
+                serveStatic(url.pathname, res);
+            } else {
+                throw new HttpError(404, 'Tidak ditemukan');
+            }
+        } catch (error) {
+            if (!error.status) console.error(error);
+            if (!res.headersSent) send(res, error.status || 500, { error: error.message });
+            else res.end();
+        }
+    });
+    
+    return {
+        server,
+        db,
+        token: apiToken,
+        prune: pruneReadings,
+        get core() {
+            return core;
+        },
+        
+        listen(port = 8080, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    const address = server.address();
+                    const origin = `http://${host}:${address.port}`;
+                    allowedOrigins.add(origin);
+                    // The same page opened as localhost
+                    if (host === '127.0.0.1') allowedOrigins.add(`http://localhost:${address.port}`);
+                    enableSync(origin);
+                    resolve({ ...address, origin });
+                });
+            });
+        },
+        
+        async close() {
+            clearInterval(heartbeat);
+            clearInterval(pruneTimer);
+            await Promise.all([...simulations.keys()].map(stopSimulation));
+            clients.forEach(res => res.end());
+            clients.clear();
+            db.flush();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createServer, FileDb };
+
+// ===== COMMAND LINE =====
+if (require.main === module) {
+    const option = parseArgs();
+    const token = option('token', process.env.TONGSAMPAH_TOKEN || null);
+    const retention = option('retention', null);
+    const instance = createServer({
+        dataDir: path.resolve(option('data', path.join(ROOT, 'data'))),
+        origins: option.list('origins', []),
+        token,
+        retention: retention === null ? null : parseInt(retention, 10)
+    });
+    instance.listen(parseInt(option('port', process.env.PORT || '8080'), 10), option('host', '127.0.0.1'))
+        .then(({ origin }) => {
+            console.log(`Tong Sampah server berjalan di ${origin}`);
+            if (!token) console.log(`Token untuk hapus, simulasi dan pemulihan: ${instance.token}`);
+        })
+        .catch(error => {
+            console.error(`Server gagal: ${error.message}`);
+            process.exit(1);
+        });
+    
+    closeOnSignal(instance);
+}
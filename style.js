@@ -32,11 +32,16 @@ async function connectArduino() {
         serialPort = await navigator.serial.requestPort();
         
         // Get baud rate from settings
-        const baudRate = parseInt(document.getElementById('baudRateSelect').value) || 115200;
+        const baudRate = parseInt(document.getElementById('baudRateSelect').value) || 9600;
         
         // Open port
         await serialPort.open({ baudRate: baudRate });
         
+        // Remembered for the dashboard's bin, with the name given to it there
+        if (typeof TongSampahApp !== 'undefined' && TongSampahApp.rememberPort) {
+            TongSampahApp.rememberPort(serialPort);
+        }
+        
         // Setup reader and writer
         const textDecoder = new TextDecoderStream();
         const readableStreamClosed = serialPort.readable.pipeTo(textDecoder.writable);
@@ -132,7 +137,7 @@ function updateConnectionStatus() {
         // Update baud rate display
         const baudRate = document.getElementById('baudRateSelect').value;
         document.getElementById('connectionBaud').textContent = baudRate;
-        document.getElementById('connectionPort').textContent = 'COM' + (Math.floor(Math.random() * 10) + 1); // Simulated
+        document.getElementById('connectionPort').textContent = describePort(serialPort);
         
     } else {
         statusDot.classList.remove('online');
@@ -147,6 +152,31 @@ function updateConnectionStatus() {
     }
 }
 
+// USB vendor/product id of the chosen port as a readable board name
+function describePort(port) {
+    // The dashboard's board list and the name the bin gave its port, when
+    // the dashboard is loaded on the same page
+    if (typeof TongSampahApp !== 'undefined' && TongSampahApp.describePort && port) {
+        return TongSampahApp.describePort(port);
+    }
+    
+    // Without it the common boards, named as in the dashboard's PortRegistry
+    const boards = {
+        '2341:0043': 'Arduino Uno R3',
+        '2341:0042': 'Arduino Mega 2560 R3',
+        '0403:6001': 'Arduino Nano (FTDI FT232R)',
+        '1a86:7523': 'Clone Uno/Nano (CH340)',
+        '10c4:ea60': 'ESP32 (CP210x)'
+    };
+    
+    const info = port && port.getInfo ? port.getInfo() : {};
+    if (info.usbVendorId === undefined) return 'Port serial';
+    
+    const hex = id => (id || 0).toString(16).padStart(4, '0');
+    const key = `${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+    return boards[key] || `USB ${key}`;
+}
+
 // ================= DATA READING =================
 async function readSerialData() {
     try {
@@ -260,8 +290,15 @@ function updateFromArduinoData(data) {
 }
 
 function calculateCapacity(distance) {
-    // Convert distance to capacity percentage
-    // Assuming: 0cm = 100% full, 50cm = 0% full
+    // The dashboard's calibration (scale and volume curve) of the bin this
+    // page shows, when the dashboard is loaded on the same page
+    if (typeof TongSampahApp !== 'undefined' && TongSampahApp.calculateCapacity) {
+        const bin = TongSampahApp.getSelectedBin();
+        return TongSampahApp.calculateCapacity(distance, bin.id);
+    }
+    
+    // Without it there is no calibration: the uncalibrated scale,
+    // 0cm = 100% full, 50cm = 0% full
     const maxDistance = 50;
     const minDistance = 0;
     
@@ -0,0 +1,142 @@
+// ================= TONG SAMPAH SERVICE WORKER =================
+// Keeps the dashboard usable on tablets with flaky Wi-Fi: the app shell,
+// Font Awesome and Chart.js are precached per app version, pages are
+// network-first with the cached page as fallback, everything else is
+// cache-first. /api/ requests (companion server, SSE) always go to the network.
+//
+// A new version installs next to the old one and waits; the page shows an
+// update prompt and sends SKIP_WAITING when the user accepts.
+
+'use strict';
+
+// The app itself carries the version, so bumping state.config.version
+// is all a release needs: the changed import makes the browser reinstall
+importScripts('javascript.js');
+
+const VERSION = TongSampahApp.getCore().state.config.version;
+const CACHE_PREFIX = 'tongsampah-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+const APP_SHELL = [
+    'style.css',
+    'javascript.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// The page itself; the offline fallback for navigations
+const PAGE = 'index.html';
+
+// Nothing derives these from markup: they must be the URLs of the
+// <link>/<script> tags of the page that hosts the dashboard. Bump them
+// together with those tags (UI expects window.Chart and Font Awesome 6
+// class names).
+const VENDOR_ASSETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-solid-900.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-regular-400.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-brands-400.woff2',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js'
+];
+
+const VENDOR_ORIGINS = new Set(VENDOR_ASSETS.map(url => new URL(url).origin));
+
+// The shell must be complete; a CDN hiccup only costs that file offline
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    await precachePage(cache);
+    
+    await Promise.all(VENDOR_ASSETS.map(url =>
+        cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+            console.warn(`Precache gagal: ${url} (${error.message})`);
+        })
+    ));
+}
+
+// Only a real HTML page can stand in for a page offline; anything else
+// served as index.html is left out and navigations fail as usual
+async function precachePage(cache) {
+    const response = await fetch(PAGE, { cache: 'reload' });
+    if (!response.ok) throw new Error(`${PAGE}: HTTP ${response.status}`);
+    
+    const text = await response.clone().text();
+    if (/^\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype html|html)[\s>]/i.test(text)) {
+        await cache.put(PAGE, response);
+    } else {
+        console.warn(`${PAGE} bukan halaman HTML, tidak disimpan untuk mode offline`);
+    }
+}
+
+async function removeOldCaches() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name)));
+}
+
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match(PAGE)) ||
+            Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (isCacheable(response)) await cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    
+    if (sameOrigin && url.pathname.includes('/api/')) return;
+    if (!sameOrigin && !VENDOR_ORIGINS.has(url.origin)) return;
+    
+    event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    
+    switch (message.type) {
+        case 'GET_VERSION': {
+            const reply = { type: 'VERSION', version: VERSION };
+            if (event.ports && event.ports[0]) event.ports[0].postMessage(reply);
+            else if (event.source) event.source.postMessage(reply);
+            break;
+        }
+        
+        case 'SKIP_WAITING':
+            self.skipWaiting();
+            break;
+    }
+});
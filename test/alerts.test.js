@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+function setCapacity(core, bin, capacity, now) {
+    bin.db.capacity = capacity;
+    return core.AlertManager.observe(bin, now);
+}
+
+test('capacity alerts clear only below the hysteresis band', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    setCapacity(core, bin, 82, now);
+    assert.deepEqual(core.AlertManager.getActive(bin.id).map(alert => alert.ruleId), ['capacity-high']);
+    
+    setCapacity(core, bin, 77, now + MINUTE);
+    assert.equal(core.AlertManager.getActive(bin.id).length, 1);
+    
+    setCapacity(core, bin, 74, now + 2 * MINUTE);
+    assert.equal(core.AlertManager.getActive(bin.id).length, 0);
+    
+    setCapacity(core, bin, 96, now + 3 * MINUTE);
+    const [top] = core.AlertManager.getVisible(bin.id, now + 3 * MINUTE);
+    assert.equal(top.severity, 'critical');
+});
+
+test('a rule does not fire again within its cooldown', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    const raised = () => core.AlertManager.getHistory({ binId: bin.id }).filter(alert => alert.ruleId === 'capacity-high');
+    
+    setCapacity(core, bin, 85, now);
+    setCapacity(core, bin, 10, now + MINUTE);
+    setCapacity(core, bin, 85, now + 2 * MINUTE);
+    assert.equal(raised().length, 1);
+    
+    setCapacity(core, bin, 85, now + 11 * MINUTE);
+    assert.equal(raised().length, 2);
+});
+
+test('lid open, stale sensor and disconnect are checked over time', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    bin.db.status = 'BUKA';
+    bin.db.lastActivity = now;
+    bin.db.lastUpdate = now;
+    core.state.serial.connections[bin.id] = { binId: bin.id, isConnected: true };
+    
+    core.AlertManager.evaluateAll(now + MINUTE);
+    assert.equal(core.AlertManager.getActive(bin.id).length, 0);
+    
+    core.AlertManager.evaluateAll(now + 11 * MINUTE);
+    assert.deepEqual(core.AlertManager.getActive(bin.id).map(alert => alert.type).sort(), ['lidOpen', 'stale']);
+    
+    core.AlertManager.connectionLost(bin.id, 'kabel dicabut', now + 11 * MINUTE);
+    core.AlertManager.evaluateAll(now + 12 * MINUTE);
+    const disconnect = core.AlertManager.getActive(bin.id).find(alert => alert.type === 'disconnect');
+    assert.match(disconnect.message, /kabel dicabut/);
+    
+    core.AlertManager.connectionRestored(bin.id);
+    assert.equal(core.AlertManager.getActive(bin.id).some(alert => alert.type === 'disconnect'), false);
+});
+
+test('a sudden rise within the window is a spike', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    setCapacity(core, bin, 10, now);
+    setCapacity(core, bin, 35, now + 2 * MINUTE);
+    assert.equal(core.AlertManager.getActive(bin.id)[0].type, 'spike');
+    
+    // The same rise spread over an hour is normal filling
+    const other = loadApp();
+    setCapacity(other.core, other.bin, 10, now);
+    setCapacity(other.core, other.bin, 22, now + 30 * MINUTE);
+    setCapacity(other.core, other.bin, 35, now + 60 * MINUTE);
+    assert.equal(other.core.AlertManager.getActive(other.bin.id).length, 0);
+});
+
+test('acknowledged and snoozed alerts survive a reload', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    setCapacity(core, bin, 90, now);
+    const [alert] = core.AlertManager.getActive(bin.id);
+    assert.equal(core.AlertManager.acknowledge(alert.id, 'Sari', now), true);
+    assert.equal(core.AlertManager.acknowledge(alert.id, 'Sari', now), false);
+    
+    core.AlertManager.snooze(alert.id, 30, now);
+    assert.equal(core.AlertManager.getVisible(bin.id, now + MINUTE).length, 0);
+    assert.equal(core.AlertManager.getVisible(bin.id, now + 31 * MINUTE).length, 1);
+    
+    const saved = core.adapters.storage.getItem('tongSampah_alerts');
+    const reloaded = loadApp({ storage: { tongSampah_alerts: saved } });
+    const [restored] = reloaded.core.AlertManager.getActive();
+    assert.equal(restored.ackedBy, 'Sari');
+    assert.equal(reloaded.core.AlertManager.getVisible(null, now + MINUTE).length, 0);
+});
+
+test('rules can be scoped to one bin and disabled', () => {
+    const { core, bin } = loadApp();
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    
+    core.AlertManager.setRule({ id: 'capacity-high', type: 'capacity', severity: 'warning', enabled: false });
+    core.AlertManager.setRule({ id: 'lobby-half', type: 'capacity', severity: 'info', threshold: 50, binId: other.id });
+    assert.throws(() => core.AlertManager.setRule({ type: 'noise', severity: 'info' }), /tidak dikenal/);
+    
+    setCapacity(core, bin, 85, Date.now());
+    setCapacity(core, other, 60, Date.now());
+    assert.equal(core.AlertManager.getActive(bin.id).length, 0);
+    assert.deepEqual(core.AlertManager.getActive(other.id).map(alert => alert.ruleId), ['lobby-half']);
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// One bin with a calibration, readings, an opening, an alert and logs
+function loadFilled() {
+    const loaded = loadApp();
+    const { core, bin } = loaded;
+    const start = Date.now() - 12 * HOUR;
+    
+    core.Calibration.getProfiles()[bin.id] = { emptyDistance: 42 };
+    [20, 40].forEach((capacity, i) => core.HistoryManager.addToHistory(capacity, bin, {}, start + i * HOUR));
+    core.UsageLedger.record(bin, 'arduino', start + 2 * HOUR);
+    bin.db.capacity = 85;
+    core.AlertManager.observe(bin, start + 3 * HOUR);
+    core.Logger.log('Sistem siap', 'success');
+    core.state.db.settings.alertThreshold = 70;
+    
+    return { ...loaded, start };
+}
+
+test('a backup holds storage keys and the time series, but not the outbox', async () => {
+    const { core, bin } = loadFilled();
+    core.Storage.set('outbox', [{ id: 'x' }]);
+    
+    const backup = await core.Backup.create();
+    const prefix = core.state.config.storagePrefix;
+    
+    assert.equal(backup.app, 'tongSampah');
+    assert.equal(backup.format, core.Backup.format);
+    assert.equal(backup.version, core.state.config.version);
+    assert.equal(JSON.parse(backup.storage[`${prefix}settings`]).alertThreshold, 70);
+    assert.equal(JSON.parse(backup.storage[`${prefix}settings`]).calibration[bin.id].emptyDistance, 42);
+    assert.equal(JSON.parse(backup.storage[`${prefix}fleet`]).bins[bin.id].name, bin.name);
+    assert.equal(JSON.parse(backup.storage[`${prefix}logs`])[0].message, 'Sistem siap');
+    assert.equal(JSON.parse(backup.storage[`${prefix}alerts`]).history.length, 1);
+    assert.equal(`${prefix}outbox` in backup.storage, false);
+    
+    assert.deepEqual(backup.readings.map(reading => reading.capacity), [20, 40]);
+    assert.deepEqual(backup.events.map(event => event.type), ['open']);
+    assert.ok(backup.rollups.some(rollup => rollup.resolution === 'month'));
+    assert.match(core.Backup.filename(backup), /^tongsampah_backup_\d{8}_\d{6}\.json$/);
+});
+
+test('passwords and tokens stay on this device unless asked for', async () => {
+    const { core } = loadFilled();
+    const settings = core.state.db.settings;
+    settings.integrations = {
+        mqtt: { enabled: true, url: 'wss://broker.example', username: 'tong', password: 'rahasia' },
+        webhooks: [{ id: 'hook_1', url: 'https://hook.example', events: ['open'], headers: { Authorization: 'Bearer abc' } }]
+    };
+    settings.server = { enabled: true, url: '', token: 'token-server' };
+    const key = `${core.state.config.storagePrefix}settings`;
+    
+    const backup = await core.Backup.create();
+    assert.equal(backup.secrets, false);
+    assert.doesNotMatch(backup.storage[key], /rahasia|Bearer abc|token-server/);
+    assert.equal(JSON.parse(backup.storage[key]).integrations.mqtt.username, 'tong');
+    
+    const full = await core.Backup.create(Date.now(), { secrets: true });
+    assert.match(full.storage[key], /rahasia/);
+    const saved = await core.Backup.saveLocal('manual');
+    assert.match(saved.backup.storage[key], /Bearer abc/);
+    
+    // Restoring the stripped file keeps what this device already knows
+    await core.Backup.restore(backup, { mode: 'replace' });
+    const restored = core.Storage.get('settings');
+    assert.equal(restored.integrations.mqtt.password, 'rahasia');
+    assert.deepEqual(restored.integrations.webhooks[0].headers, { Authorization: 'Bearer abc' });
+    assert.equal(restored.server.token, 'token-server');
+});
+
+test('validation explains what is wrong with a file', async () => {
+    const { core } = loadFilled();
+    const backup = await core.Backup.create();
+    const prefix = core.state.config.storagePrefix;
+    const broken = (changes) => ({ ...JSON.parse(JSON.stringify(backup)), ...changes });
+    
+    assert.throws(() => core.Backup.validate({ app: 'lain' }), /bukan backup Tong Sampah/);
+    assert.throws(() => core.Backup.validate(broken({ format: 99, version: '9.0.0' })), /versi aplikasi yang lebih baru \(9\.0\.0\)/);
+    assert.throws(() => core.Backup.validate(broken({ storage: { other_key: '{}' } })), /kunci asing other_key/);
+    assert.throws(() => core.Backup.validate(broken({ storage: { [`${prefix}settings`]: '{rusak' } })), /bukan JSON/);
+    assert.throws(() => core.Backup.validate(broken({ storage: { [`${prefix}fleet`]: '{"bins":[]}' } })), /daftar tong rusak/);
+    assert.throws(() => core.Backup.validate(broken({ readings: [{ binId: 'bin_1', timestamp: 'kemarin' }] })), /readings yang rusak/);
+    assert.throws(() => core.Backup.validate(broken({ rollups: [{ binId: 'bin_1', resolution: 'year', bucket: 0 }] })), /rollups yang rusak/);
+    
+    // The companion server's backups have no format, events or rollups
+    const server = { app: 'tongSampah', version: '1.0.0', storage: backup.storage, readings: backup.readings };
+    const data = core.Backup.validate(server);
+    assert.equal(data.format, 1);
+    assert.deepEqual(data.events, []);
+});
+
+test('replace restores the backup exactly', async () => {
+    const { core, bin } = loadFilled();
+    const backup = await core.Backup.create();
+    
+    core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    core.HistoryManager.addToHistory(90, bin, {});
+    core.state.db.settings.alertThreshold = 50;
+    core.Storage.set('outbox', [{ id: 'tetap' }]);
+    
+    const result = await core.Backup.restore(backup, { mode: 'replace' });
+    assert.equal(result.mode, 'replace');
+    assert.equal(result.readings, 2);
+    assert.equal(result.bins, 2);
+    
+    assert.deepEqual(Object.keys(core.Storage.get('fleet').bins), [bin.id]);
+    assert.equal(core.Storage.get('settings').alertThreshold, 70);
+    assert.deepEqual(core.Storage.get('outbox'), [{ id: 'tetap' }]);
+    
+    const readings = await core.TimeSeries.query(bin.id);
+    assert.deepEqual(readings.map(reading => reading.capacity), [20, 40]);
+    assert.deepEqual(await core.TimeSeries.query('bin_2'), []);
+    const months = await core.TimeSeries.query(bin.id, { resolution: 'month' });
+    assert.equal(months.reduce((sum, rollup) => sum + rollup.count, 0), 2);
+});
+
+test('nothing in memory overwrites a restore before the reload', async () => {
+    const { App, core, bin } = loadFilled();
+    const backup = await core.Backup.create();
+    const prefix = core.state.config.storagePrefix;
+    const fleet = JSON.parse(backup.storage[`${prefix}fleet`]);
+    fleet.bins.bin_x = { ...fleet.bins[bin.id], id: 'bin_x', name: 'Gudang' };
+    backup.storage[`${prefix}fleet`] = JSON.stringify(fleet);
+    
+    await core.Backup.restore(backup, { mode: 'replace' });
+    
+    // What the page does while it unloads, and a late log entry
+    core.Logger.log('Terlambat');
+    core.UI.cleanup();
+    assert.deepEqual(Object.keys(core.Storage.get('fleet').bins), [bin.id, 'bin_x']);
+    assert.equal(core.Storage.get('logs').some(log => log.message === 'Terlambat'), false);
+    
+    // The reload loads the restored data and saves normally again
+    App.initCore();
+    assert.equal(core.Fleet.getBin('bin_x').name, 'Gudang');
+    core.Fleet.addBin({ id: 'bin_y', name: 'Parkiran' });
+    assert.ok(core.Storage.get('fleet').bins.bin_y);
+});
+
+test('merge keeps local data and adds what is missing without duplicates', async () => {
+    const { core, bin, start } = loadFilled();
+    const backup = await core.Backup.create();
+    
+    // Local changes after the backup was taken
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    bin.name = 'Dapur Baru';
+    core.state.db.settings.alertThreshold = 60;
+    core.HistoryManager.addToHistory(60, bin, {}, start + 4 * HOUR);
+    core.Logger.log('Setelah backup', 'info');
+    
+    // A bin only the backup knows about
+    const prefix = core.state.config.storagePrefix;
+    const fleet = JSON.parse(backup.storage[`${prefix}fleet`]);
+    fleet.bins.bin_9 = { ...fleet.bins[bin.id], id: 'bin_9', name: 'Gudang' };
+    backup.storage[`${prefix}fleet`] = JSON.stringify(fleet);
+    backup.readings.push({ binId: 'bin_9', timestamp: start, capacity: 15 });
+    const settings = JSON.parse(backup.storage[`${prefix}settings`]);
+    settings.calibration.bin_9 = { emptyDistance: 80 };
+    backup.storage[`${prefix}settings`] = JSON.stringify(settings);
+    
+    const result = await core.Backup.restore(backup, { mode: 'merge' });
+    assert.equal(result.readings, 1);
+    
+    const bins = core.Storage.get('fleet').bins;
+    assert.deepEqual(Object.keys(bins).sort(), [bin.id, other.id, 'bin_9']);
+    assert.equal(bins[bin.id].name, 'Dapur Baru');
+    assert.equal(core.Storage.get('settings').alertThreshold, 60);
+    assert.deepEqual(Object.keys(core.Storage.get('settings').calibration).sort(), [bin.id, 'bin_9']);
+    assert.deepEqual(core.Storage.get('logs').map(log => log.message), ['Setelah backup', 'Sistem siap']);
+    assert.equal(core.Storage.get('alerts').history.length, 1);
+    
+    assert.deepEqual((await core.TimeSeries.query(bin.id)).map(reading => reading.capacity), [20, 40, 60]);
+    assert.deepEqual((await core.TimeSeries.query('bin_9')).map(reading => reading.capacity), [15]);
+    assert.equal((await core.TimeSeries.events(bin.id)).length, 1);
+    const months = await core.TimeSeries.query(bin.id, { resolution: 'month' });
+    assert.equal(months.reduce((sum, rollup) => sum + rollup.count, 0), 3);
+    
+    // After the reload the core reads the merged storage
+    const storage = {};
+    core.Storage.keys().forEach(key => { storage[key] = core.adapters.storage.getItem(key); });
+    const reloaded = loadApp({ storage });
+    assert.equal(reloaded.core.Fleet.getBin('bin_9').name, 'Gudang');
+    
+    await assert.rejects(core.Backup.restore(backup, { mode: 'tambah' }), /Mode pemulihan tidak dikenal/);
+});
+
+test('automatic backups follow the schedule and keep the newest ones', async () => {
+    const { core } = loadFilled();
+    core.Backup.setSchedule({ interval: 6, keep: 2 });
+    const start = Date.now();
+    
+    await core.Backup.saveLocal('manual', start - HOUR);
+    assert.ok(await core.Backup.runScheduled(start));
+    assert.equal(await core.Backup.runScheduled(start + 5 * HOUR), null);
+    assert.ok(await core.Backup.runScheduled(start + 6 * HOUR));
+    assert.ok(await core.Backup.runScheduled(start + 12 * HOUR));
+    
+    const saved = await core.Backup.listLocal();
+    assert.deepEqual(saved.map(entry => [entry.id - start, entry.kind]),
+        [[12 * HOUR, 'auto'], [6 * HOUR, 'auto'], [-HOUR, 'manual']]);
+    assert.equal(saved[0].readings, 2);
+    assert.equal('backup' in saved[0], false);
+    
+    const backup = await core.Backup.getLocal(saved[0].id);
+    assert.equal(backup.createdAt, new Date(start + 12 * HOUR).toISOString());
+    await core.Backup.deleteLocal(saved[2].id);
+    await assert.rejects(core.Backup.getLocal(saved[2].id), /tidak ditemukan/);
+    
+    core.Backup.setSchedule({ enabled: false });
+    assert.equal(await core.Backup.runScheduled(start + 48 * HOUR), null);
+    assert.throws(() => core.Backup.setSchedule({ keep: 0 }), /tidak valid/);
+});
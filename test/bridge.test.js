@@ -0,0 +1,250 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { PassThrough } = require('node:stream');
+const { createBridge, Frames, OPCODES } = require('../bridge');
+const { loadApp, wait } = require('./helpers');
+
+// Serial device stand-in: write() is the Arduino talking, `written` what it got
+function createDevice() {
+    const device = { written: [], available: true, opened: 0, current: null };
+    
+    device.open = () => {
+        if (!device.available) throw new Error('ENOENT: perangkat tidak ada');
+        device.opened++;
+        
+        const input = new PassThrough();
+        const output = new PassThrough();
+        output.setEncoding('utf8');
+        output.on('data', text => device.written.push(...text.split('\n').filter(Boolean)));
+        
+        device.current = { input, output, close: () => input.destroy() };
+        return device.current;
+    };
+    device.write = text => device.current.input.write(text);
+    device.unplug = () => {
+        device.available = false;
+        device.current.input.destroy(new Error('perangkat dicabut'));
+    };
+    
+    return device;
+}
+
+// Browser-style WebSocket on top of http upgrade and the bridge's frame codec
+class NodeWebSocket {
+    constructor(url) {
+        this.readyState = 0;
+        const request = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            }
+        });
+        
+        request.on('upgrade', (res, socket, head) => {
+            this.socket = socket;
+            this.readyState = 1;
+            let buffer = Buffer.alloc(0);
+            
+            const receive = chunk => {
+                const { frames, rest } = Frames.decode(Buffer.concat([buffer, chunk]));
+                buffer = rest;
+                frames.forEach(frame => {
+                    if (frame.opcode === OPCODES.text && this.onmessage) {
+                        this.onmessage({ data: frame.payload.toString('utf8') });
+                    }
+                });
+            };
+            
+            socket.on('data', receive);
+            socket.on('close', () => {
+                this.readyState = 3;
+                if (this.onclose) this.onclose();
+            });
+            if (this.onopen) this.onopen();
+            // The hello can arrive together with the handshake
+            receive(head);
+        });
+        request.on('error', () => {
+            this.readyState = 3;
+            if (this.onclose) this.onclose();
+        });
+        request.end();
+    }
+    
+    send(text) {
+        this.socket.write(Frames.encode(OPCODES.text, text, true));
+    }
+    
+    close() {
+        if (this.socket) this.socket.end(Frames.encode(OPCODES.close, Buffer.alloc(0), true));
+    }
+}
+
+async function startBridge(device, options = {}) {
+    const bridge = createBridge({
+        device: '/dev/ttyFAKE0',
+        openDevice: device.open,
+        reopenDelay: 20,
+        log: () => {},
+        ...options
+    });
+    const { url } = await bridge.listen(0);
+    return { bridge, url };
+}
+
+function loadDashboard() {
+    const loaded = loadApp();
+    loaded.App.configure({ WebSocket: NodeWebSocket });
+    loaded.core.state.db.settings.reconnect = { baseDelay: 20, maxDelay: 50 };
+    return loaded;
+}
+
+test('device lines reach the dashboard and commands reach the device', async () => {
+    const device = createDevice();
+    const { bridge, url } = await startBridge(device);
+    const { App, core, bin } = loadDashboard();
+    
+    try {
+        assert.equal(await App.connectBridge(url, bin.id), true);
+        assert.equal(core.SerialManager.getPortLabel(bin.id), `Bridge ${url}/`);
+        
+        // Split across chunks, with noise in between
+        device.write('SYSTEM_READY\r\nTUTUP,40,');
+        device.write('30,2,9\r\n\x01\x02garbage\x7f\r\n');
+        await wait(50);
+        
+        assert.equal(bin.db.status, 'TUTUP');
+        assert.equal(bin.db.distance, 30);
+        assert.equal(bridge.status().lines, 2);
+        // The shipped sketch's rate
+        assert.equal(bridge.status().baudRate, 9600);
+        assert.equal(bridge.status().lastLine.line, 'TUTUP,40,30,2,9');
+        
+        const sent = core.SerialManager.send('TUTUP', bin.id);
+        await wait(20);
+        assert.match(device.written[0], /^TUTUP/);
+        device.write(`CMD_RECEIVED:${device.written[0]}\r\n`);
+        assert.equal((await sent).command, 'TUTUP');
+        
+        assert.deepEqual(bin.port.bridge, `${url}/`);
+    } finally {
+        await core.SerialManager.disconnectAll();
+        await bridge.close();
+    }
+});
+
+test('a lost device makes the dashboard reconnect once the bridge has it back', async () => {
+    const device = createDevice();
+    const { bridge, url } = await startBridge(device);
+    const { App, core, bin } = loadDashboard();
+    
+    try {
+        await App.connectBridge(url, bin.id);
+        device.unplug();
+        await wait(50);
+        
+        assert.equal(bridge.status().connected, false);
+        assert.equal(core.SerialManager.getStatus(bin.id), 'reconnecting');
+        
+        device.available = true;
+        await wait(200);
+        assert.equal(device.opened, 2);
+        assert.equal(core.SerialManager.getStatus(bin.id), 'connected');
+        
+        device.write('TUTUP,12,44,2,9\r\n');
+        await wait(30);
+        assert.equal(bin.db.distance, 44);
+    } finally {
+        await core.SerialManager.disconnectAll();
+        await bridge.close();
+    }
+});
+
+test('a bridged bin is restored on the next start without Web Serial', async () => {
+    const device = createDevice();
+    const { bridge, url } = await startBridge(device);
+    const first = loadDashboard();
+    
+    try {
+        await first.App.connectBridge(url, first.bin.id);
+        await first.core.SerialManager.disconnect(first.bin.id);
+        
+        const saved = first.core.adapters.storage.getItem('tongSampah_fleet');
+        const second = loadApp({ storage: { tongSampah_fleet: saved } });
+        second.App.configure({ WebSocket: NodeWebSocket });
+        
+        await second.core.SerialManager.restoreConnections();
+        assert.equal(second.core.SerialManager.isConnected(second.bin.id), true);
+        await second.core.SerialManager.disconnectAll();
+        
+        // An unreachable bridge fails the connect instead of hanging
+        const refused = loadDashboard();
+        assert.equal(await refused.App.connectBridge('ws://127.0.0.1:9', refused.bin.id), false);
+        assert.equal(await refused.App.connectBridge('http://127.0.0.1', refused.bin.id), false);
+    } finally {
+        await bridge.close();
+    }
+});
+
+// Status code the bridge answers a WebSocket handshake with
+function handshake(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const request = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                ...headers
+            }
+        });
+        request.on('upgrade', (res, socket) => {
+            socket.destroy();
+            resolve(res.statusCode);
+        });
+        request.on('response', res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+test('pages from other origins cannot reach the device', async () => {
+    const device = createDevice();
+    const { bridge, url } = await startBridge(device, { origins: ['https://dasbor.example'], token: 'rahasia' });
+    
+    try {
+        assert.equal(await handshake(`${url}/?token=rahasia`, { Origin: 'https://jahat.example' }), 403);
+        assert.equal(await handshake(`${url}/`, { Origin: 'https://dasbor.example' }), 401);
+        assert.equal(await handshake(`${url}/?token=salah`), 401);
+        assert.equal(await handshake(`${url}/?token=rahasia`, { Origin: 'https://dasbor.example' }), 101);
+        assert.equal(bridge.status().commands, 0);
+        
+        const { App, core, bin } = loadDashboard();
+        assert.equal(await App.connectBridge(`${url}/?token=rahasia`, bin.id), true);
+        await core.SerialManager.disconnectAll();
+    } finally {
+        await bridge.close();
+    }
+});
+
+test('frames round-trip at every length encoding', () => {
+    for (const size of [5, 300, 70000]) {
+        const text = 'x'.repeat(size);
+        const encoded = Frames.encode(OPCODES.text, text, true);
+        const { frames, rest } = Frames.decode(Buffer.concat([encoded, encoded.subarray(0, 3)]));
+        
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].payload.toString(), text);
+        assert.equal(rest.length, 3);
+    }
+    assert.equal(Frames.acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('ISO-8601 weeks cross year boundaries correctly', () => {
+    const { core } = loadApp();
+    const week = (date) => {
+        const { year, week } = core.Calendar.isoWeek(...date.split('-').map(Number));
+        return `${year}-W${String(week).padStart(2, '0')}`;
+    };
+    
+    assert.equal(week('2021-01-03'), '2020-W53');
+    assert.equal(week('2021-01-04'), '2021-W01');
+    assert.equal(week('2024-12-30'), '2025-W01');
+    assert.equal(week('2026-12-31'), '2026-W53');
+    assert.equal(week('2026-10-19'), '2026-W43');
+});
+
+test('bucket keys are zero padded and sort chronologically', () => {
+    const { core } = loadApp();
+    const at = Date.UTC(2026, 2, 9, 7, 30);
+    const key = (resolution) => core.Calendar.bucketOf(resolution, at, 'UTC').key;
+    
+    assert.equal(key('hour'), '2026-03-09T07');
+    assert.equal(key('day'), '2026-03-09');
+    assert.equal(key('week'), '2026-W11');
+    assert.equal(key('month'), '2026-03');
+    assert.ok(key('month') < core.Calendar.bucketOf('month', Date.UTC(2026, 9, 1), 'UTC').key);
+});
+
+test('day boundaries follow the configured time zone', () => {
+    const { core } = loadApp();
+    const at = Date.UTC(2026, 9, 19, 20, 0);
+    
+    // 20:00 UTC is already the next day in Jakarta (UTC+7)
+    const jakarta = core.Calendar.bucketOf('day', at, 'Asia/Jakarta');
+    assert.equal(jakarta.key, '2026-10-20');
+    assert.equal(jakarta.bucket, Date.UTC(2026, 9, 19, 17, 0));
+    
+    // DST: the Berlin day of 2026-03-29 starts at 23:00 UTC and lasts 23 hours
+    const start = core.Calendar.bucketOf('day', Date.UTC(2026, 2, 29, 12), 'Europe/Berlin').bucket;
+    const next = core.Calendar.bucketOf('day', Date.UTC(2026, 2, 30, 12), 'Europe/Berlin').bucket;
+    assert.equal(start, Date.UTC(2026, 2, 28, 23));
+    assert.equal(next - start, 23 * 60 * 60 * 1000);
+});
+
+test('changing the time zone rebuilds the rollups', async () => {
+    const { App, core, bin } = loadApp();
+    core.state.db.settings.timeZone = 'UTC';
+    core.HistoryManager.addToHistory(50, bin, {}, Date.now());
+    
+    assert.throws(() => App.setTimeZone('Mars/Olympus'), /tidak valid/);
+    assert.equal(await App.setTimeZone('Asia/Jakarta'), 1);
+    
+    // The UTC buckets are gone, not left next to the Jakarta ones
+    for (const resolution of ['day', 'week', 'month']) {
+        const rollups = await core.HistoryManager.getRange(bin.id, { resolution });
+        assert.deepEqual(rollups.map(rollup => rollup.key),
+            [core.Calendar.bucketOf(resolution, Date.now(), 'Asia/Jakarta').key]);
+    }
+});
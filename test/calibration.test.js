@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('uncalibrated bins keep the old 0-50 cm linear scale', () => {
+    const { core, bin } = loadApp();
+    
+    assert.equal(core.Calibration.capacity(50, bin.id), 0);
+    assert.equal(core.Calibration.capacity(25, bin.id), 50);
+    assert.equal(core.Calibration.capacity(-3, bin.id), 100);
+    assert.equal(core.Calibration.isCalibrated(bin.id), false);
+});
+
+test('empty and full readings set the scale of one bin only', () => {
+    const { core, bin } = loadApp();
+    const other = core.Fleet.addBin({ name: 'Lobi' });
+    bin.db.distance = 70;
+    
+    core.Calibration.setProfile(bin.id, { emptyDistance: 80, fullDistance: 10 });
+    
+    assert.equal(core.Calibration.capacity(45, bin.id), 50);
+    assert.equal(core.Calibration.capacity(10, bin.id), 100);
+    assert.equal(bin.db.capacity, 14);
+    assert.equal(core.Calibration.capacity(25, other.id), 50);
+    assert.deepEqual(
+        JSON.parse(core.adapters.storage.getItem('tongSampah_settings')).calibration[bin.id].emptyDistance,
+        80
+    );
+    
+    // The key the profile is saved under is the one the next start reads
+    const storage = {};
+    core.Storage.keys().forEach(key => { storage[key] = core.adapters.storage.getItem(key); });
+    const reloaded = loadApp({ storage });
+    assert.equal(reloaded.core.Calibration.getProfile(bin.id).emptyDistance, 80);
+    assert.equal(reloaded.App.calculateCapacity(45), 50);
+});
+
+test('tapered and table curves are non-linear', () => {
+    const { core, bin } = loadApp();
+    
+    core.Calibration.setProfile(bin.id, { curve: 'tapered', taperRatio: 0.5 });
+    // Half the height of a bin narrowing to half width holds well under half the volume
+    assert.equal(core.Calibration.capacity(25, bin.id), 34);
+    assert.equal(core.Calibration.capacity(0, bin.id), 100);
+    
+    core.Calibration.setProfile(bin.id, { curve: 'table', points: [[50, 30]] });
+    assert.equal(core.Calibration.capacity(25, bin.id), 30);
+    assert.equal(core.Calibration.capacity(12.5, bin.id), 65);
+});
+
+test('invalid profiles are rejected', () => {
+    const { core, bin } = loadApp();
+    
+    assert.throws(() => core.Calibration.setProfile(bin.id, { emptyDistance: 5, fullDistance: 10 }), /lebih besar/);
+    assert.throws(() => core.Calibration.setProfile(bin.id, { curve: 'tapered', taperRatio: 2 }), /Rasio/);
+    assert.equal(core.Calibration.isCalibrated(bin.id), false);
+});
+
+test('serial readings use the calibrated model', () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.filter = { enabled: false };
+    core.Calibration.setProfile(bin.id, { emptyDistance: 60, fullDistance: 10 });
+    
+    core.DataProcessor.batchUpdate([{ type: 'distance', value: '35' }], bin);
+    assert.equal(bin.db.capacity, 50);
+    
+    // The board's own percentage is replaced once the bin is calibrated
+    core.DataProcessor.batchUpdate(core.DataProcessor.processLines(['TUTUP,90,60,1,1'], { binId: bin.id }), bin);
+    assert.equal(bin.db.capacity, 0);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('parses the 5-field CSV format', () => {
+    const { core } = loadApp();
+    const result = core.DataProcessor.parseSerialLine('BUKA,75,12,4,120');
+    
+    assert.equal(result.type, 'full');
+    assert.equal(result.status, 'BUKA');
+    assert.equal(result.capacity, 75);
+    assert.equal(result.distance, 12);
+    assert.equal(result.dailyUsage, 4);
+    assert.equal(result.totalUsage, 120);
+});
+
+test('parses key:value lines and command acknowledgements', () => {
+    const { core } = loadApp();
+    const parse = line => core.DataProcessor.parseSerialLine(line);
+    
+    assert.deepEqual(
+        [parse('STATUS:BUKA').type, parse('DISTANCE:30').type, parse('USAGE:7').type, parse('SYSTEM_READY').type],
+        ['status', 'distance', 'usage', 'ready']
+    );
+    assert.equal(parse('DISTANCE:30').value, '30');
+    assert.equal(parse('CMD_RECEIVED:BUKA@3').value, 'BUKA@3');
+    assert.equal(parse('ACK:3').type, 'ack');
+    assert.equal(parse('NAK:3').type, 'nak');
+});
+
+test('parses the shipped sketch output and infers the lid from the 20 cm rule', () => {
+    const { core } = loadApp();
+    const context = { lineFormat: 'sketch' };
+    
+    const closed = core.DataProcessor.parseSerialLine('Jarak: 45 cm', context);
+    assert.equal(closed.type, 'reading');
+    assert.equal(closed.distance, 45);
+    assert.equal(closed.capacity, 10);
+    assert.equal(closed.status, 'TUTUP');
+    
+    const opened = core.DataProcessor.parseSerialLine('Jarak: 12 cm', context);
+    assert.equal(opened.status, 'BUKA');
+    
+    // Still inside the 8 s hold
+    assert.equal(core.DataProcessor.parseSerialLine('Jarak: 40 cm', context).status, 'BUKA');
+    
+    // Hold elapsed
+    context.formatState.openedAt -= 8000;
+    assert.equal(core.DataProcessor.parseSerialLine('Jarak: 40 cm', context).status, 'TUTUP');
+});
+
+test('a fixed line format ignores lines of other formats', () => {
+    const { core } = loadApp();
+    const result = core.DataProcessor.parseSerialLine('BUKA,75,12,4,120', { lineFormat: 'sketch' });
+    
+    assert.equal(result.type, 'message');
+    assert.equal(core.DataProcessor.parseSerialLine('Jarak: 5 cm').type, 'reading');
+});
+
+test('custom formats can be registered', () => {
+    const { core } = loadApp();
+    core.DataProcessor.registerFormat('level', {
+        label: 'LEVEL=N',
+        parse: line => /^LEVEL=(\d+)$/.test(line) ?
+            { type: 'usage', value: line.split('=')[1], raw: line } : null
+    });
+    
+    assert.equal(core.DataProcessor.parseSerialLine('LEVEL=9', { lineFormat: 'level' }).value, '9');
+    assert.ok(core.DataProcessor.getFormatOptions().some(option => option.id === 'level'));
+    assert.throws(() => core.DataProcessor.registerFormat('broken', {}));
+});
+
+test('status transitions count lid openings once', () => {
+    const { core, bin } = loadApp();
+    const apply = line => core.DataProcessor.batchUpdate(core.DataProcessor.processLines([line]), bin);
+    
+    apply('TUTUP,10,45,0,0');
+    apply('BUKA,10,45,0,0');
+    assert.equal(bin.db.status, 'BUKA');
+    assert.ok(bin.db.lastActivity);
+    // The CSV's own counters are kept apart; the ledger counts the transition
+    assert.equal(bin.db.dailyUsage, 1);
+    assert.deepEqual(bin.db.boardUsage, { daily: 0, total: 0 });
+    
+    apply('Jarak: 45 cm');
+    assert.equal(bin.db.status, 'TUTUP');
+    assert.deepEqual(
+        bin.db.logs.map(log => log.message).reverse(),
+        ['Tong Sampah 1 dibuka oleh Arduino', 'Tong Sampah 1 ditutup oleh Arduino']
+    );
+});
+
+test('partial updates derive capacity from distance', () => {
+    const { core, bin } = loadApp();
+    core.DataProcessor.batchUpdate(core.DataProcessor.processLines(['DISTANCE:25', 'USAGE:6']), bin);
+    
+    assert.equal(bin.db.distance, 25);
+    assert.equal(bin.db.capacity, 50);
+    assert.equal(bin.db.boardUsage.daily, 6);
+    assert.equal(bin.db.dailyUsage, 0);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+// Feeds readings one second apart, returns the filtered distances
+function feed(core, binId, readings, status = 'TUTUP') {
+    return readings.map((raw, i) => core.DistanceFilter.apply(binId, raw, status, i * 1000).distance);
+}
+
+test('missed echoes and out-of-range readings are rejected', () => {
+    const { core, bin } = loadApp();
+    
+    assert.deepEqual(feed(core, bin.id, [30, 0, 900]), [30, null, null]);
+    assert.equal(core.DistanceFilter.getStats(bin.id).range, 2);
+});
+
+test('single spikes are gated, sustained steps are accepted', () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.filter = { emaAlpha: 1, medianWindow: 1 };
+    
+    // One 5 cm echo between normal readings is dropped
+    assert.deepEqual(feed(core, bin.id, [40, 5, 40]), [40, null, 40]);
+    
+    // The bin was emptied: the new level is taken after three agreeing readings
+    core.DistanceFilter.reset(bin.id);
+    assert.deepEqual(feed(core, bin.id, [10, 48, 49, 48]), [10, null, null, 48]);
+});
+
+test('median and EMA smooth the accepted readings', () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.filter = { medianWindow: 3, emaAlpha: 0.5, maxRate: 100 };
+    
+    assert.deepEqual(feed(core, bin.id, [30, 32, 50, 31]), [30, 30.5, 31.3, 31.6]);
+});
+
+test('readings while the lid is open keep the last good capacity', async () => {
+    const { core, bin } = loadApp();
+    
+    core.DataProcessor.applyReading({ type: 'reading', status: 'TUTUP', distance: 25 }, bin);
+    core.DataProcessor.applyReading({ type: 'reading', status: 'BUKA', distance: 12 }, bin);
+    
+    assert.equal(bin.db.capacity, 50);
+    assert.equal(bin.db.distance, 25);
+    
+    const [, last] = await core.HistoryManager.getRange(bin.id);
+    assert.equal(last.capacity, 50);
+    assert.equal(last.rawCapacity, 76);
+    assert.equal(last.rejected, 'open');
+});
+
+test('the filter can be switched off', () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.filter = { enabled: false };
+    
+    assert.deepEqual(feed(core, bin.id, [30, 0, 5]), [30, 0, 5]);
+});
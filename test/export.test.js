@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Two bins with readings, openings, an alert and logs spread over a day
+function loadFleet() {
+    const loaded = loadApp();
+    const { core, bin } = loaded;
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    const start = Date.now() - 24 * HOUR;
+    
+    [10, 30, 50].forEach((capacity, i) => {
+        core.HistoryManager.addToHistory(capacity, bin, { distance: 40 - i * 10 }, start + i * 6 * HOUR);
+    });
+    core.HistoryManager.addToHistory(70, other, {}, start + 3 * HOUR);
+    core.UsageLedger.record(bin, 'arduino', start + 7 * HOUR);
+    
+    bin.db.capacity = 85;
+    core.AlertManager.observe(bin, start + 13 * HOUR);
+    
+    core.Logger.log('Arduino: TUTUP,40,30,1,2', 'arduino', null, bin.id);
+    core.Logger.log('Sistem "siap"\nbaris kedua', 'info');
+    
+    return { ...loaded, other, start };
+}
+
+test('records are collected per bin and date range in time order', async () => {
+    const { core, bin, start } = loadFleet();
+    
+    const data = await core.DataExport.collect({ binId: bin.id, from: start + HOUR, to: start + 20 * HOUR });
+    assert.deepEqual(data.readings.map(reading => reading.capacity), [30, 50]);
+    assert.deepEqual(data.events.map(event => event.type), ['open']);
+    assert.equal(data.alerts[0].ruleId, 'capacity-high');
+    assert.equal(data.logs.length, 0);
+    
+    // Every bin, everything; the system log comes along
+    const all = await core.DataExport.collect({ datasets: ['readings', 'logs'] });
+    assert.deepEqual(all.readings.map(reading => reading.capacity), [10, 70, 30, 50]);
+    assert.ok(all.logs.some(log => log.binId === null));
+    assert.deepEqual(Object.keys(all), ['readings', 'logs']);
+    
+    await assert.rejects(core.DataExport.collect({ datasets: ['cuaca'] }), /tidak dikenal/);
+});
+
+test('CSV follows RFC 4180 with one file per dataset', async () => {
+    const { core, bin } = loadFleet();
+    
+    const files = await core.DataExport.build({ datasets: ['readings', 'logs'], binId: bin.id, format: 'csv' });
+    assert.equal(files.length, 2);
+    assert.match(files[0].filename, new RegExp(`^readings_${bin.id}_\\d+\\.csv$`));
+    
+    const readings = files[0].content.split('\r\n');
+    assert.equal(readings[0], 'Waktu,Tong,Kapasitas (%),Jarak (cm),Jarak mentah (cm),Kapasitas mentah (%),Ditolak filter');
+    assert.match(readings[1], new RegExp(`^\\d{4}-\\d{2}-\\d{2}T[\\d:.]+Z,${bin.id},10,40,,,$`));
+    assert.equal(readings.pop(), '');
+    
+    const logs = files[1].content;
+    assert.match(logs, /,"Arduino: TUTUP,40,30,1,2",/);
+    assert.match(logs, /,"Sistem ""siap""\nbaris kedua",/);
+    
+    assert.equal(core.DataExport.csvField('a,b'), '"a,b"');
+    assert.equal(core.DataExport.csvField('polos'), 'polos');
+    assert.equal(core.DataExport.csvField(null), '');
+});
+
+test('JSON Lines tag every record with its dataset', async () => {
+    const { core } = loadFleet();
+    
+    const [file] = await core.DataExport.build({ datasets: ['readings', 'events'], format: 'jsonl' });
+    const lines = file.content.trimEnd().split('\n').map(line => JSON.parse(line));
+    
+    assert.equal(file.mimeType, 'application/x-ndjson');
+    assert.deepEqual(lines.map(line => line.dataset), ['readings', 'readings', 'readings', 'readings', 'events']);
+    assert.equal(lines[4].source, 'arduino');
+});
+
+test('SpreadsheetML has a worksheet per dataset with typed cells', async () => {
+    const { core, bin } = loadFleet();
+    core.state.db.settings.timeZone = 'Asia/Jakarta';
+    core.Logger.log('<b>rusak</b> & "aneh"', 'warning', { kode: 1 }, bin.id);
+    
+    const [file] = await core.DataExport.build({ binId: bin.id, format: 'spreadsheet' });
+    const xml = file.content;
+    
+    assert.match(file.filename, /\.xml$/);
+    assert.match(xml, /<\?mso-application progid="Excel.Sheet"\?>/);
+    assert.deepEqual([...xml.matchAll(/<Worksheet ss:Name="([^"]+)">/g)].map(match => match[1]),
+        ['Pembacaan', 'Pemakaian &amp; Pengosongan', 'Peringatan', 'Log']);
+    assert.match(xml, /Waktu \(Asia\/Jakarta\)/);
+    assert.match(xml, /<Data ss:Type="DateTime">\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.000<\/Data>/);
+    assert.match(xml, /<Data ss:Type="Number">50<\/Data>/);
+    assert.match(xml, /&lt;b&gt;rusak&lt;\/b&gt; &amp; &quot;aneh&quot;/);
+    assert.match(xml, /\{&quot;kode&quot;:1\}/);
+    
+    await assert.rejects(core.DataExport.build({ format: 'pdf' }), /Format ekspor tidak dikenal/);
+});
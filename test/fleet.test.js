@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('a pre-fleet single-bin db becomes the first bin', async () => {
+    const legacy = {
+        capacity: 42,
+        status: 'TUTUP',
+        totalUsage: 9,
+        settings: { alertThreshold: 80 },
+        logs: [],
+        usageHistory: { daily: [{ timestamp: Date.now() - 1000, capacity: 40 }], weekly: {}, monthly: {} }
+    };
+    const { core, bin } = loadApp({ storage: { tongSampah_db: JSON.stringify(legacy) } });
+    
+    assert.equal(bin.id, 'bin_1');
+    assert.equal(bin.db.capacity, 42);
+    assert.equal(bin.db.totalUsage, 9);
+    assert.equal(bin.db.usageHistory, undefined);
+    assert.deepEqual((await core.HistoryManager.getRange(bin.id)).map(reading => reading.capacity), [40]);
+    assert.equal(core.state.db.capacity, undefined);
+});
+
+test('bins can be added, selected and removed', async () => {
+    const { core, bin } = loadApp();
+    const other = core.Fleet.addBin({ name: 'Lobi', location: 'Lantai 1' });
+    
+    assert.equal(core.Fleet.list().length, 2);
+    assert.equal(core.Fleet.select(other.id), true);
+    assert.equal(core.Fleet.getSelected().name, 'Lobi');
+    
+    assert.equal(await core.Fleet.removeBin(other.id), true);
+    assert.equal(core.Fleet.getSelected().id, bin.id);
+    
+    // The last bin stays
+    assert.equal(await core.Fleet.removeBin(bin.id), false);
+});
+
+test('the fleet survives a reload from storage', () => {
+    const { core } = loadApp();
+    core.Fleet.addBin({ name: 'Parkiran' });
+    const saved = core.adapters.storage.getItem('tongSampah_fleet');
+    
+    const reloaded = loadApp({ storage: { tongSampah_fleet: saved } });
+    assert.deepEqual(reloaded.core.Fleet.list().map(bin => bin.name), ['Tong Sampah 1', 'Parkiran']);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// capacityAt(minutesAgo) for readings every `step` minutes over `minutes`
+function seed(core, bin, now, minutes, capacityAt, step = 10) {
+    for (let ago = minutes; ago >= 0; ago -= step) {
+        core.HistoryManager.addToHistory(capacityAt(ago), bin, {}, now - ago * MINUTE);
+    }
+    bin.db.capacity = capacityAt(0);
+}
+
+test('a steady fill rate gives a linear ETA', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    // 5 points per hour for the last 4 hours, now at 40%
+    seed(core, bin, now, 240, ago => 40 - ago / 12);
+    
+    const forecast = await core.Forecast.compute(bin.id, now);
+    assert.equal(forecast.method, 'trend');
+    assert.equal(forecast.ratePerHour, 5);
+    assert.equal(forecast.hoursLeft, 8);
+    assert.equal(forecast.eta, now + 8 * HOUR);
+});
+
+test('only readings after the last emptying count', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    // Filled fast to 70%, emptied 3 hours ago, now filling 2 points per hour
+    seed(core, bin, now, 360, ago => ago > 180 ? 70 - (ago - 180) / 6 : 14 - ago / 30);
+    
+    const forecast = await core.Forecast.compute(bin.id, now);
+    assert.equal(forecast.ratePerHour, 2);
+    assert.equal(forecast.hoursLeft, 33);
+});
+
+test('no forecast without enough data, a flat trend, or once the threshold is reached', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    seed(core, bin, now, 20, () => 30);
+    assert.equal((await core.Forecast.compute(bin.id, now)).reason, 'Data belum cukup');
+    
+    seed(core, bin, now, 120, () => 30);
+    const flat = await core.Forecast.compute(bin.id, now);
+    assert.equal(flat.eta, null);
+    assert.equal(flat.reason, 'Tidak bertambah');
+    
+    bin.db.capacity = 85;
+    assert.equal((await core.Forecast.compute(bin.id, now)).method, 'reached');
+});
+
+test('weekday and hour patterns shape the projection', async () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.timeZone = 'UTC';
+    
+    // Three weeks where the bin only fills 08:00-16:00 UTC, emptied every night
+    const now = Date.UTC(2026, 9, 19, 18, 0);
+    let level = 0;
+    for (let t = now - 21 * DAY; t <= now; t += 30 * MINUTE) {
+        const hour = new Date(t).getUTCHours();
+        if (hour === 0) level = 0;
+        else if (hour >= 8 && hour < 16) level += 2;
+        core.HistoryManager.addToHistory(level, bin, {}, t);
+    }
+    // Today's pace: 32 points over the working day, 18:00 now at 32%
+    bin.db.capacity = level;
+    
+    const forecast = await core.Forecast.compute(bin.id, now);
+    assert.equal(forecast.method, 'pattern');
+    // Nothing happens overnight: the threshold is reached during the next working day
+    const etaHour = new Date(forecast.eta).getUTCHours();
+    assert.ok(etaHour >= 8 && etaHour < 16, `eta at ${etaHour}:00`);
+    assert.ok(forecast.eta > Date.UTC(2026, 9, 20, 8) && forecast.eta < Date.UTC(2026, 9, 21, 0));
+});
+
+test('forecast error is measured when the threshold is actually crossed', () => {
+    const { core, bin } = loadApp();
+    const madeAt = Date.now() - 5 * HOUR;
+    
+    core.Forecast.track(bin.id, { computedAt: madeAt, eta: madeAt + 2 * HOUR, capacity: 60, method: 'trend' });
+    core.Forecast.track(bin.id, { computedAt: madeAt + 30 * MINUTE, eta: madeAt + 2 * HOUR, capacity: 62, method: 'trend' });
+    assert.equal(core.Forecast.getTracking(bin.id).pending.length, 1);
+    
+    bin.db.capacity = 81;
+    core.Forecast.observe(bin, 79, madeAt + 3 * HOUR);
+    
+    assert.deepEqual(core.Forecast.getAccuracy(bin.id), { count: 1, meanAbsErrorHours: 1, biasHours: 1 });
+    assert.ok(core.adapters.storage.getItem('tongSampah_forecasts'));
+    
+    const report = core.Forecast.exportReport().content.split('\n');
+    assert.equal(report.length, 2);
+    assert.match(report[1], /^"Tong Sampah 1","81","80"/);
+});
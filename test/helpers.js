@@ -0,0 +1,84 @@
+// ================= TEST HELPERS =================
+// Run the suite with: node --test test/*.test.js
+
+'use strict';
+
+const APP_PATH = require.resolve('../javascript.js');
+
+// Fresh module instance per call: in-memory storage, no DOM, no Web Serial
+function loadApp({ storage = {}, config = {} } = {}) {
+    delete require.cache[APP_PATH];
+    const App = require(APP_PATH);
+    const core = App.getCore();
+    
+    App.configure({
+        storage: core.Storage.createMemoryStorage(storage),
+        serial: null,
+        indexedDB: null,
+        config: {
+            ...config,
+            api: { timeout: 30, retryAttempts: 1, ...(config.api || {}) }
+        }
+    });
+    App.initCore();
+    
+    return { App, core, bin: core.Fleet.getSelected() };
+}
+
+// Minimal Web Serial port: push() feeds raw text to the app exactly as given
+// (so lines can be split across chunks), writes are collected in `written`.
+function createFakePort({ info = { usbVendorId: 0x2341, usbProductId: 0x0043 }, onLine = null } = {}) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    let controller = null;
+    let pending = '';
+    
+    const port = {
+        written: [],
+        opened: 0,
+        readable: null,
+        writable: null,
+        
+        getInfo() {
+            return info;
+        },
+        
+        async open() {
+            port.opened++;
+            port.readable = new ReadableStream({
+                start(streamController) {
+                    controller = streamController;
+                }
+            });
+            port.writable = new WritableStream({
+                write(chunk) {
+                    pending += decoder.decode(chunk);
+                    const lines = pending.split('\n');
+                    pending = lines.pop();
+                    lines.forEach(line => {
+                        port.written.push(line);
+                        if (onLine) onLine(line, port);
+                    });
+                }
+            });
+        },
+        
+        async close() {
+            controller = null;
+        },
+        
+        push(text) {
+            controller.enqueue(encoder.encode(text));
+        },
+        
+        fail(message = 'device lost') {
+            controller.error(new Error(message));
+        }
+    };
+    
+    return port;
+}
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { loadApp, createFakePort, wait };
@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('readings are stored per record and rolled up', async () => {
+    const { core, bin } = loadApp();
+    const start = core.Calendar.bucketOf('hour', Date.now()).bucket;
+    [20, 60, 40].forEach((capacity, i) => core.HistoryManager.addToHistory(capacity, bin, {}, start + i * 1000));
+    
+    const readings = await core.HistoryManager.getRange(bin.id, { from: start });
+    assert.deepEqual(readings.map(reading => reading.capacity), [20, 60, 40]);
+    
+    const [hour] = await core.HistoryManager.getRange(bin.id, { from: start, resolution: 'hour' });
+    assert.equal(hour.bucket, start);
+    assert.equal(hour.count, 3);
+    assert.equal(hour.average, 40);
+    assert.equal(hour.max, 60);
+    assert.equal(hour.min, 20);
+    assert.equal(hour.last, 40);
+    
+    const [week] = await core.HistoryManager.getRange(bin.id, { from: start, resolution: 'week' });
+    assert.match(week.key, /^\d{4}-W\d{2}$/);
+    assert.equal(week.count, 3);
+});
+
+test('range queries honour bounds and keep the newest records on a limit', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    for (let i = 0; i < 10; i++) core.HistoryManager.addToHistory(i * 10, bin, {}, now - (10 - i) * 1000);
+    
+    const latest = await core.HistoryManager.getRange(bin.id, { limit: 3 });
+    assert.deepEqual(latest.map(reading => reading.capacity), [70, 80, 90]);
+    
+    const window = await core.HistoryManager.getRange(bin.id, { from: now - 5000, to: now - 3000 });
+    assert.deepEqual(window.map(reading => reading.capacity), [50, 60, 70]);
+});
+
+test('getStats summarises the last day of a bin', async () => {
+    const { core, bin } = loadApp();
+    [10, 30, 50].forEach(capacity => core.HistoryManager.addToHistory(capacity, bin));
+    core.HistoryManager.addToHistory(99, bin, {}, Date.now() - 2 * DAY);
+    
+    assert.deepEqual(await core.HistoryManager.getStats('daily', bin), {
+        average: 30,
+        max: 50,
+        min: 10,
+        last: 50,
+        count: 3
+    });
+    assert.equal((await core.HistoryManager.getStats('weekly', bin)).count, 4);
+});
+
+test('retention drops old readings before old rollups', async () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.retention = { readings: 1, hour: 3 };
+    const now = Date.now();
+    
+    core.HistoryManager.addToHistory(10, bin, {}, now - 5 * DAY);
+    core.HistoryManager.addToHistory(20, bin, {}, now - 2 * DAY);
+    core.HistoryManager.addToHistory(30, bin, {}, now - HOUR);
+    await core.TimeSeries.prune(now);
+    
+    const readings = await core.HistoryManager.getRange(bin.id);
+    assert.deepEqual(readings.map(reading => reading.capacity), [30]);
+    
+    const hours = await core.HistoryManager.getRange(bin.id, { resolution: 'hour' });
+    assert.deepEqual(hours.map(hour => hour.last), [20, 30]);
+    
+    const days = await core.HistoryManager.getRange(bin.id, { resolution: 'day' });
+    assert.equal(days.length, 3);
+});
+
+test('history is kept per bin and removed with the bin', async () => {
+    const { core, bin } = loadApp();
+    const other = core.Fleet.addBin({ name: 'Dapur' });
+    
+    core.HistoryManager.addToHistory(10, bin);
+    core.HistoryManager.addToHistory(90, other);
+    core.HistoryManager.addToHistory(95, other);
+    
+    assert.equal((await core.HistoryManager.getRange(bin.id)).length, 1);
+    assert.equal((await core.HistoryManager.getStats('daily', other)).max, 95);
+    
+    await core.Fleet.removeBin(other.id);
+    assert.deepEqual(await core.HistoryManager.getRange(other.id, { resolution: 'day' }), []);
+});
+
+test('rebuild recomputes rollups from the kept readings', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    [10, 20, 30].forEach((capacity, i) => core.HistoryManager.addToHistory(capacity, bin, {}, now - i * HOUR));
+    
+    // A stale rollup next to the readings, as left by an older aggregation
+    await core.TimeSeries.enqueue(() => core.TimeSeries.backend.put('rollups', {
+        ...core.TimeSeries.createRollup(bin.id, 'day', core.Calendar.bucketOf('day', now)),
+        count: 99,
+        total: 99
+    }));
+    
+    assert.equal(await core.TimeSeries.rebuild(bin.id), 3);
+    
+    const days = await core.HistoryManager.getRange(bin.id, { from: now - 3 * HOUR, resolution: 'day' });
+    assert.equal(days.reduce((sum, day) => sum + day.count, 0), 3);
+    const [month] = await core.HistoryManager.getRange(bin.id, { from: now, resolution: 'month' });
+    assert.match(month.key, /^\d{4}-\d{2}$/);
+});
+
+test('usage profiles bucket by hour of day and ISO weekday', async () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.timeZone = 'UTC';
+    // Monday 2026-10-19 08:15 and 08:45 UTC, Tuesday 14:00 UTC
+    const monday = Date.UTC(2026, 9, 19, 8, 15);
+    core.HistoryManager.addToHistory(20, bin, {}, monday);
+    core.HistoryManager.addToHistory(40, bin, {}, monday + 30 * 60 * 1000);
+    core.HistoryManager.addToHistory(90, bin, {}, monday + DAY + 6 * HOUR - 15 * 60 * 1000);
+    
+    const hours = await core.TimeSeries.profile(bin.id, 'hourOfDay', { to: monday + 2 * DAY });
+    assert.equal(hours.length, 24);
+    assert.deepEqual([hours[8].count, hours[8].average], [2, 30]);
+    assert.equal(hours[14].max, 90);
+    
+    const days = await core.TimeSeries.profile(bin.id, 'dayOfWeek', { to: monday + 2 * DAY });
+    assert.deepEqual(days.map(day => day.count), [2, 1, 0, 0, 0, 0, 0]);
+    assert.equal(days[0].slot, 1);
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadApp } = require('./helpers');
+
+// Local webhook receiver; `statuses` are answered in order, then 200
+async function startServer(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(statuses.length ? statuses.shift() : 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        received,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function loadIntegrations() {
+    const loaded = loadApp({ config: { api: { timeout: 2000, retryAttempts: 1 } } });
+    loaded.core.state.db.settings.integrations = { retryDelay: 0 };
+    return loaded;
+}
+
+test('events are posted to webhooks with templated payloads', async () => {
+    const server = await startServer();
+    const { core, bin } = loadIntegrations();
+    
+    try {
+        core.Integrations.setWebhook({
+            url: server.url,
+            events: ['open'],
+            headers: { 'X-Token': 'rahasia' },
+            template: '{"text": "{{bin.name}} dibuka ({{data.source}})", "bin": "{{bin.id}}", "level": "{{bin.capacity}}"}'
+        });
+        bin.db.capacity = 42;
+        
+        const [message] = await core.Integrations.emit('open', bin, { source: 'arduino' });
+        assert.equal(message.attempts, 1);
+        assert.deepEqual(server.received[0].body, { text: `${bin.name} dibuka (arduino)`, bin: bin.id, level: 42 });
+        assert.equal(server.received[0].headers['x-token'], 'rahasia');
+        
+        // Not subscribed
+        assert.deepEqual(await core.Integrations.emit('alert', bin, {}), []);
+        assert.throws(() => core.Integrations.setWebhook({ url: server.url, template: '{"a": {{event}}' }), /JSON/);
+        assert.throws(() => core.Integrations.setWebhook({ url: 'bukan url' }), /tidak valid/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('failed deliveries are retried, then queued and flushed in order', async () => {
+    const server = await startServer([500, 503, 502]);
+    const { core, bin } = loadIntegrations();
+    
+    try {
+        core.Integrations.setWebhook({ url: server.url, events: ['service', 'alert'] });
+        
+        // 500, then 503 on the retry: queued
+        await core.Integrations.emit('service', bin, { kind: 'auto' });
+        assert.equal(core.Integrations.queue.length, 1);
+        assert.equal(core.Integrations.queue[0].error, 'HTTP 503');
+        
+        // Queued behind the first one without being sent
+        await core.Integrations.emit('alert', bin, { severity: 'critical' });
+        assert.equal(server.received.length, 2);
+        assert.equal(core.Integrations.queue.length, 2);
+        
+        // Survives a reload
+        const saved = core.adapters.storage.getItem('tongSampah_outbox');
+        assert.equal(JSON.parse(saved).length, 2);
+        
+        // 502, then 200 on the retry, then 200
+        assert.equal(await core.Integrations.flush(), 2);
+        assert.deepEqual(server.received.slice(-2).map(entry => entry.body.event), ['service', 'alert']);
+        assert.equal(core.Integrations.queue.length, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a message sent while an older one waits to be retried goes out after it', async () => {
+    const server = await startServer([500]);
+    const { core, bin } = loadIntegrations();
+    core.state.db.settings.integrations.retryDelay = 50;
+    
+    try {
+        core.Integrations.setWebhook({ url: server.url, events: ['service', 'alert'] });
+        
+        const first = core.Integrations.emit('service', bin, {});
+        await new Promise(resolve => setTimeout(resolve, 20));
+        // The first one is waiting out its retry delay
+        assert.equal(server.received.length, 1);
+        const second = core.Integrations.emit('alert', bin, {});
+        
+        await Promise.all([first, second]);
+        assert.deepEqual(server.received.map(entry => entry.body.event), ['service', 'service', 'alert']);
+        assert.equal(core.Integrations.queue.length, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('readings are forwarded at most once per interval', async () => {
+    const server = await startServer();
+    const { core, bin } = loadIntegrations();
+    const now = Date.now();
+    
+    try {
+        core.Integrations.setWebhook({ url: server.url, events: ['reading'] });
+        await core.Integrations.emit('reading', bin, { capacity: 10 }, now);
+        await core.Integrations.emit('reading', bin, { capacity: 11 }, now + 30 * 1000);
+        await core.Integrations.emit('reading', bin, { capacity: 12 }, now + 61 * 1000);
+        assert.deepEqual(server.received.map(entry => entry.body.data.capacity), [10, 12]);
+    } finally {
+        await server.close();
+    }
+});
+
+// In-memory broker behind a fake WebSocket
+function createBroker({ returnCode = 0, silent = false } = {}) {
+    const broker = { packets: [], sockets: [] };
+    broker.WebSocket = function(url, protocol) {
+        const socket = {
+            url,
+            protocol,
+            send(bytes) {
+                const packet = broker.Mqtt.decode(bytes);
+                broker.packets.push(packet);
+                if (packet.type === broker.Mqtt.packetTypes.connect && !silent) {
+                    setTimeout(() => socket.onmessage({ data: new Uint8Array([0x20, 2, 0, returnCode]).buffer }));
+                }
+            },
+            close() {
+                setTimeout(() => socket.onclose());
+            }
+        };
+        broker.sockets.push(socket);
+        setTimeout(() => socket.onopen());
+        return socket;
+    };
+    return broker;
+}
+
+test('MQTT publishes over WebSocket and queues while the broker is down', async () => {
+    const { App, core, bin } = loadIntegrations();
+    const broker = createBroker();
+    broker.Mqtt = core.Mqtt;
+    App.configure({ WebSocket: broker.WebSocket });
+    
+    // Not connected yet: queued
+    core.state.db.settings.integrations.mqtt = { enabled: true, url: 'ws://127.0.0.1:9001', events: ['open'] };
+    await core.Integrations.emit('open', bin, { source: 'simulasi' });
+    assert.equal(core.Integrations.queue.length, 1);
+    
+    assert.equal(await core.Integrations.setMqtt({ username: 'tong', password: 'sampah' }), true);
+    await core.Integrations.flushing;
+    
+    const [connect, publish] = broker.packets;
+    assert.equal(broker.sockets[0].protocol, 'mqtt');
+    assert.equal(connect.type, core.Mqtt.packetTypes.connect);
+    assert.equal(connect.body[7] & 0xC0, 0xC0);
+    assert.equal(publish.topic, `tongsampah/${bin.id}/open`);
+    assert.equal(JSON.parse(publish.payload).data.source, 'simulasi');
+    assert.equal(core.Integrations.queue.length, 0);
+    
+    core.Mqtt.disconnect(core.Integrations.mqtt);
+    assert.equal(broker.packets.pop().type, core.Mqtt.packetTypes.disconnect);
+});
+
+test('a refused MQTT login is reported', async () => {
+    const { core } = loadIntegrations();
+    const broker = createBroker({ returnCode: 4 });
+    broker.Mqtt = core.Mqtt;
+    core.adapters.WebSocket = broker.WebSocket;
+    
+    const client = core.Mqtt.create({ url: 'ws://127.0.0.1:9001', username: 'tong', password: 'salah' });
+    await assert.rejects(core.Mqtt.connect(client), /username\/password salah/);
+    assert.equal(core.Mqtt.encodeLength(321).length, 2);
+});
+
+test('a broker that never answers the login times out', async () => {
+    const { core } = loadApp({ config: { api: { timeout: 30 } } });
+    const broker = createBroker({ silent: true });
+    broker.Mqtt = core.Mqtt;
+    core.adapters.WebSocket = broker.WebSocket;
+    
+    const client = core.Mqtt.create({ url: 'ws://127.0.0.1:9001' });
+    await assert.rejects(core.Mqtt.connect(client), /waktu habis/);
+    assert.equal(client.connected, false);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('reassembles lines split across chunks', () => {
+    const { core } = loadApp();
+    const transport = core.LineTransport.create();
+    
+    assert.deepEqual(core.LineTransport.receive(transport, 'Jarak: 2'), []);
+    assert.deepEqual(core.LineTransport.receive(transport, '3 cm\r\nSTATUS:BU'), ['Jarak: 23 cm']);
+    assert.deepEqual(core.LineTransport.receive(transport, 'KA\r\n'), ['STATUS:BUKA']);
+    assert.equal(transport.buffer, '');
+});
+
+test('unwraps XOR and CRC-16 frames and rejects corrupt ones', () => {
+    const { core } = loadApp();
+    const { LineTransport } = core;
+    const transport = LineTransport.create();
+    
+    const good = LineTransport.frame('DISTANCE:20', 1);
+    const crc = LineTransport.frame('STATUS:BUKA', 2, 'crc16');
+    const corrupt = LineTransport.frame('USAGE:3', 3).replace('3', '8');
+    
+    assert.equal(LineTransport.crc16('123456789'), 0x29B1);
+    assert.deepEqual(LineTransport.receive(transport, `${good}\n${crc}\n${corrupt}\n`), ['DISTANCE:20', 'STATUS:BUKA']);
+    assert.equal(transport.stats.frames, 2);
+    assert.equal(transport.stats.checksumErrors, 1);
+    assert.equal(transport.stats.rejected, 1);
+});
+
+test('counts dropped, repeated and restarted sequence numbers', () => {
+    const { core } = loadApp();
+    const { LineTransport } = core;
+    const transport = LineTransport.create();
+    const lines = [1, 2, 5, 5, 0].map(seq => LineTransport.frame('USAGE:1', seq)).join('\n') + '\n';
+    
+    LineTransport.receive(transport, lines);
+    assert.equal(transport.stats.dropped, 2);
+    assert.equal(transport.stats.duplicates, 1);
+    assert.equal(transport.stats.resets, 1);
+});
+
+test('required framing rejects plain and noisy lines', () => {
+    const { core } = loadApp();
+    const transport = core.LineTransport.create('required');
+    
+    assert.deepEqual(core.LineTransport.receive(transport, 'STATUS:BUKA\nJa�rak\n'), []);
+    assert.equal(transport.stats.malformed, 2);
+});
+
+test('drops a runaway line that never ends', () => {
+    const { core } = loadApp();
+    const transport = core.LineTransport.create();
+    
+    core.LineTransport.receive(transport, 'x'.repeat(core.LineTransport.maxLineLength + 1));
+    assert.equal(transport.buffer, '');
+    assert.equal(transport.stats.overflows, 1);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+test('bin entries go to the bin log, others to the system log', () => {
+    const { core, bin } = loadApp();
+    core.Logger.log('Sistem siap', 'success');
+    core.Logger.log('Tong dibuka', 'info', null, bin.id);
+    
+    assert.equal(core.state.db.logs.length, 1);
+    assert.equal(bin.db.logs.length, 1);
+    assert.deepEqual(core.Logger.getLogs(bin.id).map(log => log.message).sort(), ['Sistem siap', 'Tong dibuka']);
+});
+
+test('keeps at most maxLogs entries, newest first', () => {
+    const { core } = loadApp();
+    for (let i = 0; i < core.Logger.maxLogs + 5; i++) {
+        core.Logger.log(`pesan ${i}`);
+    }
+    
+    assert.equal(core.state.db.logs.length, core.Logger.maxLogs);
+    assert.equal(core.state.db.logs[0].message, `pesan ${core.Logger.maxLogs + 4}`);
+});
+
+test('exports logs as CSV and JSON', () => {
+    const { core, bin } = loadApp();
+    core.Logger.log('Data diterima', 'info', { capacity: 40 }, bin.id);
+    core.Logger.log('Arduino: TUTUP,40,30 "ok"', 'arduino', null, bin.id);
+    
+    const csv = core.Logger.exportLogs('csv', bin.id);
+    const [header, quoted, row] = csv.content.split('\r\n');
+    assert.equal(csv.mimeType, 'text/csv');
+    assert.equal(header, 'Timestamp,Bin,Type,Message,Data');
+    assert.match(row, new RegExp(`,${bin.id},info,Data diterima,`));
+    assert.match(quoted, /,arduino,"Arduino: TUTUP,40,30 ""ok""",$/);
+    
+    const json = core.Logger.exportLogs('json', bin.id);
+    assert.equal(json.mimeType, 'application/json');
+    assert.equal(JSON.parse(json.content)[1].data.capacity, 40);
+});
+
+test('clearLogs empties the system log and the bin log', () => {
+    const { core, bin } = loadApp();
+    core.Logger.log('a');
+    core.Logger.log('b', 'info', null, bin.id);
+    core.Logger.clearLogs(bin.id);
+    
+    assert.equal(core.Logger.getLogs(bin.id).length, 0);
+});
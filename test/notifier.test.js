@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+function FakeNotification(title, options) {
+    FakeNotification.shown.push({ title, ...options });
+}
+FakeNotification.permission = 'granted';
+FakeNotification.shown = [];
+
+// Counts oscillators started, per context
+function FakeAudioContext() {
+    FakeAudioContext.started = 0;
+    const node = () => ({ connect() {}, gain: {}, frequency: {} });
+    return {
+        state: 'running',
+        currentTime: 0,
+        destination: {},
+        createGain: node,
+        createOscillator: () => ({ ...node(), start() { FakeAudioContext.started++; }, stop() {} })
+    };
+}
+
+function loadWithChannels() {
+    const loaded = loadApp();
+    FakeNotification.shown = [];
+    loaded.App.configure({
+        notification: FakeNotification,
+        audioContext: FakeAudioContext,
+        document: {
+            title: 'Tong Sampah',
+            head: null,
+            body: null,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        }
+    });
+    return loaded;
+}
+
+function raise(core, bin, capacity) {
+    bin.db.capacity = capacity;
+    core.AlertManager.observe(bin);
+    return core.AlertManager.getActive(bin.id);
+}
+
+test('each severity uses its own channels', () => {
+    const { core, bin } = loadWithChannels();
+    
+    const [warning] = raise(core, bin, 85);
+    assert.equal(warning.severity, 'warning');
+    assert.equal(FakeNotification.shown.length, 1);
+    assert.equal(FakeNotification.shown[0].tag, warning.key);
+    assert.equal(core.Notifier.audio, null);
+    
+    raise(core, bin, 97);
+    assert.equal(FakeNotification.shown.length, 2);
+    assert.equal(FakeNotification.shown[1].requireInteraction, true);
+    assert.equal(FakeAudioContext.started, 2);
+});
+
+test('channel settings are stored and respected', () => {
+    const { core, bin } = loadWithChannels();
+    
+    core.Notifier.setChannel('warning', { browser: false });
+    core.Notifier.setTone('siren', 2);
+    assert.equal(core.state.db.settings.notifications.channels.warning.browser, false);
+    assert.equal(core.Notifier.getSettings().volume, 1);
+    assert.equal(core.Notifier.getSettings().channels.critical.sound, true);
+    assert.throws(() => core.Notifier.setTone('kazoo'), /tidak dikenal/);
+    
+    raise(core, bin, 85);
+    assert.equal(FakeNotification.shown.length, 0);
+    
+    // Without permission browser notifications are skipped
+    FakeNotification.permission = 'default';
+    assert.ok(raise(core, bin, 97).some(alert => alert.severity === 'critical'));
+    assert.equal(FakeNotification.shown.length, 0);
+    FakeNotification.permission = 'granted';
+});
+
+test('the tab title counts unacknowledged alerts and the alarm repeats until acknowledged', () => {
+    const { core, bin } = loadWithChannels();
+    const now = Date.now();
+    
+    const alerts = raise(core, bin, 97);
+    core.Notifier.updateBadge();
+    assert.equal(core.adapters.document.title, `(${alerts.length}) Tong Sampah`);
+    
+    assert.equal(core.Notifier.remind(now), false);
+    assert.equal(core.Notifier.remind(now + 2 * 60 * 1000), true);
+    
+    alerts.forEach(alert => core.AlertManager.acknowledge(alert.id));
+    core.Notifier.updateBadge();
+    assert.equal(core.adapters.document.title, 'Tong Sampah');
+    assert.equal(core.Notifier.remind(now + 4 * 60 * 1000), false);
+});
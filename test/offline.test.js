@@ -0,0 +1,230 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { loadApp, wait } = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost:8080';
+
+// Cache Storage keyed by absolute URL
+function createCaches(fetch) {
+    const stores = new Map();
+    const keyOf = request => new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`).href;
+    
+    const open = async name => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const entries = stores.get(name);
+        
+        return {
+            entries,
+            async match(request) {
+                const response = entries.get(keyOf(request));
+                return response ? response.clone() : undefined;
+            },
+            async put(request, response) {
+                entries.set(keyOf(request), response);
+            },
+            async add(request) {
+                const response = await fetch(request);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                entries.set(keyOf(request), response);
+            },
+            async addAll(requests) {
+                for (const request of requests) await this.add(request);
+            }
+        };
+    };
+    
+    return {
+        stores,
+        open,
+        keys: async () => [...stores.keys()],
+        delete: async name => stores.delete(name)
+    };
+}
+
+// Runs sw.js the way a browser would, with fetch answering from `files`
+function loadWorker({ files = {}, offline = false } = {}) {
+    const fetched = [];
+    const worker = { handlers: {}, offline, fetched, skipped: false, claimed: false };
+    
+    const fetch = async request => {
+        const url = new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`).href;
+        fetched.push(url);
+        if (worker.offline) throw new TypeError('Failed to fetch');
+        if (url.includes('webfonts/fa-brands')) return new Response('', { status: 404 });
+        return new Response(files[url] || `isi ${url}`, { status: 200 });
+    };
+    
+    worker.caches = createCaches(fetch);
+    
+    const self = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        clients: { claim: async () => { worker.claimed = true; } },
+        skipWaiting: () => { worker.skipped = true; },
+        addEventListener: (type, handler) => { worker.handlers[type] = handler; }
+    };
+    
+    const context = vm.createContext({
+        self,
+        caches: worker.caches,
+        fetch,
+        Request,
+        Response,
+        URL,
+        console: { warn() {}, log() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder,
+        importScripts: (...names) => names.forEach(name => {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), context, { filename: name });
+        })
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+    
+    worker.dispatch = async (type, properties = {}) => {
+        let pending = null;
+        let response = null;
+        worker.handlers[type]({
+            ...properties,
+            waitUntil: promise => { pending = promise; },
+            respondWith: promise => { response = promise; }
+        });
+        await pending;
+        return response ? await response : null;
+    };
+    
+    return worker;
+}
+
+const PAGE = '<!DOCTYPE html>\n<h1>Tong Sampah</h1>';
+
+test('the worker precaches the app shell and vendor files per version', async () => {
+    const worker = loadWorker({ files: { [`${ORIGIN}/index.html`]: PAGE } });
+    await worker.caches.open('tongsampah-1.0.0');
+    
+    await worker.dispatch('install');
+    const { version } = require('../javascript.js').getCore().state.config;
+    const cache = worker.caches.stores.get(`tongsampah-${version}`);
+    
+    assert.ok(cache.has(`${ORIGIN}/index.html`));
+    assert.ok(cache.has(`${ORIGIN}/javascript.js`));
+    assert.ok([...cache.keys()].some(url => url.includes('chart.umd.min.js')));
+    assert.ok([...cache.keys()].some(url => url.includes('font-awesome') && url.endsWith('all.min.css')));
+    // A missing CDN file does not fail the install
+    assert.equal([...cache.keys()].some(url => url.includes('fa-brands')), false);
+    
+    await worker.dispatch('activate');
+    assert.deepEqual([...worker.caches.stores.keys()], [`tongsampah-${version}`]);
+    assert.equal(worker.claimed, true);
+    
+    let reply = null;
+    await worker.dispatch('message', { data: { type: 'GET_VERSION' }, ports: [{ postMessage: message => { reply = message; } }] });
+    assert.equal(reply.version, version);
+    
+    await worker.dispatch('message', { data: { type: 'SKIP_WAITING' } });
+    assert.equal(worker.skipped, true);
+});
+
+test('offline pages fall back to the cached shell and api calls bypass the cache', async () => {
+    const worker = loadWorker({ files: { [`${ORIGIN}/index.html`]: PAGE } });
+    await worker.dispatch('install');
+    worker.offline = true;
+    worker.fetched.length = 0;
+    
+    // Request() refuses mode 'navigate'; the browser builds these itself
+    const page = await worker.dispatch('fetch', { request: { url: `${ORIGIN}/?bin=bin_1`, method: 'GET', mode: 'navigate' } });
+    assert.equal(await page.text(), PAGE);
+    
+    const style = await worker.dispatch('fetch', { request: new Request(`${ORIGIN}/style.css`) });
+    assert.equal(style.status, 200);
+    assert.deepEqual(worker.fetched, [`${ORIGIN}/?bin=bin_1`]);
+    
+    assert.equal(await worker.dispatch('fetch', { request: new Request(`${ORIGIN}/api/events`) }), null);
+    assert.equal(await worker.dispatch('fetch', { request: new Request(`${ORIGIN}/api/readings`, { method: 'POST', body: '{}' }) }), null);
+    assert.equal(await worker.dispatch('fetch', { request: new Request('https://example.com/tracker.js') }), null);
+});
+
+test('an index.html that is not a page is not cached as the offline shell', async () => {
+    // As in this repository today: a copy of the script
+    const worker = loadWorker({ files: { [`${ORIGIN}/index.html`]: fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8') } });
+    await worker.dispatch('install');
+    const cache = [...worker.caches.stores.values()][0];
+    
+    assert.equal(cache.has(`${ORIGIN}/index.html`), false);
+    assert.equal(cache.has(`${ORIGIN}/`), false);
+    assert.ok(cache.has(`${ORIGIN}/javascript.js`));
+    
+    worker.offline = true;
+    const page = await worker.dispatch('fetch', { request: { url: `${ORIGIN}/`, method: 'GET', mode: 'navigate' } });
+    assert.equal(page.type, 'error');
+});
+
+// navigator.serviceWorker with one registration whose workers answer GET_VERSION
+function createContainer({ waitingVersion = null, controllerVersion = null } = {}) {
+    const listeners = {};
+    const createWorker = version => ({
+        messages: [],
+        postMessage(message, ports = []) {
+            this.messages.push(message);
+            if (message.type === 'GET_VERSION') ports[0].postMessage({ type: 'VERSION', version });
+        }
+    });
+    
+    const registration = {
+        updates: 0,
+        installing: null,
+        waiting: waitingVersion ? createWorker(waitingVersion) : null,
+        addEventListener() {},
+        update: async () => { registration.updates++; }
+    };
+    
+    return {
+        registration,
+        controller: controllerVersion ? createWorker(controllerVersion) : null,
+        register: async url => {
+            registration.url = url;
+            return registration;
+        },
+        addEventListener: (type, handler) => { listeners[type] = handler; },
+        fire: type => listeners[type]()
+    };
+}
+
+test('a waiting worker with another version is offered and activated on request', async () => {
+    const { App, core } = loadApp();
+    const container = createContainer({ waitingVersion: '9.9.9' });
+    let reloaded = 0;
+    App.configure({ serviceWorker: container, window: { location: { reload: () => { reloaded++; } } } });
+    
+    await core.OfflineSupport.init();
+    assert.equal(container.registration.url, 'sw.js');
+    assert.equal(core.OfflineSupport.pending.version, '9.9.9');
+    
+    assert.equal(App.applyUpdate(), true);
+    assert.deepEqual(container.registration.waiting.messages.pop(), { type: 'SKIP_WAITING' });
+    container.fire('controllerchange');
+    assert.equal(reloaded, 1);
+    assert.equal(App.applyUpdate(), false);
+});
+
+test('a controller on the page version needs no prompt; an older one triggers an update check', async () => {
+    const { App, core } = loadApp();
+    const current = createContainer({ controllerVersion: core.state.config.version });
+    App.configure({ serviceWorker: current });
+    await core.OfflineSupport.init();
+    assert.equal(core.OfflineSupport.pending, null);
+    assert.equal(current.registration.updates, 0);
+    
+    const other = loadApp();
+    const stale = createContainer({ controllerVersion: '0.1.0' });
+    other.App.configure({ serviceWorker: stale });
+    await other.core.OfflineSupport.init();
+    await wait();
+    assert.equal(stale.registration.updates, 1);
+});
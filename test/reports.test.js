@@ -0,0 +1,145 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Tuesday 10 March 2026 in Jakarta (UTC+7, no DST): readings in six hours,
+// two openings, one emptying and one alert; a second bin with no data
+function loadDay() {
+    const loaded = loadApp();
+    const { core, bin } = loaded;
+    core.state.db.settings.timeZone = 'Asia/Jakarta';
+    const at = (hour, minute = 0) => core.Calendar.zonedTime(2026, 3, 10, hour) + minute * 60000;
+    
+    bin.createdAt = at(0) - 30 * 24 * HOUR;
+    bin.name = 'Dapur <Utama>';
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi Selatan' });
+    other.createdAt = at(12);
+    
+    [[8, 20], [9, 40], [10, 60], [10, 90], [11, 30], [14, 40], [15, 50]].forEach(([hour, capacity], i) => {
+        core.HistoryManager.addToHistory(capacity, bin, {}, at(hour, i));
+    });
+    core.UsageLedger.record(bin, 'arduino', at(9, 30));
+    core.UsageLedger.record(bin, 'arduino', at(14, 30));
+    bin.db.capacity = 90;
+    core.AlertManager.observe(bin, at(10, 5));
+    
+    return { ...loaded, other, at, now: at(0) + 40 * 24 * HOUR };
+}
+
+test('a daily report sums capacity, usage, emptyings, alerts and uptime per bin', async () => {
+    const { core, bin, other, at, now } = loadDay();
+    
+    const report = await core.Reports.build({ period: 'day', date: at(12), now });
+    assert.equal(report.key, '2026-03-10');
+    assert.equal(report.from, at(0));
+    assert.equal(report.to, at(24));
+    assert.equal(report.title, 'Laporan Harian 2026-03-10');
+    
+    const [first, second] = report.bins;
+    assert.equal(first.readings, 7);
+    assert.equal(Math.round(first.average * 10) / 10, 47.1);
+    assert.equal(first.peak, 90);
+    assert.equal(first.opens, 2);
+    assert.equal(first.emptyings, 1);
+    assert.equal(first.alerts, 1);
+    // Data in 6 of 24 hours
+    assert.equal(first.uptime, 0.25);
+    
+    // Added at noon: 12 hours it could have reported in
+    assert.equal(second.id, other.id);
+    assert.equal(second.average, null);
+    assert.equal(second.uptime, 0);
+    
+    assert.equal(first.breakdown.length, 24);
+    const ten = first.breakdown.find(slot => slot.key === '2026-03-10T10');
+    assert.deepEqual([ten.readings, ten.average, ten.peak, ten.uptime], [2, 75, 90, 1]);
+    assert.equal(second.breakdown[0].uptime, null);
+    
+    assert.equal(report.totals.readings, 7);
+    assert.equal(report.totals.peak, 90);
+    assert.equal(report.totals.opens, 2);
+    assert.equal(report.totals.uptime, 0.125);
+    
+    const single = await core.Reports.build({ period: 'day', date: at(12), binId: bin.id, now });
+    assert.deepEqual(single.bins.map(row => row.id), [bin.id]);
+    await assert.rejects(core.Reports.build({ period: 'year' }), /Periode laporan tidak dikenal/);
+    await assert.rejects(core.Reports.build({ binId: 'bin_9' }), /Tong tidak ditemukan/);
+});
+
+test('weekly and monthly reports follow calendar weeks and months', async () => {
+    const { core, at, now } = loadDay();
+    
+    const week = await core.Reports.build({ period: 'week', date: at(12), now });
+    assert.equal(week.key, '2026-W11');
+    assert.equal(week.from, core.Calendar.zonedTime(2026, 3, 9));
+    assert.deepEqual(week.bins[0].breakdown.map(slot => slot.key),
+        ['2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14', '2026-03-15']);
+    assert.equal(week.bins[0].breakdown[1].readings, 7);
+    
+    const month = await core.Reports.build({ period: 'month', date: at(12), now });
+    assert.equal(month.key, '2026-03');
+    assert.equal(month.bins[0].breakdown.length, 31);
+    assert.equal(month.bins[0].opens, 2);
+    
+    // Hours still to come do not count against uptime
+    const ongoing = await core.Reports.build({ period: 'day', date: at(12), now: at(16) });
+    assert.equal(ongoing.bins[0].uptime, 6 / 16);
+});
+
+test('the HTML report is a printable page with escaped names', async () => {
+    const { core, at, now } = loadDay();
+    
+    const file = await core.Reports.render({ period: 'day', date: at(12), now, format: 'html' });
+    assert.equal(file.filename, 'laporan_day_2026-03-10.html');
+    assert.equal(file.mimeType, 'text/html');
+    
+    const html = file.content;
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /@page \{ size: A4/);
+    assert.match(html, /<title>Laporan Harian 2026-03-10<\/title>/);
+    assert.match(html, /Dapur &lt;Utama&gt;/);
+    assert.match(html, /<td>10:00<\/td><td>75%<\/td><td>90%<\/td>/);
+    assert.match(html, /<tfoot><tr><td>Semua tong<\/td><td>47,1%<\/td><td>90%<\/td><td>2<\/td><td>1<\/td><td>1<\/td><td>13%<\/td>/);
+    assert.match(html, /Rincian per jam/);
+    
+    await assert.rejects(core.Reports.render({ format: 'docx' }), /Format laporan tidak dikenal/);
+});
+
+test('the PDF report is a valid document with a correct cross-reference table', async () => {
+    const { core, at, now } = loadDay();
+    
+    const file = await core.Reports.render({ period: 'month', date: at(12), now, format: 'pdf' });
+    const pdf = file.content;
+    assert.equal(file.filename, 'laporan_month_2026-03.pdf');
+    assert.equal(file.mimeType, 'application/pdf');
+    assert.match(pdf, /^%PDF-1\.4\n/);
+    assert.match(pdf, /%%EOF\n$/);
+    assert.equal(/[^\x00-\x7f]/.test(pdf), false);
+    
+    // Every xref entry points at its object, startxref at the table
+    const startxref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+    assert.equal(pdf.slice(startxref, startxref + 4), 'xref');
+    const [, count] = pdf.slice(startxref).match(/^xref\n0 (\d+)\n/);
+    const entries = pdf.slice(startxref).split('\n').slice(3, 2 + Number(count));
+    entries.forEach((entry, i) => {
+        const offset = Number(entry.slice(0, 10));
+        assert.equal(pdf.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`);
+    });
+    
+    // Stream lengths match their content
+    for (const match of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)) {
+        const start = match.index + match[0].length;
+        assert.equal(pdf.slice(start + Number(match[1]), start + Number(match[1]) + 10), '\nendstream');
+    }
+    
+    // Two bins with 31 days each do not fit on one page
+    const pages = Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+    assert.ok(pages >= 2);
+    assert.match(pdf, /\(Dapur <Utama>\) Tj/);
+    assert.match(pdf, new RegExp(`halaman ${pages} dari ${pages}`));
+    assert.equal(core.Reports.pdfText('Séance (tutup) – 1\\2'), 'Seance \\(tutup\\) - 1\\\\2');
+});
@@ -0,0 +1,231 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createFakePort, wait } = require('./helpers');
+
+// Acknowledges BUKA/TUTUP, stays silent on STATUS
+const ackingPort = () => createFakePort({
+    onLine: (line, port) => {
+        if (line !== 'STATUS') setTimeout(() => port.push(`CMD_RECEIVED:${line}\r\n`), 1);
+    }
+});
+
+test('lines from the port update the bin and its history', async () => {
+    const { core, bin } = loadApp();
+    const port = createFakePort();
+    
+    assert.equal(await core.SerialManager.connect(bin.id, { port }), true);
+    port.push('TUTUP,30,35,2,');
+    port.push('9\r\n');
+    await wait(5);
+    port.push('BUKA,31,34,2,9\r\n');
+    await wait(5);
+    
+    assert.equal(bin.db.status, 'BUKA');
+    // The reading taken with the lid open is kept as raw only
+    assert.equal(bin.db.capacity, 30);
+    const history = await core.HistoryManager.getRange(bin.id);
+    assert.equal(history.length, 2);
+    assert.equal(history[1].rawCapacity, 31);
+    assert.equal(core.SerialManager.getConnectionStats(bin.id).transport.lines, 2);
+    
+    await core.SerialManager.disconnect(bin.id);
+    assert.equal(core.SerialManager.getStatus(bin.id), 'disconnected');
+});
+
+test('send() resolves once the board acknowledges', async () => {
+    const { core, bin } = loadApp();
+    const port = ackingPort();
+    await core.SerialManager.connect(bin.id, { port });
+    
+    const result = await core.SerialManager.send('BUKA', bin.id);
+    assert.equal(result.command, 'BUKA');
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(port.written, ['BUKA']);
+    
+    await core.SerialManager.disconnect(bin.id);
+});
+
+test('send() retries and then rejects without an acknowledgement', async () => {
+    const { core, bin } = loadApp();
+    const port = createFakePort();
+    await core.SerialManager.connect(bin.id, { port });
+    
+    await assert.rejects(core.SerialManager.send('TUTUP', bin.id), /tidak dikonfirmasi setelah 2 percobaan/);
+    assert.deepEqual(port.written.filter(line => line === 'TUTUP'), ['TUTUP', 'TUTUP']);
+    
+    await core.SerialManager.disconnect(bin.id);
+});
+
+test('disconnect cancels pending commands', async () => {
+    const { core, bin } = loadApp({ config: { api: { timeout: 1000 } } });
+    await core.SerialManager.connect(bin.id, { port: createFakePort() });
+    
+    const pending = core.SerialManager.send('BUKA', bin.id);
+    await core.SerialManager.disconnect(bin.id);
+    await assert.rejects(pending, /koneksi terputus/);
+});
+
+test('a lost port is reconnected with backoff', async () => {
+    const { App, core, bin } = loadApp();
+    core.state.db.settings.reconnect = { enabled: true, baseDelay: 10, maxDelay: 50, maxAttempts: 3 };
+    const port = createFakePort();
+    
+    // The re-plugged board shows up among the granted ports again
+    App.configure({ serial: { getPorts: async () => [port] } });
+    
+    await core.SerialManager.connect(bin.id, { port });
+    port.fail();
+    await wait(1);
+    
+    const stats = core.SerialManager.getConnectionStats(bin.id);
+    assert.equal(stats.status, 'reconnecting');
+    assert.equal(stats.reconnectAttempt, 1);
+    
+    await wait(30);
+    assert.equal(core.SerialManager.getStatus(bin.id), 'connected');
+    assert.equal(port.opened, 2);
+    
+    await core.SerialManager.disconnect(bin.id);
+});
+
+test('the simulator drives the full pipeline with framed lines', async () => {
+    const { core, bin } = loadApp();
+    const port = core.DeviceSimulator.createPort({
+        format: 'keyValue',
+        framed: true,
+        interval: 0,
+        startCapacity: 50,
+        noise: 0,
+        lidEventRate: 0
+    });
+    
+    await core.SerialManager.connect(bin.id, { port });
+    port.device.tick(0);
+    await wait(5);
+    
+    assert.equal(bin.db.distance, 25);
+    assert.equal(bin.db.capacity, 50);
+    
+    const result = await core.SerialManager.send('BUKA', bin.id);
+    assert.equal(result.command, 'BUKA');
+    await wait(5);
+    assert.equal(bin.db.status, 'BUKA');
+    assert.equal(core.SerialManager.getConnectionStats(bin.id).transport.rejected, 0);
+    
+    await core.SerialManager.disconnect(bin.id);
+});
+
+test('two identical boards each keep their own bin and name', async () => {
+    const { App, core, bin } = loadApp();
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    const first = createFakePort();
+    const second = createFakePort();
+    
+    await core.SerialManager.connect(bin.id, { port: first });
+    await core.SerialManager.connect(other.id, { port: second });
+    assert.ok(bin.port);
+    assert.ok(other.port);
+    assert.equal(core.state.db.logs.some(log => log.message.includes('sebelumnya dipakai')), false);
+    
+    core.SerialManager.renamePort('Dapur', bin.id);
+    assert.equal(core.SerialManager.getPortLabel(bin.id), 'Dapur · Arduino Uno R3');
+    assert.equal(core.SerialManager.getPortLabel(other.id), 'Arduino Uno R3');
+    
+    await core.SerialManager.disconnectAll();
+    
+    // Both granted and free: the app cannot tell which board is which
+    App.configure({ serial: { getPorts: async () => [first, second] } });
+    await core.SerialManager.restoreConnections();
+    assert.equal(core.SerialManager.getStatus(bin.id), 'disconnected');
+    assert.equal(core.SerialManager.getStatus(other.id), 'disconnected');
+    
+    // With one of them already in use the other one is unambiguous
+    await core.SerialManager.connect(bin.id, { port: first });
+    await core.SerialManager.restoreConnections();
+    assert.equal(core.SerialManager.getConnection(other.id).port, second);
+    
+    await core.SerialManager.disconnectAll();
+});
+
+test('commands to the shipped sketch are sent once and not waited for', async () => {
+    const { core, bin } = loadApp({ config: { api: { timeout: 1000 } } });
+    const port = createFakePort();
+    await core.SerialManager.connect(bin.id, { port });
+    
+    // 'auto' recognises the sketch from its output
+    port.push('Jarak: 40 cm\r\n');
+    await wait(5);
+    const started = Date.now();
+    const result = await core.SerialManager.send('BUKA', bin.id);
+    assert.equal(result.confirmed, false);
+    assert.ok(Date.now() - started < 500);
+    assert.deepEqual(port.written.filter(line => line === 'BUKA'), ['BUKA']);
+    assert.equal(core.SerialManager.getConnectionStats(bin.id).pendingCommands.length, 0);
+    
+    await core.UI.sendCommand('TUTUP', bin.id);
+    assert.equal(core.UI.getCommandState(bin.id, 'TUTUP'), 'unconfirmed');
+    
+    await core.SerialManager.disconnect(bin.id);
+});
+
+test('the sketch\'s 9600 baud is the default and choosing its format restores it', async () => {
+    const { core, bin } = loadApp();
+    assert.equal(core.SerialManager.getSerialProfile(bin.id).baudRate, 9600);
+    // A board set up for faster CSV output
+    core.SerialManager.setBaudRate(115200, bin.id);
+    
+    assert.equal(core.SerialManager.setLineFormat('sketch', bin.id), 9600);
+    assert.deepEqual(core.Storage.get('settings').serialProfiles[bin.id], { baudRate: 9600, lineFormat: 'sketch' });
+    await core.SerialManager.connect(bin.id, { port: createFakePort() });
+    assert.equal(core.SerialManager.getConnectionStats(bin.id).baudRate, 9600);
+    await core.SerialManager.disconnect(bin.id);
+    
+    // Formats without a rate of their own keep the one chosen
+    assert.equal(core.SerialManager.setLineFormat('auto', bin.id), 9600);
+    assert.throws(() => core.SerialManager.setLineFormat('morse', bin.id), /Format serial tidak dikenal/);
+    assert.throws(() => core.SerialManager.setBaudRate(NaN, bin.id), /Baud rate tidak valid/);
+});
+
+test('each bin connects with its own line format and baud rate', async () => {
+    const { core, bin } = loadApp();
+    const other = core.Fleet.addBin({ id: 'bin_2', name: 'Lobi' });
+    core.SerialManager.setLineFormat('sketch', bin.id);
+    core.SerialManager.setLineFormat('csv', other.id);
+    core.SerialManager.setBaudRate(115200, other.id);
+    
+    const ports = [createFakePort(), createFakePort({ info: { usbVendorId: 0x1a86, usbProductId: 0x7523 } })];
+    await core.SerialManager.connect(bin.id, { port: ports[0] });
+    await core.SerialManager.connect(other.id, { port: ports[1] });
+    assert.equal(core.SerialManager.getConnection(bin.id).baudRate, 9600);
+    assert.equal(core.SerialManager.getConnection(bin.id).lineFormat, 'sketch');
+    assert.equal(core.SerialManager.getConnection(other.id).baudRate, 115200);
+    assert.equal(core.SerialManager.getConnection(other.id).lineFormat, 'csv');
+    await core.SerialManager.disconnect(other.id);
+    
+    // Given to connect(), for this connection only
+    await core.SerialManager.connect(other.id, { port: ports[1], lineFormat: 'keyValue', baudRate: 57600 });
+    assert.equal(core.SerialManager.getConnection(other.id).baudRate, 57600);
+    assert.equal(core.SerialManager.getConnection(other.id).lineFormat, 'keyValue');
+    assert.equal(core.SerialManager.getSerialProfile(other.id).baudRate, 115200);
+    await core.SerialManager.disconnectAll();
+    
+    await core.Fleet.removeBin(other.id);
+    assert.equal(other.id in core.Storage.get('settings').serialProfiles, false);
+});
+
+test('a page that opens the port itself gets the bin\'s name for it', () => {
+    const { App, core, bin } = loadApp();
+    const port = createFakePort({ info: { usbVendorId: 0x0403, usbProductId: 0x6001 } });
+    
+    App.rememberPort(port);
+    assert.equal(core.PortRegistry.get(bin.id).key, '0403:6001');
+    assert.equal(App.renamePort('Nano dapur'), true);
+    assert.equal(App.describePort(port), 'Nano dapur · Arduino Nano (FTDI FT232R)');
+    
+    // Persisted like the dashboard's own connections
+    const storage = {};
+    core.Storage.keys().forEach(key => { storage[key] = core.adapters.storage.getItem(key); });
+    assert.equal(loadApp({ storage }).App.describePort(port), 'Nano dapur · Arduino Nano (FTDI FT232R)');
+});
@@ -0,0 +1,318 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { createServer } = require('../server');
+const { loadApp, createFakePort, wait } = require('./helpers');
+
+async function start(options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tongsampah-'));
+    const instance = createServer({ dataDir, log: () => {}, origins: ['https://dasbor.example'], token: 'rahasia', ...options });
+    const { origin } = await instance.listen(0);
+    
+    const request = async (method, route, body, headers = { Authorization: 'Bearer rahasia' }) => {
+        const response = await fetch(origin + route, {
+            method,
+            headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const type = response.headers.get('content-type') || '';
+        return { status: response.status, type, headers: response.headers, body: type.includes('json') ? await response.json() : await response.text() };
+    };
+    
+    const stop = async () => {
+        await instance.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return { instance, origin, dataDir, request, stop };
+}
+
+// Collects server-sent events until close()
+function listen(origin, client) {
+    const events = [];
+    let buffer = '';
+    const req = http.get(`${origin}/api/events?client=${client}`, res => {
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            blocks.forEach(block => {
+                const type = /^event: (.+)$/m.exec(block);
+                const data = /^data: (.+)$/m.exec(block);
+                if (type && data) events.push({ type: type[1], ...JSON.parse(data[1]) });
+            });
+        });
+    });
+    req.on('error', () => {});
+    return { events, close: () => req.destroy() };
+}
+
+test('serves the dashboard files but nothing else', async () => {
+    const server = await start();
+    try {
+        const page = await server.request('GET', '/');
+        assert.equal(page.status, 200);
+        assert.match(page.type, /text\/html/);
+        
+        assert.equal((await server.request('GET', '/javascript.js')).status, 200);
+        assert.equal((await server.request('GET', '/server.js')).status, 404);
+        assert.equal((await server.request('GET', '/test/helpers.js')).status, 404);
+        assert.equal((await server.request('GET', '/..%2fetc%2fpasswd')).status, 404);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('only known origins and token holders may change data', async () => {
+    const server = await start();
+    try {
+        const preflight = (origin) => server.request('OPTIONS', '/api/backup', null, { Origin: origin });
+        const allowed = await preflight('https://dasbor.example');
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://dasbor.example');
+        assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+        assert.equal((await preflight(server.origin)).status, 204);
+        
+        // A form post from another site never reaches the route
+        const foreign = await preflight('https://jahat.example');
+        assert.equal(foreign.status, 403);
+        assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+        assert.equal((await server.request('GET', '/api/bins', null, { Origin: 'https://jahat.example' })).status, 403);
+        
+        const [bin] = (await server.request('GET', '/api/bins', null, {})).body;
+        assert.equal((await server.request('DELETE', `/api/bins/${bin.id}`, null, {})).status, 401);
+        assert.equal((await server.request('POST', '/api/simulate', { binId: bin.id }, { Authorization: 'Bearer salah' })).status, 401);
+        assert.equal((await server.request('POST', '/api/backup', { app: 'tongSampah' }, {})).status, 401);
+        
+        // Reading and sharing need no token
+        assert.equal((await server.request('PUT', '/api/bins/bin_x', { bin: { name: 'X' } }, {})).status, 200);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('on every address the page served by the server may use the API', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tongsampah-'));
+    const instance = createServer({ dataDir, log: () => {}, token: 'rahasia' });
+    const { port } = await instance.listen(0, '0.0.0.0');
+    
+    // What a browser sends for a page opened at `address`
+    const post = (address, origin = `http://${address}:${port}`) => new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method: 'POST',
+            path: '/api/readings',
+            headers: { Host: `${address}:${port}`, Origin: origin, 'Content-Type': 'application/json' }
+        }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify({ binId: 'bin_1', reading: { capacity: 40 } }));
+    });
+    
+    try {
+        assert.equal(await post('127.0.0.1'), 200);
+        assert.equal(await post('192.168.1.5'), 200);
+        assert.equal(await post('192.168.1.5', 'https://jahat.example'), 403);
+    } finally {
+        await instance.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('dashboards share bins and readings', async () => {
+    const server = await start();
+    const other = listen(server.origin, 'dash_b');
+    try {
+        await wait(50);
+        const created = await server.request('PUT', '/api/bins/bin_lobi', { clientId: 'dash_a', bin: { name: 'Lobi', location: 'Lantai 1' } });
+        assert.equal(created.body.name, 'Lobi');
+        
+        const posted = await server.request('POST', '/api/readings', {
+            clientId: 'dash_a',
+            binId: 'bin_lobi',
+            reading: { kind: 'reading', timestamp: Date.UTC(2026, 0, 5, 8), capacity: 64, distance: 18, status: 'TUTUP' }
+        });
+        assert.equal(posted.status, 200);
+        assert.equal((await server.request('POST', '/api/readings', { binId: 'nope', reading: { capacity: 1 } })).status, 404);
+        
+        const bins = (await server.request('GET', '/api/bins')).body;
+        assert.equal(bins.find(bin => bin.id === 'bin_lobi').db.capacity, 64);
+        
+        await wait(50);
+        assert.deepEqual(other.events.map(event => event.type), ['bin', 'reading']);
+        assert.equal(other.events[1].reading.capacity, 64);
+        
+        // Persisted to the file database
+        const lines = fs.readFileSync(path.join(server.dataDir, 'readings.jsonl'), 'utf8').trim().split('\n');
+        assert.equal(JSON.parse(lines[0]).binId, 'bin_lobi');
+    } finally {
+        other.close();
+        await server.stop();
+    }
+});
+
+test('exports readings as CSV and round-trips a backup', async () => {
+    // Keeps the January reading through the restore
+    const server = await start({ retention: 0 });
+    try {
+        await server.request('PUT', '/api/bins/bin_b', { bin: { name: 'Kantin, "Utara"' } });
+        await server.request('POST', '/api/readings', {
+            binId: 'bin_b',
+            reading: { timestamp: Date.UTC(2026, 0, 5, 8), capacity: 30, distance: 35, status: 'TUTUP' }
+        });
+        
+        const csv = await server.request('GET', '/api/export?binId=bin_b&format=csv');
+        const [header, row] = csv.body.trim().split('\r\n');
+        assert.match(header, /^Timestamp,Bin ID,Bin,Capacity/);
+        assert.equal(row, '2026-01-05T08:00:00.000Z,bin_b,"Kantin, ""Utara""",30,35,,TUTUP,');
+        
+        const backup = (await server.request('GET', '/api/backup')).body;
+        assert.equal(backup.readings.length, 1);
+        
+        assert.equal((await server.request('POST', '/api/backup', { app: 'tongSampah', storage: [] })).status, 400);
+        
+        await server.request('DELETE', '/api/bins/bin_b');
+        assert.equal((await server.request('GET', '/api/bins')).body.some(bin => bin.id === 'bin_b'), false);
+        
+        const restored = await server.request('POST', '/api/backup', backup);
+        assert.deepEqual(restored.body, { keys: Object.keys(backup.storage).length, readings: 1 });
+        assert.equal((await server.request('GET', '/api/bins')).body.some(bin => bin.id === 'bin_b'), true);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('old readings are dropped and the newest kept within the limit', async () => {
+    const server = await start({ maxReadings: 3 });
+    try {
+        const now = Date.now();
+        const post = (timestamp, capacity) => server.request('POST', '/api/readings', { binId: 'bin_1', reading: { timestamp, capacity } });
+        // Older than the app's 30 days
+        await post(now - 40 * 24 * 60 * 60 * 1000, 10);
+        for (const capacity of [20, 30, 40, 50]) await post(now, capacity);
+        
+        assert.equal(server.instance.prune(), 2);
+        const readings = (await server.request('GET', '/api/readings')).body;
+        assert.deepEqual(readings.map(reading => reading.capacity), [30, 40, 50]);
+        const lines = fs.readFileSync(path.join(server.dataDir, 'readings.jsonl'), 'utf8').trim().split('\n');
+        assert.equal(lines.length, 3);
+        
+        // What the server hands out it takes back
+        const backup = (await server.request('GET', '/api/backup')).body;
+        assert.equal((await server.request('POST', '/api/backup', backup)).body.readings, 3);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('simulated devices run on the server and post their readings', async () => {
+    const server = await start();
+    const dashboard = listen(server.origin, 'dash_a');
+    try {
+        const [bin] = (await server.request('GET', '/api/bins')).body;
+        // Every simulated reading, not one a minute
+        server.instance.core.state.db.settings.server.readingInterval = 0;
+        const started = await server.request('POST', '/api/simulate', { binId: bin.id, options: { interval: 40, lidEventRate: 0 } });
+        assert.equal(started.body.running, true);
+        
+        await wait(400);
+        await server.request('POST', '/api/simulate', { binId: bin.id, action: 'stop' });
+        assert.deepEqual((await server.request('GET', '/api/simulate')).body, []);
+        
+        const readings = (await server.request('GET', `/api/readings?binId=${bin.id}`)).body;
+        assert.ok(readings.length >= 3, `${readings.length} readings`);
+        assert.ok(readings.every(reading => reading.clientId === 'server'));
+        assert.ok(dashboard.events.some(event => event.type === 'reading'));
+    } finally {
+        dashboard.close();
+        await server.stop();
+    }
+});
+
+test('a dashboard pulls the shared fleet and applies remote readings', async () => {
+    const server = await start();
+    try {
+        await server.request('PUT', '/api/bins/bin_remote', { bin: { name: 'Parkir' } });
+        
+        const { core, bin } = loadApp({ config: { api: { timeout: 2000 } } });
+        core.state.db.settings.server = { enabled: true, url: server.origin, token: 'rahasia' };
+        assert.equal(await core.ServerSync.init(), true);
+        assert.deepEqual(await core.ServerSync.simulate(bin.id, 'stop'), { binId: bin.id, action: 'stop', running: false });
+        
+        const remote = core.Fleet.getBin('bin_remote');
+        assert.equal(remote.name, 'Parkir');
+        // Our own bin was unknown to the server
+        assert.ok((await server.request('GET', '/api/bins')).body.some(entry => entry.id === bin.id));
+        
+        core.ServerSync.applyReading('bin_remote', { kind: 'reading', timestamp: Date.now(), capacity: 55, distance: 22, status: 'BUKA' });
+        assert.equal(remote.db.capacity, 55);
+        assert.equal(remote.db.dailyUsage, 1);
+        const history = await core.TimeSeries.query('bin_remote');
+        assert.equal(history.length, 1);
+        
+        // Remote data is not posted back
+        await wait(50);
+        assert.equal((await server.request('GET', '/api/readings?binId=bin_remote')).body.length, 0);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('a dashboard posts one reading per interval and every lid change', async () => {
+    const server = await start();
+    try {
+        const { core, bin } = loadApp({ config: { api: { timeout: 2000 } } });
+        core.state.db.settings.server = { enabled: true, url: server.origin, token: 'rahasia' };
+        assert.equal(await core.ServerSync.init(), true);
+        
+        const port = createFakePort();
+        await core.SerialManager.connect(bin.id, { port });
+        ['TUTUP,30,35,2,9', 'TUTUP,31,34,2,9', 'BUKA,31,34,2,9', 'TUTUP,32,34,2,9'].forEach(line => port.push(`${line}\r\n`));
+        await wait(200);
+        await core.SerialManager.disconnect(bin.id);
+        core.ServerSync.stop();
+        
+        const readings = (await server.request('GET', `/api/readings?binId=${bin.id}`)).body;
+        assert.deepEqual(readings.map(reading => reading.kind).sort(), ['reading', 'status', 'status']);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('a bin removed on another dashboard goes here too, unless it is cabled here', async () => {
+    const server = await start();
+    try {
+        const { core, bin } = loadApp({ config: { api: { timeout: 2000 } } });
+        core.state.db.settings.server = { enabled: true, url: server.origin, token: 'rahasia' };
+        await core.ServerSync.init();
+        const other = core.Fleet.addBin({ id: 'bin_lobi', name: 'Lobi' });
+        await core.SerialManager.connect(bin.id, { port: createFakePort() });
+        await wait(50);
+        
+        const removing = core.ServerSync.applyRemoval(other.id);
+        // Local data keeps flowing while the removal runs
+        assert.equal(core.ServerSync.applying, false);
+        await removing;
+        assert.equal(core.Fleet.getBin(other.id), null);
+        // Not echoed back as a DELETE of our own
+        assert.ok((await server.request('GET', '/api/bins')).body.some(entry => entry.id === other.id));
+        
+        await server.request('DELETE', `/api/bins/${bin.id}`);
+        await core.ServerSync.applyRemoval(bin.id);
+        assert.equal(core.SerialManager.isConnected(bin.id), true);
+        assert.ok(core.Fleet.getBin(bin.id));
+        assert.ok((await server.request('GET', '/api/bins')).body.some(entry => entry.id === bin.id));
+        
+        await core.SerialManager.disconnect(bin.id);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+test('a sudden drop in capacity is logged as an emptying', async () => {
+    const { core, bin } = loadApp();
+    const start = Date.now() - 10 * HOUR;
+    
+    core.HistoryManager.addToHistory(20, bin, {}, start);
+    core.HistoryManager.addToHistory(85, bin, {}, start + 3 * HOUR);
+    core.HistoryManager.addToHistory(5, bin, {}, start + 4 * HOUR);
+    // Small dips are noise, not emptyings
+    core.HistoryManager.addToHistory(40, bin, {}, start + 6 * HOUR);
+    core.HistoryManager.addToHistory(30, bin, {}, start + 7 * HOUR);
+    core.HistoryManager.addToHistory(2, bin, {}, start + 9 * HOUR);
+    
+    const log = await core.HistoryManager.getServiceLog(bin.id);
+    assert.deepEqual(log.map(event => [event.kind, event.before, event.after]), [['auto', 30, 2], ['auto', 85, 5]]);
+    assert.equal(log[1].sinceLast, null);
+    assert.equal(log[0].sinceLast, 5 * HOUR);
+    assert.equal(bin.db.lastServiceAt, start + 9 * HOUR);
+});
+
+test('a manual log next to a detected emptying is the same visit', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    core.HistoryManager.addToHistory(90, bin, {}, now - 20 * MINUTE);
+    core.HistoryManager.addToHistory(3, bin, {}, now - 15 * MINUTE);
+    bin.db.capacity = 3;
+    core.HistoryManager.logCollection(bin.id, { name: ' Budi ', note: 'Kantong diganti', timestamp: now });
+    
+    const [manual, auto] = await core.HistoryManager.getServiceLog(bin.id);
+    assert.equal(auto.matched, false);
+    assert.equal(manual.matched, true);
+    assert.equal(manual.by, 'Budi');
+    assert.equal(manual.before, 90);
+    assert.equal(manual.after, 3);
+    
+    assert.throws(() => core.HistoryManager.logCollection(bin.id, { name: '  ' }), /Nama petugas/);
+});
+
+test('bins are overdue when not emptied for too long or full for too long', () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    bin.createdAt = now - 10 * HOUR;
+    assert.equal(core.HistoryManager.getServiceStatus(bin, now).overdue, false);
+    
+    bin.createdAt = now - 80 * HOUR;
+    const idle = core.HistoryManager.getServiceStatus(bin, now);
+    assert.equal(idle.overdue, true);
+    assert.equal(idle.reasons.length, 1);
+    
+    bin.db.lastServiceAt = now - 10 * HOUR;
+    core.HistoryManager.addToHistory(95, bin, {}, now - 5 * HOUR);
+    core.HistoryManager.addToHistory(97, bin, {}, now - HOUR);
+    const full = core.HistoryManager.getServiceStatus(bin, now);
+    assert.equal(full.fullHours, 5);
+    assert.equal(full.overdue, true);
+    assert.match(full.reasons[0], /Penuh sejak/);
+});
+
+test('service events do not count as lid openings', async () => {
+    const { core, bin } = loadApp();
+    const now = Date.now();
+    
+    core.UsageLedger.record(bin, 'arduino', now - 2 * HOUR);
+    core.HistoryManager.addToHistory(80, bin, {}, now - HOUR);
+    core.HistoryManager.addToHistory(0, bin, {}, now - 30 * MINUTE);
+    
+    const stats = await core.UsageLedger.getStats(bin.id);
+    assert.equal(stats.events, 1);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const stored = (core, key) => core.adapters.storage.getItem(`${core.state.config.storagePrefix}${key}`);
+
+test('a fresh start is on the latest schema with default settings', () => {
+    const { core } = loadApp();
+    
+    assert.equal(core.Storage.get('schema'), core.Migrations.latest());
+    assert.equal(core.state.db.settings.alertThreshold, 80);
+    assert.equal(core.state.db.settings.reconnect.enabled, true);
+    assert.deepEqual(core.state.db.logs, []);
+});
+
+test('the old db key is split into settings and logs without duplicates', () => {
+    const now = Date.now();
+    const log = (id, minutes) => ({ id, timestamp: now - minutes * 60000, message: id, type: 'info' });
+    const { core } = loadApp({ storage: {
+        tongSampah_db: JSON.stringify({
+            settings: { alertThreshold: 70, autoRefresh: true },
+            logs: [log('b', 2), log('a', 3)]
+        }),
+        tongSampah_settings: JSON.stringify({ alertThreshold: 75 }),
+        tongSampah_logs: JSON.stringify([log('c', 1), log('b', 2)])
+    } });
+    
+    assert.equal(stored(core, 'db'), null);
+    assert.equal(core.state.db.settings.alertThreshold, 75);
+    assert.equal(core.state.db.settings.autoRefresh, true);
+    assert.deepEqual(core.state.db.logs.map(entry => entry.id), ['c', 'b', 'a']);
+    assert.equal(core.Storage.get('schema'), core.Migrations.latest());
+    
+    // What closing the page saves is what the next start reads
+    core.state.db.settings.chartType = 'week';
+    core.Logger.log('Ditutup');
+    core.Storage.set('settings', core.state.db.settings);
+    core.Storage.set('logs', core.state.db.logs);
+    const saved = {};
+    core.Storage.keys().forEach(key => { saved[key] = core.adapters.storage.getItem(key); });
+    const reloaded = loadApp({ storage: saved });
+    assert.equal(reloaded.core.state.db.settings.chartType, 'week');
+    assert.equal(reloaded.core.state.db.logs[0].message, 'Ditutup');
+});
+
+test('settings added in a later version are filled in for existing users', () => {
+    const { core } = loadApp({ storage: {
+        tongSampah_schema: '2',
+        tongSampah_settings: JSON.stringify({ alertThreshold: 60, simulator: { interval: 500 } })
+    } });
+    const settings = core.state.db.settings;
+    
+    assert.equal(settings.alertThreshold, 60);
+    assert.equal(settings.simulator.interval, 500);
+    assert.equal(settings.simulator.fillRate, 2);
+    assert.deepEqual(settings.retention, core.TimeSeries.retentionDefaults);
+    assert.equal(settings.autoScrollLogs, true);
+});
+
+test('corrupt stored JSON is set aside and replaced with defaults', () => {
+    const { core, bin } = loadApp({ storage: {
+        tongSampah_schema: '2',
+        tongSampah_settings: '{"alertThreshold": 6',
+        tongSampah_fleet: 'rusak'
+    } });
+    
+    assert.equal(core.state.db.settings.alertThreshold, 80);
+    assert.equal(bin.id, 'bin_1');
+    assert.equal(core.Storage.get('corrupt_settings').raw, '{"alertThreshold": 6');
+    assert.equal(core.Storage.get('corrupt_fleet').raw, 'rusak');
+    assert.deepEqual(core.Storage.recovered.sort(), ['fleet', 'settings']);
+    
+    const warnings = core.state.db.logs.filter(log => log.type === 'warning').map(log => log.message);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings.find(message => message.includes("'settings'")), /corrupt_settings/);
+});
+
+test('a failing migration leaves storage untouched for the next start', () => {
+    const { App, core } = loadApp({ storage: { tongSampah_settings: JSON.stringify({ alertThreshold: 65 }) } });
+    const latest = core.Migrations.latest();
+    core.Migrations.migrations.push({
+        version: latest + 1,
+        description: 'gagal',
+        migrate(data) {
+            data.settings.alertThreshold = 0;
+            throw new Error('uji');
+        }
+    });
+    
+    App.initCore();
+    assert.equal(core.Storage.get('schema'), latest);
+    assert.equal(core.Storage.get('settings').alertThreshold, 65);
+    assert.match(core.state.db.logs[0].message, /gagal.*uji/);
+});
+
+test('backups from an older schema are migrated on import', async () => {
+    const { core } = loadApp();
+    const legacy = {
+        app: 'tongSampah',
+        storage: {
+            tongSampah_db: JSON.stringify({ capacity: 55, settings: { alertThreshold: 90 }, logs: [] }),
+            tongSampah_settings: JSON.stringify({ alertThreshold: 85 })
+        },
+        readings: []
+    };
+    
+    const data = core.Backup.validate(legacy);
+    assert.equal(data.values.db, undefined);
+    assert.equal(data.values.fleet.bins.bin_1.db.capacity, 55);
+    assert.equal(data.values.settings.alertThreshold, 85);
+    assert.equal(data.values.schema, core.Migrations.latest());
+    
+    legacy.storage.tongSampah_schema = String(core.Migrations.latest() + 1);
+    assert.throws(() => core.Backup.validate(legacy), /lebih baru dari aplikasi ini/);
+});
+
+test('ports remembered per board model move to the bin that used them', () => {
+    const { core } = loadApp({ storage: {
+        tongSampah_schema: '2',
+        tongSampah_ports: JSON.stringify({
+            '2341:0043': { name: 'Uno lantai 2', board: 'Arduino Uno R3', binId: 'bin_1' },
+            '1a86:7523': { name: null, board: 'Clone Uno/Nano (CH340)' }
+        })
+    } });
+    
+    assert.deepEqual(Object.keys(core.state.ports), ['bin_1']);
+    assert.equal(core.PortRegistry.get('bin_1').key, '2341:0043');
+    assert.equal(core.PortRegistry.getLabel('bin_1', { usbVendorId: 0x2341, usbProductId: 0x0043 }), 'Uno lantai 2 · Arduino Uno R3');
+});
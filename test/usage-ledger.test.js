@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('every lid opening from serial data lands in the ledger', async () => {
+    const { core, bin } = loadApp();
+    const apply = line => core.DataProcessor.batchUpdate(core.DataProcessor.processLines([line]), bin);
+    
+    apply('STATUS:TUTUP');
+    apply('STATUS:BUKA');
+    apply('STATUS:BUKA');
+    apply('STATUS:TUTUP');
+    apply('BUKA,10,45,3,3');
+    
+    assert.equal(bin.db.dailyUsage, 2);
+    assert.equal(bin.db.totalUsage, 2);
+    
+    const events = await core.TimeSeries.events(bin.id);
+    assert.deepEqual(events.map(event => [event.type, event.source]), [['open', 'arduino'], ['open', 'arduino']]);
+});
+
+test('the daily counter rolls over at midnight, also after a reload', () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.timeZone = 'UTC';
+    const evening = Date.UTC(2026, 0, 9, 23, 30);
+    
+    core.UsageLedger.record(bin, 'arduino', evening);
+    core.UsageLedger.record(bin, 'arduino', evening + 10 * 60 * 1000);
+    assert.equal(bin.db.dailyUsage, 2);
+    assert.equal(bin.db.usageDay, '2026-01-09');
+    
+    core.UsageLedger.record(bin, 'arduino', evening + HOUR);
+    assert.equal(bin.db.dailyUsage, 1);
+    assert.equal(bin.db.totalUsage, 3);
+    assert.equal(bin.db.usageDay, '2026-01-10');
+    
+    // Saved back then, loaded today
+    const saved = core.adapters.storage.getItem('tongSampah_fleet');
+    const reloaded = loadApp({ storage: { tongSampah_fleet: saved } });
+    assert.equal(reloaded.bin.db.dailyUsage, 0);
+    assert.equal(reloaded.bin.db.totalUsage, 3);
+});
+
+test('stats average over the days the bin existed and find the busy times', async () => {
+    const { core, bin } = loadApp();
+    core.state.db.settings.timeZone = 'UTC';
+    const now = Date.now();
+    const today = core.Calendar.bucketOf('day', now).bucket;
+    bin.createdAt = today - 3 * DAY;
+    
+    // 4 days in the window, 6 openings: 4 at 07:xx (3 of them on one day), then 12:00 and 00:00
+    [
+        today - 3 * DAY + 7 * HOUR,
+        today - 2 * DAY + 7 * HOUR,
+        today - 2 * DAY + 7 * HOUR + 60000,
+        today - 2 * DAY + 7 * HOUR + 120000,
+        today - DAY + 12 * HOUR,
+        today
+    ].forEach(timestamp => core.TimeSeries.addEvent({ binId: bin.id, timestamp, type: 'open', source: 'arduino' }));
+    
+    const stats = await core.UsageLedger.computeStats(bin.id, now);
+    assert.equal(stats.days, 4);
+    assert.equal(stats.events, 6);
+    assert.equal(stats.averagePerDay, 1.5);
+    assert.deepEqual(stats.busiestHours[0], { hour: 7, count: 4 });
+    assert.deepEqual(stats.peakDays[0], { day: core.Calendar.bucketOf('day', today - 2 * DAY).key, count: 3 });
+});